@@ -0,0 +1,280 @@
+/**
+ * Alarms raised by CANERR frames (0x100 - 0x104).
+ *
+ * The first error frame of a kind from a node raises an alarm; repeats of
+ * the same error update it. An alarm moves from raised to acknowledged when
+ * an operator acknowledges it, and to cleared when the node stops sending
+ * the error or an operator clears it. A node that reports the error again
+ * after it was cleared raises a new alarm.
+ */
+import * as CAN_MSG from './can_constants.js';
+import { decodeNodeId } from './frame_capture.js';
+
+/* === Constants === */
+
+/** Error frames that raise alarms */
+const ALARM_MSG_BEGIN = CAN_MSG.CANERR_OVER_CURRENT_ID;
+const ALARM_MSG_END   = CAN_MSG.CANERR_STORED_ERROR_ID;
+
+/** Offset of the error data bytes, after the Node ID */
+const ALARM_DATA_OFFSET = 4;
+
+/** Number of error data bytes */
+const ALARM_DATA_LENGTH = 4;
+
+/** Default silence after which an active alarm is cleared */
+const DEFAULT_CLEAR_MS = 30000;
+
+/** Interval between clear sweeps and batched writes of repeat counts */
+const ALARM_SWEEP_INTERVAL = 1000;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Default number of alarms returned by getRecent() */
+const DEFAULT_RECENT_LIMIT = 100;
+
+/** Alarm states */
+export const ALARM_STATES = {
+    RAISED:       'raised',
+    ACKNOWLEDGED: 'acknowledged',
+    CLEARED:      'cleared'
+};
+
+/* === Functions === */
+
+/**
+ * Returns true if a frame ID raises an alarm.
+ * @param {number} id - CAN arbitration ID.
+ */
+export function isAlarmFrame(id) {
+    return id >= ALARM_MSG_BEGIN && id <= ALARM_MSG_END;
+}
+
+/**
+ * Creates the alarm manager on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { clearMs }
+ * @param {Function} getName - Returns the message name of a CAN ID.
+ * @param {Function} onChange - Called whenever an alarm is raised, updated or changes state.
+ * @returns {Object} Manager with handleFrame(), raise(), acknowledge(), clear(), saveNote(), getRecent() and close().
+ */
+export function createAlarmManager(db, options, getName, onChange) {
+    const clearMs = options.clearMs || DEFAULT_CLEAR_MS;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS alarms (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            node_id TEXT,
+            can_id INTEGER,
+            name TEXT,
+            data TEXT,              /**< JSON array of the latest error data bytes */
+            state TEXT,             /**< 'raised', 'acknowledged' or 'cleared' */
+            count INTEGER,          /**< Error frames received while active */
+            raised_at INTEGER,      /**< ms since epoch */
+            last_seen INTEGER,
+            acknowledged_at INTEGER,
+            cleared_at INTEGER,
+            note TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_alarms_state ON alarms (state, raised_at);
+    `);
+
+    const insertAlarm = db.prepare(`
+        INSERT INTO alarms (node_id, can_id, name, data, state, count, raised_at, last_seen)
+        VALUES (?, ?, ?, ?, 'raised', 1, ?, ?)
+    `);
+
+    const updateActivity = db.prepare(`
+        UPDATE alarms SET data = ?, count = ?, last_seen = ? WHERE id = ?
+    `);
+
+    const updateAcknowledged = db.prepare(`
+        UPDATE alarms SET state = 'acknowledged', acknowledged_at = ?, note = COALESCE(?, note)
+        WHERE id = ? AND state = 'raised'
+    `);
+
+    const updateCleared = db.prepare(`
+        UPDATE alarms SET state = 'cleared', cleared_at = ? WHERE id = ? AND state != 'cleared'
+    `);
+
+    const updateNote = db.prepare(`UPDATE alarms SET note = ? WHERE id = ?`);
+
+    const selectActive = db.prepare(`SELECT * FROM alarms WHERE state != 'cleared'`);
+
+    const selectRecent = db.prepare(`
+        SELECT * FROM alarms
+        ORDER BY CASE state WHEN 'raised' THEN 0 WHEN 'acknowledged' THEN 1 ELSE 2 END, raised_at DESC
+        LIMIT ?
+    `);
+
+    /**
+     * Active alarms keyed by "<node id>:<can id>" for error frames and
+     * "<node id>:<can id>:<name>" for raised ones: { id, data, count, lastSeen, dirty, manual }.
+     * Manual (raised) alarms are never cleared by the sweep.
+     */
+    const active = new Map();
+
+    /* Error frame alarms left active by an earlier run age out from their last frame; raised ones stay active */
+    for (const row of selectActive.all()) {
+        const manual = !isAlarmFrame(row.can_id);
+        active.set(manual ? `${row.node_id}:${row.can_id}:${row.name}` : `${row.node_id}:${row.can_id}`,
+            { id: row.id, data: JSON.parse(row.data), count: row.count, lastSeen: row.last_seen, dirty: false, manual });
+    }
+
+    /** Returns the active-alarm key of an alarm ID */
+    function findKey(alarmId) {
+        for (const [key, entry] of active) {
+            if (entry.id === alarmId) return key;
+        }
+        return null;
+    }
+
+    /** Writes repeat counts to SQLite and clears alarms whose error has stopped */
+    function sweep() {
+        const now = Date.now();
+        let changed = false;
+
+        try {
+            for (const [key, entry] of active) {
+                if (entry.dirty) {
+                    updateActivity.run(JSON.stringify(entry.data), entry.count, entry.lastSeen, entry.id);
+                    entry.dirty = false;
+                    changed = true;
+                }
+                if (!entry.manual && now - entry.lastSeen >= clearMs) {
+                    updateCleared.run(now, entry.id);
+                    active.delete(key);
+                    console.log(`Alarm ${entry.id} cleared after ${clearMs / MS_PER_SECOND}s without error frames`);
+                    changed = true;
+                }
+            }
+        } catch (err) {
+            console.error('Failed to update alarms:', err.message);
+        }
+
+        if (changed) onChange();
+    }
+
+    const sweepTimer = setInterval(sweep, ALARM_SWEEP_INTERVAL);
+
+    return {
+        /**
+         * Raises or updates an alarm for a CANERR frame; other frames are ignored.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            if (!isAlarmFrame(msg.id)) return;
+
+            const nodeId = decodeNodeId(msg.id, msg.data);
+            if (!nodeId) return;
+
+            const key  = `${nodeId}:${msg.id}`;
+            const data = [...msg.data.slice(ALARM_DATA_OFFSET, ALARM_DATA_OFFSET + ALARM_DATA_LENGTH)];
+            const now  = Date.now();
+            const entry = active.get(key);
+
+            if (entry) {
+                entry.data     = data;
+                entry.lastSeen = now;
+                entry.count++;
+                entry.dirty    = true;
+                return;
+            }
+
+            try {
+                const name   = getName(msg.id);
+                const result = insertAlarm.run(nodeId, msg.id, name, JSON.stringify(data), now, now);
+
+                active.set(key, { id: Number(result.lastInsertRowid), data, count: 1, lastSeen: now, dirty: false, manual: false });
+                console.warn(`Alarm raised: ${name} on node ${nodeId}`);
+                onChange();
+            } catch (err) {
+                console.error('Failed to raise alarm:', err.message);
+            }
+        },
+
+        /**
+         * Raises an alarm that is not tied to an error frame, e.g. from an
+         * automation rule. It stays active until an operator clears it; raising
+         * the same alarm again while it is active only updates its data and count.
+         * @param {string|null} nodeId - Node the alarm concerns, if any; stored as ''.
+         * @param {number} canId - Frame that led to the alarm.
+         * @param {string} name - Alarm text.
+         * @param {number[]} data - Data bytes to show with the alarm.
+         */
+        raise(nodeId, canId, name, data) {
+            const key   = `${nodeId || ''}:${canId}:${name}`;
+            const now   = Date.now();
+            const entry = active.get(key);
+
+            if (entry) {
+                entry.data     = data;
+                entry.lastSeen = now;
+                entry.count++;
+                entry.dirty    = true;
+                return;
+            }
+
+            const result = insertAlarm.run(nodeId || '', canId, name, JSON.stringify(data), now, now);
+            active.set(key, { id: Number(result.lastInsertRowid), data, count: 1, lastSeen: now, dirty: false, manual: true });
+            console.warn(`Alarm raised: ${name}${nodeId ? ` on node ${nodeId}` : ''}`);
+            onChange();
+        },
+
+        /**
+         * Acknowledges a raised alarm.
+         * @param {number} alarmId - Row ID of the alarm.
+         * @param {string} [note] - Operator note; an existing note is kept if omitted.
+         */
+        acknowledge(alarmId, note) {
+            updateAcknowledged.run(Date.now(), note || null, alarmId);
+            onChange();
+        },
+
+        /**
+         * Clears an active alarm by hand.
+         * @param {number} alarmId - Row ID of the alarm.
+         */
+        clear(alarmId) {
+            const key = findKey(alarmId);
+            if (key) {
+                const entry = active.get(key);
+                if (entry.dirty) {
+                    updateActivity.run(JSON.stringify(entry.data), entry.count, entry.lastSeen, entry.id);
+                }
+                active.delete(key);
+            }
+
+            updateCleared.run(Date.now(), alarmId);
+            onChange();
+        },
+
+        /**
+         * Stores an operator note on an alarm in any state.
+         * @param {number} alarmId - Row ID of the alarm.
+         * @param {string} note - Note text.
+         */
+        saveNote(alarmId, note) {
+            updateNote.run(note, alarmId);
+            onChange();
+        },
+
+        /**
+         * Returns the most relevant alarms: unacknowledged first, then
+         * acknowledged, then cleared, newest first within each state.
+         * @param {number} limit - Maximum number of alarms.
+         * @returns {Object[]} Alarm rows with their data bytes parsed.
+         */
+        getRecent(limit = DEFAULT_RECENT_LIMIT) {
+            return selectRecent.all(limit).map(row => ({ ...row, data: JSON.parse(row.data) }));
+        },
+
+        /** Stops the sweep timer after writing pending repeat counts */
+        close() {
+            clearInterval(sweepTimer);
+            sweep();
+        }
+    };
+}
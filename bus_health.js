@@ -0,0 +1,279 @@
+/**
+ * Bus health: SocketCAN error frames, controller state and bus load.
+ *
+ * Error frames are decoded following linux/can/error.h. The error class is
+ * carried in the CAN ID, the details in the data bytes. Bus load is
+ * estimated from the size of every frame seen on the bus and the bitrate.
+ */
+
+/* === Constants === */
+
+/** Error classes carried in the error frame ID (linux/can/error.h) */
+const CAN_ERR_TX_TIMEOUT = 0x001;
+const CAN_ERR_LOSTARB    = 0x002;
+const CAN_ERR_CRTL       = 0x004;
+const CAN_ERR_PROT       = 0x008;
+const CAN_ERR_TRX        = 0x010;
+const CAN_ERR_ACK        = 0x020;
+const CAN_ERR_BUSOFF     = 0x040;
+const CAN_ERR_BUSERROR   = 0x080;
+const CAN_ERR_RESTARTED  = 0x100;
+const CAN_ERR_CNT        = 0x200;
+
+/** Data byte offsets in an error frame */
+const ERR_CRTL_OFFSET   = 1;
+const ERR_PROT_OFFSET   = 2;
+const ERR_LOC_OFFSET    = 3;
+const ERR_TXCNT_OFFSET  = 6;
+const ERR_RXCNT_OFFSET  = 7;
+
+/** Controller status bits (data[1]) */
+const CAN_ERR_CRTL_RX_OVERFLOW = 0x01;
+const CAN_ERR_CRTL_TX_OVERFLOW = 0x02;
+const CAN_ERR_CRTL_RX_WARNING  = 0x04;
+const CAN_ERR_CRTL_TX_WARNING  = 0x08;
+const CAN_ERR_CRTL_RX_PASSIVE  = 0x10;
+const CAN_ERR_CRTL_TX_PASSIVE  = 0x20;
+const CAN_ERR_CRTL_ACTIVE      = 0x40;
+
+/** Protocol error types (data[2]) */
+const CAN_ERR_PROT_BIT   = 0x01;
+const CAN_ERR_PROT_FORM  = 0x02;
+const CAN_ERR_PROT_STUFF = 0x04;
+const CAN_ERR_PROT_BIT0  = 0x08;
+const CAN_ERR_PROT_BIT1  = 0x10;
+
+/** Protocol error locations (data[3]) */
+const CAN_ERR_PROT_LOC_CRC_SEQ = 0x08;
+const CAN_ERR_PROT_LOC_CRC_DEL = 0x18;
+const CAN_ERR_PROT_LOC_ACK     = 0x19;
+const CAN_ERR_PROT_LOC_ACK_DEL = 0x1B;
+
+/** Error counter thresholds from the CAN specification */
+const ERROR_WARNING_LIMIT = 96;
+const ERROR_PASSIVE_LIMIT = 128;
+
+/** Frame overhead in bits, excluding data and stuff bits (SOF to IFS) */
+const SFF_OVERHEAD_BITS = 47;
+const EFF_OVERHEAD_BITS = 67;
+
+/** Bits subject to bit stuffing, excluding data */
+const SFF_STUFFABLE_BITS = 34;
+const EFF_STUFFABLE_BITS = 54;
+
+/** Worst case: one stuff bit per four stuffable bits */
+const STUFF_BIT_RATIO = 4;
+
+/** Number of bits in a byte */
+const BITS_PER_BYTE = 8;
+
+/** Highest standard (11-bit) identifier */
+const CAN_SFF_MAX = 0x7FF;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Default bitrate used for the load estimate */
+const DEFAULT_BITRATE = 500000;
+
+/** Controller states, from healthy to disconnected */
+export const CONTROLLER_STATES = {
+    ACTIVE:  'error-active',
+    WARNING: 'error-warning',
+    PASSIVE: 'error-passive',
+    BUS_OFF: 'bus-off'
+};
+
+/* === Functions === */
+
+/**
+ * Estimates the number of bits a frame occupies on the wire, including
+ * worst-case stuff bits.
+ * @param {number} id - CAN ID.
+ * @param {number} dlc - Number of data bytes.
+ * @param {boolean} ext - True for a 29-bit identifier.
+ * @returns {number} Frame length in bits.
+ */
+export function frameBitLength(id, dlc, ext) {
+    const isExt     = ext !== undefined ? ext : id > CAN_SFF_MAX;
+    const dataBits  = dlc * BITS_PER_BYTE;
+    const overhead  = isExt ? EFF_OVERHEAD_BITS : SFF_OVERHEAD_BITS;
+    const stuffable = isExt ? EFF_STUFFABLE_BITS : SFF_STUFFABLE_BITS;
+
+    return overhead + dataBits + Math.floor((stuffable + dataBits - 1) / STUFF_BIT_RATIO);
+}
+
+/**
+ * Returns the categories of one error frame.
+ * @param {number} errClass - Error class bits from the frame ID.
+ * @param {number[]|Buffer} data - Error frame payload.
+ * @returns {string[]} Category names, as used in the error counters.
+ */
+export function categorizeErrorFrame(errClass, data) {
+    const categories = [];
+    const prot = data[ERR_PROT_OFFSET] || 0;
+    const loc  = data[ERR_LOC_OFFSET] || 0;
+
+    if (errClass & CAN_ERR_TX_TIMEOUT) categories.push('txTimeout');
+    if (errClass & CAN_ERR_LOSTARB)    categories.push('arbitrationLost');
+    if (errClass & CAN_ERR_CRTL)       categories.push('controller');
+    if (errClass & CAN_ERR_TRX)        categories.push('transceiver');
+    if (errClass & CAN_ERR_BUSOFF)     categories.push('busOff');
+    if (errClass & CAN_ERR_RESTARTED)  categories.push('restarts');
+
+    if (errClass & CAN_ERR_PROT) {
+        if (prot & CAN_ERR_PROT_STUFF) categories.push('stuff');
+        if (prot & CAN_ERR_PROT_FORM)  categories.push('form');
+        if (prot & (CAN_ERR_PROT_BIT | CAN_ERR_PROT_BIT0 | CAN_ERR_PROT_BIT1)) categories.push('bit');
+        if (loc === CAN_ERR_PROT_LOC_CRC_SEQ || loc === CAN_ERR_PROT_LOC_CRC_DEL) categories.push('crc');
+    }
+
+    if ((errClass & CAN_ERR_ACK) || loc === CAN_ERR_PROT_LOC_ACK || loc === CAN_ERR_PROT_LOC_ACK_DEL) {
+        categories.push('ack');
+    }
+
+    if (!categories.length && (errClass & CAN_ERR_BUSERROR)) categories.push('other');
+    return categories;
+}
+
+/**
+ * Creates a bus health tracker.
+ * @param {number} bitrate - Nominal bitrate in bit/s.
+ * @returns {Object} Tracker with recordFrame(), recordError(), sampleLoad(), snapshot() and reset().
+ */
+export function createBusHealth(bitrate = DEFAULT_BITRATE) {
+    const emptyCounters = () => ({
+        stuff: 0, form: 0, ack: 0, crc: 0, bit: 0, arbitrationLost: 0, restarts: 0,
+        busOff: 0, controller: 0, txTimeout: 0, transceiver: 0, other: 0
+    });
+
+    let errors       = emptyCounters();
+    let state        = CONTROLLER_STATES.ACTIVE;
+    let txErrorCount = null;
+    let rxErrorCount = null;
+    let lastError    = null;   /**< { categories, time } */
+    let lastFrameAt  = null;
+
+    /** Bits seen since the previous sample, for the load estimate */
+    let windowBits   = 0;
+    let windowFrames = 0;
+    let windowStart  = Date.now();
+
+    let load            = 0;
+    let peakLoad        = 0;
+    let framesPerSecond = 0;
+
+    /**
+     * Derives the controller state from one error frame.
+     * @returns {string} The new state.
+     */
+    function nextState(errClass, data) {
+        if (errClass & CAN_ERR_BUSOFF) return CONTROLLER_STATES.BUS_OFF;
+        if (errClass & CAN_ERR_RESTARTED) return CONTROLLER_STATES.ACTIVE;
+
+        if (errClass & CAN_ERR_CRTL) {
+            const crtl = data[ERR_CRTL_OFFSET] || 0;
+
+            if (crtl & (CAN_ERR_CRTL_RX_PASSIVE | CAN_ERR_CRTL_TX_PASSIVE)) return CONTROLLER_STATES.PASSIVE;
+            if (crtl & (CAN_ERR_CRTL_RX_WARNING | CAN_ERR_CRTL_TX_WARNING)) return CONTROLLER_STATES.WARNING;
+            if (crtl & CAN_ERR_CRTL_ACTIVE) return CONTROLLER_STATES.ACTIVE;
+        }
+
+        /* Fall back to the error counters when the driver reports them */
+        if ((errClass & CAN_ERR_CNT) && state !== CONTROLLER_STATES.BUS_OFF) {
+            const worst = Math.max(txErrorCount, rxErrorCount);
+            if (worst >= ERROR_PASSIVE_LIMIT) return CONTROLLER_STATES.PASSIVE;
+            if (worst >= ERROR_WARNING_LIMIT) return CONTROLLER_STATES.WARNING;
+            return CONTROLLER_STATES.ACTIVE;
+        }
+        return state;
+    }
+
+    return {
+        /**
+         * Counts a data or remote frame towards the bus load.
+         * @param {Object} msg - Frame with { id, data, ext }.
+         */
+        recordFrame(msg) {
+            windowBits += frameBitLength(msg.id, msg.data.length, msg.ext);
+            windowFrames++;
+            lastFrameAt = Date.now();
+
+            /* Traffic after bus-off means the controller has recovered */
+            if (state === CONTROLLER_STATES.BUS_OFF) state = CONTROLLER_STATES.ACTIVE;
+        },
+
+        /**
+         * Decodes and counts an error frame.
+         * @param {Object} msg - Error frame in socketcan shape ({ id, data, err: true }).
+         * @returns {boolean} True if the controller state changed.
+         */
+        recordError(msg) {
+            const categories = categorizeErrorFrame(msg.id, msg.data);
+            categories.forEach(category => errors[category]++);
+
+            if (msg.id & CAN_ERR_CNT) {
+                txErrorCount = msg.data[ERR_TXCNT_OFFSET];
+                rxErrorCount = msg.data[ERR_RXCNT_OFFSET];
+            }
+
+            if (msg.id & CAN_ERR_CRTL) {
+                const crtl = msg.data[ERR_CRTL_OFFSET] || 0;
+                if (crtl & (CAN_ERR_CRTL_RX_OVERFLOW | CAN_ERR_CRTL_TX_OVERFLOW)) {
+                    console.error('CAN controller buffer overflow');
+                }
+            }
+
+            lastError = { categories, time: Date.now() };
+
+            const previous = state;
+            state = nextState(msg.id, msg.data);
+            if (state !== previous) {
+                console.log(`CAN controller state: ${previous} -> ${state}`);
+            }
+            return state !== previous;
+        },
+
+        /**
+         * Closes the load measurement window and starts a new one.
+         * @param {number} now - Current time in ms since epoch.
+         */
+        sampleLoad(now = Date.now()) {
+            const elapsed = Math.max(1, now - windowStart) / MS_PER_SECOND;
+
+            load            = Math.min(1, windowBits / (bitrate * elapsed));
+            peakLoad        = Math.max(peakLoad, load);
+            framesPerSecond = windowFrames / elapsed;
+
+            windowBits   = 0;
+            windowFrames = 0;
+            windowStart  = now;
+        },
+
+        /**
+         * Returns the current health, with the load of the last sampled window.
+         */
+        snapshot() {
+            return {
+                state,
+                bitrate,
+                load,
+                peakLoad,
+                framesPerSecond,
+                errors:       { ...errors },
+                totalErrors:  Object.values(errors).reduce((a, b) => a + b, 0),
+                txErrorCount,
+                rxErrorCount,
+                lastError,
+                lastFrameAt
+            };
+        },
+
+        /** Clears the error counters and the peak load */
+        reset() {
+            errors    = emptyCounters();
+            peakLoad  = 0;
+            lastError = null;
+        }
+    };
+}
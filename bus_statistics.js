@@ -0,0 +1,141 @@
+/**
+ * Live per-ID traffic statistics.
+ *
+ * Tracks frame count, current rate, inter-frame gaps and last-seen time for
+ * every CAN ID and sending node, and compares the measured rate with the
+ * "Msg Rate (Hz)" specified in the message definitions. The specified rate
+ * applies to each node on its own, so IDs whose layout starts with a node id
+ * get one row per sending node; all other IDs get a single row, whatever
+ * their first bytes hold. Rows not seen for STATS_EXPIRY_MS are dropped so
+ * departed nodes do not pile up. Only received frames are counted; frames
+ * this server transmits would otherwise inflate the rate of the node they
+ * are addressed to.
+ */
+
+/* === Constants === */
+
+/** Sliding window used to measure the current rate */
+const RATE_WINDOW_MS = 5000;
+
+/** Width of one bucket of the rate window */
+const RATE_BUCKET_MS = 250;
+
+/** Number of buckets in the rate window */
+const RATE_BUCKET_COUNT = RATE_WINDOW_MS / RATE_BUCKET_MS;
+
+/** Measured rate may exceed the specified rate by this factor before it is flagged */
+const RATE_TOLERANCE = 1.2;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Rows without a frame for this long are removed */
+const STATS_EXPIRY_MS = 10 * 60 * MS_PER_SECOND;
+
+/* === Functions === */
+
+/**
+ * Creates a statistics tracker.
+ * @param {Function} getDefinition - Returns { name, msgRate, perNode } for an ID, or undefined if the ID is
+ *     not defined. perNode is true if the layout of the ID starts with a node id.
+ * @returns {Object} Tracker with record(), snapshot() and reset().
+ */
+export function createBusStatistics(getDefinition) {
+    /** Per-ID and node counters, keyed by "id|nodeId" */
+    const stats = new Map();
+
+    /**
+     * Moves the rate window of an entry forward to the bucket holding now,
+     * emptying the buckets it passes. Buckets form a ring indexed by bucket number.
+     */
+    function advanceWindow(entry, now) {
+        const bucket = Math.floor(now / RATE_BUCKET_MS);
+        if (bucket <= entry.bucket) return;
+
+        const passed = Math.min(bucket - entry.bucket, RATE_BUCKET_COUNT);
+        for (let i = 1; i <= passed; i++) {
+            const slot = (entry.bucket + i) % RATE_BUCKET_COUNT;
+            entry.windowCount -= entry.buckets[slot];
+            entry.buckets[slot] = 0;
+        }
+        entry.bucket = bucket;
+    }
+
+    return {
+        /**
+         * Counts one received frame. The node is ignored unless the ID is defined per node.
+         * @param {number} id - CAN ID.
+         * @param {string|null} nodeId - Node ID in bytes 0-3 of the frame, or null if there is none.
+         * @param {number} timestamp - Receive time in ms since epoch.
+         */
+        record(id, nodeId, timestamp) {
+            const def  = getDefinition(id);
+            const node = def && def.perNode && nodeId ? nodeId : null;
+            const key  = `${id}|${node || ''}`;
+            let entry  = stats.get(key);
+
+            if (!entry) {
+                entry = {
+                    id, nodeId: node, count: 0, firstSeen: timestamp, lastSeen: null, minGap: null, maxGap: null,
+                    buckets: new Array(RATE_BUCKET_COUNT).fill(0), bucket: Math.floor(timestamp / RATE_BUCKET_MS), windowCount: 0
+                };
+                stats.set(key, entry);
+            }
+
+            if (entry.lastSeen !== null) {
+                const gap = timestamp - entry.lastSeen;
+                entry.minGap = entry.minGap === null ? gap : Math.min(entry.minGap, gap);
+                entry.maxGap = entry.maxGap === null ? gap : Math.max(entry.maxGap, gap);
+            }
+
+            entry.count++;
+            entry.lastSeen = timestamp;
+            advanceWindow(entry, timestamp);
+            entry.buckets[entry.bucket % RATE_BUCKET_COUNT]++;
+            entry.windowCount++;
+        },
+
+        /**
+         * Returns the statistics of every ID and node seen since the last reset,
+         * dropping the rows that have expired.
+         * @param {number} now - Current time in ms since epoch.
+         * @returns {Object[]} Rows sorted by current rate, highest first.
+         */
+        snapshot(now = Date.now()) {
+            const rows = [];
+
+            for (const [key, entry] of stats) {
+                if (now - entry.lastSeen > STATS_EXPIRY_MS) {
+                    stats.delete(key);
+                    continue;
+                }
+                advanceWindow(entry, now);
+
+                const def      = getDefinition(entry.id);
+                const rate     = entry.windowCount / (RATE_WINDOW_MS / MS_PER_SECOND);
+                const specRate = def && def.msgRate ? def.msgRate : null;
+
+                rows.push({
+                    id:          entry.id,
+                    nodeId:      entry.nodeId,
+                    name:        def ? def.name : 'UNKNOWN',
+                    count:       entry.count,
+                    rate:        rate,
+                    specRate:    specRate,
+                    minGap:      entry.minGap,
+                    avgGap:      entry.count > 1 ? (entry.lastSeen - entry.firstSeen) / (entry.count - 1) : null,
+                    maxGap:      entry.maxGap,
+                    lastSeen:    entry.lastSeen,
+                    overRate:    specRate !== null && rate > specRate * RATE_TOLERANCE,
+                    undefinedId: !def
+                });
+            }
+            return rows.sort((a, b) => b.rate - a.rate);
+        },
+
+        /** Clears all counters */
+        reset() {
+            stats.clear();
+        }
+    };
+}
@@ -0,0 +1,323 @@
+/**
+ * Assignment of physical inputs to actions on other nodes.
+ *
+ * Input sub-modules report events (DATA_BUTTON_DOWN/UP, keyswitch, dial and
+ * contact, 0x500 - 0x509) as [node id x4, button id, event data x2], where the
+ * button ID is the sub-module index. A binding ties one event of one input to
+ * an action on an output or LED strip sub-module, carried out either
+ *
+ *   - by the server: it watches the input events and sends the action frames
+ *     through the output and lighting controls, or
+ *   - by the nodes: the target consumes the input's data message directly,
+ *     through a message link that is pushed to the target node.
+ *
+ * Bindings are kept in SQLite.
+ */
+import * as CAN_MSG from './can_constants.js';
+import { decodeNodeId } from './frame_capture.js';
+import { OUTPUT_CONTROLS } from './output_control.js';
+import { LIGHTING_PERSONALITIES } from './lighting_control.js';
+
+/* === Constants === */
+
+/** Offset of the button ID in an input event, after the Node ID */
+const BUTTON_ID_OFFSET = 4;
+
+/** Milliseconds between change notifications for input events that fired no server binding */
+const EVENT_NOTIFY_INTERVAL = 500;
+
+/** Input sub-module personalities */
+const INPUT_MSG_BEGIN = CAN_MSG.INPUT_ANALOG_ADC_ID;
+const INPUT_MSG_END   = 0x71F;
+
+/** Input events a binding can react to */
+export const INPUT_EVENTS = {
+    buttonDown:      CAN_MSG.DATA_BUTTON_DOWN_ID,
+    buttonUp:        CAN_MSG.DATA_BUTTON_UP_ID,
+    keyswitchLock:   CAN_MSG.DATA_KEYSWITCH_LOCK_ID,
+    keyswitchUnlock: CAN_MSG.DATA_KEYSWITCH_UNLOCK_ID,
+    dialClockwise:   CAN_MSG.DATA_DIAL_CLOCKWISE_ID,
+    dialCounter:     CAN_MSG.DATA_DIAL_COUNTER_CLOCKWISE_ID,
+    dialClick:       CAN_MSG.DATA_DIAL_CLICK_ID,
+    contactClosed:   CAN_MSG.DATA_CONTACT_CLOSED_ID,
+    contactOpened:   CAN_MSG.DATA_CONTACT_OPENED_ID
+};
+
+/** Who generates the frames of a binding */
+export const BINDING_MODES = {
+    SERVER: 'server',  /**< The server reacts to the event */
+    NODE:   'node'     /**< The target consumes the event through a message link */
+};
+
+/** Actions of server-side bindings per target kind */
+export const BINDING_ACTIONS = {
+    output:   ['on', 'off', 'toggle', 'press'],
+    lighting: ['on', 'off', 'toggle', 'color']
+};
+
+/* === Functions === */
+
+/**
+ * Returns the target kind of a sub-module personality, or null if it cannot
+ * be the target of a binding.
+ */
+function targetKind(subModule) {
+    if (!subModule) return null;
+    if (OUTPUT_CONTROLS[subModule.introMsgId]) return 'output';
+    if (LIGHTING_PERSONALITIES[subModule.introMsgId]) return 'lighting';
+    return null;
+}
+
+/**
+ * Creates the button assignment manager on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Function} getNodes - Returns the in-memory node database.
+ * @param {Object} controls - { outputControl, lightingControl, linkGraph }
+ * @param {Function} onChange - Called when bindings change or fire, and at most once per
+ *        EVENT_NOTIFY_INTERVAL for input events that fire nothing.
+ * @returns {Object} Manager with bind(), unbind(), handleFrame(), getLastEvents() and getBindings().
+ */
+export function createButtonAssignments(db, getNodes, controls, onChange) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS button_bindings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            node_id TEXT,
+            button_id INTEGER,
+            event TEXT,            /**< Key of INPUT_EVENTS */
+            mode TEXT,             /**< BINDING_MODES value */
+            target_node TEXT,
+            target_sub INTEGER,
+            action TEXT,           /**< JSON { command, color }, NULL for node bindings */
+            link_id INTEGER,       /**< message_links row of node bindings */
+            created_at INTEGER,    /**< ms since epoch */
+            fired_at INTEGER,
+            last_error TEXT
+        );
+    `);
+
+    const insertBinding = db.prepare(`
+        INSERT INTO button_bindings (node_id, button_id, event, mode, target_node, target_sub, action, link_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const selectBinding  = db.prepare(`SELECT * FROM button_bindings WHERE id = ?`);
+    const selectBindings = db.prepare(`SELECT * FROM button_bindings ORDER BY node_id, button_id, event`);
+    const selectFiring   = db.prepare(`
+        SELECT * FROM button_bindings WHERE node_id = ? AND button_id = ? AND event = ? AND mode = ?
+    `);
+    const deleteBinding  = db.prepare(`DELETE FROM button_bindings WHERE id = ?`);
+    const updateFired    = db.prepare(`UPDATE button_bindings SET fired_at = ?, last_error = ? WHERE id = ?`);
+
+    /** Event keys by frame ID */
+    const eventByMsgId = new Map(Object.entries(INPUT_EVENTS).map(([event, msgId]) => [msgId, event]));
+
+    /** Last event of every input seen on the bus, keyed by "<node id>:<button id>": { event, seenAt } */
+    const lastEvents = new Map();
+
+    /** Pending notification of input events that fired no server binding */
+    let eventNotifyTimer = null;
+
+    /**
+     * Returns the sub-module at (nodeId, subIdx), if known.
+     */
+    function getSubModule(nodeId, subIdx) {
+        const node = getNodes()[nodeId];
+        return node && node.subModule ? node.subModule[subIdx] : undefined;
+    }
+
+    /**
+     * Checks a server-side action against its target.
+     * @returns {Object} The action to store: { command, color }.
+     * @throws {Error} If the action is unknown or not supported by the target.
+     */
+    function checkAction(kind, subModule, action) {
+        const command = action ? action.command : undefined;
+        if (!BINDING_ACTIONS[kind].includes(command)) {
+            throw new Error(`Unknown ${kind} action "${command}"`);
+        }
+
+        if (kind === 'output') {
+            const supported = OUTPUT_CONTROLS[subModule.introMsgId];
+            const needed    = command === 'toggle' ? ['on', 'off'] : [command];
+            if (!needed.every(c => supported.includes(c))) {
+                throw new Error(`The target output does not support "${command}"`);
+            }
+            return { command };
+        }
+
+        if (command !== 'color') return { command };
+        if (!action.color || !LIGHTING_PERSONALITIES[subModule.introMsgId].colorModes.includes(action.color.mode)) {
+            throw new Error('The color does not suit the target strip');
+        }
+        return { command, color: action.color };
+    }
+
+    /**
+     * Carries out the action of a server-side binding.
+     * @throws {Error} If the output or lighting control rejects it.
+     */
+    function runAction(binding) {
+        const action = JSON.parse(binding.action);
+        const kind   = targetKind(getSubModule(binding.target_node, binding.target_sub));
+        let command  = action.command;
+
+        if (kind === 'output') {
+            if (command === 'toggle') {
+                const states = controls.outputControl.getAll()[binding.target_node] || {};
+                const state  = states[binding.target_sub];
+                command = state && state.command === 'on' ? 'off' : 'on';
+            }
+            controls.outputControl.command(binding.target_node, binding.target_sub, command);
+        } else if (kind === 'lighting') {
+            if (command === 'color') {
+                controls.lightingControl.apply(binding.target_node, binding.target_sub, { color: action.color });
+                return;
+            }
+            if (command === 'toggle') {
+                const states = controls.lightingControl.getStates()[binding.target_node] || {};
+                const state  = states[binding.target_sub];
+                command = state && state.power === 'on' ? 'off' : 'on';
+            }
+            controls.lightingControl.apply(binding.target_node, binding.target_sub, { power: command });
+        } else {
+            throw new Error(`Target ${binding.target_node}/${binding.target_sub} is no longer known`);
+        }
+    }
+
+    /** Returns the client view of a binding row */
+    function describe(row, links) {
+        const link = row.link_id ? links.find(l => l.id === row.link_id) : undefined;
+        return {
+            id:         row.id,
+            nodeId:     row.node_id,
+            buttonId:   row.button_id,
+            event:      row.event,
+            mode:       row.mode,
+            targetNode: row.target_node,
+            targetSub:  row.target_sub,
+            action:     row.action ? JSON.parse(row.action) : null,
+            linkState:  row.mode !== BINDING_MODES.NODE ? null : !link ? 'removed' : link.pushedAt ? 'pushed' : 'pending',
+            createdAt:  row.created_at,
+            firedAt:    row.fired_at,
+            lastError:  row.last_error
+        };
+    }
+
+    return {
+        /**
+         * Binds an input event to an action on an output or LED strip.
+         * @param {Object} binding - { nodeId, buttonId, event, mode, targetNode, targetSub, action }
+         * @throws {Error} If the input, event, target or action is invalid.
+         */
+        bind(binding) {
+            const buttonId  = Number(binding.buttonId);
+            const targetSub = Number(binding.targetSub);
+            const input     = getSubModule(binding.nodeId, buttonId);
+
+            if (!input || input.introMsgId < INPUT_MSG_BEGIN || input.introMsgId > INPUT_MSG_END) {
+                throw new Error(`Node ${binding.nodeId} has no input sub-module ${buttonId}`);
+            }
+            if (!INPUT_EVENTS[binding.event]) {
+                throw new Error(`Unknown input event "${binding.event}"`);
+            }
+
+            const target = getSubModule(binding.targetNode, targetSub);
+            const kind   = targetKind(target);
+            if (!kind) {
+                throw new Error(`Node ${binding.targetNode} has no output or LED strip sub-module ${targetSub}`);
+            }
+
+            let action = null;
+            let linkId = null;
+
+            if (binding.mode === BINDING_MODES.SERVER) {
+                action = checkAction(kind, target, binding.action);
+            } else if (binding.mode === BINDING_MODES.NODE) {
+                if (input.dataMsgId !== INPUT_EVENTS[binding.event]) {
+                    throw new Error(`Input ${binding.nodeId}/${buttonId} sends ` +
+                                    `0x${(input.dataMsgId || 0).toString(16).toUpperCase()}; ` +
+                                    'only that event can be carried out by the nodes');
+                }
+                linkId = controls.linkGraph.addLink({
+                    producerNode: binding.nodeId,
+                    producerSub:  buttonId,
+                    consumerNode: binding.targetNode,
+                    consumerSub:  targetSub
+                });
+            } else {
+                throw new Error(`Unknown binding mode "${binding.mode}"`);
+            }
+
+            insertBinding.run(binding.nodeId, buttonId, binding.event, binding.mode,
+                binding.targetNode, targetSub, action ? JSON.stringify(action) : null, linkId, Date.now());
+            onChange();
+        },
+
+        /**
+         * Removes a binding, and the message link of a node binding.
+         * @param {number} bindingId - Row ID of the binding.
+         */
+        unbind(bindingId) {
+            const row = selectBinding.get(bindingId);
+            if (!row) return;
+
+            deleteBinding.run(bindingId);
+            if (row.link_id) controls.linkGraph.removeLink(row.link_id);
+            onChange();
+        },
+
+        /**
+         * Records input events and carries out the server-side bindings they fire.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            const event = eventByMsgId.get(msg.id);
+            if (!event || msg.data.length <= BUTTON_ID_OFFSET) return;
+
+            const nodeId   = decodeNodeId(msg.id, msg.data);
+            const buttonId = msg.data[BUTTON_ID_OFFSET];
+            if (!nodeId) return;
+
+            const now = Date.now();
+            lastEvents.set(`${nodeId}:${buttonId}`, { event, seenAt: now });
+
+            const firing = selectFiring.all(nodeId, buttonId, event, BINDING_MODES.SERVER);
+            for (const binding of firing) {
+                let error = null;
+                try {
+                    runAction(binding);
+                } catch (err) {
+                    error = err.message;
+                    console.warn(`Binding ${binding.id} (${nodeId}/${buttonId} ${event}) failed: ${error}`);
+                }
+                updateFired.run(now, error, binding.id);
+            }
+
+            if (firing.length) {
+                onChange();
+            } else if (!eventNotifyTimer) {
+                eventNotifyTimer = setTimeout(() => {
+                    eventNotifyTimer = null;
+                    onChange();
+                }, EVENT_NOTIFY_INTERVAL);
+            }
+        },
+
+        /**
+         * Returns the last event seen from every input.
+         * @returns {Object} Map of "<node id>:<button id>" -> { event, seenAt }.
+         */
+        getLastEvents() {
+            return Object.fromEntries(lastEvents);
+        },
+
+        /**
+         * Returns every binding.
+         * @returns {Object[]} { id, nodeId, buttonId, event, mode, targetNode, targetSub, action, linkState, createdAt, firedAt, lastError }
+         */
+        getBindings() {
+            const links = controls.linkGraph.getLinks();
+            return selectBindings.all().map(row => describe(row, links));
+        }
+    };
+}
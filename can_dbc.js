@@ -0,0 +1,310 @@
+/**
+ * Vector DBC generation and parsing for the message definitions.
+ *
+ * Each message becomes a BO_ entry. Its signals are derived from the
+ * D0-D7 byte labels of the Messages CSV: consecutive bytes with the same
+ * label form one signal ("node id" x4 becomes a 32-bit NODE_ID). Multi-byte
+ * signals are big endian (Motorola), matching writeCanMessageBE.
+ * Definitions imported from a third-party DBC keep their original signals.
+ */
+
+/* === Constants === */
+
+/** Placeholder node name used when the transmitter is unknown */
+const DBC_NO_NODE = 'Vector__XXX';
+
+/** Number of bits in a byte */
+const BITS_PER_BYTE = 8;
+
+/** Bit index of the most significant bit in a byte */
+const BYTE_MSB = 7;
+
+/** Flag marking an extended (29-bit) identifier in a BO_ message ID */
+const DBC_EXTENDED_FLAG = 0x80000000;
+
+/** Highest standard (11-bit) identifier */
+const CAN_SFF_MAX = 0x7FF;
+
+/** Mask for a 29-bit identifier */
+const CAN_EFF_MASK = 0x1FFFFFFF;
+
+/** Byte labels that do not produce a signal */
+const SKIPPED_LABELS = ['', 'reserved'];
+
+/** DBC attribute holding the message category (e.g. 'canerr') */
+const CATEGORY_ATTRIBUTE = 'Category';
+
+/** New symbol section written by Vector tools */
+const DBC_NEW_SYMBOLS = [
+    'NS_DESC_', 'CM_', 'BA_DEF_', 'BA_', 'VAL_', 'CAT_DEF_', 'CAT_', 'FILTER',
+    'BA_DEF_DEF_', 'EV_DATA_', 'ENVVAR_DATA_', 'SGTYPE_', 'SGTYPE_VAL_',
+    'BA_DEF_SGTYPE_', 'BA_SGTYPE_', 'SIG_TYPE_REF_', 'VAL_TABLE_', 'SIG_GROUP_',
+    'SIG_VALTYPE_', 'SIGTYPE_VALTYPE_', 'BO_TX_BU_', 'BA_DEF_REL_', 'BA_REL_',
+    'BA_DEF_DEF_REL_', 'BU_SG_REL_', 'BU_EV_REL_', 'BU_BO_REL_', 'SG_MUL_VAL_'
+];
+
+/* === Functions === */
+
+/**
+ * Converts free text into a DBC identifier ("sub module index" -> "SUB_MODULE_INDEX").
+ * @param {string} text - Label or name.
+ * @returns {string} C-style identifier.
+ */
+export function toDbcIdentifier(text) {
+    const ident = String(text).trim().toUpperCase()
+        .replace(/[^A-Z0-9_]+/g, '_')
+        .replace(/^_+|_+$/g, '');
+
+    if (!ident) return 'UNNAMED';
+    return /^[0-9]/.test(ident) ? `_${ident}` : ident;
+}
+
+/**
+ * Escapes a string for a quoted DBC value.
+ */
+function quote(text) {
+    return `"${String(text || '').replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Groups the byte labels of one message into signals.
+ * Consecutive bytes with the same label become a single signal.
+ * @param {string[]} labels - D0-D7 labels.
+ * @param {number} dlc - Message length; labels past the DLC are ignored.
+ * @returns {Object[]} Signals as { label, startByte, length (bytes) }.
+ */
+export function groupByteLabels(labels, dlc) {
+    const groups = [];
+
+    for (let i = 0; i < Math.min(dlc, labels.length); i++) {
+        const label = (labels[i] || '').trim().toLowerCase();
+        const last  = groups[groups.length - 1];
+
+        if (last && last.label === label && last.startByte + last.length === i) {
+            last.length++;
+        } else {
+            groups.push({ label, startByte: i, length: 1 });
+        }
+    }
+    return groups.filter(g => !SKIPPED_LABELS.includes(g.label));
+}
+
+/**
+ * Returns a name not yet in the set, adding a numeric suffix if needed.
+ */
+function uniqueName(base, used) {
+    let name = base;
+    for (let n = 2; used.has(name); n++) {
+        name = `${base}_${n}`;
+    }
+    used.add(name);
+    return name;
+}
+
+/**
+ * Builds the signals of one message with DBC bit positions.
+ * Signals imported from a DBC are written back unchanged.
+ * @param {Object} def - Message definition with byte_labels, signals and dlc.
+ * @returns {Object[]} Signals as { name, label, startBit, bitLength, byteOrder, signed, factor, offset, min, max, unit }.
+ */
+function buildSignals(def) {
+    const used = new Set();
+
+    if (def.signals && def.signals.length) {
+        return def.signals.map(sig => ({
+            ...sig,
+            name:  uniqueName(toDbcIdentifier(sig.name), used),
+            label: sig.comment || ''
+        }));
+    }
+
+    return groupByteLabels(def.byte_labels || [], def.dlc).map(group => {
+        const bitLength = group.length * BITS_PER_BYTE;
+
+        return {
+            name:      uniqueName(toDbcIdentifier(group.label), used),
+            label:     group.label,
+            startBit:  group.startByte * BITS_PER_BYTE + BYTE_MSB, /**< Motorola: MSB of the first byte */
+            bitLength: bitLength,
+            byteOrder: 'big',
+            signed:    false,
+            factor:    1,
+            offset:    0,
+            min:       0,
+            max:       2 ** bitLength - 1,
+            unit:      ''
+        };
+    });
+}
+
+/**
+ * Generates a DBC file from message definitions.
+ * @param {Object[]} definitions - Rows of { id_dec, name, dlc, category, description, byte_labels[], signals[] }.
+ * @returns {string} DBC file contents.
+ */
+export function generateDbc(definitions) {
+    const usedNames = new Set();
+    const messages  = definitions.map(def => ({
+        def,
+        dbcId:   def.id_dec > CAN_SFF_MAX ? def.id_dec + DBC_EXTENDED_FLAG : def.id_dec,
+        name:    uniqueName(toDbcIdentifier(def.name || `MSG_${def.id_hex}`), usedNames),
+        signals: buildSignals(def)
+    }));
+
+    const lines = [
+        'VERSION ""',
+        '',
+        '',
+        'NS_ :',
+        ...DBC_NEW_SYMBOLS.map(s => `\t${s}`),
+        '',
+        'BS_:',
+        '',
+        'BU_:',
+        ''
+    ];
+
+    for (const msg of messages) {
+        lines.push(`BO_ ${msg.dbcId} ${msg.name}: ${msg.def.dlc} ${DBC_NO_NODE}`);
+        for (const sig of msg.signals) {
+            const layout = `${sig.startBit}|${sig.bitLength}@${sig.byteOrder === 'little' ? 1 : 0}${sig.signed ? '-' : '+'}`;
+            lines.push(` SG_ ${sig.name} : ${layout} (${sig.factor},${sig.offset}) [${sig.min}|${sig.max}] ${quote(sig.unit)} ${DBC_NO_NODE}`);
+        }
+        lines.push('');
+    }
+
+    lines.push('');
+
+    for (const msg of messages) {
+        if (msg.def.description) {
+            lines.push(`CM_ BO_ ${msg.dbcId} ${quote(msg.def.description)};`);
+        }
+        for (const sig of msg.signals) {
+            if (sig.label) {
+                lines.push(`CM_ SG_ ${msg.dbcId} ${sig.name} ${quote(sig.label)};`);
+            }
+        }
+    }
+
+    lines.push(`BA_DEF_ BO_ ${quote(CATEGORY_ATTRIBUTE)} STRING ;`);
+    lines.push(`BA_DEF_DEF_ ${quote(CATEGORY_ATTRIBUTE)} "";`);
+
+    for (const msg of messages) {
+        if (msg.def.category) {
+            lines.push(`BA_ ${quote(CATEGORY_ATTRIBUTE)} BO_ ${msg.dbcId} ${quote(msg.def.category)};`);
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Removes DBC string escapes.
+ */
+function unquote(text) {
+    return text.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Parses a Vector DBC file.
+ * Reads messages, signals, message and signal comments and the Category
+ * attribute written by generateDbc. Multiplexing and value tables are ignored.
+ * @param {string} text - File contents.
+ * @returns {Object[]} Messages as { id, ext, name, dlc, transmitter, comment, category, signals[] }.
+ */
+export function parseDbc(text) {
+    const messages = [];
+    const byId     = new Map();
+    let current    = null;
+
+    for (const line of text.split(/\r?\n/)) {
+        const msgMatch = line.match(/^BO_\s+(\d+)\s+(\w+)\s*:\s*(\d+)\s+(\w+)/);
+        if (msgMatch) {
+            const rawId = Number(msgMatch[1]);
+
+            current = {
+                id:          rawId & CAN_EFF_MASK,
+                ext:         (rawId & DBC_EXTENDED_FLAG) !== 0,
+                name:        msgMatch[2],
+                dlc:         Number(msgMatch[3]),
+                transmitter: msgMatch[4] === DBC_NO_NODE ? '' : msgMatch[4],
+                comment:     '',
+                category:    '',
+                signals:     []
+            };
+            messages.push(current);
+            byId.set(rawId, current);
+            continue;
+        }
+
+        const sigMatch = line.match(/^\s+SG_\s+(\w+)\s*(?:\S+\s*)?:\s*(\d+)\|(\d+)@([01])([+-])\s*\(([^,]+),([^)]+)\)\s*\[([^|]+)\|([^\]]+)\]\s*"((?:[^"\\]|\\.)*)"/);
+        if (sigMatch && current) {
+            current.signals.push({
+                name:      sigMatch[1],
+                startBit:  Number(sigMatch[2]),
+                bitLength: Number(sigMatch[3]),
+                byteOrder: sigMatch[4] === '0' ? 'big' : 'little',
+                signed:    sigMatch[5] === '-',
+                factor:    Number(sigMatch[6]),
+                offset:    Number(sigMatch[7]),
+                min:       Number(sigMatch[8]),
+                max:       Number(sigMatch[9]),
+                unit:      unquote(sigMatch[10]),
+                comment:   ''
+            });
+            continue;
+        }
+
+        if (!/^\s/.test(line)) current = null;
+    }
+
+    /* Comments and attributes may span lines, so match them against the whole file */
+    for (const m of text.matchAll(/CM_\s+BO_\s+(\d+)\s+"((?:[^"\\]|\\.)*)"\s*;/g)) {
+        const msg = byId.get(Number(m[1]));
+        if (msg) msg.comment = unquote(m[2]);
+    }
+
+    for (const m of text.matchAll(/CM_\s+SG_\s+(\d+)\s+(\w+)\s+"((?:[^"\\]|\\.)*)"\s*;/g)) {
+        const msg = byId.get(Number(m[1]));
+        const sig = msg && msg.signals.find(sg => sg.name === m[2]);
+        if (sig) sig.comment = unquote(m[3]);
+    }
+
+    const categoryRe = new RegExp(`BA_\\s+"${CATEGORY_ATTRIBUTE}"\\s+BO_\\s+(\\d+)\\s+"((?:[^"\\\\]|\\\\.)*)"\\s*;`, 'g');
+    for (const m of text.matchAll(categoryRe)) {
+        const msg = byId.get(Number(m[1]));
+        if (msg) msg.category = unquote(m[2]);
+    }
+
+    return messages;
+}
+
+/**
+ * Derives D0-D7 style byte labels from byte-aligned signals so DBC
+ * sourced definitions can be shown like CSV sourced ones.
+ * Bytes covered by non-aligned signals are labelled with all their signal names.
+ * @param {Object[]} signals - Parsed signals.
+ * @param {number} dlc - Message length in bytes.
+ * @returns {string[]} One label per byte.
+ */
+export function signalsToByteLabels(signals, dlc) {
+    const labels = Array.from({ length: dlc }, () => []);
+
+    for (const sig of signals) {
+        const startByte = Math.floor(sig.startBit / BITS_PER_BYTE);
+        const bitInByte = sig.startBit % BITS_PER_BYTE;
+
+        /* Motorola signals start at their MSB and fill downwards, Intel at their LSB upwards;
+           both continue into higher byte indexes */
+        const firstBits = sig.byteOrder === 'big' ? bitInByte + 1 : BITS_PER_BYTE - bitInByte;
+        const byteCount = 1 + Math.max(0, Math.ceil((sig.bitLength - firstBits) / BITS_PER_BYTE));
+
+        for (let i = 0; i < byteCount; i++) {
+            const byteIdx = startByte + i;
+            if (byteIdx < dlc && !labels[byteIdx].includes(sig.name)) {
+                labels[byteIdx].push(sig.name);
+            }
+        }
+    }
+    return labels.map(names => names.join('/'));
+}
@@ -0,0 +1,541 @@
+/**
+ * Readers and writers for common CAN bus log formats.
+ *
+ * Every reader returns frames in one shape:
+ * { time, id, ext, rtr, dir, data }
+ * where time is in seconds (as recorded, may be absolute or relative),
+ * dir is 'Rx' or 'Tx' and data is an array of byte values.
+ *
+ * Writers take the same shape, plus an optional name used to annotate
+ * each frame and an optional nodeId. The plain candump and ASC writers
+ * stay strictly in format; their annotated variants append the name as a
+ * trailing comment, which tools such as canplayer do not accept.
+ */
+
+/* === Constants === */
+
+/** Base 16 for hexadecimal string parsing */
+const HEX_BASE = 16;
+
+/** Base 10 for decimal string parsing */
+const DEC_BASE = 10;
+
+/** Factor to convert milliseconds to seconds */
+const MS_PER_SECOND = 1000;
+
+/** Number of hex digits in an extended identifier in candump logs */
+const CANDUMP_EFF_ID_LENGTH = 8;
+
+/** Number of hex digits in a standard identifier in candump logs */
+const CANDUMP_SFF_ID_LENGTH = 3;
+
+/** Number of hex digits in a standard identifier in TRC logs */
+const TRC_SFF_ID_LENGTH = 4;
+
+/** Error frame flag in a SocketCAN identifier */
+const CAN_ERR_FLAG = 0x20000000;
+
+/** Mask for a 29-bit identifier */
+const CAN_EFF_MASK = 0x1FFFFFFF;
+
+/** Extended frame flag in a SocketCAN identifier */
+const CAN_EFF_FLAG = 0x80000000;
+
+/** Remote frame flag in a SocketCAN identifier */
+const CAN_RTR_FLAG = 0x40000000;
+
+/** Highest standard (11-bit) identifier */
+const CAN_SFF_MAX = 0x7FF;
+
+/** Factor to convert seconds to microseconds */
+const USEC_PER_SECOND = 1000000;
+
+/** Decimal places for microsecond timestamps */
+const USEC_DIGITS = 6;
+
+/** pcapng block types */
+const PCAPNG_SHB_TYPE = 0x0A0D0D0A;
+const PCAPNG_IDB_TYPE = 0x00000001;
+const PCAPNG_EPB_TYPE = 0x00000006;
+
+/** pcapng byte order magic, written in little endian */
+const PCAPNG_BYTE_ORDER_MAGIC = 0x1A2B3C4D;
+
+/** pcapng option codes */
+const PCAPNG_OPT_ENDOFOPT = 0;
+const PCAPNG_OPT_COMMENT = 1;
+const PCAPNG_OPT_IF_NAME = 2;
+const PCAPNG_OPT_EPB_FLAGS = 2;
+
+/** EPB flag values for inbound and outbound packets */
+const PCAPNG_FLAG_INBOUND = 0x1;
+const PCAPNG_FLAG_OUTBOUND = 0x2;
+
+/** LINKTYPE_CAN_SOCKETCAN, understood by Wireshark's SocketCAN dissector */
+const LINKTYPE_CAN_SOCKETCAN = 227;
+
+/** pcapng snapshot length for CAN frames */
+const PCAPNG_SNAPLEN = 0xFFFF;
+
+/** Size of a SocketCAN frame header (can_id, len, padding, reserved) */
+const SOCKETCAN_HEADER_LENGTH = 8;
+
+/** Blocks and options are padded to 32 bits */
+const PCAPNG_ALIGNMENT = 4;
+
+/** Default PCAN TRC 2.0 column layout, used when the file has no $COLUMNS line */
+const TRC_V2_DEFAULT_COLUMNS = ['N', 'O', 'T', 'I', 'd', 'l', 'D'];
+
+/** Supported formats and the file extensions that select them */
+export const LOG_FORMATS = {
+    candump: '.log',
+    asc:     '.asc',
+    trc:     '.trc'
+};
+
+/** Supported export formats with their file extensions and MIME types */
+export const EXPORT_FORMATS = {
+    'candump':           { extension: '.log',    mimeType: 'text/plain' },
+    'candump-annotated': { extension: '.log',    mimeType: 'text/plain' },
+    'asc':               { extension: '.asc',    mimeType: 'text/plain' },
+    'asc-annotated':     { extension: '.asc',    mimeType: 'text/plain' },
+    'pcap':              { extension: '.pcapng', mimeType: 'application/x-pcapng' },
+    'csv':               { extension: '.csv',    mimeType: 'text/csv' }
+};
+
+/* === Functions === */
+
+/**
+ * Splits a string of hex byte pairs ("DEADBEEF" or "DE AD BE EF") into byte values.
+ * @param {string} hex - Hex characters, optionally space separated.
+ * @returns {number[]} Byte values.
+ */
+function parseHexBytes(hex) {
+    const clean = hex.replace(/\s+/g, '');
+    const bytes = [];
+
+    for (let i = 0; i + 1 < clean.length; i += 2) {
+        bytes.push(parseInt(clean.substr(i, 2), HEX_BASE));
+    }
+    return bytes;
+}
+
+/**
+ * Parses a candump log recorded with `candump -l`.
+ * Line format: (1436509052.249713) can0 123#DEADBEEF
+ * Error frames and CAN FD frames are skipped.
+ * @param {string} text - File contents.
+ * @returns {Object[]} Frames.
+ */
+export function parseCandump(text) {
+    const frames = [];
+
+    for (const line of text.split(/\r?\n/)) {
+        const match = line.match(/^\s*\((\d+\.\d+)\)\s+\S+\s+([0-9A-Fa-f]+)#(\S*)/);
+        if (!match) continue;
+
+        const [, ts, idHex, payload] = match;
+        const rawId = parseInt(idHex, HEX_BASE);
+
+        if (rawId & CAN_ERR_FLAG) continue;
+        if (payload.startsWith('#')) continue; /**< CAN FD */
+
+        const rtr = payload.startsWith('R');
+
+        frames.push({
+            time: parseFloat(ts),
+            id:   rawId & CAN_EFF_MASK,
+            ext:  idHex.length === CANDUMP_EFF_ID_LENGTH,
+            rtr:  rtr,
+            dir:  'Rx',
+            data: rtr ? [] : parseHexBytes(payload)
+        });
+    }
+    return frames;
+}
+
+/**
+ * Parses a Vector ASC log.
+ * Line format: 0.012345 1  123   Rx   d 8 01 02 03 04 05 06 07 08
+ * Honors the "base hex|dec" header. CAN FD and event lines are skipped.
+ * @param {string} text - File contents.
+ * @returns {Object[]} Frames.
+ */
+export function parseAsc(text) {
+    const frames = [];
+    let base = HEX_BASE;
+
+    for (const line of text.split(/\r?\n/)) {
+        const baseMatch = line.match(/^\s*base\s+(hex|dec)/i);
+        if (baseMatch) {
+            base = baseMatch[1].toLowerCase() === 'dec' ? DEC_BASE : HEX_BASE;
+            continue;
+        }
+
+        const match = line.match(/^\s*(\d+\.\d+)\s+\d+\s+([0-9A-Fa-f]+)(x?)\s+(Rx|Tx)\s+([dr])\s+([0-9A-Fa-f]+)\s*((?:[0-9A-Fa-f]+\s*)*)/);
+        if (!match) continue;
+
+        const [, ts, idStr, extFlag, dir, kind, dlcStr, dataStr] = match;
+        const rtr = kind === 'r';
+        const dlc = parseInt(dlcStr, HEX_BASE);
+        const data = rtr ? [] : dataStr.trim().split(/\s+/).slice(0, dlc).map(b => parseInt(b, base));
+
+        frames.push({
+            time: parseFloat(ts),
+            id:   parseInt(idStr, base),
+            ext:  extFlag === 'x',
+            rtr:  rtr,
+            dir:  dir,
+            data: data
+        });
+    }
+    return frames;
+}
+
+/**
+ * Parses a PEAK PCAN-View TRC log, versions 1.x and 2.x.
+ * Timestamps in TRC files are milliseconds since the start of the recording.
+ * @param {string} text - File contents.
+ * @returns {Object[]} Frames.
+ */
+export function parseTrc(text) {
+    const lines = text.split(/\r?\n/);
+    const versionLine = lines.find(l => l.startsWith(';$FILEVERSION='));
+    const version = versionLine ? parseFloat(versionLine.split('=')[1]) : 1.1;
+
+    return version >= 2 ? parseTrcV2(lines) : parseTrcV1(lines);
+}
+
+/**
+ * Parses TRC 1.x lines: "1)  1059.9  Rx  0300  8  00 00 ..." (direction optional in 1.0).
+ */
+function parseTrcV1(lines) {
+    const frames = [];
+
+    for (const line of lines) {
+        if (line.startsWith(';')) continue;
+
+        const match = line.match(/^\s*\d+\)\s+([\d.]+)\s+(?:(Rx|Tx|Error|Warng)\s+)?([0-9A-Fa-f]+)\s+(RTR|\d+)\s*((?:[0-9A-Fa-f]{2}\s*)*)/);
+        if (!match) continue;
+
+        const [, offset, dir, idHex, dlcStr, dataStr] = match;
+        if (dir === 'Error' || dir === 'Warng') continue;
+
+        const rtr = dlcStr === 'RTR';
+
+        frames.push({
+            time: parseFloat(offset) / MS_PER_SECOND,
+            id:   parseInt(idHex, HEX_BASE),
+            ext:  idHex.length > TRC_SFF_ID_LENGTH,
+            rtr:  rtr,
+            dir:  dir || 'Rx',
+            data: rtr ? [] : parseHexBytes(dataStr)
+        });
+    }
+    return frames;
+}
+
+/**
+ * Parses TRC 2.x lines using the $COLUMNS header to locate each field.
+ */
+function parseTrcV2(lines) {
+    const frames = [];
+    const columnsLine = lines.find(l => l.startsWith(';$COLUMNS='));
+    const columns = columnsLine ? columnsLine.split('=')[1].trim().split(',') : TRC_V2_DEFAULT_COLUMNS;
+    const col = (letter) => columns.indexOf(letter);
+
+    for (const line of lines) {
+        if (line.startsWith(';') || !line.trim()) continue;
+
+        const tokens = line.trim().split(/\s+/);
+        const type   = tokens[col('T')];
+        if (type !== 'DT' && type !== 'RR') continue; /**< Data and remote frames only */
+
+        const idHex  = tokens[col('I')];
+        const lenIdx = col('L') >= 0 ? col('L') : col('l');
+        const dlc    = parseInt(tokens[lenIdx], DEC_BASE);
+        const rtr    = type === 'RR';
+
+        frames.push({
+            time: parseFloat(tokens[col('O')]) / MS_PER_SECOND,
+            id:   parseInt(idHex, HEX_BASE),
+            ext:  idHex.length > TRC_SFF_ID_LENGTH,
+            rtr:  rtr,
+            dir:  tokens[col('d')] || 'Rx',
+            data: rtr ? [] : tokens.slice(col('D'), col('D') + dlc).map(b => parseInt(b, HEX_BASE))
+        });
+    }
+    return frames;
+}
+
+/**
+ * Detects the log format from the file name, falling back to the contents.
+ * @param {string} fileName - Original file name.
+ * @param {string} text - File contents.
+ * @returns {string|null} 'candump', 'asc', 'trc' or null if unknown.
+ */
+export function detectLogFormat(fileName, text) {
+    const lower = (fileName || '').toLowerCase();
+
+    for (const [format, ext] of Object.entries(LOG_FORMATS)) {
+        if (lower.endsWith(ext)) return format;
+    }
+
+    if (/^\s*\(\d+\.\d+\)\s+\S+\s+[0-9A-Fa-f]+#/m.test(text)) return 'candump';
+    if (/^\s*;\$FILEVERSION=|^\s*\d+\)\s+[\d.]+/m.test(text)) return 'trc';
+    if (/^\s*base\s+(hex|dec)/im.test(text)) return 'asc';
+    return null;
+}
+
+/**
+ * Parses a log file in any supported format.
+ * @param {string} fileName - Original file name, used for format detection.
+ * @param {string} text - File contents.
+ * @returns {{format: string, frames: Object[]}} Detected format and parsed frames.
+ */
+export function parseCanLog(fileName, text) {
+    const format = detectLogFormat(fileName, text);
+    const parsers = { candump: parseCandump, asc: parseAsc, trc: parseTrc };
+
+    if (!format) {
+        throw new Error(`Unrecognized log format: ${fileName}`);
+    }
+
+    return { format, frames: parsers[format](text) };
+}
+
+/* === Writers === */
+
+/**
+ * Formats a byte array as upper-case hex pairs.
+ * @param {number[]} data - Byte values.
+ * @param {string} separator - Text placed between bytes.
+ */
+function toHexBytes(data, separator) {
+    return data.map(b => b.toString(HEX_BASE).toUpperCase().padStart(2, '0')).join(separator);
+}
+
+/**
+ * Returns true if a frame uses an extended identifier. Frames without an
+ * explicit ext flag are treated as extended when the ID needs 29 bits.
+ */
+function isExtended(frame) {
+    return frame.ext !== undefined ? frame.ext : frame.id > CAN_SFF_MAX;
+}
+
+/**
+ * Writes frames as a candump log (`candump -l` format).
+ * @param {Object[]} frames - Frames with absolute time in seconds.
+ * @param {string} interfaceName - Interface name written on every line.
+ * @param {boolean} annotate - Append the message name as a trailing comment.
+ * @returns {string} Log file contents.
+ */
+export function writeCandump(frames, interfaceName = 'can0', annotate = false) {
+    return frames.map(f => {
+        const idHex = f.id.toString(HEX_BASE).toUpperCase()
+            .padStart(isExtended(f) ? CANDUMP_EFF_ID_LENGTH : CANDUMP_SFF_ID_LENGTH, '0');
+        const payload = f.rtr ? 'R' : toHexBytes(f.data, '');
+        const comment = annotate && f.name ? ` // ${f.name}` : '';
+
+        return `(${f.time.toFixed(USEC_DIGITS)}) ${interfaceName} ${idHex}#${payload}${comment}`;
+    }).join('\n') + '\n';
+}
+
+/**
+ * Formats a date the way Vector ASC headers expect: "Mon Oct 19 10:00:00.000 am 2026".
+ */
+function formatAscDate(date) {
+    const days   = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    const hours  = date.getHours() % 12 || 12;
+    const pad    = (n, len = 2) => String(n).padStart(len, '0');
+
+    return `${days[date.getDay()]} ${months[date.getMonth()]} ${pad(date.getDate())} ` +
+        `${pad(hours)}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)} ` +
+        `${date.getHours() < 12 ? 'am' : 'pm'} ${date.getFullYear()}`;
+}
+
+/**
+ * Writes frames as a Vector ASC log. Timestamps are relative to the first
+ * frame, which is also the measurement start in the header.
+ * @param {Object[]} frames - Frames with absolute time in seconds.
+ * @param {boolean} annotate - Append the message name as a trailing comment.
+ * @returns {string} Log file contents.
+ */
+export function writeAsc(frames, annotate = false) {
+    const start = frames.length ? frames[0].time : Date.now() / MS_PER_SECOND;
+    const date  = formatAscDate(new Date(start * MS_PER_SECOND));
+
+    const lines = [
+        `date ${date}`,
+        'base hex  timestamps absolute',
+        'internal events logged',
+        `Begin Triggerblock ${date}`,
+        '   0.000000 Start of measurement'
+    ];
+
+    for (const f of frames) {
+        const time  = (f.time - start).toFixed(USEC_DIGITS).padStart(11);
+        const idStr = (f.id.toString(HEX_BASE).toUpperCase() + (isExtended(f) ? 'x' : '')).padEnd(15);
+        const body  = f.rtr ? `r ${f.data.length.toString(HEX_BASE)}` : `d ${f.data.length} ${toHexBytes(f.data, ' ')}`;
+        const comment = annotate && f.name ? `  // ${f.name}` : '';
+
+        lines.push(`${time} 1  ${idStr} ${f.dir.padEnd(4)} ${body}${comment}`);
+    }
+
+    lines.push('End TriggerBlock');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Escapes a value for a CSV field.
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Writes frames as CSV with one row per frame.
+ * @param {Object[]} frames - Frames with absolute time in seconds.
+ * @returns {string} CSV contents including a header row.
+ */
+export function writeCsv(frames) {
+    const rows = [['Timestamp', 'Time (s)', 'Direction', 'ID', 'Name', 'Node ID', 'DLC', 'Data']];
+
+    for (const f of frames) {
+        rows.push([
+            new Date(f.time * MS_PER_SECOND).toISOString(),
+            f.time.toFixed(USEC_DIGITS),
+            f.dir,
+            '0x' + f.id.toString(HEX_BASE).toUpperCase(),
+            f.name || '',
+            f.nodeId || '',
+            f.data.length,
+            toHexBytes(f.data, ' ')
+        ]);
+    }
+    return rows.map(r => r.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Pads a length up to the pcapng 32-bit alignment.
+ */
+function alignPcapng(length) {
+    return Math.ceil(length / PCAPNG_ALIGNMENT) * PCAPNG_ALIGNMENT;
+}
+
+/**
+ * Encodes pcapng options followed by opt_endofopt.
+ * @param {Array<[number, Buffer]>} options - Option code and value pairs.
+ */
+function encodePcapngOptions(options) {
+    if (!options.length) return Buffer.alloc(0);
+
+    const parts = [];
+    for (const [code, value] of options) {
+        const header = Buffer.alloc(PCAPNG_ALIGNMENT);
+        header.writeUInt16LE(code, 0);
+        header.writeUInt16LE(value.length, 2);
+        parts.push(header, value, Buffer.alloc(alignPcapng(value.length) - value.length));
+    }
+    parts.push(Buffer.alloc(PCAPNG_ALIGNMENT)); /**< opt_endofopt */
+    return Buffer.concat(parts);
+}
+
+/**
+ * Wraps a block body in the pcapng type and (repeated) total length fields.
+ */
+function encodePcapngBlock(type, body) {
+    const total = body.length + 12;
+    const head  = Buffer.alloc(8);
+    const tail  = Buffer.alloc(4);
+
+    head.writeUInt32LE(type, 0);
+    head.writeUInt32LE(total, 4);
+    tail.writeUInt32LE(total, 0);
+    return Buffer.concat([head, body, tail]);
+}
+
+/**
+ * Writes frames as a pcapng capture with the SocketCAN link type, which
+ * Wireshark decodes directly. Direction is stored in the packet flags and
+ * the message name in the packet comment.
+ * @param {Object[]} frames - Frames with absolute time in seconds.
+ * @param {string} interfaceName - Interface name stored in the capture.
+ * @returns {Buffer} Capture file contents.
+ */
+export function writePcap(frames, interfaceName = 'can0') {
+    const blocks = [];
+
+    /* Section Header Block: byte order magic, version 1.0, unknown section length */
+    const shb = Buffer.alloc(16);
+    shb.writeUInt32LE(PCAPNG_BYTE_ORDER_MAGIC, 0);
+    shb.writeUInt16LE(1, 4);
+    shb.writeUInt16LE(0, 6);
+    shb.writeBigInt64LE(-1n, 8);
+    blocks.push(encodePcapngBlock(PCAPNG_SHB_TYPE, shb));
+
+    /* Interface Description Block: microsecond resolution is the default */
+    const idb = Buffer.alloc(8);
+    idb.writeUInt16LE(LINKTYPE_CAN_SOCKETCAN, 0);
+    idb.writeUInt32LE(PCAPNG_SNAPLEN, 4);
+    blocks.push(encodePcapngBlock(PCAPNG_IDB_TYPE, Buffer.concat([
+        idb,
+        encodePcapngOptions([[PCAPNG_OPT_IF_NAME, Buffer.from(interfaceName)]])
+    ])));
+
+    for (const f of frames) {
+        /* SocketCAN frame; can_id is in network byte order for this link type */
+        const packet = Buffer.alloc(SOCKETCAN_HEADER_LENGTH + f.data.length);
+        let canId = f.id;
+        if (isExtended(f)) canId |= CAN_EFF_FLAG;
+        if (f.rtr) canId |= CAN_RTR_FLAG;
+        packet.writeUInt32BE(canId >>> 0, 0);
+        packet.writeUInt8(f.data.length, 4);
+        Buffer.from(f.data).copy(packet, SOCKETCAN_HEADER_LENGTH);
+
+        const tsUs  = BigInt(Math.round(f.time * USEC_PER_SECOND));
+        const epb   = Buffer.alloc(20);
+        epb.writeUInt32LE(0, 0);                                   /**< Interface ID */
+        epb.writeUInt32LE(Number(tsUs >> 32n), 4);
+        epb.writeUInt32LE(Number(tsUs & 0xFFFFFFFFn), 8);
+        epb.writeUInt32LE(packet.length, 12);
+        epb.writeUInt32LE(packet.length, 16);
+
+        const flags = Buffer.alloc(4);
+        flags.writeUInt32LE(f.dir === 'Tx' ? PCAPNG_FLAG_OUTBOUND : PCAPNG_FLAG_INBOUND, 0);
+
+        const options = [[PCAPNG_OPT_EPB_FLAGS, flags]];
+        if (f.name) options.unshift([PCAPNG_OPT_COMMENT, Buffer.from(f.name)]);
+
+        blocks.push(encodePcapngBlock(PCAPNG_EPB_TYPE, Buffer.concat([
+            epb,
+            packet,
+            Buffer.alloc(alignPcapng(packet.length) - packet.length),
+            encodePcapngOptions(options)
+        ])));
+    }
+
+    return Buffer.concat(blocks);
+}
+
+/**
+ * Writes frames in any supported export format.
+ * @param {string} format - Key of EXPORT_FORMATS.
+ * @param {Object[]} frames - Frames with absolute time in seconds.
+ * @param {string} interfaceName - Interface name for formats that record it.
+ * @returns {string|Buffer} File contents.
+ */
+export function writeCanLog(format, frames, interfaceName) {
+    switch (format) {
+        case 'candump':           return writeCandump(frames, interfaceName);
+        case 'candump-annotated': return writeCandump(frames, interfaceName, true);
+        case 'asc':               return writeAsc(frames);
+        case 'asc-annotated':     return writeAsc(frames, true);
+        case 'pcap':              return writePcap(frames, interfaceName);
+        case 'csv':               return writeCsv(frames);
+        default:
+            throw new Error(`Unsupported export format: ${format}`);
+    }
+}
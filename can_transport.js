@@ -0,0 +1,139 @@
+/**
+ * CAN transport abstraction.
+ *
+ * Every backend returns a channel with the same surface as a socketcan
+ * RawChannel: addListener("onMessage", fn), send({ id, data }), start() and stop().
+ * This lets index.js run against a real interface (can0), a virtual kernel
+ * interface (vcan0) or a fully in-process simulated bus.
+ */
+
+/* === Constants === */
+
+/** Interface names that select the in-process simulated bus */
+const SIM_INTERFACE_NAMES = ['sim', 'virtual'];
+
+/** Factor to convert milliseconds to microseconds */
+const USEC_PER_MS = 1000;
+
+/** Factor to convert milliseconds to seconds */
+const MS_PER_SECOND = 1000;
+
+/** Standard CAN frame data length */
+const CAN_STD_DLC = 8;
+
+/* === Functions === */
+
+/**
+ * Builds a received-frame object in the same shape socketcan delivers.
+ * @param {Object} frame - Frame with at least { id, data }.
+ * @returns {Object} Frame with ts_sec, ts_usec, ext, rtr and a Buffer payload.
+ */
+function toReceivedFrame(frame) {
+    const now = Date.now();
+
+    return {
+        ts_sec:  Math.floor(now / MS_PER_SECOND),
+        ts_usec: (now % MS_PER_SECOND) * USEC_PER_MS,
+        id:      frame.id,
+        ext:     frame.ext || false,
+        rtr:     frame.rtr || false,
+        err:     frame.err || false,
+        data:    Buffer.from(frame.data).subarray(0, CAN_STD_DLC)
+    };
+}
+
+/**
+ * Creates an in-process CAN bus. Frames sent by one endpoint are
+ * delivered to every other started endpoint on the same bus.
+ * @returns {Object} Bus with attach() and inject().
+ */
+export function createSimulatedBus() {
+    const endpoints = new Set();
+
+    /**
+     * Delivers a frame to all started endpoints except the sender.
+     * Delivery is deferred to the next tick, like a real bus.
+     */
+    function deliver(sender, frame) {
+        const received = toReceivedFrame(frame);
+
+        setImmediate(() => {
+            for (const endpoint of endpoints) {
+                if (endpoint !== sender) {
+                    endpoint.receive(received);
+                }
+            }
+        });
+    }
+
+    /**
+     * Creates a new endpoint (virtual CAN controller) on this bus.
+     * @returns {Object} Channel with the socketcan RawChannel surface.
+     */
+    function attach() {
+        const listeners = [];
+        let started = false;
+
+        const endpoint = {
+            addListener(event, callback) {
+                if (event === 'onMessage') listeners.push(callback);
+            },
+            send(frame) {
+                if (!started) throw new Error('Simulated channel not started');
+                deliver(endpoint, frame);
+            },
+            start() {
+                started = true;
+                endpoints.add(endpoint);
+            },
+            stop() {
+                started = false;
+                endpoints.delete(endpoint);
+            },
+            receive(frame) {
+                listeners.forEach(callback => callback(frame));
+            }
+        };
+
+        return endpoint;
+    }
+
+    /**
+     * Places a frame on the bus as if an external node had sent it.
+     * @param {Object} frame - Frame with { id, data }.
+     */
+    function inject(frame) {
+        deliver(null, frame);
+    }
+
+    return { attach, inject };
+}
+
+/** Shared simulated bus used when the server is started with CAN_INTERFACE=sim */
+export const simulatedBus = createSimulatedBus();
+
+/**
+ * Returns true if the interface name selects the in-process simulated bus.
+ * @param {string} interfaceName - Name from configuration (e.g. "can0", "vcan0", "sim").
+ */
+export function isSimulatedInterface(interfaceName) {
+    return SIM_INTERFACE_NAMES.includes(interfaceName);
+}
+
+/**
+ * Opens a CAN channel for the given interface name.
+ * socketcan is imported lazily so the simulated bus works on machines
+ * without SocketCAN support.
+ * @param {string} interfaceName - "can0", "vcan0", or "sim" for the simulated bus.
+ * @returns {Promise<Object>} A channel with the socketcan RawChannel surface.
+ */
+export async function createCanChannel(interfaceName) {
+    if (isSimulatedInterface(interfaceName)) {
+        console.log('Using in-process simulated CAN bus');
+        return simulatedBus.attach();
+    }
+
+    const { default: can } = await import('socketcan');
+    console.log(`Using SocketCAN interface ${interfaceName}`);
+    return can.createRawChannel(interfaceName, true);
+}
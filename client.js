@@ -8,11 +8,47 @@ let filterInput;
 let filterDisplay;
 let allDefinitions = [];
 let nodeDb;
+/** Presence of each node as reported by the server: { state, lastSeen, changedAt } */
+let nodePresence = {};
+/** Poll health of each node as reported by the server: { state, latencies[], ... } */
+let nodeHealth = {};
+/** Sensor series recorded by the server, offered in the chart series picker */
+let telemetrySeriesList = [];
+/** Series shown in the chart, keyed by "<node id>:<sensor id>:<msg id>" */
+const chartSeries = new Map();
+/** Visible time range of the chart; live views follow the current time */
+let chartView = { from: Date.now() - 300000, to: Date.now(), span: 300000, live: true };
+/** Zoom selection in progress: { startX, currentX } */
+let chartDrag = null;
+/** Last command sent to each output: nodeId -> switchId -> { command, value, commandedAt } */
+let outputState = {};
+/** Last settings sent to each LED strip: nodeId -> stripId -> { power, color, brightness, effect } */
+let lightingState = {};
+/** Colorpicker remote lists read from the nodes: nodeId -> { members[], state, readAt, error } */
+let colorpickerLists = {};
+/** Edited remote list of the selected colorpicker: { nodeId, readAt, members[] } */
+let colorpickerDraft = null;
+/** Producer / consumer links: { id, producerNode, producerSub, msgId, consumerNode, consumerSub, pushedAt } */
+let messageLinks = [];
+/** Removed links whose consumer still has to be cleared: { consumerNode, consumerSub, msgId } */
+let linkRemovals = [];
+/** Link being drawn from a producer: { nodeId, subIdx, x, y, line } */
+let linkDrag = null;
+/** Input bindings: { id, nodeId, buttonId, event, mode, targetNode, targetSub, action, linkState, firedAt, lastError } */
+let buttonBindings = [];
+/** Last event of every input: "<node id>:<button id>" -> { event, seenAt } */
+let inputLastEvents = {};
+/** Automation rules as stored by the server */
+let automationRules = [];
+/** Frame schedules: { id, name, enabled, trigger, frames, nextRunAt, lastRunAt } */
+let frameSchedules = [];
 
 /** Set of active filters */
 const activeFilters   = new Set();
 /** Wait 5 seconds before reconnecting */
 const RETRY_DELAY     = 5000; 
+/** WebSocket port used when the page does not name one */
+const DEFAULT_WS_PORT = 8080;
 /** Display length of a single hex byte */
 const HEX_BYTE_LENGTH = 2; 
 /** Character width of a two digital decimal integer */ 
@@ -21,7 +57,131 @@ const SMALL_BYTE_WDH  = 2;
 const HEX_BASE = 16;
 /** Offset for headers (first 4 divs) */
 const HEADER_COUNT = 4; 
+/** Number of header cells in the capture search grid */
+const CAPTURE_HEADER_COUNT = 6;
+/** Number of header cells in the alarm grid */
+const ALARM_HEADER_COUNT = 7;
+/** Number of header cells in the bus statistics grid */
+const STATS_HEADER_COUNT = 10;
 const MAX_ROWS = 20;
+/** Refresh interval for the "gone for" labels of missing nodes */
+const PRESENCE_REFRESH = 1000;
+/** Milliseconds per second, minute and hour for duration labels */
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60000;
+const MS_PER_HOUR   = 3600000;
+/** Number of header cells in the output control grid */
+const OUTPUT_HEADER_COUNT = 6;
+/** First and last output sub-module personality */
+const OUTPUT_MSG_BEGIN = 0x740;
+const OUTPUT_MSG_END   = 0x746;
+/** Controls offered per output personality, matching output_control.js */
+const OUTPUT_CONTROLS = {
+    0x740: ['on', 'off', 'press', 'blink', 'strobe'],
+    0x741: ['on', 'off', 'press', 'blink', 'strobe'],
+    0x742: ['on', 'off', 'press', 'blink', 'strobe'],
+    0x743: ['on', 'off', 'press'],
+    0x744: ['on', 'off', 'press', 'blink', 'strobe'],
+    0x745: ['on', 'off', 'pwm'],
+    0x746: ['on', 'off', 'pwm']
+};
+/** Controls that send a setting, with its input range */
+const OUTPUT_SETTINGS = {
+    pwm:    { label: 'Duty',   min: 0, max: 255 },
+    blink:  { label: 'Blink',  min: 1, max: 100 },
+    strobe: { label: 'Strobe', min: 0, max: 255 }
+};
+/** Number of header cells in the lighting grid */
+const LIGHTING_HEADER_COUNT = 6;
+/** LED strip personalities: color modes and effect support, matching lighting_control.js */
+const LIGHTING_PERSONALITIES = {
+    0x700: { colorModes: ['analog'],        effects: false },
+    0x702: { colorModes: ['argb', 'argbw'], effects: true }
+};
+/** Number of header cells in the display and display transfer grids */
+const DISPLAY_HEADER_COUNT = 5;
+const DISPLAY_TRANSFER_HEADER_COUNT = 6;
+/** Display personalities: DISP_OLED, DISP_NON_TOUCH_LCD and DISP_TOUCHSCREEN_LCD */
+const DISPLAY_PERSONALITIES = [0x705, 0x707, 0x70B];
+/** Longest text a display transfer can carry */
+const DISPLAY_MAX_TEXT = 255;
+/** Personalities that produce (inputs, sensors) and consume (displays, outputs) their data message, matching link_graph.js */
+const LINK_PRODUCER_RANGES = [[0x710, 0x73F]];
+const LINK_CONSUMER_RANGES = [[0x700, 0x70F], [0x740, 0x75F]];
+/** Link graph layout in pixels */
+const LINK_BOX_WIDTH  = 240;
+const LINK_BOX_HEIGHT = 28;
+const LINK_ROW_GAP    = 8;
+const LINK_COLUMN_GAP = 220;
+const LINK_MARGIN     = 10;
+/** Horizontal pull of the link curves */
+const LINK_CURVE = 100;
+const SVG_NS = 'http://www.w3.org/2000/svg';
+/** Number of header cells in the input and button binding grids */
+const INPUT_HEADER_COUNT = 5;
+const BINDING_HEADER_COUNT = 7;
+/** First and last input sub-module personality */
+const INPUT_MSG_BEGIN = 0x710;
+const INPUT_MSG_END   = 0x71F;
+/** Input events and their data messages, matching button_assignments.js */
+const INPUT_EVENTS = {
+    buttonDown:      0x500,
+    buttonUp:        0x501,
+    keyswitchLock:   0x502,
+    keyswitchUnlock: 0x503,
+    dialClockwise:   0x504,
+    dialCounter:     0x505,
+    dialClick:       0x506,
+    contactClosed:   0x508,
+    contactOpened:   0x509
+};
+/** Actions of server-side bindings per target kind */
+const BINDING_ACTIONS = {
+    output:   ['on', 'off', 'toggle', 'press'],
+    lighting: ['on', 'off', 'toggle', 'color']
+};
+/** Number of header cells in the rule and rule firing grids */
+const RULE_HEADER_COUNT = 7;
+const RULE_FIRING_HEADER_COUNT = 6;
+/** Number of header cells in the schedule, upcoming run and past run grids */
+const SCHEDULE_HEADER_COUNT = 7;
+const SCHEDULE_UPCOMING_HEADER_COUNT = 2;
+const SCHEDULE_RUN_HEADER_COUNT = 5;
+/** Number of header cells in the sent frame grid */
+const SENT_FRAME_HEADER_COUNT = 5;
+/** Field types of the frame composer, matching frame_decoder.js */
+const FIELD_TYPE_NODE_ID = 'nodeId';
+const FIELD_TYPE_HEX = 'hex';
+const FIELD_TYPE_TIMESTAMP = 'timestamp';
+/** Number of bits in a byte */
+const BITS_PER_BYTE = 8;
+/** Number of header cells in the chart statistics grid */
+const CHART_STATS_HEADER_COUNT = 6;
+/** Chart redraw interval while live */
+const CHART_REFRESH = 1000;
+/** Chart margins around the plot area, room for the axis labels */
+const CHART_PADDING = { left: 70, right: 70, top: 12, bottom: 30 };
+/** Number of labels on the time and value axes */
+const CHART_X_TICKS = 6;
+const CHART_Y_TICKS = 5;
+/** Fraction of the value range added above and below the data */
+const CHART_Y_MARGIN = 0.05;
+/** Different units the chart can show at once (left and right axis) */
+const CHART_MAX_UNITS = 2;
+/** Smallest drag, in pixels, that zooms the chart */
+const CHART_MIN_ZOOM_PX = 5;
+/** Chart styling, matching the page theme */
+const CHART_COLORS = ['#4ec9b0', '#569cd6', '#dcdcaa', '#ce9178', '#c586c0', '#9cdcfe', '#b5cea8', '#f44747'];
+const CHART_BACKGROUND = '#1e1e1e';
+const CHART_GRID_COLOR = '#333';
+const CHART_TEXT_COLOR = '#e0e0e0';
+const CHART_SELECTION_COLOR = 'rgba(78, 201, 176, 0.2)';
+const CHART_FONT = '11px monospace';
+const CHART_BAND_ALPHA = 0.2;
+const MS_PER_DAY = 86400000;
+/** Size of the latency sparkline in pixels */
+const SPARKLINE_WIDTH  = 60;
+const SPARKLINE_HEIGHT = 14;
 
 /** Tracks which Node IDs are currently expanded in the accordion */
 const expandedNodes = new Set();
@@ -47,8 +207,38 @@ document.addEventListener('DOMContentLoaded', () => {
     filterInput   = document.getElementById('filter-input');
     filterDisplay = document.getElementById('active-filters');
 
+    const replayFile = document.getElementById('replay-file');
+    if (replayFile) {
+        replayFile.addEventListener('change', loadReplayFile);
+    }
+
+    const dbcFile = document.getElementById('dbc-file');
+    if (dbcFile) {
+        dbcFile.addEventListener('change', importDbcFile);
+    }
+
+    /** Keep the "last seen" labels of missing nodes current */
+    setInterval(applyNodePresence, PRESENCE_REFRESH);
+
+    const chartCanvas = document.getElementById('chart-canvas');
+    if (chartCanvas) {
+        bindChartZoom(chartCanvas);
+        setInterval(advanceLiveChart, CHART_REFRESH);
+    }
+
+    /** A link dropped anywhere but on a consumer is discarded */
+    document.addEventListener('mouseup', cancelLinkDrag);
+
+    if (document.getElementById('rule-controls')) {
+        updateRuleForm();
+    }
+
+    if (document.getElementById('schedule-controls')) {
+        updateScheduleForm();
+    }
+
     // Use the current window hostname for the socket connection
-    const socketUrl = `ws://${window.location.hostname}:8080`;
+    const socketUrl = `ws://${window.location.hostname}:${getWsPort()}`;
     socket = new WebSocket(socketUrl);
 
     socket.onopen = () => {
@@ -56,6 +246,7 @@ document.addEventListener('DOMContentLoaded', () => {
             statusDiv.innerText = 'Status: Connected';
             statusDiv.style.color = '#4ec9b0';
         }
+        requestTelemetrySeries();
     };
 
     socket.onmessage = (event) => {
@@ -68,6 +259,8 @@ document.addEventListener('DOMContentLoaded', () => {
                 /** Populate a global Map for O(1) UI lookups */
                 window.definitionsMap = new Map(allDefinitions.map(d => [d.id_dec, d]));
                 console.log(`Definitions cached: ${allDefinitions.length} entries.`);
+                populateCategoryFilter(allDefinitions);
+                fillComposerMessages();
                 break;
 
             case 'DATABASE_UPDATE':
@@ -77,9 +270,103 @@ document.addEventListener('DOMContentLoaded', () => {
                 if (allDefinitions.length > 0) {
                     nodeDb = message.payload;
                     renderNodeDatabase(nodeDb);
+                    renderOutputs();
+                    renderLighting();
+                    renderDisplays();
+                    renderColorpickerList();
+                    renderLinkGraph();
+                    renderButtonAssignments();
+                    fillComposerNodes();
                 }
                 break;
 
+            case 'BUTTON_ASSIGNMENTS':
+                buttonBindings = message.payload.bindings;
+                inputLastEvents = message.payload.lastEvents;
+                renderButtonAssignments();
+                break;
+
+            case 'RULES':
+                automationRules = message.payload.rules;
+                renderRules();
+                renderRuleFirings(message.payload.firings);
+                break;
+
+            case 'RULE_ERROR':
+                alert(`Rule failed: ${message.error}`);
+                break;
+
+            case 'SCHEDULES':
+                frameSchedules = message.payload.schedules;
+                renderSchedules();
+                renderUpcomingRuns(message.payload.upcoming);
+                renderScheduleRuns(message.payload.runs);
+                document.getElementById('schedule-location').innerText = message.payload.hasLocation ? '' :
+                    'Set SCHEDULE_LATITUDE and SCHEDULE_LONGITUDE on the server for sunrise and sunset.';
+                break;
+
+            case 'SCHEDULE_ERROR':
+                alert(`Schedule failed: ${message.error}`);
+                break;
+
+            case 'SENT_FRAMES':
+                renderSentFrames(message.payload);
+                break;
+
+            case 'FRAME_ERROR':
+                alert(`Frame not sent: ${message.error}`);
+                break;
+
+            case 'BUTTON_ERROR':
+                alert(`Button binding failed: ${message.error}`);
+                break;
+
+            case 'LINK_GRAPH':
+                messageLinks = message.payload.links;
+                linkRemovals = message.payload.removals;
+                renderLinkGraph();
+                break;
+
+            case 'LINK_ERROR':
+                alert(`Link failed: ${message.error}`);
+                break;
+
+            case 'COLORPICKER_LISTS':
+                colorpickerLists = message.payload;
+                renderColorpickerList();
+                break;
+
+            case 'COLORPICKER_ERROR':
+                alert(`Colorpicker list failed: ${message.error}`);
+                break;
+
+            case 'DISPLAY_TRANSFERS':
+                renderDisplayTransfers(message.payload);
+                break;
+
+            case 'DISPLAY_ERROR':
+                alert(`Display command failed: ${message.error}`);
+                break;
+
+            case 'LIGHTING_STATE':
+                lightingState = message.payload.strips;
+                renderLighting();
+                renderLightingScenes(message.payload.scenes);
+                break;
+
+            case 'LIGHTING_ERROR':
+                alert(`Lighting command failed: ${message.error}`);
+                break;
+
+            case 'OUTPUT_STATE':
+                outputState = message.payload;
+                renderOutputs();
+                break;
+
+            case 'OUTPUT_ERROR':
+                alert(`Output command failed: ${message.error}`);
+                break;
+
             case 'AUDIT_LOG_UPDATE':
                 renderAuditLog(message.payload);
                 break;
@@ -88,8 +375,67 @@ document.addEventListener('DOMContentLoaded', () => {
                 handleSaveConfirmation(message.nodeId, message.subModIdx);
                 break;
 
+            case 'PERSIST_RESULT':
+                handlePersistResult(message.nodeId, message.success, message.reason, message.crcVerified);
+                break;
+
             case 'CAN_MESSAGE':
                 processLiveCanFrame(message);
+                appendLiveSample(message);
+                break;
+
+            case 'TELEMETRY_SERIES_LIST':
+                renderSeriesPicker(message.payload);
+                break;
+
+            case 'TELEMETRY_SERIES':
+                handleTelemetrySeries(message.payload);
+                break;
+
+            case 'TELEMETRY_ERROR':
+                console.error(`Telemetry query failed: ${message.error}`);
+                break;
+
+            case 'NODE_PRESENCE':
+                nodePresence = message.payload;
+                applyNodePresence();
+                break;
+
+            case 'NODE_HEALTH':
+                nodeHealth = message.payload;
+                applyNodeHealth();
+                break;
+
+            case 'ALARM_UPDATE':
+                renderAlarms(message.payload);
+                break;
+
+            case 'BUS_HEALTH':
+                renderBusHealth(message.payload);
+                break;
+
+            case 'STATS_UPDATE':
+                renderStatistics(message.payload);
+                break;
+
+            case 'CAPTURE_RESULT':
+                renderCaptureResults(message.payload);
+                break;
+
+            case 'DBC_IMPORT_RESULT':
+                renderDbcImportResult(message.payload);
+                break;
+
+            case 'DBC_IMPORT_ERROR':
+                alert(`DBC import failed: ${message.error}`);
+                break;
+
+            case 'REPLAY_STATUS':
+                renderReplayStatus(message.payload);
+                break;
+
+            case 'REPLAY_ERROR':
+                alert(`Replay failed: ${message.message}`);
                 break;
 
             default:
@@ -115,6 +461,16 @@ document.addEventListener('DOMContentLoaded', () => {
 
 /* === Functions === */
 
+/**
+ * Escapes text for use in HTML content and quoted attributes.
+ * Definition names and descriptions can come from imported DBC files.
+ */
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
 /**
  * Helper to build a dropdown select element.
  * @param {Array} definitions - The allDefinitions array.
@@ -139,7 +495,7 @@ function buildDropdown(definitions, minId, maxId, currentValue) {
         /* Check if current definition matches the target value */
         const isSelected = (def.id_dec == currentValue) ? 'selected' : '';
 
-        optionsHtml += `<option title="${def.description}" value="${def.id_dec}" ${isSelected}>${def.id_hex} - ${def.name}</option>`;
+        optionsHtml += `<option title="${escapeHtml(def.description)}" value="${def.id_dec}" ${isSelected}>${escapeHtml(def.id_hex)} - ${escapeHtml(def.name)}</option>`;
     });
 
     // Fallback in case the current value isn't in definitions but isn't 0
@@ -215,6 +571,40 @@ function handleSaveConfirmation(nodeId, subIdx) {
     });
 }
 
+/**
+ * Visual feedback for the outcome of a SAVE_TO_BUS request.
+ * @param {string} nodeId - The ID of the persisted node.
+ * @param {boolean} success - True if the node confirmed the NVS write.
+ * @param {string|null} reason - Failure description, or why the CRC is unverified.
+ * @param {boolean} crcVerified - True if the node reported the CRC the server computed.
+ */
+function handlePersistResult(nodeId, success, reason, crcVerified) {
+    const flashClass = success ? 'flash-success' : 'flash-failure';
+    const cells = document.querySelectorAll(`[id^="node-${nodeId}-"]`);
+
+    cells.forEach(cell => {
+        cell.classList.add(flashClass);
+        setTimeout(() => {
+            cell.classList.remove(flashClass);
+        }, 1500); /**< Matches CSS animation duration */
+    });
+
+    if (!success) {
+        alert(`Failed to persist Node ${nodeId}: ${reason}`);
+    } else if (!crcVerified) {
+        alert(`Node ${nodeId} confirmed the write. ${reason}`);
+    }
+}
+
+/**
+ * Returns the WebSocket server port, which the server writes into the
+ * ws-port meta tag of index.html.
+ */
+function getWsPort() {
+    const meta = document.querySelector('meta[name="ws-port"]');
+    return parseInt(meta && meta.content, 10) || DEFAULT_WS_PORT;
+}
+
 function formatTimestampAsUTC(milliseconds) {
   const dateObj = new Date(milliseconds);
   const hours = dateObj.getUTCHours().toString().padStart(SMALL_BYTE_WDH, '0');
@@ -226,7 +616,7 @@ function formatTimestampAsUTC(milliseconds) {
 }
 
 function connect() {
-    const socketUrl = `ws://${window.location.hostname}:8080`;
+    const socketUrl = `ws://${window.location.hostname}:${getWsPort()}`;
     socket = new WebSocket(socketUrl);
 
     socket.onclose = () => {
@@ -237,7 +627,6 @@ function connect() {
     /* ... include your existing onmessage and onopen handlers ... */
 }
 
-document.addEventListener('DOMContentLoaded', connect);
 
 /**
  * Renders the audit log entries into the audit-grid
@@ -288,429 +677,2771 @@ function renderAuditLog(logs) {
 }
 
 /**
- * Updates the labels for the configuration bytes based on the selected personality ID.
+ * Renders the alarm list and the banner above the page.
+ * The banner shows while any alarm is unacknowledged.
+ * @param {Array} alarms - Recent alarms from the server, unacknowledged first.
  */
-function updateConfigLabels(nodeId, subIdx, personalityId) {
-    const labels = PERSONALITY_MAP[personalityId] || ["Raw Byte 0", "Raw Byte 1", "Raw Byte 2"];
-    const labelContainer = document.getElementById(`labels-${nodeId}-${subIdx}`);
-    if (labelContainer) {
-        labelContainer.innerHTML = labels.map(l => `<span class="config-label">${l}</span>`).join('');
+function renderAlarms(alarms) {
+    const raised = alarms.filter(a => a.state === 'raised');
+    const banner = document.getElementById('alarm-banner');
+
+    if (banner) {
+        banner.style.display = raised.length ? 'block' : 'none';
+        if (raised.length) {
+            const latest = raised[0];
+            banner.innerText = `${raised.length} unacknowledged alarm(s) - latest: ${latest.name} on node ` +
+                               `${latest.node_id.toUpperCase()} at ${new Date(latest.raised_at).toLocaleTimeString()}`;
+        }
     }
+
+    const container = document.getElementById('alarm-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, ALARM_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    alarms.forEach(alarm => {
+        const dataStr = alarm.data
+            .map(b => b.toString(HEX_BASE).padStart(HEX_BYTE_LENGTH, '0').toUpperCase())
+            .join(' ');
+
+        const rowData = [
+            { text: new Date(alarm.raised_at).toLocaleString(), class: '' },
+            { text: alarm.node_id.toUpperCase(), class: 'hex-id' },
+            { text: `${alarm.name} (0x${alarm.can_id.toString(HEX_BASE).toUpperCase()})`, class: '' },
+            { text: `${dataStr} x${alarm.count}`, class: 'hex-data' },
+            { text: alarm.state, class: '' },
+            { isNote: true },
+            { isAction: true }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell alarm-${alarm.state}`;
+
+            if (cell.isNote) {
+                div.innerHTML = `
+                    <input type="text"
+                           id="alarm-note-${alarm.id}"
+                           class="audit-input"
+                           placeholder="Add note..."
+                           onchange="saveAlarmNote(${alarm.id}, this.value)">
+                `;
+                div.firstElementChild.value = alarm.note || '';
+            } else if (cell.isAction) {
+                if (alarm.state === 'raised') {
+                    div.innerHTML += `<button onclick="acknowledgeAlarm(${alarm.id})">Acknowledge</button>`;
+                }
+                if (alarm.state !== 'cleared') {
+                    div.innerHTML += `<button onclick="clearAlarm(${alarm.id})">Clear</button>`;
+                }
+            } else {
+                div.className += ` ${cell.class}`;
+                div.innerText = cell.text;
+            }
+            container.appendChild(div);
+        });
+    });
 }
 
 /**
- * Triggers a full node re-interview.
- * @param {string} nodeId - Hex string representation of the Node ID.
+ * Acknowledges an alarm, together with the note typed next to it.
+ * @param {number} alarmId - Alarm row ID.
  */
-function requestNodeInterview(nodeId) {
-    if (confirm(`Are you sure you want to re-interview node ${nodeId}? Any unsaved config will be cleared.`)) {
-        socket.send(JSON.stringify({
-            type: 'REQUEST_NODE_INTERVIEW',
-            nodeId: nodeId
-        }));
-    }
+function acknowledgeAlarm(alarmId) {
+    const noteInput = document.getElementById(`alarm-note-${alarmId}`);
+    socket.send(JSON.stringify({
+        type: 'ACKNOWLEDGE_ALARM',
+        alarmId: alarmId,
+        note: noteInput ? noteInput.value : ''
+    }));
 }
 
 /**
- * Sends a comment update to the server
+ * Clears an alarm whose condition the operator knows to be resolved.
+ * @param {number} alarmId - Alarm row ID.
  */
-function saveAuditComment(auditId, text) {
+function clearAlarm(alarmId) {
     socket.send(JSON.stringify({
-        type: 'SAVE_AUDIT_COMMENT',
-        auditId: auditId,
-        comment: text
+        type: 'CLEAR_ALARM',
+        alarmId: alarmId
     }));
 }
 
 /**
- * Toggles a sub-module row into edit mode using minimal in-line inputs.
- * @param {Event} event - The click event.
- * @param {string} nodeId - Parent node ID.
- * @param {number} subIdx - Sub-module index.
+ * Sends an alarm note to the server
  */
-function editSubModule(event, nodeId, subIdx) {
-    const btn = event.target;
-    const subKey = `${nodeId}-${subIdx}`;
-    
-    const msgSpan = document.getElementById(`msg-${subKey}`);
-    const rawSpan = document.getElementById(`raw-${subKey}`);
-    const dlcSpan = document.getElementById(`dlc-${subKey}`);
+function saveAlarmNote(alarmId, text) {
+    socket.send(JSON.stringify({
+        type: 'SAVE_ALARM_NOTE',
+        alarmId: alarmId,
+        note: text
+    }));
+}
 
-    if (btn.innerText === 'E') {
-        /* --- Enter Edit Mode --- */
-        // Store current values in data attributes in case user clicks 'X' (Cancel)
-        msgSpan.dataset.before = msgSpan.innerText;
-        rawSpan.dataset.before = rawSpan.innerText;
-        dlcSpan.dataset.before = dlcSpan.innerText;
+/**
+ * Describes the last command sent to an output.
+ * @param {Object} [state] - { command, value, commandedAt }
+ */
+function describeOutputState(state) {
+    if (!state) return 'not commanded';
+    if (!OUTPUT_SETTINGS[state.command]) return state.command.toUpperCase();
+    return `${OUTPUT_SETTINGS[state.command].label} ${state.value}`;
+}
 
-        const currentMsg = msgSpan.innerText;
-        const currentRaw = rawSpan.innerText;
-        const currentDlc = dlcSpan.innerText;
-    
+/**
+ * Lists every output sub-module (0x740 - 0x746) of every node with the
+ * controls its personality supports and the last command sent to it.
+ */
+function renderOutputs() {
+    const container = document.getElementById('output-container');
+    if (!container || !nodeDb) return;
 
-        msgSpan.innerHTML = `<input type="text" title="Data Message ID" id="input-msg-${subKey}" class="edit-input" size="4" value="${currentMsg}">`;
-        rawSpan.innerHTML = `<input type="text" title="Raw Configuration String" id="input-raw-${subKey}" class="edit-input" size="${currentRaw.length + 1}" value="${currentRaw}">`;
-        dlcSpan.innerHTML = `<input type="text" title="Data Message DLC" id="input-dlc-${subKey}" class="edit-input" size="4" value="${currentDlc}">`;
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, OUTPUT_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
 
-        btn.innerText = 'S'; // Switch to Save
-        btn.title = "Save Changes";
-        btn.classList.add('save-btn');
-    } else {
-        console.log("Saving changes for sub-module:", subIdx);
-        /* --- Save Mode --- */
-        const newMsgVal = document.getElementById(`input-msg-${subKey}`).value.trim();
-        const newRawVal = document.getElementById(`input-raw-${subKey}`).value.trim();
-        const newDlcVal = document.getElementById(`input-dlc-${subKey}`).value.trim();
+    for (const [nodeId, nodeData] of Object.entries(nodeDb)) {
+        for (const subModule of Object.values(nodeData.subModule || {})) {
+            if (subModule.introMsgId < OUTPUT_MSG_BEGIN || subModule.introMsgId > OUTPUT_MSG_END) continue;
+
+            const switchId = subModule.subModIdx;
+            const state = (outputState[nodeId] || {})[switchId];
+            const definition = window.definitionsMap ? window.definitionsMap.get(subModule.introMsgId) : null;
+
+            const rowData = [
+                { text: nodeId.toUpperCase(), class: 'hex-id' },
+                { text: switchId, class: '' },
+                { text: definition ? definition.name : `0x${subModule.introMsgId.toString(HEX_BASE).toUpperCase()}`, class: '' },
+                { text: describeOutputState(state), class: state ? `output-${state.command}` : '' },
+                { text: state ? new Date(state.commandedAt).toLocaleString() : '-', class: '' },
+                { isAction: true }
+            ];
+
+            rowData.forEach(cell => {
+                const div = document.createElement('div');
+                div.className = 'data-cell';
+
+                if (cell.isAction) {
+                    OUTPUT_CONTROLS[subModule.introMsgId].forEach(command => {
+                        const setting = OUTPUT_SETTINGS[command];
+                        if (!setting) {
+                            div.innerHTML += `<button onclick="sendOutputCommand('${nodeId}', ${switchId}, '${command}')">` +
+                                             `${command.charAt(0).toUpperCase() + command.slice(1)}</button>`;
+                            return;
+                        }
+
+                        const value = state && state.command === command ? state.value : setting.min;
+                        div.innerHTML += `
+                            <input type="number" id="output-${nodeId}-${switchId}-${command}" class="editor-input"
+                                   min="${setting.min}" max="${setting.max}" value="${value}" style="width: 50px;">
+                            <button onclick="sendOutputCommand('${nodeId}', ${switchId}, '${command}')">${setting.label}</button>
+                        `;
+                    });
+                } else {
+                    div.className += ` ${cell.class}`;
+                    div.innerText = cell.text;
+                }
+                container.appendChild(div);
+            });
+        }
+    }
+}
 
-        /** * Parse the raw config string. 
-         * Regular expression /[ ,]+/ handles one or more spaces/commas as separators.
-         */
-        const rawArray = newRawVal.split(/[ ,]+/)
-                                  .filter(Boolean)
-                                  .map(hex => parseInt(hex, 16));
+/**
+ * Sends a switch command; settings are read from the input next to the button.
+ * @param {string} nodeId - Hex string representation of the Node ID.
+ * @param {number} switchId - Sub-module index of the output.
+ * @param {string} command - on, off, press, pwm, blink or strobe.
+ */
+function sendOutputCommand(nodeId, switchId, command) {
+    const input = document.getElementById(`output-${nodeId}-${switchId}-${command}`);
 
-        // Format back to your preferred 2-character hex string: 1B,3F,02
-        const formattedRaw = rawArray.map(val => 
-            val.toString(16).toUpperCase().padStart(2, '0')
-        ).join(',');
+    socket.send(JSON.stringify({
+        type: 'OUTPUT_COMMAND',
+        nodeId: nodeId,
+        switchId: switchId,
+        command: command,
+        value: input ? parseInt(input.value, 10) : undefined
+    }));
+}
 
-        // Update UI
-        msgSpan.innerText = newMsgVal.toUpperCase(); /* hex values as uppercase */
-        rawSpan.innerText = formattedRaw;
-        dlcSpan.innerText = newDlcVal;
+/**
+ * Converts a "#rrggbb" color input value to { red, green, blue }.
+ */
+function hexToRgb(hex) {
+    const channel = (idx) => parseInt(hex.substr(1 + idx * HEX_BYTE_LENGTH, HEX_BYTE_LENGTH), HEX_BASE);
+    return { red: channel(0), green: channel(1), blue: channel(2) };
+}
 
-        btn.innerText = 'E';
-        btn.classList.remove('save-btn');
-        btn.title = "Edit Sub-module";
+/**
+ * Converts { red, green, blue } to a "#rrggbb" color input value.
+ */
+function rgbToHex(color) {
+    return '#' + [color.red, color.green, color.blue]
+        .map(v => v.toString(HEX_BASE).padStart(HEX_BYTE_LENGTH, '0')).join('');
+}
 
-        // Transmit the update to the Node.js server
-        saveNodeUpdate(nodeId, subIdx, newMsgVal, rawArray, newDlcVal);
+/**
+ * Describes the last settings sent to a strip.
+ * @param {Object} [state] - { power, color, brightness, effect }
+ */
+function describeLightingState(state) {
+    if (!state) return 'not set';
+
+    const parts = [state.power ? state.power.toUpperCase() : '-'];
+    if (state.color) {
+        parts.push(state.color.mode === 'analog'
+            ? rgbToHex(state.color)
+            : `color #${state.color.index}${state.color.mode === 'argbw' ? ' (RGBW)' : ''}`);
     }
+    if (state.brightness !== null) parts.push(`bri ${state.brightness}`);
+    if (state.effect !== null) parts.push(`effect ${state.effect}`);
+    return parts.join(', ');
 }
 
 /**
- * Cancels editing and reverts to the previous values.
- * @param {Event} event - The click event.
- * @param {string} nodeId - Parent node ID.
- * @param {number} subIdx - Sub-module index.
+ * Lists every LED strip sub-module (0x700, 0x702) with its color, brightness,
+ * effect and power controls. Checked strips are included in saved scenes.
  */
-function closeEditor(event, nodeId, subIdx) {
-    const subKey = `${nodeId}-${subIdx}`;
-    const btnE = event.target.previousElementSibling; // Finds the 'S'/'E' button
-    
-    const msgSpan = document.getElementById(`msg-${subKey}`);
-    const rawSpan = document.getElementById(`raw-${subKey}`);
-    const dlcSpan = document.getElementById(`dlc-${subKey}`);
+function renderLighting() {
+    const container = document.getElementById('lighting-container');
+    if (!container || !nodeDb) return;
 
-    // Only revert if we are actually in edit mode (button is 'S')
-    if (btnE && btnE.innerText === 'S') {
-        msgSpan.innerText = msgSpan.dataset.before || '';
-        rawSpan.innerText = rawSpan.dataset.before || '';
-        dlcSpan.innerText = dlcSpan.dataset.before || '';
+    /** Keep scene selections across re-renders */
+    const selected = new Set(Array.from(container.querySelectorAll('.scene-select:checked')).map(c => c.value));
 
-        btnE.innerText = 'E';
-        btnE.classList.remove('save-btn');
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, LIGHTING_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    for (const [nodeId, nodeData] of Object.entries(nodeDb)) {
+        for (const subModule of Object.values(nodeData.subModule || {})) {
+            const personality = LIGHTING_PERSONALITIES[subModule.introMsgId];
+            if (!personality) continue;
+
+            const stripId = subModule.subModIdx;
+            const key = `${nodeId}:${stripId}`;
+            const prefix = `light-${nodeId}-${stripId}`;
+            const state = (lightingState[nodeId] || {})[stripId];
+            const definition = window.definitionsMap ? window.definitionsMap.get(subModule.introMsgId) : null;
+
+            const rowData = [
+                { isSelect: true },
+                { text: nodeId.toUpperCase(), class: 'hex-id' },
+                { text: stripId, class: '' },
+                { text: definition ? definition.name : `0x${subModule.introMsgId.toString(HEX_BASE).toUpperCase()}`, class: '' },
+                { text: describeLightingState(state), class: state && state.power === 'on' ? 'output-on' : '' },
+                { isAction: true }
+            ];
+
+            rowData.forEach(cell => {
+                const div = document.createElement('div');
+                div.className = 'data-cell';
+
+                if (cell.isSelect) {
+                    div.innerHTML = `<input type="checkbox" class="scene-select" value="${key}" title="Include in scene">`;
+                    div.firstElementChild.checked = selected.has(key);
+                } else if (cell.isAction) {
+                    const color = state && state.color;
+
+                    if (personality.colorModes.includes('analog')) {
+                        div.innerHTML += `
+                            <input type="color" id="${prefix}-color"
+                                   value="${color && color.mode === 'analog' ? rgbToHex(color) : '#ffffff'}"
+                                   onchange="sendLightingColor('${nodeId}', ${stripId})">
+                        `;
+                    } else {
+                        div.innerHTML += `
+                            <select id="${prefix}-mode" class="editor-input">
+                                <option value="argb">RGB</option>
+                                <option value="argbw" ${color && color.mode === 'argbw' ? 'selected' : ''}>RGBW</option>
+                            </select>
+                            <input type="number" id="${prefix}-color" class="editor-input" min="0" max="255"
+                                   value="${color && color.index !== undefined ? color.index : 0}" style="width: 50px;">
+                            <button onclick="sendLightingColor('${nodeId}', ${stripId})">Color</button>
+                        `;
+                    }
+
+                    if (personality.effects) {
+                        div.innerHTML += `
+                            <input type="number" id="${prefix}-effect" class="editor-input" min="0" max="255"
+                                   value="${state && state.effect !== null ? state.effect : 0}" style="width: 50px;">
+                            <button onclick="sendLightingSettings('${nodeId}', ${stripId}, { effect: parseInt(document.getElementById('${prefix}-effect').value, 10) })">Effect</button>
+                        `;
+                    }
+
+                    div.innerHTML += `
+                        <input type="range" min="0" max="255" title="Brightness"
+                               value="${state && state.brightness !== null ? state.brightness : 255}"
+                               onchange="sendLightingSettings('${nodeId}', ${stripId}, { brightness: parseInt(this.value, 10) })">
+                        <button onclick="sendLightingSettings('${nodeId}', ${stripId}, { power: 'on' })">On</button>
+                        <button onclick="sendLightingSettings('${nodeId}', ${stripId}, { power: 'off' })">Off</button>
+                    `;
+                } else {
+                    div.className += ` ${cell.class}`;
+                    div.innerText = cell.text;
+                }
+                container.appendChild(div);
+            });
+        }
     }
 }
 
 /**
- * Sends updated node configuration back to the server.
- * @param {string} nodeId - The target node's unique ID string.
- * @param {number} subIdx - The sub-module index.
+ * Sends settings to a strip.
+ * @param {string} nodeId - Hex string representation of the Node ID.
+ * @param {number} stripId - Sub-module index of the strip.
+ * @param {Object} settings - Any of { power, color, brightness, effect }.
+ */
+function sendLightingSettings(nodeId, stripId, settings) {
+    socket.send(JSON.stringify({
+        type: 'LIGHTING_COMMAND',
+        nodeId: nodeId,
+        stripId: stripId,
+        settings: settings
+    }));
+}
+
+/**
+ * Sends the color chosen for a strip: RGB values for analog strips, a
+ * palette index for addressable strips.
+ */
+function sendLightingColor(nodeId, stripId) {
+    const prefix = `light-${nodeId}-${stripId}`;
+    const colorInput = document.getElementById(`${prefix}-color`);
+    const modeSelect = document.getElementById(`${prefix}-mode`);
+
+    const color = modeSelect
+        ? { mode: modeSelect.value, index: parseInt(colorInput.value, 10) }
+        : { mode: 'analog', ...hexToRgb(colorInput.value) };
+
+    sendLightingSettings(nodeId, stripId, { color });
+}
+
+/**
+ * Renders the saved lighting scenes as recall buttons.
+ * @param {Array} scenes - { id, name, strips[] }
+ */
+function renderLightingScenes(scenes) {
+    const list = document.getElementById('scene-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+    scenes.forEach(scene => {
+        const item = document.createElement('span');
+        item.className = 'scene-item';
+        item.innerHTML = `
+            <button onclick="recallLightingScene(${scene.id})" title="${scene.strips.length} strip(s)"></button>
+            <button onclick="deleteLightingScene(${scene.id})" title="Delete scene">x</button>
+        `;
+        item.firstElementChild.innerText = scene.name;
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Saves the current settings of the checked strips as a named scene.
+ */
+function saveLightingScene() {
+    const nameInput = document.getElementById('scene-name');
+    const strips = Array.from(document.querySelectorAll('#lighting-container .scene-select:checked')).map(c => {
+        const [nodeId, stripId] = c.value.split(':');
+        return { nodeId, stripId: parseInt(stripId, 10) };
+    });
+
+    if (!strips.length) {
+        alert('Check the strips to include in the scene.');
+        return;
+    }
+
+    socket.send(JSON.stringify({
+        type: 'SAVE_LIGHTING_SCENE',
+        name: nameInput ? nameInput.value : '',
+        strips: strips
+    }));
+}
+
+/**
+ * Sends the settings stored in a scene to all of its strips.
+ */
+function recallLightingScene(sceneId) {
+    socket.send(JSON.stringify({ type: 'RECALL_LIGHTING_SCENE', sceneId: sceneId }));
+}
+
+/**
+ * Deletes a lighting scene after confirmation.
+ */
+function deleteLightingScene(sceneId) {
+    if (!confirm('Delete this scene?')) return;
+    socket.send(JSON.stringify({ type: 'DELETE_LIGHTING_SCENE', sceneId: sceneId }));
+}
+
+/**
+ * Lists every display sub-module (0x705, 0x707, 0x70B) with its power,
+ * flash and backlight controls and a text field to push to it.
+ */
+function renderDisplays() {
+    const container = document.getElementById('display-container');
+    if (!container || !nodeDb) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, DISPLAY_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    for (const [nodeId, nodeData] of Object.entries(nodeDb)) {
+        for (const subModule of Object.values(nodeData.subModule || {})) {
+            if (!DISPLAY_PERSONALITIES.includes(subModule.introMsgId)) continue;
+
+            const displayId = subModule.subModIdx;
+            const prefix = `display-${nodeId}-${displayId}`;
+            const definition = window.definitionsMap ? window.definitionsMap.get(subModule.introMsgId) : null;
+
+            const rowData = [
+                { text: nodeId.toUpperCase(), class: 'hex-id' },
+                { text: displayId, class: '' },
+                { text: definition ? definition.name : `0x${subModule.introMsgId.toString(HEX_BASE).toUpperCase()}`, class: '' },
+                { isAction: true },
+                { isText: true }
+            ];
+
+            rowData.forEach(cell => {
+                const div = document.createElement('div');
+                div.className = 'data-cell';
+
+                if (cell.isAction) {
+                    div.innerHTML = `
+                        <button onclick="sendDisplayCommand('${nodeId}', ${displayId}, 'on')">On</button>
+                        <button onclick="sendDisplayCommand('${nodeId}', ${displayId}, 'off')">Off</button>
+                        <button onclick="sendDisplayCommand('${nodeId}', ${displayId}, 'clear')">Clear</button>
+                        <input type="number" id="${prefix}-flash" class="editor-input" min="0" max="255" value="0" style="width: 50px;">
+                        <button onclick="sendDisplayCommand('${nodeId}', ${displayId}, 'flash')">Flash</button>
+                        <input type="number" id="${prefix}-color" class="editor-input" min="0" max="255" value="0" style="width: 50px;">
+                        <button onclick="sendDisplayCommand('${nodeId}', ${displayId}, 'color')">Color</button>
+                        <input type="range" id="${prefix}-brightness" min="0" max="255" value="255" title="Backlight brightness"
+                               onchange="sendDisplayCommand('${nodeId}', ${displayId}, 'brightness')">
+                    `;
+                } else if (cell.isText) {
+                    div.innerHTML = `
+                        <input type="number" id="${prefix}-field" class="editor-input" min="0" max="255" value="0"
+                               title="Field" style="width: 50px;">
+                        <input type="text" id="${prefix}-text" class="audit-input" maxlength="${DISPLAY_MAX_TEXT}"
+                               placeholder="Text..." style="width: 60%;">
+                        <button onclick="sendDisplayText('${nodeId}', ${displayId})">Send</button>
+                    `;
+                } else {
+                    div.className += ` ${cell.class}`;
+                    div.innerText = cell.text;
+                }
+                container.appendChild(div);
+            });
+        }
+    }
+}
+
+/**
+ * Sends a display command; settings are read from the input named after the command.
+ * @param {string} nodeId - Hex string representation of the Node ID.
+ * @param {number} displayId - Sub-module index of the display.
+ * @param {string} command - on, off, clear, flash, color or brightness.
+ */
+function sendDisplayCommand(nodeId, displayId, command) {
+    const input = document.getElementById(`display-${nodeId}-${displayId}-${command}`);
+
+    socket.send(JSON.stringify({
+        type: 'DISPLAY_COMMAND',
+        nodeId: nodeId,
+        displayId: displayId,
+        command: command,
+        value: input ? parseInt(input.value, 10) : undefined
+    }));
+}
+
+/**
+ * Queues the text typed for a display on the server.
+ */
+function sendDisplayText(nodeId, displayId) {
+    const prefix = `display-${nodeId}-${displayId}`;
+
+    socket.send(JSON.stringify({
+        type: 'DISPLAY_TEXT',
+        nodeId: nodeId,
+        displayId: displayId,
+        fieldId: parseInt(document.getElementById(`${prefix}-field`).value, 10),
+        text: document.getElementById(`${prefix}-text`).value
+    }));
+}
+
+/**
+ * Renders queued, active and recent display text transfers.
+ * @param {Array} transfers - { id, nodeId, displayId, fieldId, text, state, sent, total, retries, error, queuedAt }
+ */
+function renderDisplayTransfers(transfers) {
+    const container = document.getElementById('display-transfer-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, DISPLAY_TRANSFER_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    transfers.forEach(transfer => {
+        const rowData = [
+            { text: new Date(transfer.queuedAt).toLocaleTimeString(), class: '' },
+            { text: transfer.nodeId.toUpperCase(), class: 'hex-id' },
+            { text: `${transfer.displayId} / ${transfer.fieldId}`, class: '' },
+            { text: transfer.text, class: '' },
+            { text: `${transfer.sent}/${transfer.total}` + (transfer.retries ? ` (${transfer.retries} retries)` : ''), class: '' },
+            { text: transfer.error ? `${transfer.state}: ${transfer.error}` : transfer.state, class: `transfer-${transfer.state}` }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cell.class}`;
+            div.innerText = cell.text;
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Fills a node select with the known nodes, keeping its selection.
+ * @param {HTMLSelectElement} select - The select to fill.
+ * @param {string[]} nodeIds - Node IDs to offer.
+ */
+function fillNodeSelect(select, nodeIds) {
+    const current = select.value;
+    select.innerHTML = nodeIds.map(id => `<option value="${id}">${id.toUpperCase()}</option>`).join('');
+    if (nodeIds.includes(current)) select.value = current;
+}
+
+/**
+ * Shows the remote list of the selected colorpicker node. Edits are kept in
+ * a draft until committed; a newly read list replaces the draft.
+ */
+function renderColorpickerList() {
+    const nodeSelect = document.getElementById('colorpicker-node');
+    const addSelect = document.getElementById('colorpicker-add');
+    const membersDiv = document.getElementById('colorpicker-members');
+    const statusDiv = document.getElementById('colorpicker-status');
+    if (!nodeSelect || !nodeDb) return;
+
+    const knownNodes = Object.keys(nodeDb);
+    fillNodeSelect(nodeSelect, knownNodes);
+
+    const nodeId = nodeSelect.value;
+    const list = colorpickerLists[nodeId];
+
+    if (!colorpickerDraft || colorpickerDraft.nodeId !== nodeId || (list && list.readAt !== colorpickerDraft.readAt)) {
+        colorpickerDraft = { nodeId, readAt: list ? list.readAt : null, members: list ? [...list.members] : [] };
+    }
+
+    const modified = list && (list.members.length !== colorpickerDraft.members.length ||
+                              list.members.some(m => !colorpickerDraft.members.includes(m)));
+
+    statusDiv.innerText = !list ? 'Not read yet' :
+        `${list.state}${list.error ? ': ' + list.error : ''}` +
+        (list.readAt ? ` | read ${new Date(list.readAt).toLocaleString()}` : '') +
+        (modified ? ' | uncommitted changes' : '');
+
+    membersDiv.innerHTML = '';
+    colorpickerDraft.members.forEach(member => {
+        const item = document.createElement('span');
+        item.className = 'colorpicker-member hex-id';
+        item.innerText = `${member.toUpperCase()}${nodeDb[member] ? '' : ' (unknown)'} `;
+
+        const remove = document.createElement('button');
+        remove.innerText = 'x';
+        remove.onclick = () => {
+            colorpickerDraft.members = colorpickerDraft.members.filter(m => m !== member);
+            renderColorpickerList();
+        };
+        item.appendChild(remove);
+        membersDiv.appendChild(item);
+    });
+    if (!colorpickerDraft.members.length) membersDiv.innerText = 'No remotes';
+
+    fillNodeSelect(addSelect, knownNodes.filter(id => id !== nodeId && !colorpickerDraft.members.includes(id)));
+}
+
+/**
+ * Requests the remote list of the selected colorpicker node.
+ * @param {boolean} fromNvs - Reload the list from NVS first.
+ */
+function readColorpickerList(fromNvs) {
+    const nodeId = document.getElementById('colorpicker-node').value;
+    if (!nodeId) return;
+
+    socket.send(JSON.stringify({ type: 'READ_COLORPICKER_LIST', nodeId: nodeId, fromNvs: fromNvs }));
+}
+
+/**
+ * Adds the node chosen in the picker to the draft list.
+ */
+function addColorpickerMember() {
+    const remote = document.getElementById('colorpicker-add').value;
+    if (!remote || !colorpickerDraft) return;
+
+    colorpickerDraft.members.push(remote);
+    renderColorpickerList();
+}
+
+/**
+ * Writes the draft list to the selected node and commits it to NVS.
+ */
+function commitColorpickerList() {
+    if (!colorpickerDraft || !colorpickerDraft.nodeId) return;
+    if (!confirm(`Replace the remote list of ${colorpickerDraft.nodeId.toUpperCase()} and write it to NVS?`)) return;
+
+    socket.send(JSON.stringify({
+        type: 'COMMIT_COLORPICKER_LIST',
+        nodeId: colorpickerDraft.nodeId,
+        members: colorpickerDraft.members
+    }));
+}
+
+/**
+ * Returns true if a personality lies in one of the given ranges.
+ */
+function inRanges(introMsgId, ranges) {
+    return ranges.some(([begin, end]) => introMsgId >= begin && introMsgId <= end);
+}
+
+/**
+ * Creates an SVG element with the given attributes.
+ */
+function svgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NS, tag);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    return element;
+}
+
+/**
+ * Returns the SVG path of a link curve between two points.
+ */
+function linkPath(x1, y1, x2, y2) {
+    return `M ${x1} ${y1} C ${x1 + LINK_CURVE} ${y1}, ${x2 - LINK_CURVE} ${y2}, ${x2} ${y2}`;
+}
+
+/**
+ * Draws producer sub-modules on the left, consumer sub-modules on the right
+ * and the links between them. A link is drawn by dragging from a producer
+ * to a consumer and removed by clicking it; links not yet pushed to the
+ * consumer node are dashed.
+ */
+function renderLinkGraph() {
+    const svg = document.getElementById('link-graph');
+    const statusDiv = document.getElementById('link-status');
+    if (!svg || !nodeDb) return;
+
+    const producers = [];
+    const consumers = [];
+    Object.entries(nodeDb).forEach(([nodeId, node]) => {
+        Object.entries(node.subModule || {}).forEach(([subIdx, sub]) => {
+            const endpoint = { nodeId, subIdx: Number(subIdx), sub };
+            if (inRanges(sub.introMsgId, LINK_PRODUCER_RANGES)) producers.push(endpoint);
+            if (inRanges(sub.introMsgId, LINK_CONSUMER_RANGES)) consumers.push(endpoint);
+        });
+    });
+
+    const consumerX = LINK_MARGIN + LINK_BOX_WIDTH + LINK_COLUMN_GAP;
+    const rows = Math.max(producers.length, consumers.length, 1);
+    const rowY = row => LINK_MARGIN + row * (LINK_BOX_HEIGHT + LINK_ROW_GAP);
+
+    svg.innerHTML = '';
+    svg.setAttribute('width', consumerX + LINK_BOX_WIDTH + LINK_MARGIN);
+    svg.setAttribute('height', rowY(rows));
+
+    /** Connection point of each sub-module, keyed by "<node id>:<sub idx>" */
+    const anchors = {};
+
+    const drawBox = (endpoint, x, y, isProducer) => {
+        const def = window.definitionsMap.get(endpoint.sub.introMsgId);
+        const msgId = endpoint.sub.dataMsgId ? `0x${endpoint.sub.dataMsgId.toString(16).toUpperCase()}` : '-';
+        const group = svgElement('g', { class: isProducer ? 'link-box link-producer' : 'link-box link-consumer' });
+
+        group.appendChild(svgElement('rect', { x, y, width: LINK_BOX_WIDTH, height: LINK_BOX_HEIGHT, rx: 4 }));
+        const label = svgElement('text', { x: x + LINK_MARGIN, y: y + LINK_BOX_HEIGHT / 2, 'dominant-baseline': 'middle' });
+        label.textContent = `${endpoint.nodeId.toUpperCase()}/${endpoint.subIdx} ${def ? def.name : ''} ${msgId}`;
+        group.appendChild(label);
+
+        const anchorX = isProducer ? x + LINK_BOX_WIDTH : x;
+        const anchorY = y + LINK_BOX_HEIGHT / 2;
+        anchors[`${endpoint.nodeId}:${endpoint.subIdx}`] = { x: anchorX, y: anchorY };
+
+        if (isProducer) {
+            group.onmousedown = (event) => {
+                event.preventDefault();
+                const line = svgElement('path', { class: 'link-line link-drawing', d: linkPath(anchorX, anchorY, anchorX, anchorY) });
+                svg.appendChild(line);
+                linkDrag = { nodeId: endpoint.nodeId, subIdx: endpoint.subIdx, x: anchorX, y: anchorY, line };
+            };
+        } else {
+            group.onmouseup = () => {
+                if (!linkDrag) return;
+                socket.send(JSON.stringify({
+                    type: 'ADD_LINK',
+                    link: {
+                        producerNode: linkDrag.nodeId,
+                        producerSub:  linkDrag.subIdx,
+                        consumerNode: endpoint.nodeId,
+                        consumerSub:  endpoint.subIdx
+                    }
+                }));
+            };
+        }
+        svg.appendChild(group);
+    };
+
+    producers.forEach((endpoint, row) => drawBox(endpoint, LINK_MARGIN, rowY(row), true));
+    consumers.forEach((endpoint, row) => drawBox(endpoint, consumerX, rowY(row), false));
+
+    messageLinks.forEach(link => {
+        const from = anchors[`${link.producerNode}:${link.producerSub}`];
+        const to = anchors[`${link.consumerNode}:${link.consumerSub}`];
+        if (!from || !to) return;
+
+        const msgId = `0x${link.msgId.toString(16).toUpperCase()}`;
+        const path = svgElement('path', {
+            class: link.pushedAt ? 'link-line' : 'link-line link-pending',
+            d: linkPath(from.x, from.y, to.x, to.y)
+        });
+        const title = svgElement('title', {});
+        title.textContent = `${msgId}: ${link.producerNode.toUpperCase()}/${link.producerSub} -> ` +
+            `${link.consumerNode.toUpperCase()}/${link.consumerSub}` + (link.pushedAt ? '' : ' (not pushed)');
+        path.appendChild(title);
+        path.onclick = () => {
+            if (confirm(`Remove link ${title.textContent}?`)) {
+                socket.send(JSON.stringify({ type: 'REMOVE_LINK', linkId: link.id }));
+            }
+        };
+        svg.insertBefore(path, svg.firstChild);
+    });
+
+    svg.onmousemove = (event) => {
+        if (!linkDrag) return;
+        const rect = svg.getBoundingClientRect();
+        linkDrag.line.setAttribute('d', linkPath(linkDrag.x, linkDrag.y, event.clientX - rect.left, event.clientY - rect.top));
+    };
+
+    const pending = messageLinks.filter(link => !link.pushedAt).length;
+    statusDiv.innerText = `${messageLinks.length} link(s)` + (pending ? ` | ${pending} not pushed` : '') +
+        (linkRemovals.length ? ` | ${linkRemovals.length} removal(s) not pushed` : '');
+}
+
+/**
+ * Ends a link drag, whether or not it was dropped on a consumer.
+ */
+function cancelLinkDrag() {
+    if (!linkDrag) return;
+    linkDrag.line.remove();
+    linkDrag = null;
+}
+
+/**
+ * Pushes links that are not on the bus yet to their consumer nodes.
+ */
+function pushLinks() {
+    if (!messageLinks.some(link => !link.pushedAt)) {
+        alert('All links are pushed');
+        return;
+    }
+    if (!confirm('Set the data message of linked sub-modules and write the affected nodes to NVS?')) return;
+
+    socket.send(JSON.stringify({ type: 'PUSH_LINKS' }));
+}
+
+/**
+ * Returns the personality name of a sub-module, or its intro message ID if unknown.
+ */
+function personalityName(subModule) {
+    const definition = window.definitionsMap ? window.definitionsMap.get(subModule.introMsgId) : null;
+    return definition ? definition.name : `0x${subModule.introMsgId.toString(HEX_BASE).toUpperCase()}`;
+}
+
+/**
+ * Returns the binding target kind of a sub-module: 'output', 'lighting' or null.
+ */
+function bindingTargetKind(subModule) {
+    if (!subModule) return null;
+    if (OUTPUT_CONTROLS[subModule.introMsgId]) return 'output';
+    if (LIGHTING_PERSONALITIES[subModule.introMsgId]) return 'lighting';
+    return null;
+}
+
+/**
+ * Fills a select with { value, text } options, keeping its selection.
+ */
+function fillOptionSelect(select, options) {
+    const current = select.value;
+    select.innerHTML = options.map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.text)}</option>`).join('');
+    if (options.some(o => o.value === current)) select.value = current;
+}
+
+/**
+ * Lists the inputs of every node with their last event, the binding form
+ * and the existing bindings.
+ */
+function renderButtonAssignments() {
+    const inputContainer = document.getElementById('input-container');
+    const bindingContainer = document.getElementById('binding-container');
+    if (!inputContainer || !nodeDb) return;
+
+    const inputs = [];
+    const targets = [];
+    for (const [nodeId, nodeData] of Object.entries(nodeDb)) {
+        for (const subModule of Object.values(nodeData.subModule || {})) {
+            const label = `${nodeId.toUpperCase()}/${subModule.subModIdx} ${personalityName(subModule)}`;
+            const value = `${nodeId}:${subModule.subModIdx}`;
+            if (subModule.introMsgId >= INPUT_MSG_BEGIN && subModule.introMsgId <= INPUT_MSG_END) {
+                inputs.push({ nodeId, subModule, value, text: label });
+            } else if (bindingTargetKind(subModule)) {
+                targets.push({ value, text: label });
+            }
+        }
+    }
+
+    /** Preserve the header cells */
+    const inputHeaders = Array.from(inputContainer.children).slice(0, INPUT_HEADER_COUNT);
+    inputContainer.innerHTML = '';
+    inputHeaders.forEach(h => inputContainer.appendChild(h));
+
+    inputs.forEach(({ nodeId, subModule, value }) => {
+        const last = inputLastEvents[value];
+        const rowData = [
+            { text: nodeId.toUpperCase(), class: 'hex-id' },
+            { text: subModule.subModIdx, class: '' },
+            { text: personalityName(subModule), class: '' },
+            { text: subModule.dataMsgId ? `0x${subModule.dataMsgId.toString(HEX_BASE).toUpperCase()}` : '-', class: 'hex-id' },
+            { text: last ? `${last.event} ${new Date(last.seenAt).toLocaleTimeString()}` : '-', class: '' }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cell.class}`;
+            div.innerText = cell.text;
+            inputContainer.appendChild(div);
+        });
+    });
+
+    fillOptionSelect(document.getElementById('binding-input'), inputs);
+    fillOptionSelect(document.getElementById('binding-target'), targets);
+    updateBindingActions();
+
+    const bindingHeaders = Array.from(bindingContainer.children).slice(0, BINDING_HEADER_COUNT);
+    bindingContainer.innerHTML = '';
+    bindingHeaders.forEach(h => bindingContainer.appendChild(h));
+
+    buttonBindings.forEach(binding => {
+        const action = binding.mode === 'node' ? `message link (${binding.linkState})` :
+            binding.action.command + (binding.action.color ? ` ${JSON.stringify(binding.action.color)}` : '');
+        const fired = binding.firedAt ? new Date(binding.firedAt).toLocaleString() : '-';
+
+        const rowData = [
+            { text: `${binding.nodeId.toUpperCase()}/${binding.buttonId}`, class: 'hex-id' },
+            { text: binding.event, class: '' },
+            { text: binding.mode, class: '' },
+            { text: `${binding.targetNode.toUpperCase()}/${binding.targetSub}`, class: 'hex-id' },
+            { text: action, class: binding.linkState === 'removed' ? 'transfer-failed' : '' },
+            { text: binding.lastError ? `${fired}: ${binding.lastError}` : fired, class: binding.lastError ? 'transfer-failed' : '' },
+            { isAction: true }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = 'data-cell';
+
+            if (cell.isAction) {
+                div.innerHTML = `<button onclick="unbindButton(${binding.id})">Remove</button>`;
+            } else {
+                div.className += ` ${cell.class}`;
+                div.innerText = cell.text;
+            }
+            bindingContainer.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Offers the actions of the selected target and the color input that suits it.
+ * Node bindings have no action; the target firmware decides what the event does.
+ */
+function updateBindingActions() {
+    const [nodeId, subIdx] = document.getElementById('binding-target').value.split(':');
+    const subModule = nodeId && nodeDb[nodeId] ? nodeDb[nodeId].subModule[subIdx] : undefined;
+    const kind = bindingTargetKind(subModule);
+    const isServer = document.getElementById('binding-mode').value === 'server';
+    const actionSelect = document.getElementById('binding-action');
+
+    fillOptionSelect(actionSelect, (kind ? BINDING_ACTIONS[kind] : []).map(a => ({ value: a, text: a })));
+    actionSelect.disabled = !isServer;
+
+    const isColor = isServer && actionSelect.value === 'color';
+    const isAnalog = isColor && LIGHTING_PERSONALITIES[subModule.introMsgId].colorModes.includes('analog');
+    document.getElementById('binding-color').style.display = isAnalog ? '' : 'none';
+    document.getElementById('binding-color-index').style.display = isColor && !isAnalog ? '' : 'none';
+}
+
+/**
+ * Binds the selected input event to the selected target and action.
+ */
+function bindButton() {
+    const [nodeId, buttonId] = document.getElementById('binding-input').value.split(':');
+    const [targetNode, targetSub] = document.getElementById('binding-target').value.split(':');
+    if (!nodeId || !targetNode) return;
+
+    const mode = document.getElementById('binding-mode').value;
+    let action = null;
+
+    if (mode === 'server') {
+        action = { command: document.getElementById('binding-action').value };
+        if (action.command === 'color') {
+            const colorModes = LIGHTING_PERSONALITIES[nodeDb[targetNode].subModule[targetSub].introMsgId].colorModes;
+            action.color = colorModes.includes('analog') ?
+                { mode: 'analog', ...hexToRgb(document.getElementById('binding-color').value) } :
+                { mode: colorModes[0], index: parseInt(document.getElementById('binding-color-index').value, 10) };
+        }
+    }
+
+    socket.send(JSON.stringify({
+        type: 'BIND_BUTTON',
+        binding: {
+            nodeId: nodeId,
+            buttonId: parseInt(buttonId, 10),
+            event: document.getElementById('binding-event').value,
+            mode: mode,
+            targetNode: targetNode,
+            targetSub: parseInt(targetSub, 10),
+            action: action
+        }
+    }));
+}
+
+/**
+ * Removes a binding.
+ * @param {number} bindingId - Row ID of the binding.
+ */
+function unbindButton(bindingId) {
+    if (!confirm('Remove this binding?')) return;
+    socket.send(JSON.stringify({ type: 'UNBIND_BUTTON', bindingId: bindingId }));
+}
+
+/**
+ * Formats frames as "ID#DATA" entries separated by spaces.
+ * @param {Object[]} frames - { msgId, data[] }
+ */
+function formatFrameList(frames) {
+    return frames.map(frame => frame.msgId.toString(HEX_BASE).toUpperCase() + '#' +
+        frame.data.map(b => b.toString(HEX_BASE).padStart(HEX_BYTE_LENGTH, '0').toUpperCase()).join('')).join(' ');
+}
+
+/**
+ * Describes a list of rule actions in one line.
+ */
+function describeRuleActions(actions) {
+    return actions.map(action => {
+        if (action.type === 'frame') return `send ${formatFrameList(action.frames)}`;
+        if (action.type === 'alarm') return `alarm "${action.message}"`;
+        return `webhook ${action.url}`;
+    }).join(', ') || 'nothing';
+}
+
+/**
+ * Lists the automation rules with their condition, actions and state.
+ */
+function renderRules() {
+    const container = document.getElementById('rule-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, RULE_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    automationRules.forEach(rule => {
+        const definition = window.definitionsMap ? window.definitionsMap.get(rule.msgId) : null;
+        const condition = `0x${rule.msgId.toString(HEX_BASE).toUpperCase()}` +
+            (definition ? ` ${definition.name}` : '') +
+            (rule.nodeId ? ` from ${rule.nodeId.toUpperCase()}` : '') +
+            (rule.op !== 'any' ? ` where ${rule.field} ${rule.op} ${rule.value}` : '') +
+            (rule.debounceMs ? `, held ${rule.debounceMs} ms` : '') +
+            (rule.cooldownMs ? `, cooldown ${rule.cooldownMs} ms` : '');
+
+        let actions = describeRuleActions(rule.actions);
+        let state = '-';
+        if (rule.stateMode === 'toggle') {
+            actions = `on: ${actions} / off: ${describeRuleActions(rule.elseActions)}`;
+            state = rule.stateValue ? 'toggle on' : 'toggle off';
+        } else if (rule.stateMode === 'counter') {
+            state = `count ${rule.stateValue}/${rule.counterTarget}`;
+        }
+
+        const rowData = [
+            { text: rule.name, class: '' },
+            { text: condition, class: '' },
+            { text: actions, class: '' },
+            { text: state, class: '' },
+            { text: rule.firedAt ? new Date(rule.firedAt).toLocaleString() : '-', class: '' },
+            { isEnabled: true },
+            { isAction: true }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${rule.enabled ? '' : 'rule-disabled'}`;
+
+            if (cell.isEnabled) {
+                div.innerHTML = `<input type="checkbox" onchange="setRuleEnabled(${rule.id}, this.checked)">`;
+                div.firstElementChild.checked = rule.enabled;
+            } else if (cell.isAction) {
+                div.innerHTML = `<button onclick="editRule(${rule.id})">Edit</button>` +
+                                `<button onclick="deleteRule(${rule.id})">Delete</button>`;
+            } else {
+                div.className += ` ${cell.class}`;
+                div.innerText = cell.text;
+            }
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Lists the most recent rule firings.
+ * @param {Object[]} firings - { ruleName, firedAt, nodeId, msgId, data, actions, result }
+ */
+function renderRuleFirings(firings) {
+    const container = document.getElementById('rule-firing-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, RULE_FIRING_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    firings.forEach(firing => {
+        const rowData = [
+            { text: new Date(firing.firedAt).toLocaleString(), class: '' },
+            { text: firing.ruleName, class: '' },
+            { text: firing.nodeId ? firing.nodeId.toUpperCase() : '-', class: 'hex-id' },
+            { text: `${firing.msgId.toString(HEX_BASE).toUpperCase()}#${firing.data}`, class: 'hex-data' },
+            { text: firing.actions, class: '' },
+            { text: firing.result, class: firing.result === 'ok' ? 'transfer-done' : 'transfer-failed' }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cell.class}`;
+            div.innerText = cell.text;
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Shows the inputs that apply to the selected condition operator and state mode.
+ */
+function updateRuleForm() {
+    const op = document.getElementById('rule-op').value;
+    const stateMode = document.getElementById('rule-state').value;
+
+    document.getElementById('rule-field').disabled = op === 'any';
+    document.getElementById('rule-value').disabled = op === 'any';
+    document.getElementById('rule-counter').style.display = stateMode === 'counter' ? '' : 'none';
+    document.getElementById('rule-else-frames').style.display = stateMode === 'toggle' ? '' : 'none';
+}
+
+/**
+ * Loads a rule into the editor.
+ * @param {number} ruleId - Row ID of the rule.
+ */
+function editRule(ruleId) {
+    const rule = automationRules.find(r => r.id === ruleId);
+    if (!rule) return;
+
+    const actionOf = (actions, type) => actions.find(a => a.type === type);
+    const frames = actionOf(rule.actions, 'frame');
+    const alarm = actionOf(rule.actions, 'alarm');
+    const webhook = actionOf(rule.actions, 'webhook');
+    const elseFrames = actionOf(rule.elseActions, 'frame');
+
+    document.getElementById('rule-id').value = rule.id;
+    document.getElementById('rule-name').value = rule.name;
+    document.getElementById('rule-msg-id').value = rule.msgId.toString(HEX_BASE).toUpperCase();
+    document.getElementById('rule-node').value = rule.nodeId || '';
+    document.getElementById('rule-field').value = rule.field || '';
+    document.getElementById('rule-op').value = rule.op;
+    document.getElementById('rule-value').value = rule.value !== null ? rule.value : '';
+    document.getElementById('rule-debounce').value = rule.debounceMs;
+    document.getElementById('rule-cooldown').value = rule.cooldownMs;
+    document.getElementById('rule-state').value = rule.stateMode;
+    document.getElementById('rule-counter').value = rule.counterTarget || 1;
+    document.getElementById('rule-frames').value = frames ? formatFrameList(frames.frames) : '';
+    document.getElementById('rule-alarm').value = alarm ? alarm.message : '';
+    document.getElementById('rule-webhook').value = webhook ? webhook.url : '';
+    document.getElementById('rule-else-frames').value = elseFrames ? formatFrameList(elseFrames.frames) : '';
+    updateRuleForm();
+}
+
+/**
+ * Empties the editor so the next save creates a new rule.
+ */
+function clearRuleForm() {
+    document.querySelectorAll('#rule-controls input').forEach(input => { input.value = ''; });
+    document.getElementById('rule-op').value = 'any';
+    document.getElementById('rule-state').value = 'none';
+    document.getElementById('rule-counter').value = 1;
+    updateRuleForm();
+}
+
+/**
+ * Sends the rule in the editor to the server.
+ */
+function saveRule() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const actions = [];
+    if (value('rule-frames')) actions.push({ type: 'frame', frames: value('rule-frames') });
+    if (value('rule-alarm')) actions.push({ type: 'alarm', message: value('rule-alarm') });
+    if (value('rule-webhook')) actions.push({ type: 'webhook', url: value('rule-webhook') });
+
+    const id = parseInt(value('rule-id'), 10);
+    const existing = automationRules.find(r => r.id === id);
+
+    socket.send(JSON.stringify({
+        type: 'SAVE_RULE',
+        rule: {
+            id: existing ? id : undefined,
+            name: value('rule-name'),
+            enabled: existing ? existing.enabled : true,
+            msgId: parseInt(value('rule-msg-id'), HEX_BASE),
+            nodeId: value('rule-node') || null,
+            field: value('rule-field'),
+            op: value('rule-op'),
+            value: value('rule-value'),
+            debounceMs: parseInt(value('rule-debounce'), 10) || 0,
+            cooldownMs: parseInt(value('rule-cooldown'), 10) || 0,
+            stateMode: value('rule-state'),
+            counterTarget: parseInt(value('rule-counter'), 10),
+            actions: actions,
+            elseActions: value('rule-else-frames') ? [{ type: 'frame', frames: value('rule-else-frames') }] : []
+        }
+    }));
+}
+
+/**
+ * Enables or disables a rule.
+ */
+function setRuleEnabled(ruleId, enabled) {
+    socket.send(JSON.stringify({ type: 'ENABLE_RULE', ruleId: ruleId, enabled: enabled }));
+}
+
+/**
+ * Deletes a rule after confirmation.
+ */
+function deleteRule(ruleId) {
+    const rule = automationRules.find(r => r.id === ruleId);
+    if (!rule || !confirm(`Delete rule "${rule.name}"?`)) return;
+
+    socket.send(JSON.stringify({ type: 'DELETE_RULE', ruleId: ruleId }));
+}
+
+/**
+ * Describes the trigger of a schedule in one line.
+ * @param {Object} trigger - { type, expression } or { type, offsetMin }
+ */
+function describeTrigger(trigger) {
+    if (trigger.type === 'cron') return `cron ${trigger.expression}`;
+    if (!trigger.offsetMin) return trigger.type;
+
+    const minutes = Math.abs(trigger.offsetMin);
+    return `${minutes} min ${trigger.offsetMin < 0 ? 'before' : 'after'} ${trigger.type}`;
+}
+
+/**
+ * Lists the schedules with their trigger, frames and runs.
+ */
+function renderSchedules() {
+    const container = document.getElementById('schedule-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, SCHEDULE_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    frameSchedules.forEach(schedule => {
+        const rowData = [
+            { text: schedule.name, class: '' },
+            { text: describeTrigger(schedule.trigger), class: '' },
+            { text: formatFrameList(schedule.frames), class: 'hex-data' },
+            { text: schedule.nextRunAt ? new Date(schedule.nextRunAt).toLocaleString() : '-', class: '' },
+            { text: schedule.lastRunAt ? new Date(schedule.lastRunAt).toLocaleString() : '-', class: '' },
+            { isEnabled: true },
+            { isAction: true }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${schedule.enabled ? '' : 'rule-disabled'}`;
+
+            if (cell.isEnabled) {
+                div.innerHTML = `<input type="checkbox" onchange="setScheduleEnabled(${schedule.id}, this.checked)">`;
+                div.firstElementChild.checked = schedule.enabled;
+            } else if (cell.isAction) {
+                div.innerHTML = `<button onclick="editSchedule(${schedule.id})">Edit</button>` +
+                                `<button onclick="deleteSchedule(${schedule.id})">Delete</button>`;
+            } else {
+                div.className += ` ${cell.class}`;
+                div.innerText = cell.text;
+            }
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Lists the next runs of the enabled schedules.
+ * @param {Object[]} upcoming - { scheduleId, name, dueAt }
+ */
+function renderUpcomingRuns(upcoming) {
+    const container = document.getElementById('schedule-upcoming-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, SCHEDULE_UPCOMING_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    upcoming.forEach(run => {
+        [new Date(run.dueAt).toLocaleString(), run.name].forEach(text => {
+            const div = document.createElement('div');
+            div.className = 'data-cell';
+            div.innerText = text;
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Lists the most recent schedule runs and whether their frames went out.
+ * @param {Object[]} runs - { name, dueAt, ranAt, frames, success, error }
+ */
+function renderScheduleRuns(runs) {
+    const container = document.getElementById('schedule-run-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, SCHEDULE_RUN_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    runs.forEach(run => {
+        const rowData = [
+            { text: new Date(run.dueAt).toLocaleString(), class: '' },
+            { text: new Date(run.ranAt).toLocaleString(), class: '' },
+            { text: run.name, class: '' },
+            { text: run.frames, class: '' },
+            { text: run.success ? 'ok' : run.error, class: run.success ? 'transfer-done' : 'transfer-failed' }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cell.class}`;
+            div.innerText = cell.text;
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Shows the cron expression or the sun offset, depending on the trigger type.
+ */
+function updateScheduleForm() {
+    const isCron = document.getElementById('schedule-trigger').value === 'cron';
+
+    document.getElementById('schedule-cron').style.display = isCron ? '' : 'none';
+    document.getElementById('schedule-offset').style.display = isCron ? 'none' : '';
+}
+
+/**
+ * Loads a schedule into the editor.
+ * @param {number} scheduleId - Row ID of the schedule.
+ */
+function editSchedule(scheduleId) {
+    const schedule = frameSchedules.find(s => s.id === scheduleId);
+    if (!schedule) return;
+
+    document.getElementById('schedule-id').value = schedule.id;
+    document.getElementById('schedule-name').value = schedule.name;
+    document.getElementById('schedule-trigger').value = schedule.trigger.type;
+    document.getElementById('schedule-cron').value = schedule.trigger.expression || '';
+    document.getElementById('schedule-offset').value = schedule.trigger.offsetMin || 0;
+    document.getElementById('schedule-frames').value = formatFrameList(schedule.frames);
+    updateScheduleForm();
+}
+
+/**
+ * Empties the editor so the next save creates a new schedule.
+ */
+function clearScheduleForm() {
+    document.querySelectorAll('#schedule-controls input').forEach(input => { input.value = ''; });
+    document.getElementById('schedule-trigger').value = 'cron';
+    document.getElementById('schedule-offset').value = 0;
+    updateScheduleForm();
+}
+
+/**
+ * Sends the schedule in the editor to the server.
+ */
+function saveSchedule() {
+    const value = (id) => document.getElementById(id).value.trim();
+    const type = value('schedule-trigger');
+    const id = parseInt(value('schedule-id'), 10);
+    const existing = frameSchedules.find(s => s.id === id);
+
+    socket.send(JSON.stringify({
+        type: 'SAVE_SCHEDULE',
+        schedule: {
+            id: existing ? id : undefined,
+            name: value('schedule-name'),
+            enabled: existing ? existing.enabled : true,
+            trigger: type === 'cron' ?
+                { type: type, expression: value('schedule-cron') } :
+                { type: type, offsetMin: parseInt(value('schedule-offset'), 10) || 0 },
+            frames: value('schedule-frames')
+        }
+    }));
+}
+
+/**
+ * Enables or disables a schedule.
+ */
+function setScheduleEnabled(scheduleId, enabled) {
+    socket.send(JSON.stringify({ type: 'ENABLE_SCHEDULE', scheduleId: scheduleId, enabled: enabled }));
+}
+
+/**
+ * Deletes a schedule after confirmation.
+ */
+function deleteSchedule(scheduleId) {
+    const schedule = frameSchedules.find(s => s.id === scheduleId);
+    if (!schedule || !confirm(`Delete schedule "${schedule.name}"?`)) return;
+
+    socket.send(JSON.stringify({ type: 'DELETE_SCHEDULE', scheduleId: scheduleId }));
+}
+
+/**
+ * Offers every message definition in the frame composer.
+ */
+function fillComposerMessages() {
+    const select = document.getElementById('composer-msg');
+    if (!select) return;
+
+    fillOptionSelect(select, [{ value: '', text: 'Raw (any ID)' }].concat(allDefinitions.map(def => ({
+        value: String(def.id_dec),
+        text: `0x${def.id_hex.replace(/^0x/i, '').toUpperCase()} ${def.name}`
+    }))));
+    renderComposerFields();
+}
+
+/**
+ * Refreshes the node pickers of the frame composer, keeping their selection.
+ */
+function fillComposerNodes() {
+    document.querySelectorAll('#composer-fields .composer-node').forEach(select => {
+        fillNodeSelect(select, Object.keys(nodeDb || {}));
+    });
+}
+
+/**
+ * Builds one input per field of the selected message, or the raw hex inputs.
+ * Definitions from a DBC have bit-level signals and are sent as raw hex.
+ */
+function renderComposerFields() {
+    const fieldsDiv = document.getElementById('composer-fields');
+    if (!fieldsDiv) return;
+
+    const msgValue = document.getElementById('composer-msg').value;
+    const definition = msgValue && window.definitionsMap ? window.definitionsMap.get(Number(msgValue)) : null;
+    const composerFields = definition && definition.fields ? JSON.parse(definition.fields) : [];
+
+    const byteLayout = definition && composerFields.every(field => field.startByte !== undefined);
+    const raw = document.getElementById('composer-raw').checked || !byteLayout;
+    const rawId = document.getElementById('composer-raw-id');
+    const rawData = document.getElementById('composer-raw-data');
+
+    document.getElementById('composer-raw').disabled = !byteLayout;
+    document.getElementById('composer-raw-inputs').style.display = raw ? '' : 'none';
+    rawId.disabled = Boolean(definition);
+    if (definition) rawId.value = definition.id_dec.toString(HEX_BASE).toUpperCase();
+    rawData.placeholder = definition ? `${definition.dlc} bytes hex` : 'Data hex, up to 8 bytes';
+
+    document.getElementById('composer-dlc').innerText = definition ? `DLC ${definition.dlc}` : '';
+
+    fieldsDiv.innerHTML = '';
+    if (raw) return;
+
+    composerFields.forEach(field => {
+        const label = document.createElement('label');
+        label.className = 'label-text';
+        label.innerText = field.name;
+        fieldsDiv.appendChild(label);
+
+        let input;
+        if (field.type === FIELD_TYPE_NODE_ID) {
+            input = document.createElement('select');
+            input.className = 'editor-input composer-value composer-node';
+            fillNodeSelect(input, Object.keys(nodeDb || {}));
+        } else {
+            input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'editor-input composer-value';
+            input.placeholder = field.type === FIELD_TYPE_HEX ?
+                `${field.length * HEX_BYTE_LENGTH} hex digits` :
+                `0-${(2n ** BigInt(field.length * BITS_PER_BYTE) - 1n).toString()}`;
+            if (field.type === FIELD_TYPE_TIMESTAMP) input.value = Math.floor(Date.now() / MS_PER_SECOND);
+        }
+        input.title = `Byte ${field.startByte}` + (field.length > 1 ? `-${field.startByte + field.length - 1}` : '');
+        fieldsDiv.appendChild(input);
+    });
+}
+
+/**
+ * Sends the frame in the composer to the server, which validates it against
+ * the message definition before it goes on the bus.
+ */
+function sendComposedFrame() {
+    const msgValue = document.getElementById('composer-msg').value;
+    const raw = document.getElementById('composer-raw-inputs').style.display !== 'none';
+
+    const frame = raw ? {
+        msgId: parseInt(document.getElementById('composer-raw-id').value, HEX_BASE),
+        hex: document.getElementById('composer-raw-data').value.trim()
+    } : {
+        msgId: Number(msgValue),
+        values: Array.from(document.querySelectorAll('#composer-fields .composer-value')).map(input => input.value.trim())
+    };
+
+    socket.send(JSON.stringify({
+        type: 'SEND_FRAME',
+        frame: frame,
+        sender: document.getElementById('composer-sender').value.trim()
+    }));
+}
+
+/**
+ * Lists the most recently sent frames and who sent them.
+ * @param {Object[]} sent - { sentAt, msgId, data, mode, sender, address }
+ */
+function renderSentFrames(sent) {
+    const container = document.getElementById('sent-frame-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, SENT_FRAME_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    sent.forEach(frame => {
+        const definition = window.definitionsMap ? window.definitionsMap.get(frame.msgId) : null;
+        const rowData = [
+            { text: new Date(frame.sentAt).toLocaleString(), class: '' },
+            { text: frame.sender, class: '' },
+            { text: frame.address || '-', class: '' },
+            { text: `${frame.msgId.toString(HEX_BASE).toUpperCase()}#${frame.data}`, class: 'hex-data' },
+            { text: (definition ? definition.name : '-') + (frame.mode === 'raw' ? ' (raw)' : ''), class: '' }
+        ];
+
+        rowData.forEach(cell => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cell.class}`;
+            div.innerText = cell.text;
+            container.appendChild(div);
+        });
+    });
+}
+
+/**
+ * Updates the labels for the configuration bytes based on the selected personality ID.
+ */
+function updateConfigLabels(nodeId, subIdx, personalityId) {
+    const labels = PERSONALITY_MAP[personalityId] || ["Raw Byte 0", "Raw Byte 1", "Raw Byte 2"];
+    const labelContainer = document.getElementById(`labels-${nodeId}-${subIdx}`);
+    if (labelContainer) {
+        labelContainer.innerHTML = labels.map(l => `<span class="config-label">${l}</span>`).join('');
+    }
+}
+
+/**
+ * Triggers a full node re-interview.
+ * @param {string} nodeId - Hex string representation of the Node ID.
+ */
+function requestNodeInterview(nodeId) {
+    if (confirm(`Are you sure you want to re-interview node ${nodeId}? Any unsaved config will be cleared.`)) {
+        socket.send(JSON.stringify({
+            type: 'REQUEST_NODE_INTERVIEW',
+            nodeId: nodeId
+        }));
+    }
+}
+
+/**
+ * Sends a comment update to the server
+ */
+function saveAuditComment(auditId, text) {
+    socket.send(JSON.stringify({
+        type: 'SAVE_AUDIT_COMMENT',
+        auditId: auditId,
+        comment: text
+    }));
+}
+
+/**
+ * Toggles a sub-module row into edit mode using minimal in-line inputs.
+ * @param {Event} event - The click event.
+ * @param {string} nodeId - Parent node ID.
+ * @param {number} subIdx - Sub-module index.
+ */
+function editSubModule(event, nodeId, subIdx) {
+    const btn = event.target;
+    const subKey = `${nodeId}-${subIdx}`;
+    
+    const msgSpan = document.getElementById(`msg-${subKey}`);
+    const rawSpan = document.getElementById(`raw-${subKey}`);
+    const dlcSpan = document.getElementById(`dlc-${subKey}`);
+
+    if (btn.innerText === 'E') {
+        /* --- Enter Edit Mode --- */
+        // Store current values in data attributes in case user clicks 'X' (Cancel)
+        msgSpan.dataset.before = msgSpan.innerText;
+        rawSpan.dataset.before = rawSpan.innerText;
+        dlcSpan.dataset.before = dlcSpan.innerText;
+
+        const currentMsg = msgSpan.innerText;
+        const currentRaw = rawSpan.innerText;
+        const currentDlc = dlcSpan.innerText;
+    
+
+        msgSpan.innerHTML = `<input type="text" title="Data Message ID" id="input-msg-${subKey}" class="edit-input" size="4" value="${currentMsg}">`;
+        rawSpan.innerHTML = `<input type="text" title="Raw Configuration String" id="input-raw-${subKey}" class="edit-input" size="${currentRaw.length + 1}" value="${currentRaw}">`;
+        dlcSpan.innerHTML = `<input type="text" title="Data Message DLC" id="input-dlc-${subKey}" class="edit-input" size="4" value="${currentDlc}">`;
+
+        btn.innerText = 'S'; // Switch to Save
+        btn.title = "Save Changes";
+        btn.classList.add('save-btn');
+    } else {
+        console.log("Saving changes for sub-module:", subIdx);
+        /* --- Save Mode --- */
+        const newMsgVal = document.getElementById(`input-msg-${subKey}`).value.trim();
+        const newRawVal = document.getElementById(`input-raw-${subKey}`).value.trim();
+        const newDlcVal = document.getElementById(`input-dlc-${subKey}`).value.trim();
+
+        /** * Parse the raw config string. 
+         * Regular expression /[ ,]+/ handles one or more spaces/commas as separators.
+         */
+        const rawArray = newRawVal.split(/[ ,]+/)
+                                  .filter(Boolean)
+                                  .map(hex => parseInt(hex, 16));
+
+        // Format back to your preferred 2-character hex string: 1B,3F,02
+        const formattedRaw = rawArray.map(val => 
+            val.toString(16).toUpperCase().padStart(2, '0')
+        ).join(',');
+
+        // Update UI
+        msgSpan.innerText = newMsgVal.toUpperCase(); /* hex values as uppercase */
+        rawSpan.innerText = formattedRaw;
+        dlcSpan.innerText = newDlcVal;
+
+        btn.innerText = 'E';
+        btn.classList.remove('save-btn');
+        btn.title = "Edit Sub-module";
+
+        // Transmit the update to the Node.js server
+        saveNodeUpdate(nodeId, subIdx, newMsgVal, rawArray, newDlcVal);
+    }
+}
+
+/**
+ * Cancels editing and reverts to the previous values.
+ * @param {Event} event - The click event.
+ * @param {string} nodeId - Parent node ID.
+ * @param {number} subIdx - Sub-module index.
+ */
+function closeEditor(event, nodeId, subIdx) {
+    const subKey = `${nodeId}-${subIdx}`;
+    const btnE = event.target.previousElementSibling; // Finds the 'S'/'E' button
+    
+    const msgSpan = document.getElementById(`msg-${subKey}`);
+    const rawSpan = document.getElementById(`raw-${subKey}`);
+    const dlcSpan = document.getElementById(`dlc-${subKey}`);
+
+    // Only revert if we are actually in edit mode (button is 'S')
+    if (btnE && btnE.innerText === 'S') {
+        msgSpan.innerText = msgSpan.dataset.before || '';
+        rawSpan.innerText = rawSpan.dataset.before || '';
+        dlcSpan.innerText = dlcSpan.dataset.before || '';
+
+        btnE.innerText = 'E';
+        btnE.classList.remove('save-btn');
+    }
+}
+
+/**
+ * Sends updated node configuration back to the server.
+ * @param {string} nodeId - The target node's unique ID string.
+ * @param {number} subIdx - The sub-module index.
  * @param {string} msgHex - The new message ID in hex format.
  * @param {Array} rawArray - An array of decimal numbers representing the config.
  * @param {number|string} dlcVal - The data length code.
  */
-function saveNodeUpdate(nodeId, subIdx, msgHex, rawArray, dlcVal) {
-    const payload = {
-        type: 'UPDATE_NODE_CONFIG',
-        nodeId: nodeId,
-        subModIdx: subIdx,
-        dataMsgId: parseInt(msgHex, 16),
-        /** * rawArray is already an array of numbers from the regex logic, 
-         * so we can pass it directly.
-         */
-        rawConfig: rawArray, 
-        dataMsgDlc: parseInt(dlcVal, 10)
+function saveNodeUpdate(nodeId, subIdx, msgHex, rawArray, dlcVal) {
+    const payload = {
+        type: 'UPDATE_NODE_CONFIG',
+        nodeId: nodeId,
+        subModIdx: subIdx,
+        dataMsgId: parseInt(msgHex, 16),
+        /** * rawArray is already an array of numbers from the regex logic, 
+         * so we can pass it directly.
+         */
+        rawConfig: rawArray, 
+        dataMsgDlc: parseInt(dlcVal, 10)
+    };
+
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(payload)); 
+    }
+}
+
+/**
+ * Renders the inline editor for the Node database.
+ * @param {Object} nodes - The CAN node database object.
+ */
+function renderNodeDatabase(nodes) {
+    const container = document.getElementById('editor-container');
+    if (!container) return;
+
+    // Preserve headers and clear out previous rows
+    container.innerHTML = `
+        <div class="header-cell">Command</div>
+        <div class="header-cell">ID (Hex)</div>
+        <div class="header-cell">Data (Config)</div>
+        <div class="header-cell">DLC</div>        
+    `;
+
+    for (const [nodeId, nodeData] of Object.entries(nodes)) {
+        const isExpanded = expandedNodes.has(nodeId);
+        
+        // --- Render PARENT NODE Row ---
+        
+        // Command Column: Expand/Collapse and Persist
+        /** create the cell for the buttons */
+        const cmdCell = document.createElement('div');
+        cmdCell.className = 'editor-cell';
+        cmdCell.classList.add('data-cell');
+        cmdCell.id = `node-${nodeId}-cmd`;
+        cmdCell.innerHTML = `
+            <button onclick="toggleNode('${nodeId}')" style="margin-right: 5px;">
+                ${isExpanded ? '[-]' : '[+]'}
+            </button>
+            <button onclick="persistNodeToBus('${nodeId}')">Persist</button>
+        `;
+
+        // ID Column
+        const idCell = document.createElement('div');
+        idCell.className = 'editor-cell data-cell hex-id';
+        idCell.id = `node-${nodeId}-id`;
+        idCell.innerText = nodeId.toUpperCase();
+
+        // Data Column: Inline editing for Node Type and Sub-Module Count
+        const dataCell = document.createElement('div');
+        dataCell.id = `node-${nodeId}-data`;
+        dataCell.className = 'editor-cell';
+        dataCell.classList.add('data-cell');
+
+        
+        // Node Type Dropdown (Range 0x780 - 0x79F)
+        const nodeTypeSelect = document.createElement('select');
+        nodeTypeSelect.name = `node-${nodeId}-type`;
+        nodeTypeSelect.classList.add('editor-input');
+        nodeTypeSelect.classList.add('cell-input');
+        nodeTypeSelect.innerHTML = buildDropdown(allDefinitions, 0x780, 0x79F, nodeData.nodeTypeMsg);
+        
+        // Sub-module Count Input
+        const subModCntInput = document.createElement('input');
+        subModCntInput.name = 'submod-cnt-' + nodeId;
+        subModCntInput.classList.add('editor-input');
+        subModCntInput.classList.add('cell-input');
+        subModCntInput.type = 'number';
+        subModCntInput.min = '0';
+        subModCntInput.max = '8';
+        subModCntInput.value = nodeData.subModCnt;
+        subModCntInput.style.width = '40px';
+
+        dataCell.innerHTML = `<label class="label">Type:</label>`;
+        dataCell.appendChild(nodeTypeSelect);
+        dataCell.innerHTML += `<label class="label">Sub-Mods:</label>`;
+        dataCell.appendChild(subModCntInput);
+
+        // DLC Column: Inline editing for Node DLC
+        const dlcCell = document.createElement('div');
+        dlcCell.id = `node-${nodeId}-dlc`;
+        dlcCell.className = 'editor-cell data-cell';
+        const dlcInput = document.createElement('input');
+        dlcInput.classList.add('editor-input');
+        dlcInput.name = 'dlc-' + nodeId;
+        dlcInput.type = 'number';
+        dlcInput.min = '0';
+        dlcInput.max = '8';
+        dlcInput.value = nodeData.nodeTypeDlc;
+        dlcInput.style.width = '40px';
+        dlcCell.appendChild(dlcInput);
+
+        // Bind PARENT changes to send update
+        const handleParentChange = () => {
+            const updatedParent = {
+                ...nodeData, // Keep existing fields
+                nodeTypeMsg: parseInt(nodeTypeSelect.value, 10),
+                subModCnt: parseInt(subModCntInput.value, 10),
+                nodeTypeDlc: parseInt(dlcInput.value, 10)
+            };
+            sendConfigUpdate(nodeId, 'PARENT', null, updatedParent);
+        };
+
+        nodeTypeSelect.onchange = handleParentChange;
+        subModCntInput.onchange = handleParentChange;
+        dlcInput.onchange = handleParentChange;
+
+        // Presence label, filled in by applyNodePresence()
+        const presenceLabel = document.createElement('div');
+        presenceLabel.id = `node-${nodeId}-presence`;
+        presenceLabel.className = 'presence-label';
+        idCell.appendChild(presenceLabel);
+
+        // Poll health indicator and latency sparkline, filled in by applyNodeHealth()
+        const healthIndicator = document.createElement('div');
+        healthIndicator.id = `node-${nodeId}-health`;
+        healthIndicator.className = 'node-health';
+        idCell.appendChild(healthIndicator);
+
+        // Append Parent Row to Grid
+        container.append(cmdCell, idCell, dataCell, dlcCell);
+
+        // --- Render SUB-MODULE Rows (If Expanded) ---
+        if (isExpanded && nodeData.subModule) {
+            for (const [idxStr, subMod] of Object.entries(nodeData.subModule)) {
+                const idx = parseInt(idxStr, 10);
+                
+                const subCmdCell = document.createElement('div');
+                subCmdCell.id = `node-${nodeId}-sub-${idx}-cmd`;
+                subCmdCell.className = 'data-cell';
+                subCmdCell.style.textAlign = 'right';
+                subCmdCell.innerHTML = `↳ Sub-module`; // Visual indicator
+
+                const subIdCell = document.createElement('div');
+                subIdCell.className = 'data-cell';
+                subIdCell.id = `node-${nodeId}-sub-${idx}-id`;
+                subIdCell.innerText = idxStr.toUpperCase();
+                
+                // Data Column for Sub-module, container for the two rows created below
+                const subDataCell = document.createElement('div');
+                subDataCell.id = `node-${nodeId}-sub-${idx}-data`;
+                subDataCell.className = 'data-cell';
+                subDataCell.style.display = 'flex';
+                subDataCell.style.justifyContent = 'flex-start';
+                subDataCell.style.alignItems = 'left';
+                subDataCell.style.flexDirection = 'column'; // Stack rows vertically
+                subDataCell.style.gap = '8px';
+                
+                // Row 1: Intro and Data ID
+                const row1 = document.createElement('div');
+                row1.className = 'label-row';
+                row1.id = `node-${nodeId}-sub-${idx}-row1`;
+                row1.style.display = 'flex';
+                row1.style.gap = '10px';
+                row1.style.alignItems = 'center';
+
+                const introSelect = document.createElement('select');
+                introSelect.name = `node-${nodeId}-sub-${idx}-intro`;
+                introSelect.className = 'editor-input';
+                introSelect.innerHTML = buildDropdown(allDefinitions, 0x700, 0x77F, subMod.introMsgId);
+                
+                const dataIdSelect = document.createElement('select');
+                dataIdSelect.name = `node-${nodeId}-sub-${idx}-data-id`;
+                dataIdSelect.className = 'editor-input';
+                dataIdSelect.innerHTML = buildDropdown(allDefinitions, 0x110, 0x5FF, subMod.dataMsgId);
+
+                row1.innerHTML = `<label>Intro:</label>`;
+                row1.appendChild(introSelect);
+                row1.innerHTML += `<label>Data ID:</label>`;
+                row1.appendChild(dataIdSelect);
+
+                // Row 2: Raw Config Bytes
+                const row2 = document.createElement('div');
+                row2.id = `node-${nodeId}-sub-${idx}-row2`;
+                row2.className = 'label-row';
+                row2.style.display = 'flex';
+                row2.style.gap = '10px';
+                row2.style.alignItems = 'center';
+                // row2.style.height = '12px';
+                row2.innerHTML = `<label>Raw Config:</label>`;
+
+                const rawInputs = [];
+                for (let i = 0; i < 3; i++) {
+                    const byteInput = document.createElement('input');
+                    byteInput.name = `node-${nodeId}-sub-${idx}-raw-${i}`;
+                    byteInput.type = 'number';
+                    byteInput.className = 'editor-input';
+                    byteInput.min = '0';
+                    byteInput.max = '255';
+                    byteInput.value = subMod.rawConfig ? subMod.rawConfig[i] : 0;
+                    byteInput.style.width = '50px';
+                    rawInputs.push(byteInput);
+                    row2.appendChild(byteInput);
+                }
+
+                // Add both rows to the Data cell
+                subDataCell.appendChild(row1);
+                subDataCell.appendChild(row2);
+
+                // Sub-module DLC
+                const subDlcCell = document.createElement('div');
+                subDlcCell.className = 'data-cell';
+                const subDlcInput = document.createElement('input');
+                subDlcInput.type = 'number';
+                subDlcInput.className = 'editor-input';
+                subDlcInput.min = '0';
+                subDlcInput.max = '8';
+                subDlcInput.value = subMod.dataMsgDlc;
+                subDlcInput.style.width = '40px';
+                subDlcCell.appendChild(subDlcInput);
+
+                // Bind SUB-MODULE changes to send update
+                const handleSubModChange = () => {
+                    const updatedSubMod = {
+                        ...subMod,
+                        introMsgId: parseInt(introSelect.value, 10),
+                        dataMsgId: parseInt(dataIdSelect.value, 10),
+                        dataMsgDlc: parseInt(subDlcInput.value, 10),
+                        rawConfig: [
+                            parseInt(rawInputs[0].value, 10),
+                            parseInt(rawInputs[1].value, 10),
+                            parseInt(rawInputs[2].value, 10)
+                        ]
+                    };
+                    sendConfigUpdate(nodeId, 'SUBMODULE', idx, updatedSubMod);
+                };
+
+                introSelect.onchange = handleSubModChange;
+                dataIdSelect.onchange = handleSubModChange;
+                subDlcInput.onchange = handleSubModChange;
+                rawInputs.forEach(input => input.onchange = handleSubModChange);
+
+                container.append(subCmdCell, subIdCell, subDataCell, subDlcCell);
+            }
+        }
+    }
+
+    applyNodePresence();
+    applyNodeHealth();
+}
+
+/**
+ * Toggles the accordion state for a given Node ID
+ * @param {String} nodeId 
+ */
+window.toggleNode = function(nodeId) {
+    if (expandedNodes.has(nodeId)) {
+        expandedNodes.delete(nodeId);
+    } else {
+        expandedNodes.add(nodeId);
+    }
+    // Re-render immediately to show/hide submodules (assuming 'nodes' is stored globally)
+    // If your app holds `window.currentNodes`, call renderNodeDatabase(window.currentNodes) here.
+    renderNodeDatabase(nodeDb);
+};
+
+/**
+ * Toggles visibility of sub-modules for a specific node ID
+ * @param {Event} event - The click event
+ * @param {string} nodeId - The ID of the node to toggle
+ */
+function toggleSubModules(event, nodeId) {
+    const rows = document.querySelectorAll(`.node-${nodeId}`);
+    rows.forEach(row => row.classList.toggle('expanded'));
+    
+    // Update button text safely using the passed event
+    const btn = event.target;
+    btn.innerText = btn.innerText === '+' ? '-' : '+';
+}
+
+/**
+ * Toggles a specific CAN ID in the filter set
+ */
+function toggleFilter() {
+    const val = filterInput.value.trim().toLowerCase();
+    if (!val) return;
+
+    if (activeFilters.has(val)) {
+        activeFilters.delete(val);
+    } else {
+        activeFilters.add(val);
+    }
+
+    updateFilterUI();
+    filterInput.value = '';
+}
+
+function updateFilterUI() {
+    filterDisplay.innerHTML = '';
+    activeFilters.forEach(id => {
+        const span = document.createElement('span');
+        span.className = 'filter-tag';
+        span.innerText = id;
+        filterDisplay.appendChild(span);
+    });
+}
+
+/**
+ * Uploads the selected log file to the server for replay.
+ * @param {Event} event - The file input change event.
+ */
+async function loadReplayFile(event) {
+    const file = event.target.files[0];
+    if (!file || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({
+        type: 'REPLAY_LOAD',
+        fileName: file.name,
+        content: await file.text()
+    }));
+}
+
+/**
+ * Reads a DBC file selected by the user and sends it to the server for import.
+ * @param {Event} event - Change event from the DBC file input.
+ */
+async function importDbcFile(event) {
+    const file = event.target.files[0];
+    if (!file || !socket || socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({
+        type: 'IMPORT_DBC',
+        fileName: file.name,
+        content: await file.text(),
+        conflictMode: document.getElementById('dbc-conflict-mode').value
+    }));
+
+    /** Allow the same file to be imported again with a different conflict mode */
+    event.target.value = '';
+}
+
+/**
+ * Summarizes a DBC import, listing the IDs that collided with existing definitions,
+ * the extended IDs that were rejected and the IDs no longer in a re-imported file.
+ * @param {Object} result - { fileName, imported, skipped[], replaced[], rejected[], removed[] }
+ */
+function renderDbcImportResult(result) {
+    const statusEl = document.getElementById('dbc-import-status');
+    if (!statusEl) return;
+
+    const describe = (c) => `${c.id} ${c.existing} (${c.source})`;
+    let text = `${result.fileName}: ${result.imported} imported`;
+
+    if (result.skipped.length) {
+        text += `, kept existing ${result.skipped.map(describe).join(', ')}`;
+    }
+    if (result.replaced.length) {
+        text += `, replaced ${result.replaced.map(describe).join(', ')}`;
+    }
+    if (result.rejected.length) {
+        text += `, rejected ${result.rejected.map(r => `${r.id} ${r.incoming} (${r.reason})`).join(', ')}`;
+    }
+    if (result.removed.length) {
+        text += `, removed ${result.removed.map(describe).join(', ')}`;
+    }
+    statusEl.innerText = text;
+}
+
+/**
+ * Sends a playback command for the loaded replay log.
+ * @param {string} action - 'play', 'pause', 'step' or 'stop'.
+ */
+function sendReplayControl(action) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({
+        type: 'REPLAY_CONTROL',
+        action: action,
+        speed: parseFloat(document.getElementById('replay-speed').value)
+    }));
+}
+
+/**
+ * Shows the replay position and state reported by the server.
+ * @param {Object} status - { fileName, format, position, total, state, speed }
+ */
+function renderReplayStatus(status) {
+    const statusEl = document.getElementById('replay-status');
+    if (!statusEl) return;
+
+    if (!status.fileName) {
+        statusEl.innerText = 'No log loaded';
+        return;
+    }
+    statusEl.innerText = `${status.fileName} (${status.format}): ${status.position} / ${status.total} - ${status.state} @ ${status.speed}x`;
+}
+
+/**
+ * Formats a duration as a short label ("45s", "12m", "3h 5m").
+ * @param {number} ms - Duration in milliseconds.
+ */
+function formatDuration(ms) {
+    if (ms < MS_PER_MINUTE) return `${Math.floor(ms / MS_PER_SECOND)}s`;
+    if (ms < MS_PER_HOUR) return `${Math.floor(ms / MS_PER_MINUTE)}m`;
+    return `${Math.floor(ms / MS_PER_HOUR)}h ${Math.floor((ms % MS_PER_HOUR) / MS_PER_MINUTE)}m`;
+}
+
+/**
+ * Greys out stale and offline nodes in the editor and shows how long
+ * they have been silent.
+ */
+function applyNodePresence() {
+    const now = Date.now();
+
+    for (const [nodeId, presence] of Object.entries(nodePresence)) {
+        const cells = document.querySelectorAll(`[id^="node-${nodeId}-"]`);
+        cells.forEach(cell => {
+            cell.classList.toggle('node-stale', presence.state === 'stale');
+            cell.classList.toggle('node-offline', presence.state === 'offline');
+        });
+
+        const label = document.getElementById(`node-${nodeId}-presence`);
+        if (label) {
+            label.innerText = presence.state === 'online'
+                ? ''
+                : `${presence.state}, last seen ${formatDuration(now - presence.lastSeen)} ago`;
+        }
+    }
+}
+
+/**
+ * Builds an SVG sparkline of recent poll latencies. Missed polls are
+ * drawn as red marks along the top edge.
+ * @param {Array<number|null>} latencies - Round-trip times in ms, oldest first; null for a missed poll.
+ * @returns {string} SVG markup.
+ */
+function buildSparkline(latencies) {
+    const maxLatency = Math.max(1, ...latencies.filter(l => l !== null));
+    const step = latencies.length > 1 ? SPARKLINE_WIDTH / (latencies.length - 1) : 0;
+
+    const points = [];
+    const misses = [];
+    latencies.forEach((latency, i) => {
+        const x = (i * step).toFixed(1);
+        if (latency === null) {
+            misses.push(`<circle cx="${x}" cy="1.5" r="1.5" class="spark-miss"/>`);
+        } else {
+            points.push(`${x},${(SPARKLINE_HEIGHT - 1 - (latency / maxLatency) * (SPARKLINE_HEIGHT - 2)).toFixed(1)}`);
+        }
+    });
+
+    return `<svg width="${SPARKLINE_WIDTH}" height="${SPARKLINE_HEIGHT}" class="sparkline">` +
+           `<polyline points="${points.join(' ')}"/>${misses.join('')}</svg>`;
+}
+
+/**
+ * Shows the poll health of each node in the editor: a colored dot for the
+ * state, the last latency and a sparkline of recent polls.
+ */
+function applyNodeHealth() {
+    for (const [nodeId, health] of Object.entries(nodeHealth)) {
+        const indicator = document.getElementById(`node-${nodeId}-health`);
+        if (!indicator) continue;
+
+        const latency = health.lastLatency !== null ? `${health.lastLatency.toFixed(1)} ms` : '-';
+        indicator.innerHTML = `<span class="health-dot health-${health.state}"></span>` +
+                              `<span class="health-latency">${latency}</span>` +
+                              buildSparkline(health.latencies);
+
+        indicator.title = [
+            `Health: ${health.state}`,
+            `Polls: ${health.polls}, missed: ${health.missed} (${health.consecutiveMissed} in a row)`,
+            `Avg latency: ${health.avgLatency !== null ? health.avgLatency.toFixed(1) + ' ms' : '-'}`,
+            `Last boot: ${health.lastBoot ? new Date(health.lastBoot).toLocaleString() : 'unknown'}`
+        ].join('\n');
+    }
+}
+
+/**
+ * Shows the controller state, bus load and error counts in the status bar.
+ * The tooltip lists every error category.
+ * @param {Object} health - { state, load, peakLoad, framesPerSecond, errors, totalErrors, txErrorCount, rxErrorCount }
+ */
+function renderBusHealth(health) {
+    const healthDiv = document.getElementById('bus-health');
+    if (!healthDiv) return;
+
+    const loadPct = (health.load * 100).toFixed(1);
+    const peakPct = (health.peakLoad * 100).toFixed(1);
+    let text = `Bus: ${health.state} | Load ${loadPct}% (peak ${peakPct}%) | ${health.framesPerSecond.toFixed(0)} frames/s | Errors: ${health.totalErrors}`;
+
+    if (health.txErrorCount !== null) {
+        text += ` | TEC ${health.txErrorCount} REC ${health.rxErrorCount}`;
+    }
+
+    healthDiv.innerText = text;
+    healthDiv.className = `bus-${health.state}`;
+    healthDiv.title = Object.entries(health.errors)
+        .map(([category, count]) => `${category}: ${count}`)
+        .join('\n');
+}
+
+/**
+ * Renders per-ID and node bus statistics. Rows above their specified rate and IDs
+ * missing from the definitions are highlighted.
+ * @param {Array} rows - Statistics rows, highest rate first.
+ */
+function renderStatistics(rows) {
+    const container = document.getElementById('stats-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, STATS_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    const formatGap = (gap) => gap === null ? '-' : gap.toFixed(1);
+
+    rows.forEach(row => {
+        const hexId = '0x' + row.id.toString(HEX_BASE).toUpperCase();
+        let rowClass = getRowClass(row.id);
+
+        if (row.overRate) {
+            rowClass = 'stat-over-rate';
+        } else if (row.undefinedId) {
+            rowClass = 'stat-undefined';
+        }
+
+        const cells = [
+            { text: hexId, class: 'hex-id' },
+            { text: row.nodeId ? row.nodeId.toUpperCase() : '-', class: 'hex-id' },
+            { text: row.name, class: '' },
+            { text: row.count, class: '' },
+            { text: row.rate.toFixed(1), class: '' },
+            { text: row.specRate === null ? '-' : row.specRate, class: '' },
+            { text: formatGap(row.minGap), class: '' },
+            { text: formatGap(row.avgGap), class: '' },
+            { text: formatGap(row.maxGap), class: '' },
+            { text: new Date(row.lastSeen).toLocaleTimeString(), class: '' }
+        ];
+
+        cells.forEach(cellData => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cellData.class} ${rowClass}`;
+            div.innerText = cellData.text;
+            container.appendChild(div);
+        });
+    });
+
+    const summary = document.getElementById('stats-summary');
+    if (summary) {
+        const overRate     = rows.filter(r => r.overRate).length;
+        const undefinedIds = rows.filter(r => r.undefinedId).length;
+        summary.innerText = `${rows.length} ID/node pairs, ${overRate} over rate, ${undefinedIds} undefined`;
+    }
+}
+
+/**
+ * Asks the server to clear the bus statistics.
+ */
+function resetStatistics() {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({ type: 'RESET_STATS' }));
+}
+
+/**
+ * Fills the capture search category list from the message definitions.
+ * @param {Array} definitions - The allDefinitions array.
+ */
+function populateCategoryFilter(definitions) {
+    const select = document.getElementById('capture-category');
+    if (!select) return;
+
+    const categories = [...new Set(definitions.map(d => d.category).filter(Boolean))].sort();
+    select.innerHTML = `<option value="">All categories</option>`;
+    categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Parses an optional hex ID input ("0x100" or "100").
+ * @returns {number|null} The ID, or null if the input is empty.
+ */
+function parseHexInput(elementId) {
+    const val = document.getElementById(elementId).value.trim();
+    return val ? parseInt(val, HEX_BASE) : null;
+}
+
+/**
+ * Builds a capture filter from the search inputs.
+ * @returns {Object} { from, to, idMin, idMax, category, nodeId }
+ */
+function getCaptureFilter() {
+    const fromVal = document.getElementById('capture-from').value;
+    const toVal   = document.getElementById('capture-to').value;
+
+    return {
+        from:     fromVal ? new Date(fromVal).getTime() : null,
+        to:       toVal ? new Date(toVal).getTime() : null,
+        idMin:    parseHexInput('capture-id-min'),
+        idMax:    parseHexInput('capture-id-max'),
+        category: document.getElementById('capture-category').value,
+        nodeId:   document.getElementById('capture-node').value.trim()
     };
+}
 
-    if (socket && socket.readyState === WebSocket.OPEN) {
-        socket.send(JSON.stringify(payload)); 
+/**
+ * Sends a capture query built from the search inputs.
+ */
+function queryCapture() {
+    if (!socket || socket.readyState !== WebSocket.OPEN) return;
+
+    socket.send(JSON.stringify({ type: 'QUERY_CAPTURE', filter: getCaptureFilter() }));
+}
+
+/**
+ * Downloads the frames matching the search inputs in the selected log format.
+ */
+function exportCapture() {
+    const filter = getCaptureFilter();
+    const params = new URLSearchParams({ format: document.getElementById('capture-export-format').value });
+
+    for (const [key, val] of Object.entries(filter)) {
+        if (val === null || val === '') continue;
+        params.set(key, (key === 'idMin' || key === 'idMax') ? val.toString(HEX_BASE) : val);
     }
+
+    window.location.href = `/export?${params.toString()}`;
 }
 
 /**
- * Renders the inline editor for the Node database.
- * @param {Object} nodes - The CAN node database object.
+ * Renders captured frames into the capture search grid.
+ * @param {Array} rows - Frames returned by the server, oldest first.
  */
-function renderNodeDatabase(nodes) {
-    const container = document.getElementById('editor-container');
+function renderCaptureResults(rows) {
+    const container = document.getElementById('capture-container');
     if (!container) return;
 
-    // Preserve headers and clear out previous rows
-    container.innerHTML = `
-        <div class="header-cell">Command</div>
-        <div class="header-cell">ID (Hex)</div>
-        <div class="header-cell">Data (Config)</div>
-        <div class="header-cell">DLC</div>        
-    `;
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, CAPTURE_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
 
-    for (const [nodeId, nodeData] of Object.entries(nodes)) {
-        const isExpanded = expandedNodes.has(nodeId);
-        
-        // --- Render PARENT NODE Row ---
-        
-        // Command Column: Expand/Collapse and Persist
-        /** create the cell for the buttons */
-        const cmdCell = document.createElement('div');
-        cmdCell.className = 'editor-cell';
-        cmdCell.classList.add('data-cell');
-        cmdCell.id = `node-${nodeId}-cmd`;
-        cmdCell.innerHTML = `
-            <button onclick="toggleNode('${nodeId}')" style="margin-right: 5px;">
-                ${isExpanded ? '[-]' : '[+]'}
-            </button>
-            <button onclick="persistNodeToBus('${nodeId}')">Persist</button>
-        `;
+    rows.forEach(row => {
+        const ts = new Date(row.timestamp);
+        const hexId = '0x' + row.canId.toString(HEX_BASE).toUpperCase();
+        const hexData = row.data.map(b => b.toString(HEX_BASE).toUpperCase().padStart(HEX_BYTE_LENGTH, '0')).join(' ');
+        const rangeClass = getRowClass(row.canId);
+
+        const cells = [
+            { text: `${ts.toLocaleString()}.${String(ts.getMilliseconds()).padStart(3, '0')}`, class: '' },
+            { text: row.direction.toUpperCase(), class: '' },
+            { text: row.nodeId || '', class: 'hex-id' },
+            { text: `${hexId} ${row.name}`, class: 'hex-id' },
+            { text: hexData, class: 'hex-data' },
+            { text: row.dlc, class: '' }
+        ];
 
-        // ID Column
-        const idCell = document.createElement('div');
-        idCell.className = 'editor-cell data-cell hex-id';
-        idCell.id = `node-${nodeId}-id`;
-        idCell.innerText = nodeId.toUpperCase();
+        cells.forEach(cellData => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cellData.class} ${rangeClass}`;
+            div.innerText = cellData.text;
+            container.appendChild(div);
+        });
+    });
+
+    const summary = document.getElementById('capture-summary');
+    if (summary) summary.innerText = `${rows.length} frame(s)`;
+}
+
+/**
+ * Builds the decoded field list shown under a frame's raw payload.
+ * @param {Array} fields - Decoded fields as { name, value }.
+ * @returns {HTMLElement} Container with one entry per field.
+ */
+function renderDecodedFields(fields) {
+    const list = document.createElement('div');
+    list.className = 'decoded-fields';
+
+    fields.forEach(field => {
+        const item = document.createElement('span');
+        item.className = 'decoded-field';
+        const name = document.createElement('span');
+        name.className = 'field-name';
+        name.textContent = field.name;
+
+        item.append(name, ` ${field.value}`);
+        list.appendChild(item);
+    });
+    return list;
+}
+
+/**
+ * Asks the server for the list of recorded sensor series.
+ */
+function requestTelemetrySeries() {
+    socket.send(JSON.stringify({ type: 'LIST_TELEMETRY_SERIES' }));
+}
+
+/**
+ * Returns the key identifying a series in chartSeries.
+ */
+function seriesKey(nodeId, sensorId, msgId) {
+    return `${nodeId}:${sensorId}:${msgId}`;
+}
+
+/**
+ * Fills the series picker with the recorded series.
+ * @param {Array} list - Series from the server: { nodeId, sensorId, msgId, name, unit, scale, lastValue }.
+ */
+function renderSeriesPicker(list) {
+    telemetrySeriesList = list;
+
+    const select = document.getElementById('chart-series-select');
+    if (!select) return;
+
+    select.innerHTML = list.map((s, idx) =>
+        `<option value="${idx}">${s.nodeId.toUpperCase()} / ${s.name} #${s.sensorId} (${s.unit})</option>`
+    ).join('');
+}
+
+/**
+ * Adds the series selected in the picker to the chart. The chart has a
+ * left and a right axis, so at most two different units can be shown.
+ */
+function addChartSeries() {
+    const select = document.getElementById('chart-series-select');
+    const entry = select ? telemetrySeriesList[select.value] : null;
+    if (!entry) return;
+
+    const key = seriesKey(entry.nodeId, entry.sensorId, entry.msgId);
+    if (chartSeries.has(key)) return;
+
+    const units = new Set([...chartSeries.values()].map(s => s.unit));
+    if (!units.has(entry.unit) && units.size >= CHART_MAX_UNITS) {
+        alert(`The chart already shows ${[...units].join(' and ')}; remove a series to add ${entry.unit}.`);
+        return;
+    }
+
+    const usedColors = new Set([...chartSeries.values()].map(s => s.color));
+    chartSeries.set(key, {
+        ...entry,
+        key,
+        label:  `${entry.nodeId.toUpperCase()} ${entry.name} #${entry.sensorId}`,
+        color:  CHART_COLORS.find(c => !usedColors.has(c)) || CHART_COLORS[chartSeries.size % CHART_COLORS.length],
+        points: []
+    });
+
+    renderChartLegend();
+    queryChartSeries(chartSeries.get(key));
+}
+
+/**
+ * Removes a series from the chart.
+ * @param {string} key - Series key.
+ */
+function removeChartSeries(key) {
+    chartSeries.delete(key);
+    renderChartLegend();
+    drawChart();
+}
+
+/**
+ * Shows the charted series with their colors and a remove button.
+ */
+function renderChartLegend() {
+    const legend = document.getElementById('chart-legend');
+    if (!legend) return;
+
+    legend.innerHTML = '';
+    for (const series of chartSeries.values()) {
+        const item = document.createElement('span');
+        item.className = 'chart-legend-item';
+        item.style.color = series.color;
+        item.innerText = `${series.label} (${series.unit}) `;
+
+        const remove = document.createElement('button');
+        remove.innerText = 'x';
+        remove.onclick = () => removeChartSeries(series.key);
+        item.appendChild(remove);
+        legend.appendChild(item);
+    }
+}
+
+/**
+ * Returns to the live view over the span chosen in the range select and
+ * reloads the history of every charted series.
+ */
+function setChartRange() {
+    const span = parseInt(document.getElementById('chart-range').value, 10);
+    const now = Date.now();
+
+    chartView = { from: now - span, to: now, span: span, live: true };
+    chartSeries.forEach(queryChartSeries);
+    drawChart();
+}
+
+/**
+ * Zooms into a time range of history; live updates stop until the range is reset.
+ * @param {number} from - Start in ms since epoch.
+ * @param {number} to - End in ms since epoch.
+ */
+function zoomChart(from, to) {
+    chartView = { from: Math.round(from), to: Math.round(to), span: to - from, live: false };
+    chartSeries.forEach(queryChartSeries);
+    drawChart();
+}
+
+/**
+ * Requests the history of one series over the current view, at about one
+ * point per pixel; the server picks raw, 1-minute or 1-hour data.
+ * @param {Object} series - Charted series.
+ */
+function queryChartSeries(series) {
+    const canvas = document.getElementById('chart-canvas');
+    series.pendingQuery = { from: chartView.from, to: chartView.to };
+
+    socket.send(JSON.stringify({
+        type: 'QUERY_TELEMETRY',
+        query: {
+            nodeId:     series.nodeId,
+            sensorId:   series.sensorId,
+            msgId:      series.msgId,
+            from:       chartView.from,
+            to:         chartView.to,
+            resolution: 'auto',
+            maxPoints:  canvas ? canvas.clientWidth : undefined
+        }
+    }));
+}
+
+/**
+ * Stores a history response. Responses superseded by a newer request are dropped.
+ * @param {Object} result - { nodeId, sensorId, msgId, from, to, resolution, points[] }
+ */
+function handleTelemetrySeries(result) {
+    const series = chartSeries.get(seriesKey(result.nodeId, result.sensorId, result.msgId));
+    if (!series || !series.pendingQuery) return;
+    if (result.from !== series.pendingQuery.from || result.to !== series.pendingQuery.to) return;
+    series.pendingQuery = null;
+
+    /* Keep live samples that arrived after the request was made */
+    const live = series.points.filter(p => p.t > result.to);
+    series.points = result.points.concat(live);
+    series.resolution = result.resolution;
+    drawChart();
+}
+
+/**
+ * Appends the sensor value of a live frame to its charted series.
+ * @param {Object} msg - CAN_MESSAGE from the server, with decoded fields.
+ */
+function appendLiveSample(msg) {
+    if (!chartSeries.size || !chartView.live || msg.replayed || !msg.fields) return;
 
-        // Data Column: Inline editing for Node Type and Sub-Module Count
-        const dataCell = document.createElement('div');
-        dataCell.id = `node-${nodeId}-data`;
-        dataCell.className = 'editor-cell';
-        dataCell.classList.add('data-cell');
+    const sensorField = msg.fields.find(f => f.name === 'sensor id');
+    const dataField = msg.fields.find(f => f.name === 'sensor data');
+    if (!sensorField || !dataField || msg.data.length < 4) return;
 
-        
-        // Node Type Dropdown (Range 0x780 - 0x79F)
-        const nodeTypeSelect = document.createElement('select');
-        nodeTypeSelect.name = `node-${nodeId}-type`;
-        nodeTypeSelect.classList.add('editor-input');
-        nodeTypeSelect.classList.add('cell-input');
-        nodeTypeSelect.innerHTML = buildDropdown(allDefinitions, 0x780, 0x79F, nodeData.nodeTypeMsg);
-        
-        // Sub-module Count Input
-        const subModCntInput = document.createElement('input');
-        subModCntInput.name = 'submod-cnt-' + nodeId;
-        subModCntInput.classList.add('editor-input');
-        subModCntInput.classList.add('cell-input');
-        subModCntInput.type = 'number';
-        subModCntInput.min = '0';
-        subModCntInput.max = '8';
-        subModCntInput.value = nodeData.subModCnt;
-        subModCntInput.style.width = '40px';
+    /** Node ID as the server keys it: the first four bytes in lower-case hex */
+    const nodeId = msg.data.slice(0, 4).map(b => b.toString(16).padStart(2, '0')).join('');
 
-        dataCell.innerHTML = `<label class="label">Type:</label>`;
-        dataCell.appendChild(nodeTypeSelect);
-        dataCell.innerHTML += `<label class="label">Sub-Mods:</label>`;
-        dataCell.appendChild(subModCntInput);
+    const series = chartSeries.get(seriesKey(nodeId, Number(sensorField.value), msg.id));
+    if (!series) return;
 
-        // DLC Column: Inline editing for Node DLC
-        const dlcCell = document.createElement('div');
-        dlcCell.id = `node-${nodeId}-dlc`;
-        dlcCell.className = 'editor-cell data-cell';
-        const dlcInput = document.createElement('input');
-        dlcInput.classList.add('editor-input');
-        dlcInput.name = 'dlc-' + nodeId;
-        dlcInput.type = 'number';
-        dlcInput.min = '0';
-        dlcInput.max = '8';
-        dlcInput.value = nodeData.nodeTypeDlc;
-        dlcInput.style.width = '40px';
-        dlcCell.appendChild(dlcInput);
+    const value = Number(dataField.value);
+    series.points.push({ t: msg.timestamp, min: value, max: value, avg: value, count: 1 });
+}
 
-        // Bind PARENT changes to send update
-        const handleParentChange = () => {
-            const updatedParent = {
-                ...nodeData, // Keep existing fields
-                nodeTypeMsg: parseInt(nodeTypeSelect.value, 10),
-                subModCnt: parseInt(subModCntInput.value, 10),
-                nodeTypeDlc: parseInt(dlcInput.value, 10)
-            };
-            sendConfigUpdate(nodeId, 'PARENT', null, updatedParent);
-        };
+/**
+ * Slides the live view forward and drops points that have left it.
+ */
+function advanceLiveChart() {
+    if (!chartView.live || !chartSeries.size) return;
 
-        nodeTypeSelect.onchange = handleParentChange;
-        subModCntInput.onchange = handleParentChange;
-        dlcInput.onchange = handleParentChange;
+    chartView.to = Date.now();
+    chartView.from = chartView.to - chartView.span;
 
-        // Append Parent Row to Grid
-        container.append(cmdCell, idCell, dataCell, dlcCell);
+    chartSeries.forEach(series => {
+        series.points = series.points.filter(p => p.t >= chartView.from);
+    });
+    drawChart();
+}
 
-        // --- Render SUB-MODULE Rows (If Expanded) ---
-        if (isExpanded && nodeData.subModule) {
-            for (const [idxStr, subMod] of Object.entries(nodeData.subModule)) {
-                const idx = parseInt(idxStr, 10);
-                
-                const subCmdCell = document.createElement('div');
-                subCmdCell.id = `node-${nodeId}-sub-${idx}-cmd`;
-                subCmdCell.className = 'data-cell';
-                subCmdCell.style.textAlign = 'right';
-                subCmdCell.innerHTML = `↳ Sub-module`; // Visual indicator
+/**
+ * Returns the points of a series inside the current view.
+ */
+function visiblePoints(series) {
+    return series.points.filter(p => p.t >= chartView.from && p.t <= chartView.to);
+}
 
-                const subIdCell = document.createElement('div');
-                subIdCell.className = 'data-cell';
-                subIdCell.id = `node-${nodeId}-sub-${idx}-id`;
-                subIdCell.innerText = idxStr.toUpperCase();
-                
-                // Data Column for Sub-module, container for the two rows created below
-                const subDataCell = document.createElement('div');
-                subDataCell.id = `node-${nodeId}-sub-${idx}-data`;
-                subDataCell.className = 'data-cell';
-                subDataCell.style.display = 'flex';
-                subDataCell.style.justifyContent = 'flex-start';
-                subDataCell.style.alignItems = 'left';
-                subDataCell.style.flexDirection = 'column'; // Stack rows vertically
-                subDataCell.style.gap = '8px';
-                
-                // Row 1: Intro and Data ID
-                const row1 = document.createElement('div');
-                row1.className = 'label-row';
-                row1.id = `node-${nodeId}-sub-${idx}-row1`;
-                row1.style.display = 'flex';
-                row1.style.gap = '10px';
-                row1.style.alignItems = 'center';
+/**
+ * Computes min, max and average of a series over the visible window, in its unit.
+ * Averages of downsampled points are weighted by their sample count.
+ * @returns {Object|null} { min, max, avg, samples } or null if nothing is visible.
+ */
+function windowStatistics(series) {
+    const points = visiblePoints(series);
+    if (!points.length) return null;
+
+    let min = Infinity;
+    let max = -Infinity;
+    let sum = 0;
+    let samples = 0;
+
+    points.forEach(p => {
+        min = Math.min(min, p.min);
+        max = Math.max(max, p.max);
+        sum += p.avg * p.count;
+        samples += p.count;
+    });
 
-                const introSelect = document.createElement('select');
-                introSelect.name = `node-${nodeId}-sub-${idx}-intro`;
-                introSelect.className = 'editor-input';
-                introSelect.innerHTML = buildDropdown(allDefinitions, 0x700, 0x77F, subMod.introMsgId);
-                
-                const dataIdSelect = document.createElement('select');
-                dataIdSelect.name = `node-${nodeId}-sub-${idx}-data-id`;
-                dataIdSelect.className = 'editor-input';
-                dataIdSelect.innerHTML = buildDropdown(allDefinitions, 0x110, 0x5FF, subMod.dataMsgId);
+    return { min: min * series.scale, max: max * series.scale, avg: (sum / samples) * series.scale, samples };
+}
 
-                row1.innerHTML = `<label>Intro:</label>`;
-                row1.appendChild(introSelect);
-                row1.innerHTML += `<label>Data ID:</label>`;
-                row1.appendChild(dataIdSelect);
+/**
+ * Formats an axis time label; the date is included for views longer than a day.
+ */
+function formatChartTime(ms) {
+    const date = new Date(ms);
+    if (chartView.span <= MS_PER_DAY) return date.toLocaleTimeString();
+    return `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+}
 
-                // Row 2: Raw Config Bytes
-                const row2 = document.createElement('div');
-                row2.id = `node-${nodeId}-sub-${idx}-row2`;
-                row2.className = 'label-row';
-                row2.style.display = 'flex';
-                row2.style.gap = '10px';
-                row2.style.alignItems = 'center';
-                // row2.style.height = '12px';
-                row2.innerHTML = `<label>Raw Config:</label>`;
+/**
+ * Draws the charted series: one line per series through the average, with
+ * the min/max band of downsampled points, a time axis and one value axis per unit.
+ */
+function drawChart() {
+    const canvas = document.getElementById('chart-canvas');
+    if (!canvas) return;
+
+    canvas.width = canvas.clientWidth;
+    const ctx = canvas.getContext('2d');
+    const plot = {
+        left:   CHART_PADDING.left,
+        right:  canvas.width - CHART_PADDING.right,
+        top:    CHART_PADDING.top,
+        bottom: canvas.height - CHART_PADDING.bottom
+    };
 
-                const rawInputs = [];
-                for (let i = 0; i < 3; i++) {
-                    const byteInput = document.createElement('input');
-                    byteInput.name = `node-${nodeId}-sub-${idx}-raw-${i}`;
-                    byteInput.type = 'number';
-                    byteInput.className = 'editor-input';
-                    byteInput.min = '0';
-                    byteInput.max = '255';
-                    byteInput.value = subMod.rawConfig ? subMod.rawConfig[i] : 0;
-                    byteInput.style.width = '50px';
-                    rawInputs.push(byteInput);
-                    row2.appendChild(byteInput);
-                }
+    /* Opaque background so PNG exports are readable */
+    ctx.fillStyle = CHART_BACKGROUND;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.font = CHART_FONT;
+    ctx.strokeStyle = CHART_GRID_COLOR;
+    ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+
+    const xOf = (t) => plot.left + ((t - chartView.from) / (chartView.to - chartView.from)) * (plot.right - plot.left);
+
+    /* Time axis */
+    ctx.fillStyle = CHART_TEXT_COLOR;
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= CHART_X_TICKS; i++) {
+        const t = chartView.from + (i / CHART_X_TICKS) * (chartView.to - chartView.from);
+        ctx.fillText(formatChartTime(t), xOf(t), plot.bottom + CHART_PADDING.bottom / 2 + 4);
+    }
 
-                // Add both rows to the Data cell
-                subDataCell.appendChild(row1);
-                subDataCell.appendChild(row2);
+    /* One value axis per unit: the first on the left, the second on the right */
+    const axes = new Map();
+    for (const series of chartSeries.values()) {
+        const stats = windowStatistics(series);
+        if (!axes.has(series.unit)) axes.set(series.unit, { min: Infinity, max: -Infinity });
+        if (stats) {
+            const axis = axes.get(series.unit);
+            axis.min = Math.min(axis.min, stats.min);
+            axis.max = Math.max(axis.max, stats.max);
+        }
+    }
 
-                // Sub-module DLC
-                const subDlcCell = document.createElement('div');
-                subDlcCell.className = 'data-cell';
-                const subDlcInput = document.createElement('input');
-                subDlcInput.type = 'number';
-                subDlcInput.className = 'editor-input';
-                subDlcInput.min = '0';
-                subDlcInput.max = '8';
-                subDlcInput.value = subMod.dataMsgDlc;
-                subDlcInput.style.width = '40px';
-                subDlcCell.appendChild(subDlcInput);
+    [...axes.entries()].forEach(([unit, axis], idx) => {
+        if (axis.min === Infinity) { axis.min = 0; axis.max = 1; }
+        const pad = (axis.max - axis.min) * CHART_Y_MARGIN || 1;
+        axis.min -= pad;
+        axis.max += pad;
+        axis.yOf = (v) => plot.bottom - ((v - axis.min) / (axis.max - axis.min)) * (plot.bottom - plot.top);
+
+        const x = idx === 0 ? plot.left - 6 : plot.right + 6;
+        ctx.textAlign = idx === 0 ? 'right' : 'left';
+        for (let i = 0; i <= CHART_Y_TICKS; i++) {
+            const v = axis.min + (i / CHART_Y_TICKS) * (axis.max - axis.min);
+            ctx.fillText(Number(v.toPrecision(4)).toString(), x, axis.yOf(v) + 4);
+        }
+        ctx.fillText(unit, x, plot.top + 4);
+    });
 
-                // Bind SUB-MODULE changes to send update
-                const handleSubModChange = () => {
-                    const updatedSubMod = {
-                        ...subMod,
-                        introMsgId: parseInt(introSelect.value, 10),
-                        dataMsgId: parseInt(dataIdSelect.value, 10),
-                        dataMsgDlc: parseInt(subDlcInput.value, 10),
-                        rawConfig: [
-                            parseInt(rawInputs[0].value, 10),
-                            parseInt(rawInputs[1].value, 10),
-                            parseInt(rawInputs[2].value, 10)
-                        ]
-                    };
-                    sendConfigUpdate(nodeId, 'SUBMODULE', idx, updatedSubMod);
-                };
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+    ctx.clip();
+
+    for (const series of chartSeries.values()) {
+        const axis = axes.get(series.unit);
+        const points = visiblePoints(series);
+        if (!points.length) continue;
+
+        /* Min/max band of downsampled points */
+        ctx.fillStyle = series.color;
+        ctx.globalAlpha = CHART_BAND_ALPHA;
+        points.filter(p => p.count > 1).forEach(p => {
+            const yMax = axis.yOf(p.max * series.scale);
+            ctx.fillRect(xOf(p.t) - 1, yMax, 2, axis.yOf(p.min * series.scale) - yMax);
+        });
+        ctx.globalAlpha = 1;
+
+        ctx.strokeStyle = series.color;
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const x = xOf(p.t);
+            const y = axis.yOf(p.avg * series.scale);
+            if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
 
-                introSelect.onchange = handleSubModChange;
-                dataIdSelect.onchange = handleSubModChange;
-                subDlcInput.onchange = handleSubModChange;
-                rawInputs.forEach(input => input.onchange = handleSubModChange);
+    /* Zoom selection while dragging */
+    if (chartDrag && chartDrag.currentX !== undefined) {
+        ctx.fillStyle = CHART_SELECTION_COLOR;
+        ctx.fillRect(Math.min(chartDrag.startX, chartDrag.currentX), plot.top,
+                     Math.abs(chartDrag.currentX - chartDrag.startX), plot.bottom - plot.top);
+    }
+    ctx.restore();
 
-                container.append(subCmdCell, subIdCell, subDataCell, subDlcCell);
-            }
-        }
+    renderChartStatistics();
+
+    const status = document.getElementById('chart-status');
+    if (status) {
+        const resolutions = [...new Set([...chartSeries.values()].map(s => s.resolution).filter(Boolean))];
+        status.innerText = `${chartView.live ? 'Live' : 'History'} | ${formatChartTime(chartView.from)} - ` +
+                           `${formatChartTime(chartView.to)}${resolutions.length ? ' | ' + resolutions.join(', ') : ''}`;
     }
 }
 
 /**
- * Toggles the accordion state for a given Node ID
- * @param {String} nodeId 
+ * Renders min, max and average of each charted series over the visible window.
  */
-window.toggleNode = function(nodeId) {
-    if (expandedNodes.has(nodeId)) {
-        expandedNodes.delete(nodeId);
-    } else {
-        expandedNodes.add(nodeId);
+function renderChartStatistics() {
+    const container = document.getElementById('chart-stats-container');
+    if (!container) return;
+
+    /** Preserve the header cells */
+    const headers = Array.from(container.children).slice(0, CHART_STATS_HEADER_COUNT);
+    container.innerHTML = '';
+    headers.forEach(h => container.appendChild(h));
+
+    for (const series of chartSeries.values()) {
+        const stats = windowStatistics(series);
+        const format = (v) => stats ? Number(v.toPrecision(6)).toString() : '-';
+
+        const cells = [
+            { text: series.label, class: '' },
+            { text: series.unit, class: '' },
+            { text: format(stats && stats.min), class: '' },
+            { text: format(stats && stats.max), class: '' },
+            { text: format(stats && stats.avg), class: '' },
+            { text: stats ? stats.samples : 0, class: '' }
+        ];
+
+        cells.forEach(cellData => {
+            const div = document.createElement('div');
+            div.className = `data-cell ${cellData.class}`;
+            div.style.color = series.color;
+            div.innerText = cellData.text;
+            container.appendChild(div);
+        });
     }
-    // Re-render immediately to show/hide submodules (assuming 'nodes' is stored globally)
-    // If your app holds `window.currentNodes`, call renderNodeDatabase(window.currentNodes) here.
-    renderNodeDatabase(nodeDb);
-};
+}
 
 /**
- * Toggles visibility of sub-modules for a specific node ID
- * @param {Event} event - The click event
- * @param {string} nodeId - The ID of the node to toggle
+ * Lets the user drag across the chart to zoom into that time range.
+ * @param {HTMLCanvasElement} canvas - The chart canvas.
  */
-function toggleSubModules(event, nodeId) {
-    const rows = document.querySelectorAll(`.node-${nodeId}`);
-    rows.forEach(row => row.classList.toggle('expanded'));
-    
-    // Update button text safely using the passed event
-    const btn = event.target;
-    btn.innerText = btn.innerText === '+' ? '-' : '+';
+function bindChartZoom(canvas) {
+    const plotX = (event) => Math.min(Math.max(event.offsetX, CHART_PADDING.left), canvas.width - CHART_PADDING.right);
+    const timeOf = (x) => chartView.from +
+        ((x - CHART_PADDING.left) / (canvas.width - CHART_PADDING.left - CHART_PADDING.right)) * (chartView.to - chartView.from);
+
+    canvas.addEventListener('mousedown', (event) => {
+        chartDrag = { startX: plotX(event) };
+    });
+
+    canvas.addEventListener('mousemove', (event) => {
+        if (!chartDrag) return;
+        chartDrag.currentX = plotX(event);
+        drawChart();
+    });
+
+    canvas.addEventListener('mouseup', (event) => {
+        if (!chartDrag) return;
+        const startX = chartDrag.startX;
+        const endX = plotX(event);
+        chartDrag = null;
+
+        if (Math.abs(endX - startX) >= CHART_MIN_ZOOM_PX) {
+            zoomChart(timeOf(Math.min(startX, endX)), timeOf(Math.max(startX, endX)));
+        } else {
+            drawChart();
+        }
+    });
 }
 
 /**
- * Toggles a specific CAN ID in the filter set
+ * Starts a browser download of generated content.
  */
-function toggleFilter() {
-    const val = filterInput.value.trim().toLowerCase();
-    if (!val) return;
-
-    if (activeFilters.has(val)) {
-        activeFilters.delete(val);
-    } else {
-        activeFilters.add(val);
-    }
+function downloadFile(fileName, href) {
+    const link = document.createElement('a');
+    link.href = href;
+    link.download = fileName;
+    link.click();
+}
 
-    updateFilterUI();
-    filterInput.value = '';
+/**
+ * Saves the chart as a PNG image.
+ */
+function exportChartPng() {
+    const canvas = document.getElementById('chart-canvas');
+    if (!canvas) return;
+    downloadFile(`chart-${new Date().toISOString().replace(/[:.]/g, '-')}.png`, canvas.toDataURL('image/png'));
 }
 
-function updateFilterUI() {
-    filterDisplay.innerHTML = '';
-    activeFilters.forEach(id => {
-        const span = document.createElement('span');
-        span.className = 'filter-tag';
-        span.innerText = id;
-        filterDisplay.appendChild(span);
-    });
+/**
+ * Saves the visible points of every charted series as CSV, in their units.
+ */
+function exportChartCsv() {
+    const lines = ['time,node,message,sensor,unit,min,max,avg,samples'];
+
+    for (const series of chartSeries.values()) {
+        visiblePoints(series).forEach(p => {
+            lines.push([
+                new Date(p.t).toISOString(), series.nodeId, series.name, series.sensorId, series.unit,
+                p.min * series.scale, p.max * series.scale, p.avg * series.scale, p.count
+            ].join(','));
+        });
+    }
+
+    const url = URL.createObjectURL(new Blob([lines.join('\n') + '\n'], { type: 'text/csv' }));
+    downloadFile(`chart-${new Date().toISOString().replace(/[:.]/g, '-')}.csv`, url);
+    URL.revokeObjectURL(url);
 }
 
 /**
@@ -742,7 +3473,7 @@ function processLiveCanFrame(msg) {
     const cells = [
         { text: formatTimestampAsUTC(msg.timestamp), class: '' },
         { text: displayName, class: 'hex-id' }, // Now shows the name!
-        { text: hexData, class: 'hex-data' },
+        { text: hexData, class: 'hex-data', fields: msg.fields },
         { text: msg.data.length, class: '' }
     ];
 
@@ -751,9 +3482,15 @@ function processLiveCanFrame(msg) {
         const div = document.createElement('div');
 
         div.className = `data-cell ${cellData.class} ${rangeClass}`;
+        if (msg.replayed) div.classList.add('replayed');
         // div.className = `data-cell ${cellData.class}`;
         div.innerText = cellData.text;
 
+        /** Show the decoded fields below the raw payload */
+        if (cellData.fields && cellData.fields.length > 0) {
+            div.appendChild(renderDecodedFields(cellData.fields));
+        }
+
         
         container.insertBefore(div, container.children[HEADER_COUNT]);
     });
@@ -0,0 +1,269 @@
+/**
+ * Colorpicker remote lists.
+ *
+ * A colorpicker node keeps a list of remote nodes it drives. COLORPICKER_SEND_LIST
+ * makes it report the list as one COLORPICKER_LIST_MEMBER per remote followed
+ * by COLORPICKER_END_OF_LIST. A list is committed by purging the node's list,
+ * adding every remote, writing it to NVS and reading it back to verify.
+ * The last list read from each node is kept in SQLite.
+ *
+ * LIST_MEMBER carries only the remote's Node ID, not the colorpicker's, so
+ * members cannot be told apart by sender. Lists are therefore read one node
+ * at a time; reads of other nodes wait until END_OF_LIST or the timeout.
+ */
+import * as CAN_MSG from './can_constants.js';
+import { decodeNodeId } from './frame_capture.js';
+
+/* === Constants === */
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Number of hex characters in a Node ID */
+const NODE_ID_HEX_LENGTH = 8;
+
+/** Offset of the remote ID in ADD_NODE and DEL_NODE; LIST_MEMBER carries it at offset 0 */
+const REMOTE_ID_OFFSET = 4;
+
+/** Default time a node has to finish sending its list */
+const DEFAULT_TIMEOUT_MS = 3000;
+
+/** List states */
+export const LIST_STATES = {
+    READING:    'reading',    /**< Waiting for COLORPICKER_END_OF_LIST */
+    READ:       'read',       /**< List received */
+    COMMITTING: 'committing', /**< Written, reading back to verify */
+    COMMITTED:  'committed',  /**< Read back list matches the committed one */
+    MISMATCH:   'mismatch',   /**< Read back list differs from the committed one */
+    TIMEOUT:    'timeout'     /**< No COLORPICKER_END_OF_LIST in time */
+};
+
+/* === Functions === */
+
+/**
+ * Returns true if two member lists hold the same remotes, in any order.
+ */
+function sameMembers(a, b) {
+    return a.length === b.length && [...a].sort().join() === [...b].sort().join();
+}
+
+/**
+ * Creates the colorpicker list manager on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { timeoutMs }
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a frame.
+ * @param {Function} onUpdate - Called whenever a list or its state changes.
+ * @returns {Object} Manager with read(), commit(), handleFrame(), getAll() and close().
+ */
+export function createColorpickerLists(db, options, sendFrame, onUpdate) {
+    const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS colorpicker_lists (
+            node_id TEXT PRIMARY KEY,
+            members TEXT,          /**< JSON array of remote node IDs */
+            read_at INTEGER,       /**< ms since epoch */
+            committed_at INTEGER
+        );
+    `);
+
+    const upsertList = db.prepare(`
+        INSERT INTO colorpicker_lists (node_id, members, read_at) VALUES (?, ?, ?)
+        ON CONFLICT(node_id) DO UPDATE SET members = excluded.members, read_at = excluded.read_at
+    `);
+
+    const updateCommitted = db.prepare(`UPDATE colorpicker_lists SET committed_at = ? WHERE node_id = ?`);
+
+    const selectLists = db.prepare(`SELECT * FROM colorpicker_lists`);
+
+    /** Lists per node: { members[], state, readAt, committedAt, error, incoming[], expected[], timer } */
+    const lists = new Map();
+
+    /** Node whose list is being read, and the nodes waiting for their turn */
+    let readingNode = null;
+    const readQueue = [];
+
+    for (const row of selectLists.all()) {
+        lists.set(row.node_id, {
+            members:     JSON.parse(row.members),
+            state:       LIST_STATES.READ,
+            readAt:      row.read_at,
+            committedAt: row.committed_at,
+            error:       null
+        });
+    }
+
+    /** Returns the list entry of a node, creating it if needed */
+    function getEntry(nodeId) {
+        let entry = lists.get(nodeId);
+        if (!entry) {
+            entry = { members: [], state: LIST_STATES.READ, readAt: null, committedAt: null, error: null };
+            lists.set(nodeId, entry);
+        }
+        return entry;
+    }
+
+    /** Returns the Node ID bytes of a hex string */
+    function idBytes(nodeId) {
+        return [...Buffer.from(nodeId, 'hex').subarray(0, NODE_ID_BYTE_LENGTH)];
+    }
+
+    /**
+     * Checks that a Node ID is eight hex characters.
+     * @throws {Error} If it is not.
+     */
+    function checkNodeId(nodeId) {
+        if (typeof nodeId !== 'string' || !new RegExp(`^[0-9a-f]{${NODE_ID_HEX_LENGTH}}$`).test(nodeId)) {
+            throw new Error(`Invalid node ID "${nodeId}"`);
+        }
+    }
+
+    /** Asks the next waiting node for its list and starts collecting the members */
+    function startNextRead() {
+        if (readingNode || !readQueue.length) return;
+
+        const nodeId = readQueue.shift();
+        const entry  = getEntry(nodeId);
+
+        readingNode    = nodeId;
+        entry.incoming = [];
+        entry.timer    = setTimeout(() => {
+            entry.state    = LIST_STATES.TIMEOUT;
+            entry.error    = `No COLORPICKER_END_OF_LIST within ${timeoutMs} ms`;
+            entry.incoming = null;
+            entry.expected = null;
+            readingNode    = null;
+            console.warn(`Colorpicker list of ${nodeId}: ${entry.error}`);
+            onUpdate();
+            startNextRead();
+        }, timeoutMs);
+
+        sendFrame(CAN_MSG.COLORPICKER_SEND_LIST_ID, idBytes(nodeId));
+    }
+
+    /**
+     * Queues a read of a node's list; a read of the same node in progress is restarted.
+     * @param {Object} [expected] - Members a commit expects to read back.
+     */
+    function requestList(nodeId, expected) {
+        const entry = getEntry(nodeId);
+        clearTimeout(entry.timer);
+
+        if (readingNode === nodeId) readingNode = null;
+        if (!readQueue.includes(nodeId)) readQueue.push(nodeId);
+
+        entry.state    = expected ? LIST_STATES.COMMITTING : LIST_STATES.READING;
+        entry.error    = null;
+        entry.incoming = null;
+        entry.expected = expected || null;
+        startNextRead();
+    }
+
+    /** Stores a completely received list and checks it against a pending commit */
+    function completeList(nodeId, entry) {
+        clearTimeout(entry.timer);
+        readingNode = null;
+
+        entry.members  = entry.incoming;
+        entry.incoming = null;
+        entry.readAt   = Date.now();
+
+        try {
+            upsertList.run(nodeId, JSON.stringify(entry.members), entry.readAt);
+        } catch (err) {
+            console.error('Failed to store colorpicker list:', err.message);
+        }
+
+        if (!entry.expected) {
+            entry.state = LIST_STATES.READ;
+        } else if (sameMembers(entry.members, entry.expected)) {
+            entry.state       = LIST_STATES.COMMITTED;
+            entry.committedAt = entry.readAt;
+            updateCommitted.run(entry.committedAt, nodeId);
+        } else {
+            entry.state = LIST_STATES.MISMATCH;
+            entry.error = 'The list read back differs from the committed list';
+            console.warn(`Colorpicker list of ${nodeId}: ${entry.error}`);
+        }
+        entry.expected = null;
+        onUpdate();
+        startNextRead();
+    }
+
+    return {
+        /**
+         * Requests a node's list.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {boolean} fromNvs - Reload the list from NVS first, dropping uncommitted changes.
+         */
+        read(nodeId, fromNvs) {
+            checkNodeId(nodeId);
+            if (fromNvs) {
+                sendFrame(CAN_MSG.COLORPICKER_READ_NVS_ID, idBytes(nodeId));
+            }
+            requestList(nodeId, null);
+            onUpdate();
+        },
+
+        /**
+         * Replaces a node's list, writes it to NVS and reads it back.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {string[]} members - Remote node IDs.
+         * @throws {Error} If a Node ID is invalid.
+         */
+        commit(nodeId, members) {
+            checkNodeId(nodeId);
+            const remotes = [...new Set(members || [])];
+            remotes.forEach(checkNodeId);
+
+            const target = idBytes(nodeId);
+            sendFrame(CAN_MSG.COLORPICKER_PURGE_LIST_ID, target);
+            remotes.forEach(remote => sendFrame(CAN_MSG.COLORPICKER_ADD_NODE_ID, [...target, ...idBytes(remote)]));
+            sendFrame(CAN_MSG.COLORPICKER_WRITE_NVS_ID, target);
+
+            console.log(`Committed colorpicker list of ${nodeId}: ${remotes.length} remote(s)`);
+            requestList(nodeId, remotes);
+            onUpdate();
+        },
+
+        /**
+         * Collects COLORPICKER_LIST_MEMBER frames into the list being read,
+         * until COLORPICKER_END_OF_LIST arrives from the node being read.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            if (msg.id !== CAN_MSG.COLORPICKER_LIST_MEMBER_ID && msg.id !== CAN_MSG.COLORPICKER_END_OF_LIST_ID) return;
+
+            const entry  = readingNode ? lists.get(readingNode) : undefined;
+            const nodeId = decodeNodeId(msg.id, msg.data);
+            if (!entry || !entry.incoming || !nodeId) return;
+
+            if (msg.id === CAN_MSG.COLORPICKER_END_OF_LIST_ID) {
+                if (nodeId === readingNode) completeList(nodeId, entry);
+                return;
+            }
+
+            if (!entry.incoming.includes(nodeId)) entry.incoming.push(nodeId);
+        },
+
+        /**
+         * Returns the list of every node that has been read.
+         * @returns {Object} Map of nodeId -> { members[], state, readAt, committedAt, error }.
+         */
+        getAll() {
+            return Object.fromEntries([...lists].map(([nodeId, entry]) => [nodeId, {
+                members:     [...entry.members],
+                state:       entry.state,
+                readAt:      entry.readAt,
+                committedAt: entry.committedAt,
+                error:       entry.error
+            }]));
+        },
+
+        /** Stops waiting for lists in progress */
+        close() {
+            lists.forEach(entry => clearTimeout(entry.timer));
+            readQueue.length = 0;
+        }
+    };
+}
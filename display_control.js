@@ -0,0 +1,301 @@
+/**
+ * Control of display sub-modules (DISP_OLED 0x705, DISP_NON_TOUCH_LCD 0x707,
+ * DISP_TOUCHSCREEN_LCD 0x70B) and text transfers to them.
+ *
+ * SET_DISPLAY_* frames carry the node ID and the display ID (the sub-module
+ * index), as laid out in the CSV. Text is pushed with DISPLAY_DATA_MSG and
+ * acknowledged with DISPLAY_DATA_ACK.
+ *
+ * PROPOSED PROTOCOL: the CSV labels all 8 bytes of DISPLAY_DATA_MSG and
+ * DISPLAY_DATA_ACK as "display data" and specifies nothing more. The chunk,
+ * header and ACK layout below is this server's proposal (implemented by
+ * node_emulator.js) and must be agreed with the display firmware before it
+ * is relied on. DISPLAY_DATA_MSG has no room for a Node ID, so a transfer is
+ * a sequence of chunks that the addressed node acknowledges one by one:
+ *
+ *   chunk 0:    [seq 0, node id x4, display id, field id, text length]
+ *   chunk 1..n: [seq, 7 bytes of text, zero padded]
+ *   ACK:        [seq, node id x4]
+ *
+ * The next chunk is only sent once the previous one is acknowledged; a chunk
+ * without an ACK is sent again until the retries run out. Only one transfer
+ * is on the bus at a time, later ones wait in a queue.
+ */
+import * as CAN_MSG from './can_constants.js';
+
+/* === Constants === */
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Largest value of a one-byte setting */
+const BYTE_MAX = 0xFF;
+
+/** Offset of the Node ID in the transfer header and the ACK, after the sequence byte */
+const XFER_NODE_ID_OFFSET = 1;
+
+/** Text bytes carried by each data chunk, after the sequence byte */
+const XFER_CHUNK_TEXT_BYTES = 7;
+
+/** Longest text one transfer can carry; the length is sent in one byte */
+const MAX_TEXT_LENGTH = BYTE_MAX;
+
+/** Default time the display has to acknowledge a chunk */
+const DEFAULT_ACK_TIMEOUT_MS = 500;
+
+/** Default number of times a chunk is sent again before the transfer fails */
+const DEFAULT_MAX_RETRIES = 3;
+
+/** Number of finished transfers kept for the status list */
+const TRANSFER_HISTORY_LENGTH = 20;
+
+/** Display personalities that accept commands and text */
+export const DISPLAY_PERSONALITIES = [
+    CAN_MSG.DISP_OLED_ID,
+    CAN_MSG.DISP_NON_TOUCH_LCD_ID,
+    CAN_MSG.DISP_TOUCHSCREEN_LCD_ID
+];
+
+/** Display commands: frame ID and, for commands with a setting, its range */
+export const DISPLAY_COMMANDS = {
+    off:        { msgId: CAN_MSG.SET_DISPLAY_OFF_ID },
+    on:         { msgId: CAN_MSG.SET_DISPLAY_ON_ID },
+    clear:      { msgId: CAN_MSG.SET_DISPLAY_CLEAR_ID },
+    flash:      { msgId: CAN_MSG.SET_DISPLAY_FLASH_ID,                min: 0, max: BYTE_MAX }, /**< Flash rate */
+    color:      { msgId: CAN_MSG.SET_DISPLAY_BACKLIGHT_COLOR_ID,      min: 0, max: BYTE_MAX }, /**< Backlight color index */
+    brightness: { msgId: CAN_MSG.SET_DISPLAY_BACKLIGHT_BRIGHTNESS_ID, min: 0, max: BYTE_MAX }  /**< Backlight brightness */
+};
+
+/** Text transfer states */
+export const TRANSFER_STATES = {
+    QUEUED:  'queued',
+    SENDING: 'sending',
+    DONE:    'done',
+    FAILED:  'failed'
+};
+
+/* === Functions === */
+
+/**
+ * Splits a transfer into its DISPLAY_DATA_MSG chunks.
+ * @returns {number[][]} The header chunk followed by the text chunks.
+ */
+function buildChunks(transfer) {
+    const text   = Buffer.from(transfer.text, 'latin1');
+    const chunks = [[0, ...Buffer.from(transfer.nodeId, 'hex').subarray(0, NODE_ID_BYTE_LENGTH),
+                     transfer.displayId, transfer.fieldId, text.length]];
+
+    for (let offset = 0; offset < text.length; offset += XFER_CHUNK_TEXT_BYTES) {
+        const part = [...text.subarray(offset, offset + XFER_CHUNK_TEXT_BYTES)];
+        while (part.length < XFER_CHUNK_TEXT_BYTES) part.push(0);
+        chunks.push([chunks.length, ...part]);
+    }
+    return chunks;
+}
+
+/**
+ * Creates the display control.
+ * @param {Object} options - { ackTimeoutMs, maxRetries }
+ * @param {Function} getSubModule - Returns the sub-module at (nodeId, displayId), if known.
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a frame.
+ * @param {Function} onUpdate - Called whenever a transfer changes state or progresses.
+ * @returns {Object} Control with command(), pushText(), handleFrame(), getTransfers() and close().
+ */
+export function createDisplayControl(options, getSubModule, sendFrame, onUpdate) {
+    const ackTimeoutMs = options.ackTimeoutMs || DEFAULT_ACK_TIMEOUT_MS;
+    const maxRetries   = options.maxRetries !== undefined ? options.maxRetries : DEFAULT_MAX_RETRIES;
+
+    /** Transfers waiting for the bus */
+    const queue = [];
+
+    /** Finished transfers, newest first */
+    const history = [];
+
+    /** The transfer on the bus: { ..., chunks, chunkIdx, retries, timer } */
+    let active = null;
+
+    /** ID of the next transfer */
+    let nextTransferId = 1;
+
+    /**
+     * Checks that a node has a display sub-module at an index.
+     * @throws {Error} If it does not.
+     */
+    function checkDisplay(nodeId, displayId) {
+        const subModule = getSubModule(nodeId, displayId);
+        if (!subModule || !DISPLAY_PERSONALITIES.includes(subModule.introMsgId)) {
+            throw new Error(`Node ${nodeId} has no display sub-module ${displayId}`);
+        }
+    }
+
+    /** Returns the client view of a transfer */
+    function describe(transfer) {
+        return {
+            id:        transfer.id,
+            nodeId:    transfer.nodeId,
+            displayId: transfer.displayId,
+            fieldId:   transfer.fieldId,
+            text:      transfer.text,
+            state:     transfer.state,
+            sent:      transfer.chunkIdx || 0,
+            total:     transfer.chunks ? transfer.chunks.length : 0,
+            retries:   transfer.totalRetries || 0,
+            error:     transfer.error || null,
+            queuedAt:  transfer.queuedAt
+        };
+    }
+
+    /** Moves the active transfer to the history and starts the next one */
+    function finish(state, error) {
+        clearTimeout(active.timer);
+        active.state = state;
+        active.error = error;
+
+        if (state === TRANSFER_STATES.FAILED) {
+            console.warn(`Display transfer ${active.id} to ${active.nodeId}/${active.displayId} failed: ${error}`);
+        }
+
+        history.unshift(active);
+        if (history.length > TRANSFER_HISTORY_LENGTH) history.pop();
+
+        active = null;
+        startNext();
+        onUpdate();
+    }
+
+    /** Sends the current chunk of the active transfer and arms its ACK timeout */
+    function sendChunk() {
+        try {
+            sendFrame(CAN_MSG.DISPLAY_DATA_MSG_ID, active.chunks[active.chunkIdx]);
+        } catch (err) {
+            finish(TRANSFER_STATES.FAILED, err.message);
+            return;
+        }
+
+        active.timer = setTimeout(() => {
+            if (active.retries >= maxRetries) {
+                finish(TRANSFER_STATES.FAILED, `No DISPLAY_DATA_ACK for chunk ${active.chunkIdx}`);
+                return;
+            }
+            active.retries++;
+            active.totalRetries++;
+            sendChunk();
+            onUpdate();
+        }, ackTimeoutMs);
+    }
+
+    /** Puts the next queued transfer on the bus */
+    function startNext() {
+        if (active || !queue.length) return;
+
+        active = queue.shift();
+        active.state        = TRANSFER_STATES.SENDING;
+        active.chunks       = buildChunks(active);
+        active.chunkIdx     = 0;
+        active.retries      = 0;
+        active.totalRetries = 0;
+        sendChunk();
+    }
+
+    return {
+        /**
+         * Sends a display command.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {number} displayId - Sub-module index of the display.
+         * @param {string} command - Key of DISPLAY_COMMANDS.
+         * @param {number} [value] - Setting for flash, color and brightness.
+         * @throws {Error} If the display is unknown or the command or value is invalid.
+         */
+        command(nodeId, displayId, command, value) {
+            checkDisplay(nodeId, displayId);
+
+            const spec = DISPLAY_COMMANDS[command];
+            if (!spec) throw new Error(`Unknown display command "${command}"`);
+
+            const data = [...Buffer.from(nodeId, 'hex').subarray(0, NODE_ID_BYTE_LENGTH), displayId];
+            if (spec.min !== undefined) {
+                const setting = Number(value);
+                if (!Number.isInteger(setting) || setting < spec.min || setting > spec.max) {
+                    throw new Error(`${command} value must be ${spec.min}-${spec.max}`);
+                }
+                data.push(setting);
+            }
+
+            sendFrame(spec.msgId, data);
+        },
+
+        /**
+         * Queues text for a display field.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {number} displayId - Sub-module index of the display.
+         * @param {number} fieldId - Field on the display, 0-255.
+         * @param {string} text - Text of up to MAX_TEXT_LENGTH characters.
+         * @returns {number} Transfer ID.
+         * @throws {Error} If the display is unknown or the text or field is invalid.
+         */
+        pushText(nodeId, displayId, fieldId, text) {
+            checkDisplay(nodeId, displayId);
+
+            if (!Number.isInteger(fieldId) || fieldId < 0 || fieldId > BYTE_MAX) {
+                throw new Error(`field must be 0-${BYTE_MAX}`);
+            }
+            if (typeof text !== 'string' || Buffer.byteLength(text, 'latin1') > MAX_TEXT_LENGTH) {
+                throw new Error(`Text must be at most ${MAX_TEXT_LENGTH} characters`);
+            }
+
+            const transfer = {
+                id:       nextTransferId++,
+                nodeId,
+                displayId,
+                fieldId,
+                text,
+                state:    TRANSFER_STATES.QUEUED,
+                queuedAt: Date.now()
+            };
+
+            queue.push(transfer);
+            startNext();
+            onUpdate();
+            return transfer.id;
+        },
+
+        /**
+         * Advances the active transfer on a matching DISPLAY_DATA_ACK.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            if (!active || msg.id !== CAN_MSG.DISPLAY_DATA_ACK_ID) return;
+            if (msg.data.length < XFER_NODE_ID_OFFSET + NODE_ID_BYTE_LENGTH) return;
+
+            const ackNodeId = Buffer.from(msg.data.slice(XFER_NODE_ID_OFFSET, XFER_NODE_ID_OFFSET + NODE_ID_BYTE_LENGTH))
+                .toString('hex');
+            if (msg.data[0] !== active.chunkIdx || ackNodeId !== active.nodeId) return;
+
+            clearTimeout(active.timer);
+            active.chunkIdx++;
+            active.retries = 0;
+
+            if (active.chunkIdx >= active.chunks.length) {
+                finish(TRANSFER_STATES.DONE, null);
+                return;
+            }
+            sendChunk();
+            onUpdate();
+        },
+
+        /**
+         * Returns the active, queued and recently finished transfers, newest first.
+         * @returns {Object[]} { id, nodeId, displayId, fieldId, text, state, sent, total, retries, error, queuedAt }
+         */
+        getTransfers() {
+            return [...queue].reverse().concat(active ? [active] : [], history).map(describe);
+        },
+
+        /** Abandons the active transfer and the queue */
+        close() {
+            if (active) clearTimeout(active.timer);
+            active = null;
+            queue.length = 0;
+        }
+    };
+}
@@ -0,0 +1,230 @@
+/**
+ * Persistent capture of received and transmitted CAN frames.
+ *
+ * Frames are buffered in memory and written to SQLite in batches.
+ * Retention works like a ring buffer, bounded by frame count and by age.
+ */
+
+/* === Constants === */
+
+/** Milliseconds between batched writes to SQLite */
+const CAPTURE_FLUSH_INTERVAL = 250;
+
+/** Milliseconds between retention sweeps */
+const CAPTURE_PRUNE_INTERVAL = 60000;
+
+/** Default maximum number of frames kept */
+const DEFAULT_MAX_FRAMES = 1000000;
+
+/** Default maximum frame age in milliseconds (7 days) */
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Default and maximum number of rows returned by a single query */
+const DEFAULT_QUERY_LIMIT = 1000;
+const MAX_QUERY_LIMIT = 10000;
+
+/** Factor to convert seconds to microseconds */
+const USEC_PER_SECOND = 1000000;
+
+/** Factor to convert milliseconds to microseconds */
+const USEC_PER_MS = 1000;
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** DISPLAY_DATA_MSG / DISPLAY_DATA_ACK carry raw display data, not a Node ID */
+const DISPLAY_DATA_BEGIN = 0x20D;
+const DISPLAY_DATA_END = 0x20E;
+
+/** Private 64-bit sensor data messages carry no Node ID */
+const PRIVATE_SENSOR_BEGIN = 0x52A;
+const PRIVATE_SENSOR_END = 0x53F;
+
+/* === Functions === */
+
+/**
+ * Returns the Node ID carried in bytes 0-3 of a frame, or null if the
+ * message type does not start with a Node ID.
+ * @param {number} id - CAN arbitration ID.
+ * @param {number[]|Buffer} data - Frame payload.
+ * @returns {string|null} Node ID as a lower-case hex string.
+ */
+export function decodeNodeId(id, data) {
+    if (data.length < NODE_ID_BYTE_LENGTH) return null;
+    if (id >= DISPLAY_DATA_BEGIN && id <= DISPLAY_DATA_END) return null;
+    if (id >= PRIVATE_SENSOR_BEGIN && id <= PRIVATE_SENSOR_END) return null;
+
+    return Buffer.from(data.slice(0, NODE_ID_BYTE_LENGTH)).toString('hex');
+}
+
+/**
+ * Creates the capture store on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { maxFrames, maxAgeMs }
+ * @returns {Object} Store with record(), query(), prune() and flush().
+ */
+export function createFrameCapture(db, options = {}) {
+    const maxFrames = options.maxFrames || DEFAULT_MAX_FRAMES;
+    const maxAgeMs  = options.maxAgeMs  || DEFAULT_MAX_AGE_MS;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS frame_capture (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ts_us INTEGER,      /**< Kernel receive time in microseconds since epoch */
+            can_id INTEGER,
+            dlc INTEGER,
+            data BLOB,
+            direction TEXT,     /**< 'rx' or 'tx' */
+            node_id TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_capture_ts ON frame_capture (ts_us);
+        CREATE INDEX IF NOT EXISTS idx_capture_id ON frame_capture (can_id, ts_us);
+        CREATE INDEX IF NOT EXISTS idx_capture_node ON frame_capture (node_id, ts_us);
+    `);
+
+    const insertFrame = db.prepare(`
+        INSERT INTO frame_capture (ts_us, can_id, dlc, data, direction, node_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const pruneByAge = db.prepare(`DELETE FROM frame_capture WHERE ts_us < ?`);
+
+    const pruneByCount = db.prepare(`
+        DELETE FROM frame_capture
+        WHERE id <= (SELECT MAX(id) FROM frame_capture) - ?
+    `);
+
+    const insertBatch = db.transaction((frames) => {
+        for (const f of frames) {
+            insertFrame.run(f.tsUs, f.id, f.data.length, f.data, f.direction, f.nodeId);
+        }
+    });
+
+    /** Frames waiting for the next batched write */
+    let pending = [];
+
+    function flush() {
+        if (!pending.length) return;
+
+        const batch = pending;
+        pending = [];
+        try {
+            insertBatch(batch);
+        } catch (err) {
+            console.error('Failed to write frame capture batch:', err.message);
+        }
+    }
+
+    function prune() {
+        try {
+            pruneByAge.run((Date.now() - maxAgeMs) * USEC_PER_MS);
+            pruneByCount.run(maxFrames);
+        } catch (err) {
+            console.error('Failed to prune frame capture:', err.message);
+        }
+    }
+
+    const flushTimer = setInterval(flush, CAPTURE_FLUSH_INTERVAL);
+    const pruneTimer = setInterval(prune, CAPTURE_PRUNE_INTERVAL);
+
+    return {
+        /**
+         * Queues a frame for capture.
+         * @param {Object} msg - Frame in socketcan shape ({ id, data, ts_sec, ts_usec }).
+         * @param {string} direction - 'rx' or 'tx'.
+         */
+        record(msg, direction) {
+            const tsUs = msg.ts_sec !== undefined
+                ? (msg.ts_sec * USEC_PER_SECOND) + msg.ts_usec
+                : Date.now() * USEC_PER_MS;
+            const data = Buffer.from(msg.data);
+
+            pending.push({
+                tsUs,
+                id: msg.id,
+                data,
+                direction,
+                nodeId: decodeNodeId(msg.id, data)
+            });
+        },
+
+        /**
+         * Returns captured frames matching a filter, oldest first.
+         * @param {Object} filter - { from, to (ms since epoch), idMin, idMax, category, nodeId, direction, limit }
+         * @param {number} maxLimit - Upper bound for filter.limit; exports allow more rows than the UI.
+         * @returns {Object[]} Rows with timestamp (ms), name, category and data as a byte array.
+         */
+        query(filter = {}, maxLimit = MAX_QUERY_LIMIT) {
+            flush();
+
+            const clauses = [];
+            const params  = [];
+
+            if (filter.from !== undefined && filter.from !== null) {
+                clauses.push('f.ts_us >= ?');
+                params.push(filter.from * USEC_PER_MS);
+            }
+            if (filter.to !== undefined && filter.to !== null) {
+                clauses.push('f.ts_us <= ?');
+                params.push(filter.to * USEC_PER_MS);
+            }
+            if (filter.idMin !== undefined && filter.idMin !== null) {
+                clauses.push('f.can_id >= ?');
+                params.push(filter.idMin);
+            }
+            if (filter.idMax !== undefined && filter.idMax !== null) {
+                clauses.push('f.can_id <= ?');
+                params.push(filter.idMax);
+            }
+            if (filter.category) {
+                clauses.push('d.category = ?');
+                params.push(filter.category);
+            }
+            if (filter.nodeId) {
+                clauses.push('f.node_id = ?');
+                params.push(filter.nodeId.toLowerCase());
+            }
+            if (filter.direction) {
+                clauses.push('f.direction = ?');
+                params.push(filter.direction);
+            }
+
+            const limit = Math.max(1, Math.min(maxLimit, parseInt(filter.limit, 10) || DEFAULT_QUERY_LIMIT));
+            const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+            const rows = db.prepare(`
+                SELECT f.id, f.ts_us, f.can_id, f.dlc, f.data, f.direction, f.node_id,
+                       d.name, d.category
+                FROM frame_capture f
+                LEFT JOIN message_definitions d ON d.id_dec = f.can_id
+                ${where}
+                ORDER BY f.ts_us ASC
+                LIMIT ${limit}
+            `).all(...params);
+
+            return rows.map(r => ({
+                id:        r.id,
+                timestamp: r.ts_us / USEC_PER_MS,
+                tsUs:      r.ts_us,
+                canId:     r.can_id,
+                name:      r.name || 'UNKNOWN',
+                category:  r.category || '',
+                dlc:       r.dlc,
+                data:      [...r.data],
+                direction: r.direction,
+                nodeId:    r.node_id
+            }));
+        },
+
+        prune,
+        flush,
+
+        /** Writes pending frames and stops the background timers */
+        close() {
+            clearInterval(flushTimer);
+            clearInterval(pruneTimer);
+            flush();
+        }
+    };
+}
@@ -0,0 +1,183 @@
+/**
+ * Manual sending of single frames.
+ *
+ * A frame is composed either from the fields of its message definition
+ * (the grouped CSV byte labels) or from raw hex. Both are checked against
+ * the definition's DLC, and field values against the range their bytes can
+ * hold, before the frame is sent. Every sent frame is logged in SQLite with
+ * the name the sender entered and the address of their connection.
+ */
+import { FIELD_TYPES } from './frame_decoder.js';
+
+/* === Constants === */
+
+/** Highest standard (11-bit) CAN ID */
+const CAN_MAX_STD_ID = 0x7FF;
+
+/** Maximum payload of a classic CAN frame */
+const CAN_MAX_DLC = 8;
+
+/** Number of bits in a byte */
+const BITS_PER_BYTE = 8;
+
+/** Base 16 for hexadecimal formatting */
+const HEX_BASE = 16;
+
+/** Hex characters per byte */
+const HEX_BYTE_LENGTH = 2;
+
+/** Default number of sent frames returned by getSent() */
+const DEFAULT_SENT_LIMIT = 100;
+
+/** Sender recorded when no name is given */
+const ANONYMOUS_SENDER = 'anonymous';
+
+/* === Functions === */
+
+/**
+ * Parses a field value as a non-negative integer.
+ * Hex field types take hex digits; other fields take decimal or 0x-prefixed hex.
+ * @returns {bigint} The value.
+ * @throws {Error} If the value is not an integer.
+ */
+function parseFieldValue(field, value) {
+    const text = String(value === undefined || value === null ? '' : value).trim();
+    const isHex = field.type === FIELD_TYPES.NODE_ID || field.type === FIELD_TYPES.HEX;
+
+    if (isHex && /^(0x)?[0-9a-f]+$/i.test(text)) return BigInt(text.startsWith('0x') ? text : `0x${text}`);
+    if (!isHex && /^\d+$/.test(text)) return BigInt(text);
+    if (!isHex && /^0x[0-9a-f]+$/i.test(text)) return BigInt(text);
+
+    throw new Error(`"${field.name}" needs ${isHex ? 'a hex' : 'an integer'} value, got "${text}"`);
+}
+
+/**
+ * Encodes field values into a payload of the definition's DLC.
+ * Bytes not covered by a field (reserved or unlabelled) are sent as zero.
+ * @param {Object} definition - { name, dlc, fields }
+ * @param {Array} values - One value per field, in layout order.
+ * @returns {number[]} Payload bytes.
+ * @throws {Error} If a value is missing, malformed or out of range.
+ */
+function encodeFields(definition, values) {
+    const data = new Array(definition.dlc).fill(0);
+
+    definition.fields.forEach((field, i) => {
+        if (field.startByte === undefined) {
+            throw new Error(`${definition.name} has DBC signals; send it as raw hex`);
+        }
+
+        const value = parseFieldValue(field, values[i]);
+        const max   = (1n << BigInt(field.length * BITS_PER_BYTE)) - 1n;
+        if (value > max) {
+            throw new Error(`"${field.name}" must be between 0 and ${max}, got ${value}`);
+        }
+
+        for (let b = 0; b < field.length; b++) {
+            const shift = BigInt((field.length - 1 - b) * BITS_PER_BYTE);
+            data[field.startByte + b] = Number((value >> shift) & 0xFFn);
+        }
+    });
+    return data;
+}
+
+/**
+ * Parses raw hex into payload bytes; spaces between bytes are allowed.
+ * @throws {Error} If the text is not whole hex bytes or longer than a CAN frame.
+ */
+function parseRawHex(hex) {
+    const text = String(hex || '').replace(/\s+/g, '');
+    if (!/^([0-9a-f]{2})*$/i.test(text)) {
+        throw new Error(`Raw data "${hex}" is not whole hex bytes`);
+    }
+
+    const data = (text.match(/../g) || []).map(byte => parseInt(byte, HEX_BASE));
+    if (data.length > CAN_MAX_DLC) {
+        throw new Error(`Raw data has ${data.length} bytes, a CAN frame holds ${CAN_MAX_DLC}`);
+    }
+    return data;
+}
+
+/**
+ * Creates the frame composer on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Function} getDefinition - Returns { name, dlc, fields } for a message ID, or undefined.
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a frame of exactly that length.
+ * @param {Function} onChange - Called after every sent frame.
+ * @returns {Object} Composer with send() and getSent().
+ */
+export function createFrameComposer(db, getDefinition, sendFrame, onChange) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS sent_frames (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            sent_at INTEGER,       /**< ms since epoch */
+            msg_id INTEGER,
+            data TEXT,             /**< Payload as upper-case hex */
+            mode TEXT,             /**< 'fields' or 'raw' */
+            sender TEXT,           /**< Name entered in the composer */
+            address TEXT           /**< Remote address of the sender's connection */
+        );
+    `);
+
+    const insertSent = db.prepare(`
+        INSERT INTO sent_frames (sent_at, msg_id, data, mode, sender, address) VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    const selectSent = db.prepare(`SELECT * FROM sent_frames ORDER BY id DESC LIMIT ?`);
+
+    return {
+        /**
+         * Validates and sends one frame, then logs it.
+         * @param {Object} frame - { msgId, values[] } to compose from the definition's fields, or { msgId, hex }.
+         * @param {Object} sender - { name, address }
+         * @returns {number[]} The payload that was sent.
+         * @throws {Error} If the frame does not match its definition or cannot be sent.
+         */
+        send(frame, sender) {
+            const msgId = Number(frame.msgId);
+            if (!Number.isInteger(msgId) || msgId < 0 || msgId > CAN_MAX_STD_ID) {
+                throw new Error(`Invalid message ID "${frame.msgId}"`);
+            }
+
+            const definition = getDefinition(msgId);
+            const isRaw = frame.hex !== undefined;
+            let data;
+
+            if (isRaw) {
+                data = parseRawHex(frame.hex);
+                if (definition && data.length !== definition.dlc) {
+                    throw new Error(`${definition.name} has a DLC of ${definition.dlc}, the raw data has ${data.length} bytes`);
+                }
+            } else {
+                if (!definition) throw new Error(`0x${msgId.toString(HEX_BASE).toUpperCase()} has no definition; send it as raw hex`);
+                data = encodeFields(definition, frame.values || []);
+            }
+
+            sendFrame(msgId, data);
+
+            const name = (sender.name || '').trim() || ANONYMOUS_SENDER;
+            const hex  = data.map(b => b.toString(HEX_BASE).padStart(HEX_BYTE_LENGTH, '0')).join('').toUpperCase();
+            insertSent.run(Date.now(), msgId, hex, isRaw ? 'raw' : 'fields', name, sender.address || null);
+            console.log(`Frame ${msgId.toString(HEX_BASE).toUpperCase()}#${hex} sent by ${name}`);
+
+            onChange();
+            return data;
+        },
+
+        /**
+         * Returns the most recently sent frames, newest first.
+         * @param {number} limit - Maximum number of frames.
+         * @returns {Object[]} { id, sentAt, msgId, data, mode, sender, address }
+         */
+        getSent(limit = DEFAULT_SENT_LIMIT) {
+            return selectSent.all(limit).map(row => ({
+                id:      row.id,
+                sentAt:  row.sent_at,
+                msgId:   row.msg_id,
+                data:    row.data,
+                mode:    row.mode,
+                sender:  row.sender,
+                address: row.address
+            }));
+        }
+    };
+}
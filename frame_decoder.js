@@ -0,0 +1,194 @@
+/**
+ * Field-level decoding of CAN frames.
+ *
+ * Field layouts come from the message definitions: CSV sourced messages are
+ * described by their D0-D7 byte labels, DBC sourced messages by their signals.
+ * Layouts are computed once at import time and stored with the definition,
+ * so decoding a live frame only slices bytes.
+ */
+import { groupByteLabels } from './can_dbc.js';
+
+/* === Constants === */
+
+/** Field types, selecting how a value is presented */
+export const FIELD_TYPES = {
+    NODE_ID:   'nodeId',    /**< 32-bit node ID shown as hex */
+    TIMESTAMP: 'timestamp', /**< Unix time in seconds shown as a date */
+    HEX:       'hex',       /**< Identifiers and checksums shown as hex */
+    UINT:      'uint',      /**< Unsigned big-endian integer */
+    SIGNAL:    'signal'     /**< DBC signal with scaling and unit */
+};
+
+/** Byte labels matched to a field type; anything else is an unsigned integer */
+const LABEL_TYPES = [
+    { pattern: /^node id$/,                     type: FIELD_TYPES.NODE_ID },
+    { pattern: /unixtime/,                      type: FIELD_TYPES.TIMESTAMP },
+    { pattern: /crc|msg_?\s?id|remote id/,      type: FIELD_TYPES.HEX }
+];
+
+/** Number of bits in a byte */
+const BITS_PER_BYTE = 8;
+
+/** Largest field readable as a plain number; longer fields use BigInt */
+const MAX_SAFE_FIELD_BYTES = 6;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Base 16 for hexadecimal formatting */
+const HEX_BASE = 16;
+
+/** Hex characters per byte */
+const HEX_BYTE_LENGTH = 2;
+
+/* === Layout === */
+
+/**
+ * Returns the field type for a CSV byte label.
+ * @param {string} label - Lower-case byte label.
+ */
+function classifyLabel(label) {
+    const match = LABEL_TYPES.find(entry => entry.pattern.test(label));
+    return match ? match.type : FIELD_TYPES.UINT;
+}
+
+/**
+ * Builds the field layout of a CSV sourced message.
+ * @param {string[]} labels - D0-D7 labels.
+ * @param {number} dlc - Message length.
+ * @returns {Object[]} Fields as { name, type, startByte, length }.
+ */
+export function fieldsFromByteLabels(labels, dlc) {
+    return groupByteLabels(labels, dlc).map(group => ({
+        name:      group.label,
+        type:      classifyLabel(group.label),
+        startByte: group.startByte,
+        length:    group.length
+    }));
+}
+
+/**
+ * Builds the field layout of a DBC sourced message.
+ * @param {Object[]} signals - Signals returned by parseDbc.
+ * @returns {Object[]} Fields as { name, type, startBit, bitLength, byteOrder, signed, factor, offset, unit }.
+ */
+export function fieldsFromSignals(signals) {
+    return signals.map(sig => ({
+        name:      sig.name,
+        type:      FIELD_TYPES.SIGNAL,
+        startBit:  sig.startBit,
+        bitLength: sig.bitLength,
+        byteOrder: sig.byteOrder,
+        signed:    sig.signed,
+        factor:    sig.factor,
+        offset:    sig.offset,
+        unit:      sig.unit
+    }));
+}
+
+/* === Decoding === */
+
+/**
+ * Reads an unsigned big-endian integer.
+ * @returns {number|bigint} The value; BigInt for fields over 6 bytes.
+ */
+function readUIntBE(data, start, length) {
+    if (length <= MAX_SAFE_FIELD_BYTES) {
+        return Buffer.from(data).readUIntBE(start, length);
+    }
+
+    let value = 0n;
+    for (let i = start; i < start + length; i++) {
+        value = (value << BigInt(BITS_PER_BYTE)) | BigInt(data[i]);
+    }
+    return value;
+}
+
+/**
+ * Extracts the raw value of a DBC signal.
+ * Intel signals count bits upwards from the LSB; Motorola signals start at
+ * the MSB and continue into the next byte at bit 7.
+ */
+function readSignal(data, field) {
+    let value = 0n;
+    let bit   = field.startBit;
+
+    if (field.byteOrder === 'little') {
+        for (let i = field.bitLength - 1; i >= 0; i--) {
+            const pos = field.startBit + i;
+            const set = (data[Math.floor(pos / BITS_PER_BYTE)] >> (pos % BITS_PER_BYTE)) & 1;
+            value = (value << 1n) | BigInt(set);
+        }
+    } else {
+        for (let i = 0; i < field.bitLength; i++) {
+            const set = (data[Math.floor(bit / BITS_PER_BYTE)] >> (bit % BITS_PER_BYTE)) & 1;
+            value = (value << 1n) | BigInt(set);
+            bit = (bit % BITS_PER_BYTE === 0) ? bit + (2 * BITS_PER_BYTE - 1) : bit - 1;
+        }
+    }
+
+    if (field.signed && (value >> BigInt(field.bitLength - 1)) & 1n) {
+        value -= 1n << BigInt(field.bitLength);
+    }
+    return Number(value);
+}
+
+/**
+ * Formats a number as zero-padded upper-case hex.
+ */
+function toHex(value, byteLength) {
+    return value.toString(HEX_BASE).toUpperCase().padStart(byteLength * HEX_BYTE_LENGTH, '0');
+}
+
+/**
+ * Decodes one field into its display form.
+ * @returns {{name: string, value: string}|null} Null if the frame is too short.
+ */
+function decodeField(field, data) {
+    if (field.type === FIELD_TYPES.SIGNAL) {
+        const lastByte = Math.floor(field.startBit / BITS_PER_BYTE) +
+            Math.ceil(field.bitLength / BITS_PER_BYTE) - 1;
+        if (lastByte >= data.length) return null;
+
+        const physical = readSignal(data, field) * field.factor + field.offset;
+        const rounded  = Number(physical.toPrecision(12)); /**< Hide float noise from the factor */
+        return { name: field.name, value: field.unit ? `${rounded} ${field.unit}` : String(rounded) };
+    }
+
+    if (field.startByte + field.length > data.length) return null;
+
+    const raw = readUIntBE(data, field.startByte, field.length);
+    let value;
+
+    switch (field.type) {
+        case FIELD_TYPES.NODE_ID:
+            value = toHex(raw, field.length).toLowerCase();
+            break;
+        case FIELD_TYPES.TIMESTAMP:
+            value = new Date(Number(raw) * MS_PER_SECOND).toISOString();
+            break;
+        case FIELD_TYPES.HEX:
+            value = '0x' + toHex(raw, field.length);
+            break;
+        default:
+            value = raw.toString();
+    }
+    return { name: field.name, value };
+}
+
+/**
+ * Decodes a frame into named fields.
+ * @param {Object[]|undefined} fields - Field layout of the message, if defined.
+ * @param {number[]|Buffer} data - Frame payload.
+ * @returns {Object[]} Decoded fields as { name, value }, in payload order.
+ */
+export function decodeFrame(fields, data) {
+    if (!fields) return [];
+
+    const decoded = [];
+    for (const field of fields) {
+        const result = decodeField(field, data);
+        if (result) decoded.push(result);
+    }
+    return decoded;
+}
@@ -1,10 +1,32 @@
-import can from 'socketcan';
 import { WebSocketServer } from 'ws';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
 
 import * as CAN_MSG from './can_constants.js';
+import { createCanChannel, isSimulatedInterface, simulatedBus } from './can_transport.js';
+import { loadFleet, startNodeEmulator } from './node_emulator.js';
+import { createLogReplay } from './log_replay.js';
+import { createFrameCapture, decodeNodeId } from './frame_capture.js';
+import { createBusStatistics } from './bus_statistics.js';
+import { createBusHealth } from './bus_health.js';
+import { createNodePresence } from './node_presence.js';
+import { createNodePoller } from './node_poller.js';
+import { createAlarmManager } from './alarm_manager.js';
+import { createTelemetryHistorian } from './telemetry_historian.js';
+import { createOutputControl } from './output_control.js';
+import { createLightingControl } from './lighting_control.js';
+import { createDisplayControl } from './display_control.js';
+import { createColorpickerLists } from './colorpicker_lists.js';
+import { createLinkGraph } from './link_graph.js';
+import { createButtonAssignments } from './button_assignments.js';
+import { createRulesEngine } from './rules_engine.js';
+import { createScheduler } from './scheduler.js';
+import { createFrameComposer } from './frame_composer.js';
+import { EXPORT_FORMATS, writeCanLog } from './can_log_formats.js';
+import { generateDbc, parseDbc, signalsToByteLabels } from './can_dbc.js';
+import { decodeFrame, fieldsFromByteLabels, fieldsFromSignals, FIELD_TYPES } from './frame_decoder.js';
+import { checkPersonalityConfig, computeConfigCrc, getOrderedSubModules, packByteSeven } from './node_config.js';
 import console from 'console';
 import Database from 'better-sqlite3';
 
@@ -13,6 +35,9 @@ import Database from 'better-sqlite3';
 
 /* === CSV Import Constants === */
 
+/** Messages CSV exported from the project spreadsheet */
+const MESSAGES_CSV_PATH = './can bus messages - Messages.csv';
+
 /** Number of rows to skip (5 spacer lines + 1 header line) */
 const CSV_HEADER_OFFSET = 6;
 
@@ -28,6 +53,12 @@ const CSV_COL_ID_HEX = 3;
 /** Column index for the Data Length Code (DLC) */
 const CSV_COL_DLC = 4;
 
+/** Column index of the D0 byte label; D1-D7 follow */
+const CSV_COL_D0 = 5;
+
+/** Column index for the specified message rate in Hz */
+const CSV_COL_MSG_RATE = 13;
+
 /** Column index for the human-readable constant name (c def) */
 const CSV_COL_NAME = 14;
 
@@ -43,11 +74,84 @@ const DEFAULT_DLC = 8;
 /** Memory cache for high-speed message name lookups */
 const messageLookup = new Map();
 
+/** Memory cache of decoded field layouts, keyed by message ID */
+const fieldLookup = new Map();
+
+/** Memory cache of specified message rates in Hz, keyed by message ID */
+const rateLookup = new Map();
+
+/** Interval for pushing per-ID bus statistics to clients */
+const STATS_INTERVAL = 1000;
+
 /** Standard port for web traffic */
-const HTTP_PORT = 3000;
+const HTTP_PORT = parseInt(process.env.HTTP_PORT, 10) || 3000;
 
 /** Port for CAN data stream */
-const WS_PORT = 8080;
+const WS_PORT = parseInt(process.env.WS_PORT, 10) || 8080;
+
+/** Meta tag in index.html that tells the client which port the WebSocket server uses */
+const WS_PORT_META = /<meta name="ws-port" content="\d*">/;
+
+/** SQLite database file */
+const CAN_DB_PATH = process.env.CAN_DB_PATH || 'can_management.db';
+
+/** CAN interface to open: "can0", a vcan interface, or "sim" for the in-process bus */
+const CAN_INTERFACE = process.env.CAN_INTERFACE || 'can0';
+
+/** Seconds of silence before a node is shown as stale */
+const NODE_STALE_SECONDS = parseFloat(process.env.NODE_STALE_SECONDS) || 90;
+
+/** Seconds of silence before a node is shown as offline */
+const NODE_OFFLINE_SECONDS = parseFloat(process.env.NODE_OFFLINE_SECONDS) || 300;
+
+/** Seconds between two node health poll requests */
+const NODE_POLL_SECONDS = parseFloat(process.env.NODE_POLL_SECONDS) || 2;
+
+/** Seconds a node has to answer a health poll */
+const NODE_POLL_TIMEOUT_SECONDS = parseFloat(process.env.NODE_POLL_TIMEOUT_SECONDS) || 1;
+
+/** Seconds without a repeat of an error frame before its alarm is cleared */
+const ALARM_CLEAR_SECONDS = parseFloat(process.env.ALARM_CLEAR_SECONDS) || 30;
+
+/** Nominal bitrate of the bus in bit/s, used to estimate bus load */
+const CAN_BITRATE = parseInt(process.env.CAN_BITRATE, 10) || 500000;
+
+/** Optional fleet description emulated on the simulated bus */
+const CAN_FLEET = process.env.CAN_FLEET;
+
+/** Location for sunrise and sunset schedules, in decimal degrees (north and east positive) */
+const SCHEDULE_LATITUDE  = parseFloat(process.env.SCHEDULE_LATITUDE);
+const SCHEDULE_LONGITUDE = parseFloat(process.env.SCHEDULE_LONGITUDE);
+
+/** Maximum number of frames kept in the capture store */
+const CAPTURE_MAX_FRAMES = parseInt(process.env.CAPTURE_MAX_FRAMES, 10) || 1000000;
+
+/** Maximum age of captured frames in hours */
+const CAPTURE_MAX_AGE_HOURS = parseFloat(process.env.CAPTURE_MAX_AGE_HOURS) || 168;
+
+/** Retention of raw sensor samples in hours */
+const TELEMETRY_RAW_HOURS = parseFloat(process.env.TELEMETRY_RAW_HOURS) || 24;
+
+/** Retention of 1-minute sensor aggregates in days */
+const TELEMETRY_MINUTE_DAYS = parseFloat(process.env.TELEMETRY_MINUTE_DAYS) || 30;
+
+/** Retention of 1-hour sensor aggregates in days */
+const TELEMETRY_HOUR_DAYS = parseFloat(process.env.TELEMETRY_HOUR_DAYS) || 365;
+
+/** Optional JSON file mapping sensor message names to { unit, scale }, overriding the assumed units */
+const TELEMETRY_UNITS = process.env.TELEMETRY_UNITS;
+
+/** Maximum number of frames in a single capture export */
+const EXPORT_MAX_FRAMES = 500000;
+
+/** Factor to convert seconds to microseconds */
+const USEC_PER_SECOND = 1000000;
+
+/** Factor to convert hours to milliseconds */
+const MS_PER_HOUR = 3600000;
+
+/** Factor to convert days to hours */
+const HOURS_PER_DAY = 24;
 
 /** Standard CAN frame data length */
 const CAN_STD_DLC = 8;
@@ -112,6 +216,9 @@ const SUBMOD_RAW1_OFFSET = 6;
 /** Third of three raw config bytes for sub-module */
 const SUBMOD_RAW2_OFFSET = 7;
 
+/** Offset of the configuration fields in the personality frames 0x438 - 0x43F */
+const PERSONALITY_CFG_OFFSET = SUBMOD_RAW0_OFFSET;
+
 /** Number of raw config bytes */
 const SUBMOD_RAW_CFG_BYTES = 3;
 
@@ -148,6 +255,45 @@ const maxReqIntro = 1800000;
 /** Milliseconds between sending timestamp messages */
 const sendTsInterval = 10000;
 
+/** Milliseconds to wait for a node to confirm an NVS write */
+const PERSIST_TIMEOUT = 5000;
+
+/** Milliseconds a display has to acknowledge a DISPLAY_DATA_MSG chunk */
+const DISPLAY_ACK_TIMEOUT_MS = 500;
+
+/** Times an unacknowledged display chunk is sent again */
+const DISPLAY_MAX_RETRIES = 3;
+
+/** Milliseconds a colorpicker has to send its whole remote list */
+const COLORPICKER_LIST_TIMEOUT = 3000;
+
+/** Milliseconds a rule's webhook has to answer */
+const RULE_WEBHOOK_TIMEOUT = 5000;
+
+/**
+ * Maps sub-module personalities (intro message IDs) to the configuration
+ * frame that carries their personality-specific settings (0x438 - 0x43F).
+ * Personalities not listed here only receive CFG_SUB_RAW_DATA.
+ */
+const PERSONALITY_CFG_MSG = {
+    [CAN_MSG.DISP_STROBE_MODULE_ID]:         CAN_MSG.CFG_BLINK_OUTPUT_ID,
+    [CAN_MSG.DISP_ANALOG_LED_STRIP_ID]:      CAN_MSG.CFG_ANALOG_STRIP_ID,
+    [CAN_MSG.DISP_ARGB_BUTTON_BACKLIGHT_ID]: CAN_MSG.CFG_ARGB_STRIP_ID,
+    [CAN_MSG.DISP_ARGB_LED_STRIP_ID]:        CAN_MSG.CFG_ARGB_STRIP_ID,
+    [CAN_MSG.INPUT_DIGITAL_GPIO_ID]:         CAN_MSG.CFG_DIGITAL_INPUT_ID,
+    [CAN_MSG.INPUT_MOTION_DET_ID]:           CAN_MSG.CFG_DIGITAL_INPUT_ID,
+    [CAN_MSG.INPUT_CAP_TOUCH_ID]:            CAN_MSG.CFG_DIGITAL_INPUT_ID,
+    [CAN_MSG.INPUT_ANALOG_ADC_ID]:           CAN_MSG.CFG_ANALOG_INPUT_ID,
+    [CAN_MSG.INPUT_ANALOG_KNOB_ID]:          CAN_MSG.CFG_ANALOG_INPUT_ID,
+    [CAN_MSG.OUT_HIGH_CURRENT_SW_ID]:        CAN_MSG.CFG_DIGITAL_OUTPUT_ID,
+    [CAN_MSG.OUT_LOW_CURRENT_SW_ID]:         CAN_MSG.CFG_DIGITAL_OUTPUT_ID,
+    [CAN_MSG.OUT_OPEN_DRAIN_ID]:             CAN_MSG.CFG_DIGITAL_OUTPUT_ID,
+    [CAN_MSG.OUT_MECH_RELAY_ID]:             CAN_MSG.CFG_DIGITAL_OUTPUT_ID,
+    [CAN_MSG.OUT_GPIO_DIGITAL_ID]:           CAN_MSG.CFG_DIGITAL_OUTPUT_ID,
+    [CAN_MSG.OUT_GPIO_DAC_ID]:               CAN_MSG.CFG_ANALOG_OUTPUT_ID,
+    [CAN_MSG.OUT_GPIO_PWM_ID]:               CAN_MSG.CFG_PWM_OUTPUT_ID
+};
+
 /* === State and Initialization === */
 
 /** In-memory database for CAN messages */
@@ -159,14 +305,23 @@ let lastReqIntro = 0;
 /** Timestamp of last "timestamp" message */
 let lastTsMsg = 0;
 
+/** NVS writes awaiting confirmation, keyed by node ID string */
+const pendingPersists = new Map();
+
+/** Replays recorded bus logs through the same path as live frames */
+const logReplay = createLogReplay(
+    (msg) => handleCanFrame(msg),
+    (status) => broadcast({ type: 'REPLAY_STATUS', payload: status })
+);
+
 /** SQLite database for tracking CAN modules and messages */
-const db = new Database('can_management.db');
+const db = new Database(CAN_DB_PATH);
 
 /** WebSocket Server */
 const wss = new WebSocketServer({ port: WS_PORT });
 
 /** CAN Bus Setup */
-const channel = can.createRawChannel("can0", true);
+const channel = await createCanChannel(CAN_INTERFACE);
 
 /* === Setup === */
 
@@ -181,8 +336,16 @@ const interval = setInterval(() => {
     });
 }, HEARTBEAT_INTERVAL);
 
-// 1. Static HTTP Server to serve HTML/JS files
+// 1. Static HTTP Server to serve HTML/JS files and capture exports
 const server = http.createServer((req, res) => {
+    const requestUrl = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (requestUrl.pathname === '/export') {
+        return handleExportRequest(requestUrl.searchParams, res);
+    }
+    if (requestUrl.pathname === '/dbc') {
+        return handleDbcRequest(res);
+    }
+
     let filePath = req.url === '/' ? './index.html' : `.${req.url}`;
     const extname = path.extname(filePath);
     
@@ -194,6 +357,9 @@ const server = http.createServer((req, res) => {
             res.writeHead(404);
             res.end('File not found');
         } else {
+            if (filePath === './index.html') {
+                content = content.toString('utf-8').replace(WS_PORT_META, `<meta name="ws-port" content="${WS_PORT}">`);
+            }
             res.writeHead(200, { 'Content-Type': contentType });
             res.end(content, 'utf-8');
         }
@@ -205,9 +371,11 @@ server.listen(HTTP_PORT, () => {
     console.log(`Web UI available at http://cancontrol:${HTTP_PORT}`);
 });
 
-wss.on('connection', (ws) => {
+wss.on('connection', (ws, req) => {
     /** Set initial liveness for the heartbeat cleanup logic */
     ws.isAlive = true;
+    /** Recorded with manually sent frames */
+    ws.remoteAddress = req.socket.remoteAddress;
     ws.on('pong', () => { ws.isAlive = true; });
 
     
@@ -228,6 +396,71 @@ wss.on('connection', (ws) => {
         }));
     
         broadcastAuditLog();
+
+        ws.send(JSON.stringify({
+            type: 'REPLAY_STATUS',
+            payload: logReplay.getStatus()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'NODE_PRESENCE',
+            payload: nodePresence.getAll()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'NODE_HEALTH',
+            payload: nodePoller.getAll()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'ALARM_UPDATE',
+            payload: alarmManager.getRecent()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'OUTPUT_STATE',
+            payload: outputControl.getAll()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'LIGHTING_STATE',
+            payload: { strips: lightingControl.getStates(), scenes: lightingControl.listScenes() }
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'DISPLAY_TRANSFERS',
+            payload: displayControl.getTransfers()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'COLORPICKER_LISTS',
+            payload: colorpickerLists.getAll()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'LINK_GRAPH',
+            payload: { links: linkGraph.getLinks(), removals: linkGraph.getRemovals() }
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'BUTTON_ASSIGNMENTS',
+            payload: { bindings: buttonAssignments.getBindings(), lastEvents: buttonAssignments.getLastEvents() }
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'RULES',
+            payload: { rules: rulesEngine.getRules(), firings: rulesEngine.getFirings() }
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'SCHEDULES',
+            payload: schedulePayload()
+        }));
+
+        ws.send(JSON.stringify({
+            type: 'SENT_FRAMES',
+            payload: frameComposer.getSent()
+        }));
     }
 
    ws.on('message', (message) => {
@@ -238,12 +471,164 @@ wss.on('connection', (ws) => {
                 case 'UPDATE_NODE_CONFIG':
                     handleNodeConfigUpdate(ws, request);
                     break;
-                
+
+                case 'SAVE_TO_BUS':
+                    if (request.nodeId) {
+                        persistNodeToBus(ws, request.nodeId);
+                    }
+                    break;
+
                 case 'SAVE_AUDIT_COMMENT':
                     upsertComment.run(request.auditId, request.comment, Date.now());
                     broadcastAuditLog(); /**< Refresh all clients with the new comment */
                     break;
+                case 'ACKNOWLEDGE_ALARM':
+                    alarmManager.acknowledge(request.alarmId, request.note);
+                    break;
+
+                case 'CLEAR_ALARM':
+                    alarmManager.clear(request.alarmId);
+                    break;
+
+                case 'SAVE_ALARM_NOTE':
+                    alarmManager.saveNote(request.alarmId, request.note);
+                    break;
+
+                case 'OUTPUT_COMMAND':
+                    try {
+                        outputControl.command(request.nodeId, parseInt(request.switchId, 10),
+                            request.command, request.value);
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'OUTPUT_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'DISPLAY_COMMAND':
+                    try {
+                        displayControl.command(request.nodeId, parseInt(request.displayId, 10),
+                            request.command, request.value);
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'DISPLAY_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'DISPLAY_TEXT':
+                    try {
+                        displayControl.pushText(request.nodeId, parseInt(request.displayId, 10),
+                            parseInt(request.fieldId, 10), request.text);
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'DISPLAY_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'READ_COLORPICKER_LIST':
+                case 'COMMIT_COLORPICKER_LIST':
+                    try {
+                        if (request.type === 'READ_COLORPICKER_LIST') {
+                            colorpickerLists.read(request.nodeId, Boolean(request.fromNvs));
+                        } else {
+                            colorpickerLists.commit(request.nodeId, request.members);
+                        }
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'COLORPICKER_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'ADD_LINK':
+                case 'REMOVE_LINK':
+                    try {
+                        if (request.type === 'ADD_LINK') {
+                            linkGraph.addLink(request.link);
+                        } else {
+                            linkGraph.removeLink(request.linkId);
+                        }
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'LINK_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'BIND_BUTTON':
+                case 'UNBIND_BUTTON':
+                    try {
+                        if (request.type === 'BIND_BUTTON') {
+                            buttonAssignments.bind(request.binding);
+                        } else {
+                            buttonAssignments.unbind(request.bindingId);
+                        }
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'BUTTON_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'SAVE_RULE':
+                case 'DELETE_RULE':
+                case 'ENABLE_RULE':
+                    try {
+                        if (request.type === 'SAVE_RULE') {
+                            rulesEngine.saveRule(request.rule);
+                        } else if (request.type === 'DELETE_RULE') {
+                            rulesEngine.deleteRule(request.ruleId);
+                        } else {
+                            rulesEngine.setEnabled(request.ruleId, Boolean(request.enabled));
+                        }
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'RULE_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'SEND_FRAME':
+                    try {
+                        frameComposer.send(request.frame, { name: request.sender, address: ws.remoteAddress });
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'FRAME_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'SAVE_SCHEDULE':
+                case 'DELETE_SCHEDULE':
+                case 'ENABLE_SCHEDULE':
+                    try {
+                        if (request.type === 'SAVE_SCHEDULE') {
+                            scheduler.saveSchedule(request.schedule);
+                        } else if (request.type === 'DELETE_SCHEDULE') {
+                            scheduler.deleteSchedule(request.scheduleId);
+                        } else {
+                            scheduler.setEnabled(request.scheduleId, Boolean(request.enabled));
+                        }
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'SCHEDULE_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'PUSH_LINKS':
+                    pushLinks(ws);
+                    break;
+
+                case 'LIGHTING_COMMAND':
+                case 'SAVE_LIGHTING_SCENE':
+                case 'RECALL_LIGHTING_SCENE':
+                case 'DELETE_LIGHTING_SCENE':
+                    try {
+                        handleLightingRequest(request);
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'LIGHTING_ERROR', error: err.message }));
+                    }
+                    break;
                 /* Add other message types here as needed */
+                case 'IMPORT_DBC':
+                    try {
+                        const result = importDbcDefinitions(request.fileName, request.content, request.conflictMode);
+                        ws.send(JSON.stringify({ type: 'DBC_IMPORT_RESULT', payload: result }));
+                        broadcast({ type: 'DEFINITIONS_LIST', payload: selectAllDefinitions.all() });
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'DBC_IMPORT_ERROR', error: err.message }));
+                    }
+                    break;
+                case 'RESET_STATS':
+                    busStatistics.reset();
+                    busHealth.reset();
+                    broadcast({ type: 'STATS_UPDATE', payload: busStatistics.snapshot() });
+                    break;
                 case 'GET_DEFINITIONS':
                     ws.send(JSON.stringify({
                         type: 'DEFINITIONS_LIST',
@@ -276,6 +661,56 @@ wss.on('connection', (ws) => {
                         console.log(`Sent REQ_NODE_INTRO (0x401) to node: ${nodeString}`);
                     }
                     break;
+                case 'QUERY_CAPTURE':
+                    ws.send(JSON.stringify({
+                        type: 'CAPTURE_RESULT',
+                        query: request.filter,
+                        payload: frameCapture.query(request.filter)
+                    }));
+                    break;
+
+                case 'QUERY_TELEMETRY':
+                    try {
+                        ws.send(JSON.stringify({
+                            type: 'TELEMETRY_SERIES',
+                            payload: telemetryHistorian.query(request.query || {})
+                        }));
+                    } catch (err) {
+                        ws.send(JSON.stringify({ type: 'TELEMETRY_ERROR', error: err.message }));
+                    }
+                    break;
+
+                case 'LIST_TELEMETRY_SERIES':
+                    ws.send(JSON.stringify({
+                        type: 'TELEMETRY_SERIES_LIST',
+                        payload: telemetryHistorian.listSeries()
+                    }));
+                    break;
+
+                case 'REPLAY_LOAD':
+                    try {
+                        logReplay.load(request.fileName, request.content);
+                        console.log(`Loaded replay log ${request.fileName}: ${logReplay.getStatus().total} frames`);
+                    } catch (err) {
+                        console.error('Failed to load replay log:', err.message);
+                        ws.send(JSON.stringify({
+                            type: 'REPLAY_ERROR',
+                            message: err.message
+                        }));
+                    }
+                    break;
+
+                case 'REPLAY_CONTROL':
+                    switch (request.action) {
+                        case 'play':  logReplay.play(request.speed); break;
+                        case 'pause': logReplay.pause();             break;
+                        case 'step':  logReplay.step();              break;
+                        case 'stop':  logReplay.stop();              break;
+                        default:
+                            console.warn(`Unknown replay action: ${request.action}`);
+                    }
+                    break;
+
                 default:
                     console.warn(`Unknown message type: ${request.type}`);
             }
@@ -285,7 +720,10 @@ wss.on('connection', (ws) => {
     });
 });
 
-wss.on('close', () => clearInterval(interval));
+wss.on('close', () => {
+    clearInterval(interval);
+    clearInterval(statsInterval);
+});
 
 /** * Database setup
  * Initialize SQLite tables. 
@@ -337,10 +775,21 @@ db.exec(`
         name TEXT,
         dlc INTEGER,
         category TEXT,
-        description TEXT
+        description TEXT,
+        byte_labels TEXT,    /**< JSON array of the D0-D7 labels */
+        signals TEXT,        /**< JSON array of DBC signals, for DBC sourced definitions */
+        fields TEXT,         /**< JSON array of the decoded field layout */
+        msg_rate REAL,       /**< Specified message rate in Hz */
+        source TEXT          /**< 'csv' or 'dbc:<file name>' */
     );
 `);
 
+addColumnIfMissing('message_definitions', 'byte_labels', 'TEXT');
+addColumnIfMissing('message_definitions', 'signals', 'TEXT');
+addColumnIfMissing('message_definitions', 'source', 'TEXT');
+addColumnIfMissing('message_definitions', 'fields', 'TEXT');
+addColumnIfMissing('message_definitions', 'msg_rate', 'REAL');
+
 /** Fetch 20 most recent audits joined with their comments */
 const selectRecentAudit = db.prepare(`
     SELECT a.id, a.timestamp, a.node_id, a.sub_idx, a.field, a.old_value, a.new_value, c.comment_text 
@@ -359,15 +808,15 @@ const upsertComment = db.prepare(`
         updated_at = excluded.updated_at
 `);
 
+/** is_active is left to the presence tracker; a new node starts active through the column default */
 const insertInventory = db.prepare(`
-    INSERT INTO node_inventory (node_id, node_type_msg, sub_mod_cnt, config_crc, first_seen, last_seen, is_active, full_data)
-    VALUES (?, ?, ?, ?, ?, ?, 1, ?)
+    INSERT INTO node_inventory (node_id, node_type_msg, sub_mod_cnt, config_crc, first_seen, last_seen, full_data)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
     ON CONFLICT(node_id) DO UPDATE SET 
         node_type_msg = excluded.node_type_msg,
         sub_mod_cnt   = excluded.sub_mod_cnt,
         config_crc    = excluded.config_crc,
         last_seen     = excluded.last_seen,
-        is_active     = 1,
         full_data     = excluded.full_data
 `);
 
@@ -376,19 +825,174 @@ const insertAudit = db.prepare(`
     VALUES (?, ?, ?, ?, ?)
 `);
 
-/** Fetch all definitions for the UI dropdowns */
+/** Fetch all definitions for the UI dropdowns and the frame composer */
 const selectAllDefinitions = db.prepare(`
-    SELECT id_dec, id_hex, name, category, description 
+    SELECT id_dec, id_hex, name, dlc, category, description, source, msg_rate, fields
     FROM message_definitions 
     ORDER BY id_dec ASC
 `);
 
+/** Fetch all definitions with their byte layout for DBC generation */
+const selectDbcDefinitions = db.prepare(`
+    SELECT id_dec, id_hex, name, dlc, category, description, byte_labels, signals
+    FROM message_definitions
+    ORDER BY id_dec ASC
+`);
+
+/** Fetch the field layouts for the decoding cache */
+const selectDefinitionFields = db.prepare(`
+    SELECT id_dec, fields FROM message_definitions WHERE fields IS NOT NULL
+`);
+
+/** Fetch the CSV byte labels of a personality configuration frame */
+const selectDefinitionLabels = db.prepare(`
+    SELECT name, byte_labels FROM message_definitions WHERE id_dec = ?
+`);
+
+/** Fetch the layout of one message for the frame composer */
+const selectComposerDefinition = db.prepare(`
+    SELECT name, dlc, fields FROM message_definitions WHERE id_dec = ?
+`);
+
+/** Look up the current owner of a message ID before a DBC import */
+const selectDefinitionSource = db.prepare(`
+    SELECT id_dec, name, source FROM message_definitions WHERE id_dec = ?
+`);
+
+/** List the IDs a DBC file defined in an earlier import */
+const selectDefinitionsBySource = db.prepare(`
+    SELECT id_dec, id_hex, name FROM message_definitions WHERE source = ?
+`);
+
+/** Remove a definition that is no longer in its DBC file */
+const deleteDefinition = db.prepare(`
+    DELETE FROM message_definitions WHERE id_dec = ? AND source = ?
+`);
+
+/** Insert or overwrite a DBC sourced definition */
+const upsertDbcDefinition = db.prepare(`
+    INSERT OR REPLACE INTO message_definitions
+        (id_dec, id_hex, name, dlc, category, description, byte_labels, signals, fields, source)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+`);
+
 /** * Prepared statement for snapshots */
 const insertHistorySnapshot = db.prepare(`
     INSERT INTO node_history (node_id, node_type_msg, sub_mod_cnt, config_crc, recorded_at, full_data)
     VALUES (?, ?, ?, ?, ?, ?)
 `);
 
+/** Persistent store of received and transmitted frames */
+const frameCapture = createFrameCapture(db, {
+    maxFrames: CAPTURE_MAX_FRAMES,
+    maxAgeMs:  CAPTURE_MAX_AGE_HOURS * MS_PER_HOUR
+});
+
+/** Raw, 1-minute and 1-hour history of sensor data messages */
+const telemetryHistorian = createTelemetryHistorian(db, {
+    rawRetentionMs:    TELEMETRY_RAW_HOURS * MS_PER_HOUR,
+    minuteRetentionMs: TELEMETRY_MINUTE_DAYS * HOURS_PER_DAY * MS_PER_HOUR,
+    hourRetentionMs:   TELEMETRY_HOUR_DAYS * HOURS_PER_DAY * MS_PER_HOUR,
+    sensorUnits:       TELEMETRY_UNITS ? JSON.parse(fs.readFileSync(TELEMETRY_UNITS, 'utf8')) : {}
+}, (id) => fieldLookup.get(id));
+
+/** Live per-ID and node rate statistics of received frames, compared against the specified message rates */
+const busStatistics = createBusStatistics((id) => messageLookup.has(id)
+    ? { name: messageLookup.get(id), msgRate: rateLookup.get(id), perNode: startsWithNodeId(fieldLookup.get(id)) }
+    : undefined);
+
+/** Online / stale / offline tracking of every known node */
+const nodePresence = createNodePresence(db, {
+    staleMs:   NODE_STALE_SECONDS * MS_PER_SECOND,
+    offlineMs: NODE_OFFLINE_SECONDS * MS_PER_SECOND
+}, () => broadcast({ type: 'NODE_PRESENCE', payload: nodePresence.getAll() }));
+
+/** Round-robin REQ_NODECHECK / REQ_HEALTHCHECK polling of every known node */
+const nodePoller = createNodePoller(db, {
+    intervalMs: NODE_POLL_SECONDS * MS_PER_SECOND,
+    timeoutMs:  NODE_POLL_TIMEOUT_SECONDS * MS_PER_SECOND,
+    getNodes:   () => Object.keys(canDatabase).filter(nodeId => !canDatabase[nodeId].replayed)
+}, (requestId, nodeId) => writeCanMessageBE(requestId, hexStringToByteArray(nodeId)),
+   () => broadcast({ type: 'NODE_HEALTH', payload: nodePoller.getAll() }));
+
+/** Alarms raised by CANERR frames */
+const alarmManager = createAlarmManager(db, {
+    clearMs: ALARM_CLEAR_SECONDS * MS_PER_SECOND
+}, (id) => messageLookup.get(id) || 'UNKNOWN',
+   () => broadcast({ type: 'ALARM_UPDATE', payload: alarmManager.getRecent() }));
+
+/** Switch commands to output sub-modules and their last commanded state */
+const outputControl = createOutputControl(db,
+    (nodeId, switchId) => canDatabase[nodeId] && canDatabase[nodeId].subModule[switchId],
+    (msgId, data) => writeCanMessageBE(msgId, data),
+    () => broadcast({ type: 'OUTPUT_STATE', payload: outputControl.getAll() }));
+
+/** LED strip color, brightness, effect and power, and lighting scenes */
+const lightingControl = createLightingControl(db,
+    (nodeId, stripId) => canDatabase[nodeId] && canDatabase[nodeId].subModule[stripId],
+    (msgId, data) => writeCanMessageBE(msgId, data),
+    () => broadcastLighting());
+
+/** Display commands and chunked text transfers to display sub-modules */
+const displayControl = createDisplayControl({
+    ackTimeoutMs: DISPLAY_ACK_TIMEOUT_MS,
+    maxRetries:   DISPLAY_MAX_RETRIES
+}, (nodeId, displayId) => canDatabase[nodeId] && canDatabase[nodeId].subModule[displayId],
+   (msgId, data) => writeCanMessageBE(msgId, data),
+   () => broadcast({ type: 'DISPLAY_TRANSFERS', payload: displayControl.getTransfers() }));
+
+/** Remote node lists of colorpicker nodes */
+const colorpickerLists = createColorpickerLists(db, {
+    timeoutMs: COLORPICKER_LIST_TIMEOUT
+}, (msgId, data) => writeCanMessageBE(msgId, data),
+   () => broadcast({ type: 'COLORPICKER_LISTS', payload: colorpickerLists.getAll() }));
+
+/** Producer / consumer links between sub-modules */
+const linkGraph = createLinkGraph(db, () => canDatabase, () => {
+    broadcast({ type: 'LINK_GRAPH', payload: { links: linkGraph.getLinks(), removals: linkGraph.getRemovals() } });
+    broadcastButtonAssignments(); /**< Node bindings show the state of their link */
+});
+
+/** Input events bound to output and LED strip actions */
+const buttonAssignments = createButtonAssignments(db, () => canDatabase,
+    { outputControl, lightingControl, linkGraph },
+    () => broadcastButtonAssignments());
+
+/** Automation rules evaluated against every live frame */
+const rulesEngine = createRulesEngine(db, {
+    webhookTimeoutMs: RULE_WEBHOOK_TIMEOUT
+}, (msg) => decodeFrame(fieldLookup.get(msg.id), msg.data), {
+    sendFrame:  (msgId, data) => writeCanMessageBE(msgId, data),
+    raiseAlarm: (nodeId, msgId, message, data) => alarmManager.raise(nodeId, msgId, message, data)
+}, () => broadcast({ type: 'RULES', payload: { rules: rulesEngine.getRules(), firings: rulesEngine.getFirings() } }));
+
+/** Frames sent on cron, sunrise and sunset schedules */
+const scheduler = createScheduler(db, {
+    latitude:  SCHEDULE_LATITUDE,
+    longitude: SCHEDULE_LONGITUDE
+}, (msgId, data) => writeCanMessageBE(msgId, data),
+   () => broadcast({ type: 'SCHEDULES', payload: schedulePayload() }));
+
+/** One-off frames sent from the composer */
+const frameComposer = createFrameComposer(db, (msgId) => {
+    const def = selectComposerDefinition.get(msgId);
+    return def ? { name: def.name, dlc: def.dlc, fields: def.fields ? JSON.parse(def.fields) : [] } : undefined;
+}, (msgId, data) => writeCanFrame(msgId, data),
+   () => broadcast({ type: 'SENT_FRAMES', payload: frameComposer.getSent() }));
+
+/** Error frames, controller state and bus load */
+const busHealth = createBusHealth(CAN_BITRATE);
+
+/** Push statistics and bus health to connected clients */
+const statsInterval = setInterval(() => {
+    busHealth.sampleLoad();
+
+    if (wss.clients.size > 0) {
+        broadcast({ type: 'STATS_UPDATE', payload: busStatistics.snapshot() });
+        broadcast({ type: 'BUS_HEALTH', payload: busHealth.snapshot() });
+    }
+}, STATS_INTERVAL);
+
 /* === Functions === */
 
 /**
@@ -410,6 +1014,132 @@ function broadcastDatabase() {
     }
 }
 
+/**
+ * Rebuilds the in-memory name, rate and field layout caches from the definitions table.
+ */
+function loadMessageLookup() {
+    messageLookup.clear();
+    rateLookup.clear();
+    for (const def of selectAllDefinitions.all()) {
+        messageLookup.set(def.id_dec, def.name);
+        if (def.msg_rate) rateLookup.set(def.id_dec, def.msg_rate);
+    }
+
+    fieldLookup.clear();
+    for (const def of selectDefinitionFields.all()) {
+        fieldLookup.set(def.id_dec, JSON.parse(def.fields));
+    }
+}
+
+/**
+ * True if a field layout starts with a node id in bytes 0-3, as the CSV labels
+ * messages sent per node. DBC layouts carry no node id.
+ * @param {Object[]|undefined} fields - Layout from fieldLookup.
+ */
+function startsWithNodeId(fields) {
+    return Boolean(fields && fields[0] && fields[0].type === FIELD_TYPES.NODE_ID && fields[0].startByte === 0);
+}
+
+/**
+ * Imports message definitions from a third-party DBC file.
+ * IDs already defined by another source (the CSV or a different DBC) are
+ * conflicts: with conflictMode 'skip' the existing definition is kept, with
+ * 'replace' the DBC definition wins. Re-importing the same file overwrites
+ * its own definitions and removes the ones the file no longer contains; CSV
+ * rows those had replaced are restored from the CSV.
+ * Definitions are keyed by standard 11-bit ID, so extended (29-bit) messages
+ * are rejected rather than stored under a colliding standard ID.
+ * @param {string} fileName - Original file name, recorded as the source.
+ * @param {string} text - DBC file contents.
+ * @param {string} conflictMode - 'skip' (default) or 'replace'.
+ * @returns {Object} { fileName, imported, skipped[], replaced[], rejected[], removed[] }
+ */
+function importDbcDefinitions(fileName, text, conflictMode = 'skip') {
+    const source   = `dbc:${fileName}`;
+    const messages = parseDbc(text);
+    const result   = { fileName, imported: 0, skipped: [], replaced: [], rejected: [], removed: [] };
+
+    if (!messages.length) {
+        throw new Error(`No messages found in ${fileName}`);
+    }
+
+    /** Fallback category: the DBC file name without its extension */
+    const fileCategory = path.basename(fileName, path.extname(fileName)).toLowerCase();
+
+    /** IDs this import defines, to find the ones left over from an earlier import of the file */
+    const importedIds = new Set();
+
+    db.transaction(() => {
+        for (const msg of messages) {
+            const idHex    = '0x' + msg.id.toString(HEX_BASE).toUpperCase();
+
+            if (msg.ext || msg.id > CAN_LAST_MSG) {
+                result.rejected.push({ id: idHex, incoming: msg.name, reason: msg.ext ? 'extended ID' : 'ID above 0x7FF' });
+                continue;
+            }
+
+            const existing = selectDefinitionSource.get(msg.id);
+
+            if (existing && existing.source !== source) {
+                const conflict = { id: idHex, existing: existing.name, incoming: msg.name, source: existing.source || 'csv' };
+
+                if (conflictMode !== 'replace') {
+                    result.skipped.push(conflict);
+                    continue;
+                }
+                result.replaced.push(conflict);
+            }
+
+            upsertDbcDefinition.run(
+                msg.id,
+                idHex,
+                msg.name,
+                msg.dlc,
+                msg.category || msg.transmitter.toLowerCase() || fileCategory,
+                msg.comment,
+                JSON.stringify(signalsToByteLabels(msg.signals, msg.dlc)),
+                JSON.stringify(msg.signals),
+                JSON.stringify(fieldsFromSignals(msg.signals)),
+                source
+            );
+            importedIds.add(msg.id);
+            result.imported++;
+        }
+
+        for (const row of selectDefinitionsBySource.all(source)) {
+            if (importedIds.has(row.id_dec)) continue;
+
+            deleteDefinition.run(row.id_dec, source);
+            result.removed.push({ id: row.id_hex, existing: row.name, source });
+        }
+    })();
+
+    /* Bring back CSV rows that a removed definition had replaced; this also reloads messageLookup */
+    if (result.removed.length) {
+        importMessageDefinitions(MESSAGES_CSV_PATH);
+    } else {
+        loadMessageLookup();
+    }
+    console.log(`Imported ${result.imported} message definitions from ${fileName} ` +
+        `(${result.skipped.length} skipped, ${result.replaced.length} replaced, ` +
+        `${result.rejected.length} rejected, ${result.removed.length} removed).`);
+    return result;
+}
+
+/**
+ * Adds a column to an existing table if an older database lacks it.
+ * CREATE TABLE IF NOT EXISTS does not alter tables that already exist.
+ * @param {string} table - Table name.
+ * @param {string} column - Column name.
+ * @param {string} type - SQLite column type.
+ */
+function addColumnIfMissing(table, column, type) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+    }
+}
+
 /**
  * Imports message definitions from the Google Sheets CSV.
  * Handles the multi-line header and specific column mapping of the source file.
@@ -423,9 +1153,16 @@ function importMessageDefinitions(filePath) {
         /** Skip the metadata and header rows to reach raw data */
         const dataLines = lines.slice(CSV_HEADER_OFFSET);
 
+        /** DBC definitions that replaced a CSV row keep precedence across restarts */
         const insertStmt = db.prepare(`
-            INSERT OR REPLACE INTO message_definitions (id_dec, id_hex, name, dlc, category, description)
-            VALUES (?, ?, ?, ?, ?, ?)
+            INSERT INTO message_definitions (id_dec, id_hex, name, dlc, category, description, byte_labels, fields, msg_rate, source)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'csv')
+            ON CONFLICT(id_dec) DO UPDATE SET
+                id_hex = excluded.id_hex, name = excluded.name, dlc = excluded.dlc,
+                category = excluded.category, description = excluded.description,
+                byte_labels = excluded.byte_labels, fields = excluded.fields,
+                msg_rate = excluded.msg_rate, source = 'csv'
+            WHERE source IS NULL OR source = 'csv'
         `);
 
         db.transaction(() => {
@@ -444,23 +1181,94 @@ function importMessageDefinitions(filePath) {
                     const dlc      = parseInt(cols[CSV_COL_DLC]) || DEFAULT_DLC;
                     const category = cols[CSV_COL_CATEGORY].trim();
                     const desc     = cols[CSV_COL_DESCRIPTION].trim();
+                    const labels   = cols.slice(CSV_COL_D0, CSV_COL_D0 + CAN_STD_DLC).map(l => l.trim());
+                    const msgRate  = parseFloat(cols[CSV_COL_MSG_RATE]) || null;
 
                     if (!isNaN(idDec)) {
-                        insertStmt.run(idDec, idHex, name, dlc, category, desc);
-                        
-                        /** Update memory cache for O(1) lookup during live CAN feed */
-                        messageLookup.set(idDec, name);
+                        const fields = fieldsFromByteLabels(labels, dlc);
+                        insertStmt.run(idDec, idHex, name, dlc, category, desc,
+                            JSON.stringify(labels), JSON.stringify(fields), msgRate);
                     }
                 }
             }
         })();
 
+        /** Update memory cache for O(1) lookup during live CAN feed, including DBC sourced IDs */
+        loadMessageLookup();
         console.log(`Imported ${messageLookup.size} message definitions from CSV.`);
     } catch (err) {
         console.error("Failed to import message definitions:", err.message);
     }
 }
 
+/**
+ * Sends a message object to all connected clients.
+ * @param {Object} message - Message with a 'type' property, serialized to JSON.
+ */
+function broadcast(message) {
+    const payload = JSON.stringify(message);
+
+    for (const client of wss.clients) {
+        if (client.readyState === client.OPEN) {
+            client.send(payload);
+        }
+    }
+}
+
+/**
+ * Broadcasts LED strip settings and lighting scenes to all connected clients.
+ */
+function broadcastLighting() {
+    broadcast({
+        type: 'LIGHTING_STATE',
+        payload: { strips: lightingControl.getStates(), scenes: lightingControl.listScenes() }
+    });
+}
+
+/**
+ * Broadcasts the button bindings and the last event of every input to all connected clients.
+ */
+function broadcastButtonAssignments() {
+    broadcast({
+        type: 'BUTTON_ASSIGNMENTS',
+        payload: { bindings: buttonAssignments.getBindings(), lastEvents: buttonAssignments.getLastEvents() }
+    });
+}
+
+/**
+ * Returns the schedules with their upcoming and past runs, and whether sun triggers are available.
+ */
+function schedulePayload() {
+    return {
+        schedules:   scheduler.getSchedules(),
+        upcoming:    scheduler.getUpcoming(),
+        runs:        scheduler.getRuns(),
+        hasLocation: Number.isFinite(SCHEDULE_LATITUDE) && Number.isFinite(SCHEDULE_LONGITUDE)
+    };
+}
+
+/**
+ * Dispatches the lighting panel requests to the lighting control.
+ * @param {Object} request - LIGHTING_COMMAND, SAVE_LIGHTING_SCENE, RECALL_LIGHTING_SCENE or DELETE_LIGHTING_SCENE.
+ * @throws {Error} If the lighting control rejects the request.
+ */
+function handleLightingRequest(request) {
+    switch (request.type) {
+        case 'LIGHTING_COMMAND':
+            lightingControl.apply(request.nodeId, parseInt(request.stripId, 10), request.settings);
+            break;
+        case 'SAVE_LIGHTING_SCENE':
+            lightingControl.saveScene(request.name, request.strips);
+            break;
+        case 'RECALL_LIGHTING_SCENE':
+            lightingControl.recallScene(request.sceneId);
+            break;
+        case 'DELETE_LIGHTING_SCENE':
+            lightingControl.deleteScene(request.sceneId);
+            break;
+    }
+}
+
 /**
  * Broadcasts the 20 most recent audit logs to all connected clients.
  */
@@ -546,19 +1354,19 @@ function getSubModuleHistory(nodeId, subIdx) {
 /**
  * Processes an incoming configuration update from the client editor.
  * Compares incoming data with in-memory data to prevent redundant updates.
+ * @param {WebSocket} ws - The client that sent the update.
  * @param {Object} msg - The parsed WebSocket message object.
  */
-function handleNodeConfigUpdate(msg) {
+function handleNodeConfigUpdate(ws, msg) {
     const { nodeId, configTarget, subModIdx, payload } = msg;
 
-    // Assuming your in-memory database is called `nodeDatabase`
-    if (!nodeDatabase[nodeId]) {
+    if (!canDatabase[nodeId]) {
         console.warn(`[Config Update] Node ${nodeId} not found in database.`);
         return;
     }
 
     let hasChanges = false;
-    const targetNode = nodeDatabase[nodeId];
+    const targetNode = canDatabase[nodeId];
 
     if (configTarget === 'PARENT') {
         // Compare parent fields
@@ -612,7 +1420,7 @@ function handleNodeConfigUpdate(msg) {
     /** * 3. Atomic Database Sync and History Snapshot
      */
     if (hasChanged) {
-        nodeData.lastSeen = Date.now(); 
+        targetNode.lastSeen = Date.now();
 
         try {
             /* Execute inventory update and history snapshot in a single synchronous transaction */
@@ -621,12 +1429,12 @@ function handleNodeConfigUpdate(msg) {
                 syncNodeToDatabase(id, info); 
                 // This inserts the 'historical' row
                 insertHistorySnapshot.run(
-                    id, info.nodeTypeMsg, info.subModCnt, info.config_crc, Date.now(), JSON.stringify(info.subModule)
+                    id, info.nodeTypeMsg, info.subModCnt, info.configCrc, Date.now(), JSON.stringify(info.subModule)
                 );
             });
 
             /** Record the transaction in database */
-            updateTransaction(nodeId, nodeData);
+            updateTransaction(nodeId, targetNode);
 
             /** Send updated log to connected WS clients */
             broadcastAuditLog();
@@ -645,6 +1453,325 @@ function handleNodeConfigUpdate(msg) {
     }
 }
 
+/**
+ * Builds the ordered list of frames that write a node's in-memory
+ * configuration to the bus, ending with CFG_WRITE_NVS.
+ * @param {string} nodeString - Hex string of the target Node ID.
+ * @param {Object} nodeData - The in-memory node object.
+ * @param {number} crc - The expected configuration CRC.
+ * @returns {Array<{id: number, data: number[]}>} Frames in transmit order.
+ * @throws {Error} If configuration bytes do not fit the fields of their personality frame.
+ */
+function buildPersistFrames(nodeString, nodeData, crc) {
+    const nodeIdBytes = hexStringToByteArray(nodeString);
+    const frames = [];
+
+    /* Parent node type */
+    frames.push({
+        id: CAN_MSG.CFG_NODE_INTRO_MSG_ID,
+        data: [...nodeIdBytes,
+               (nodeData.nodeTypeMsg >> SHIFT_BYTE) & BYTE_MASK,
+               nodeData.nodeTypeMsg & BYTE_MASK,
+               nodeData.nodeTypeDlc]
+    });
+
+    for (const subMod of getOrderedSubModules(nodeData)) {
+        const idx       = subMod.subModIdx;
+        const rawConfig = subMod.rawConfig || [0, 0, 0];
+
+        /* Sub-module personality */
+        frames.push({
+            id: CAN_MSG.CFG_SUB_INTRO_MSG_ID,
+            data: [...nodeIdBytes, idx,
+                   (subMod.introMsgId >> SHIFT_BYTE) & BYTE_MASK,
+                   subMod.introMsgId & BYTE_MASK,
+                   subMod.introMsgDlc || INTRO_MSG_DLC]
+        });
+
+        /* Sub-module data message */
+        frames.push({
+            id: CAN_MSG.CFG_SUB_DATA_MSG_ID,
+            data: [...nodeIdBytes, idx,
+                   (subMod.dataMsgId >> SHIFT_BYTE) & BYTE_MASK,
+                   subMod.dataMsgId & BYTE_MASK,
+                   packByteSeven(subMod.dataMsgDlc, subMod.saveState)]
+        });
+
+        /* Raw configuration bytes */
+        frames.push({
+            id: CAN_MSG.CFG_SUB_RAW_DATA_ID,
+            data: [...nodeIdBytes, idx, ...rawConfig]
+        });
+
+        /* Personality-specific configuration, same byte layout as the raw data */
+        const personalityMsg = PERSONALITY_CFG_MSG[subMod.introMsgId];
+        if (personalityMsg) {
+            const def = selectDefinitionLabels.get(personalityMsg);
+            if (def && def.byte_labels) {
+                checkPersonalityConfig(`Sub-module ${idx} ${def.name}`,
+                    JSON.parse(def.byte_labels).slice(PERSONALITY_CFG_OFFSET), rawConfig);
+            }
+            frames.push({
+                id: personalityMsg,
+                data: [...nodeIdBytes, idx, ...rawConfig]
+            });
+        }
+    }
+
+    /* Commit to NVS */
+    frames.push({
+        id: CAN_MSG.CFG_WRITE_NVS_ID,
+        data: [...nodeIdBytes, (crc >> SHIFT_BYTE) & BYTE_MASK, crc & BYTE_MASK]
+    });
+
+    return frames;
+}
+
+/**
+ * Writes a node's in-memory configuration to the bus and waits for the node
+ * to confirm through DATA_CONFIG_CRC or reject through DATA_CFGWRITE_FAILED.
+ * @param {WebSocket} ws - The client that requested the write.
+ * @param {string} nodeString - Hex string of the target Node ID.
+ */
+function persistNodeToBus(ws, nodeString) {
+    const nodeData = canDatabase[nodeString];
+
+    if (!nodeData) {
+        sendPersistResult(ws, nodeString, false, null, 'Node not found in database');
+        return;
+    }
+
+    if (pendingPersists.has(nodeString)) {
+        sendPersistResult(ws, nodeString, false, null, 'A write to this node is already in progress');
+        return;
+    }
+
+    const expectedCrc = computeConfigCrc(nodeData);
+    let frames;
+    try {
+        frames = buildPersistFrames(nodeString, nodeData, expectedCrc);
+    } catch (err) {
+        sendPersistResult(ws, nodeString, false, null, err.message);
+        return;
+    }
+
+    const timer = setTimeout(() => {
+        finishPersist(nodeString, false, null, 'Timed out waiting for node to confirm NVS write');
+    }, PERSIST_TIMEOUT);
+
+    pendingPersists.set(nodeString, { ws, expectedCrc, timer });
+
+    try {
+        frames.forEach(frame => writeCanMessageBE(frame.id, frame.data));
+        console.log(`Sent ${frames.length} config frames to node ${nodeString}, CRC 0x${expectedCrc.toString(16)}`);
+    } catch (err) {
+        finishPersist(nodeString, false, null, `CAN write failed: ${err.message}`);
+    }
+}
+
+/**
+ * Pushes links that are not on the bus yet: sets the data message of every
+ * linked consumer sub-module to its producer's message, records the change
+ * in the audit log and writes each affected node to NVS. Links are marked
+ * pushed when the node confirms the write.
+ * @param {WebSocket} ws - The client that requested the push.
+ */
+function pushLinks(ws) {
+    for (const nodeString of linkGraph.getPendingNodes()) {
+        const nodeData = canDatabase[nodeString];
+        if (!nodeData) {
+            sendPersistResult(ws, nodeString, false, null, 'Node not found in database');
+            continue;
+        }
+
+        let hasChanges = false;
+        for (const [subIdx, msgId] of Object.entries(linkGraph.getAssignments(nodeString))) {
+            const subModule = nodeData.subModule[subIdx];
+            if (subModule && subModule.dataMsgId !== msgId) {
+                logManualChange(nodeString, Number(subIdx), 'dataMsgId', subModule.dataMsgId, msgId);
+                subModule.dataMsgId = msgId;
+                hasChanges = true;
+            }
+        }
+
+        if (hasChanges) {
+            nodeData.lastSeen = Date.now();
+            recordNodeSnapshot(nodeString, nodeData);
+        }
+        persistNodeToBus(ws, nodeString);
+    }
+
+    broadcastAuditLog();
+    broadcastDatabase();
+}
+
+/**
+ * Matches DATA_CONFIG_CRC and DATA_CFGWRITE_FAILED frames against pending NVS writes.
+ * The CRC layout of computeConfigCrc() is not checked against real firmware
+ * yet, so a DATA_CONFIG_CRC that differs from the expected CRC still confirms
+ * the write; the result only marks the CRC as unverified.
+ * @param {Object} msg - The received CAN message.
+ */
+function handlePersistResponse(msg) {
+    if (msg.id !== CAN_MSG.DATA_CONFIG_CRC_ID && msg.id !== CAN_MSG.DATA_CFGWRITE_FAILED_ID) {
+        return;
+    }
+    if (msg.data.length < NODE_ID_BYTE_LENGTH + 2) return;
+
+    const nodeString = toHexString(getNodeId(msg));
+    const pending    = pendingPersists.get(nodeString);
+    if (!pending) return;
+
+    const reportedCrc = (msg.data[NODE_ID_BYTE_LENGTH] << SHIFT_BYTE) |
+                        (msg.data[NODE_ID_BYTE_LENGTH + 1] & BYTE_MASK);
+
+    const crcText = `sent 0x${pending.expectedCrc.toString(16)}, node reported 0x${reportedCrc.toString(16)}`;
+
+    if (msg.id === CAN_MSG.DATA_CFGWRITE_FAILED_ID) {
+        finishPersist(nodeString, false, reportedCrc, `Node reported NVS write failure (CRC ${crcText})`);
+    } else if (reportedCrc !== pending.expectedCrc) {
+        finishPersist(nodeString, true, reportedCrc, `CRC unverified: ${crcText}`, false);
+    } else {
+        finishPersist(nodeString, true, reportedCrc, null, true);
+    }
+}
+
+/**
+ * Completes a pending NVS write, updates the inventory on success and notifies the client.
+ * @param {string} nodeString - Hex string of the target Node ID.
+ * @param {boolean} success - True if the node confirmed the write.
+ * @param {number|null} crc - The CRC reported by the node, if any.
+ * @param {string|null} reason - Failure description, or why the CRC is unverified.
+ * @param {boolean} crcVerified - True if the node reported the CRC the server computed.
+ */
+function finishPersist(nodeString, success, crc, reason, crcVerified = false) {
+    const pending = pendingPersists.get(nodeString);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingPersists.delete(nodeString);
+
+    if (success) {
+        const nodeData = canDatabase[nodeString];
+        nodeData.configCrc = crc;
+        recordNodeSnapshot(nodeString, nodeData);
+        linkGraph.markPushed(nodeString);
+        broadcastDatabase();
+        if (crcVerified) {
+            console.log(`Node ${nodeString} confirmed NVS write, CRC 0x${crc.toString(16)}`);
+        } else {
+            console.warn(`Node ${nodeString} confirmed NVS write, ${reason}`);
+        }
+    } else {
+        console.warn(`NVS write to node ${nodeString} failed: ${reason}`);
+    }
+
+    sendPersistResult(pending.ws, nodeString, success, crc, reason, crcVerified);
+}
+
+/**
+ * Sends the outcome of a SAVE_TO_BUS request to the requesting client.
+ */
+function sendPersistResult(ws, nodeString, success, crc, reason, crcVerified = false) {
+    if (ws.readyState !== ws.OPEN) return;
+
+    ws.send(JSON.stringify({
+        type: 'PERSIST_RESULT',
+        nodeId: nodeString,
+        success: success,
+        crc: crc,
+        crcVerified: crcVerified,
+        reason: reason
+    }));
+}
+
+/**
+ * Serves captured frames as a downloadable log file.
+ * Query parameters: format (a key of EXPORT_FORMATS), from, to (ms since epoch),
+ * idMin, idMax (hex), category, nodeId, direction and limit.
+ * @param {URLSearchParams} params - Parsed query string.
+ * @param {http.ServerResponse} res - The HTTP response.
+ */
+function handleExportRequest(params, res) {
+    const format = params.get('format') || 'candump';
+    const exportFormat = EXPORT_FORMATS[format];
+
+    if (!exportFormat) {
+        res.writeHead(400);
+        res.end(`Unsupported export format: ${format}`);
+        return;
+    }
+
+    /** Returns a numeric query parameter, or null if it is absent */
+    const numberParam = (name, base) => {
+        const val = params.get(name);
+        if (!val) return null;
+        return base === HEX_BASE ? parseInt(val, HEX_BASE) : Number(val);
+    };
+
+    try {
+        const rows = frameCapture.query({
+            from:      numberParam('from'),
+            to:        numberParam('to'),
+            idMin:     numberParam('idMin', HEX_BASE),
+            idMax:     numberParam('idMax', HEX_BASE),
+            category:  params.get('category'),
+            nodeId:    params.get('nodeId'),
+            direction: params.get('direction'),
+            limit:     numberParam('limit') || EXPORT_MAX_FRAMES
+        }, EXPORT_MAX_FRAMES);
+
+        /* Convert to the log frame shape, annotated with the message names */
+        const frames = rows.map(r => ({
+            time:   r.tsUs / USEC_PER_SECOND,
+            id:     r.canId,
+            rtr:    false,
+            dir:    r.direction === 'tx' ? 'Tx' : 'Rx',
+            data:   r.data,
+            name:   messageLookup.get(r.canId) || 'UNKNOWN',
+            nodeId: r.nodeId
+        }));
+
+        const content  = writeCanLog(format, frames, CAN_INTERFACE);
+        const fileName = `capture-${new Date().toISOString().replace(/[:.]/g, '-')}${exportFormat.extension}`;
+
+        res.writeHead(200, {
+            'Content-Type': exportFormat.mimeType,
+            'Content-Disposition': `attachment; filename="${fileName}"`
+        });
+        res.end(content);
+        console.log(`Exported ${frames.length} frames as ${format}`);
+    } catch (err) {
+        console.error('Capture export failed:', err.message);
+        res.writeHead(500);
+        res.end('Export failed');
+    }
+}
+
+/**
+ * Serves a DBC file generated from the current message definitions.
+ * @param {http.ServerResponse} res - The HTTP response.
+ */
+function handleDbcRequest(res) {
+    try {
+        const definitions = selectDbcDefinitions.all().map(d => ({
+            ...d,
+            byte_labels: d.byte_labels ? JSON.parse(d.byte_labels) : [],
+            signals:     d.signals ? JSON.parse(d.signals) : []
+        }));
+
+        res.writeHead(200, {
+            'Content-Type': 'text/plain',
+            'Content-Disposition': 'attachment; filename="can_control.dbc"'
+        });
+        res.end(generateDbc(definitions));
+    } catch (err) {
+        console.error('DBC generation failed:', err.message);
+        res.writeHead(500);
+        res.end('DBC generation failed');
+    }
+}
+
 /**
  * Constructs an 8-byte CAN payload:
  * Bytes 0-3: Zeroed (Reserved/Padding)
@@ -674,7 +1801,25 @@ function writeCanMessageBE(id, dataArray) {
         }
     });
 
+    sendCanBuffer(id, buffer);
+}
+
+/**
+ * Sends a frame with exactly the given payload, without padding it to 8 bytes.
+ * @param {number} id - CAN arbitration ID.
+ * @param {number[]} dataArray - Payload bytes, at most 8.
+ */
+function writeCanFrame(id, dataArray) {
+    sendCanBuffer(id, Buffer.from(dataArray));
+}
+
+/**
+ * Transmits a frame and records it in the capture and bus health.
+ */
+function sendCanBuffer(id, buffer) {
     channel.send({ id: id, data: buffer });
+    frameCapture.record({ id: id, data: buffer }, 'tx');
+    busHealth.recordFrame({ id: id, data: buffer });
 }
 
 function getNodeId(msg) {
@@ -767,12 +1912,15 @@ function unpackByteSeven(byteValue) {
  * Keep track of the last seen time for each node, as well as associated
  * sub-modules (identifer 0x700-0x77F). Store the sub-module configuration
  * as well as the last seen time.
+ * Replayed frames only update the in-memory database: they are never
+ * acknowledged on the bus, snapshotted or written to SQLite.
  */
 function updateNodeDatabase(msg) {
     if (msg.data.length < NODE_ID_BYTE_LENGTH) {
         return;
     }
     
+    const isLive     = msg.logTime === undefined;
     const messageId  = msg.id;
     const nodeId     = getNodeId(msg);
     const nodeString = toHexString(nodeId);
@@ -803,7 +1951,7 @@ function updateNodeDatabase(msg) {
          */
         const crcChanged = isKnownNode && myNode.configCrc !== undefined && myNode.configCrc !== incomingCrc;
 
-        if (crcChanged) {
+        if (crcChanged && isLive) {
             console.warn(`CRC mismatch detected for node ${nodeString}: 0x${myNode.configCrc.toString(16)} -> 0x${incomingCrc.toString(16)}`);
             /* Snapshot the current (old) state before we overwrite it with the new CRC data */
             recordNodeSnapshot(nodeString, myNode);
@@ -812,6 +1960,7 @@ function updateNodeDatabase(msg) {
 
         /* Update memory with the latest bus data */
         myNode.nodeId          = nodeString;
+        myNode.replayed        = !isLive && (!isKnownNode || myNode.replayed === true); /**< Only known from a log */
         myNode.lastSeen        = Date.now(); 
         myNode.nodeTypeMsg     = messageId;
         myNode.nodeTypeDlc     = INTRO_MSG_DLC;
@@ -826,12 +1975,12 @@ function updateNodeDatabase(msg) {
             myNode.introComplete = true;
 
             /** Sync the in-memory state to SQLite */
-            syncNodeToDatabase(nodeString, myNode);
+            if (isLive) syncNodeToDatabase(nodeString, myNode);
             // console.log("Node:", nodeString, "interview complete, not sending ack");
         } else {
             console.log("Node:", nodeString, "Sub-module count:", myNode.subModCnt, "CRC: ", myNode.configCrc);
             /** Acknowledge the intro message */
-            sendAckMsg(msg); 
+            if (isLive) sendAckMsg(msg);
         }
 
     } else if (messageId >= SUBMOD_INTRO_BEGIN && messageId <= SUBMOD_INTRO_END) {
@@ -909,11 +2058,11 @@ function updateNodeDatabase(msg) {
             canDatabase[nodeString].lastSubModIdx = subModIdx; 
 
             /* Sync node to database */
-            syncNodeToDatabase(nodeString, canDatabase[nodeString]);
+            if (isLive) syncNodeToDatabase(nodeString, canDatabase[nodeString]);
 
             // console.log("Node", nodeString, "sub-module", subModIdx, "interview complete");
         } 
-        sendAckMsg(msg); /**< Acknowledge the sub-module intro message */
+        if (isLive) sendAckMsg(msg); /**< Acknowledge the sub-module intro message */
     }
 }
 
@@ -933,26 +2082,75 @@ function hexStringToByteArray(hexString) {
     return bytes;
 }
 
+/**
+ * Refreshes the last-seen time of the node whose ID a frame carries.
+ * Frames whose first bytes merely look like an unknown node ID are ignored.
+ * @param {Object} msg - Frame in socketcan shape.
+ */
+function trackNodePresence(msg) {
+    const nodeString = decodeNodeId(msg.id, msg.data);
+    if (!nodeString || !canDatabase[nodeString]) return;
+
+    const now = Date.now();
+    canDatabase[nodeString].lastSeen = now;
+    nodePresence.touch(nodeString, now);
+}
+
 /* === Listeners === */
 
-/* CAN Message Listener */
-channel.addListener("onMessage", (msg) => {
+/**
+ * Processes one CAN frame through the live pipeline, whether it was
+ * received from the bus or replayed from a recorded log.
+ * @param {Object} msg - Frame in socketcan shape ({ id, data, ... }).
+ */
+function handleCanFrame(msg) {
+
+    /* Error frames carry controller state, not node traffic */
+    if (msg.err) {
+        if (busHealth.recordError(msg)) {
+            broadcast({ type: 'BUS_HEALTH', payload: busHealth.snapshot() });
+        }
+        return;
+    }
+
+    /* Store and count bus traffic; replayed frames were never on this bus */
+    if (msg.logTime === undefined) {
+        frameCapture.record(msg, 'rx');
+        telemetryHistorian.record(msg);
+        busStatistics.record(msg.id, decodeNodeId(msg.id, msg.data), Date.now());
+        busHealth.recordFrame(msg);
+    }
 
     /* Update the in-memory database */
     updateNodeDatabase(msg);
 
-    /* Send "request intro" and timestamp messages periodically */
-    handlePeroidicMessages();
+    /* Resolve pending NVS writes, match answers to pending polls, display transfers and list reads, raise alarms and run rules */
+    if (msg.logTime === undefined) {
+        /* Any live frame carrying a known node's ID shows the node is present */
+        trackNodePresence(msg);
+        handlePersistResponse(msg);
+        nodePoller.handleFrame(msg);
+        displayControl.handleFrame(msg);
+        colorpickerLists.handleFrame(msg);
+        buttonAssignments.handleFrame(msg);
+        alarmManager.handleFrame(msg);
+        rulesEngine.handleFrame(msg);
+
+        /* Send "request intro" and timestamp messages periodically */
+        handlePeroidicMessages();
+    }
 
-    /** * Decorate the payload with the human-readable name 
-     * sourced from the database lookup.
+    /** * Decorate the payload with the human-readable name and the
+     * decoded fields, both sourced from the database lookup.
      */
     const payload = JSON.stringify({
         type: 'CAN_MESSAGE',
         id: msg.id,
         name: messageLookup.get(msg.id) || 'UNKNOWN',
         data: [...msg.data],
-        timestamp: Date.now()
+        fields: decodeFrame(fieldLookup.get(msg.id), msg.data),
+        timestamp: Date.now(),
+        replayed: msg.logTime !== undefined
     });
 
     for (const client of wss.clients) {
@@ -960,10 +2158,18 @@ channel.addListener("onMessage", (msg) => {
             client.send(payload);
         }
     }
-});
+}
+
+/* CAN Message Listener */
+channel.addListener("onMessage", handleCanFrame);
 
 /** Start the CAN channel */
 channel.start();
 
+/** Populate the simulated bus with emulated nodes */
+if (isSimulatedInterface(CAN_INTERFACE) && CAN_FLEET) {
+    startNodeEmulator(simulatedBus.attach(), loadFleet(CAN_FLEET));
+}
+
 /** Initialize definitions on startup */
-importMessageDefinitions('./can bus messages - Messages.csv');
+importMessageDefinitions(MESSAGES_CSV_PATH);
@@ -0,0 +1,278 @@
+/**
+ * Lighting control of LED strip sub-modules and lighting scenes.
+ *
+ * Analog strips (DISP_ANALOG_LED_STRIP, 0x700) take a red/green/blue color;
+ * addressable strips (DISP_ARGB_LED_STRIP, 0x702) take a palette color index,
+ * for RGB or RGBW strips, and an effect index. Both take brightness and
+ * on/off. Every frame carries the node ID and the strip ID (the sub-module
+ * index). The last settings sent to each strip are kept in SQLite, and a
+ * scene stores the settings of several strips so they can be sent again
+ * together.
+ */
+import * as CAN_MSG from './can_constants.js';
+
+/* === Constants === */
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Largest value of a one-byte setting */
+const BYTE_MAX = 0xFF;
+
+/** Color modes and the frame that sets each */
+const COLOR_MSG = {
+    argb:   CAN_MSG.SET_ARGB_STRIP_COLOR_ID,   /**< Palette index, RGB strip */
+    argbw:  CAN_MSG.SET_ARGBW_STRIP_COLOR_ID,  /**< Palette index, RGBW strip */
+    analog: CAN_MSG.SET_ANALOG_STRIP_COLOR_ID  /**< Red, blue and green values */
+};
+
+/** Color modes and effect support of each strip personality */
+export const LIGHTING_PERSONALITIES = {
+    [CAN_MSG.DISP_ANALOG_LED_STRIP_ID]: { colorModes: ['analog'],        effects: false },
+    [CAN_MSG.DISP_ARGB_LED_STRIP_ID]:   { colorModes: ['argb', 'argbw'], effects: true }
+};
+
+/* === Functions === */
+
+/**
+ * Checks that a setting is an integer in 0-255.
+ * @throws {Error} If it is not.
+ */
+function checkByte(name, value) {
+    if (!Number.isInteger(value) || value < 0 || value > BYTE_MAX) {
+        throw new Error(`${name} must be 0-${BYTE_MAX}`);
+    }
+}
+
+/**
+ * Returns true if an optional numeric setting was given.
+ */
+function isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+/**
+ * Creates the lighting control on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Function} getSubModule - Returns the sub-module at (nodeId, stripId), if known.
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a command.
+ * @param {Function} onChange - Called after strip settings or scenes change.
+ * @returns {Object} Control with apply(), saveScene(), recallScene(), deleteScene(), getStates() and listScenes().
+ */
+export function createLightingControl(db, getSubModule, sendFrame, onChange) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS lighting_state (
+            node_id TEXT,
+            strip_id INTEGER,
+            power TEXT,            /**< 'on' or 'off', NULL if never switched */
+            color TEXT,            /**< JSON { mode, index } or { mode, red, green, blue } */
+            brightness INTEGER,
+            effect INTEGER,
+            updated_at INTEGER,    /**< ms since epoch */
+            PRIMARY KEY (node_id, strip_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS lighting_scenes (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE,
+            strips TEXT,           /**< JSON array of { nodeId, stripId, settings } */
+            updated_at INTEGER
+        );
+    `);
+
+    const upsertState = db.prepare(`
+        INSERT OR REPLACE INTO lighting_state (node_id, strip_id, power, color, brightness, effect, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const selectStates = db.prepare(`SELECT * FROM lighting_state`);
+
+    const upsertScene = db.prepare(`
+        INSERT INTO lighting_scenes (name, strips, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT(name) DO UPDATE SET strips = excluded.strips, updated_at = excluded.updated_at
+    `);
+
+    const selectScene  = db.prepare(`SELECT * FROM lighting_scenes WHERE id = ?`);
+    const selectScenes = db.prepare(`SELECT * FROM lighting_scenes ORDER BY name`);
+    const deleteScene  = db.prepare(`DELETE FROM lighting_scenes WHERE id = ?`);
+
+    /** Last settings per strip, keyed by "<node id>:<strip id>": { power, color, brightness, effect, updatedAt } */
+    const states = new Map();
+
+    for (const row of selectStates.all()) {
+        states.set(`${row.node_id}:${row.strip_id}`, {
+            power:      row.power,
+            color:      row.color ? JSON.parse(row.color) : null,
+            brightness: row.brightness,
+            effect:     row.effect,
+            updatedAt:  row.updated_at
+        });
+    }
+
+    /**
+     * Builds the frames for a set of strip settings, validating each against
+     * the strip's personality. Nothing is sent if any setting is invalid.
+     * @returns {Array} [msgId, dataBytes] pairs: color, effect, brightness, then power.
+     */
+    function buildFrames(nodeId, stripId, settings) {
+        const subModule   = getSubModule(nodeId, stripId);
+        const personality = subModule ? LIGHTING_PERSONALITIES[subModule.introMsgId] : undefined;
+        if (!personality) {
+            throw new Error(`Node ${nodeId} has no LED strip sub-module ${stripId}`);
+        }
+
+        const header = [...Buffer.from(nodeId, 'hex').subarray(0, NODE_ID_BYTE_LENGTH), stripId];
+        const frames = [];
+
+        if (settings.color) {
+            const color = settings.color;
+            if (!personality.colorModes.includes(color.mode)) {
+                throw new Error(`Strip ${nodeId}/${stripId} does not take ${color.mode} colors`);
+            }
+            if (color.mode === 'analog') {
+                checkByte('red', color.red);
+                checkByte('green', color.green);
+                checkByte('blue', color.blue);
+                frames.push([COLOR_MSG.analog, [...header, color.red, color.blue, color.green]]);
+            } else {
+                checkByte('color index', color.index);
+                frames.push([COLOR_MSG[color.mode], [...header, color.index]]);
+            }
+        }
+
+        if (isSet(settings.effect)) {
+            if (!personality.effects) {
+                throw new Error(`Strip ${nodeId}/${stripId} has no effects`);
+            }
+            checkByte('effect', settings.effect);
+            frames.push([CAN_MSG.SET_ADDR_STRIP_EFFECT_ID, [...header, settings.effect]]);
+        }
+
+        if (isSet(settings.brightness)) {
+            checkByte('brightness', settings.brightness);
+            frames.push([CAN_MSG.SET_LED_STRIP_BRIGHTNESS_ID, [...header, settings.brightness]]);
+        }
+
+        if (settings.power) {
+            if (settings.power !== 'on' && settings.power !== 'off') {
+                throw new Error('power must be "on" or "off"');
+            }
+            frames.push([settings.power === 'on' ? CAN_MSG.SET_LED_STRIP_ON_ID : CAN_MSG.SET_LED_STRIP_OFF_ID, header]);
+        }
+
+        return frames;
+    }
+
+    /**
+     * Sends settings to a strip and records them as its current state.
+     */
+    function applySettings(nodeId, stripId, settings) {
+        const frames = buildFrames(nodeId, stripId, settings);
+        frames.forEach(([msgId, data]) => sendFrame(msgId, data));
+
+        const key   = `${nodeId}:${stripId}`;
+        const state = { power: null, color: null, brightness: null, effect: null, ...states.get(key) };
+
+        if (settings.power)             state.power      = settings.power;
+        if (settings.color)             state.color      = settings.color;
+        if (isSet(settings.brightness)) state.brightness = settings.brightness;
+        if (isSet(settings.effect))     state.effect     = settings.effect;
+        state.updatedAt = Date.now();
+
+        states.set(key, state);
+        upsertState.run(nodeId, stripId, state.power, state.color ? JSON.stringify(state.color) : null,
+            state.brightness, state.effect, state.updatedAt);
+    }
+
+    return {
+        /**
+         * Sends color, effect, brightness and/or power settings to a strip.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {number} stripId - Sub-module index of the strip.
+         * @param {Object} settings - Any of { power, color, brightness, effect }.
+         * @throws {Error} If the strip is unknown or a setting is invalid for it.
+         */
+        apply(nodeId, stripId, settings) {
+            applySettings(nodeId, stripId, settings || {});
+            onChange();
+        },
+
+        /**
+         * Saves the current settings of several strips as a scene; a scene
+         * with the same name is replaced.
+         * @param {string} name - Scene name.
+         * @param {Object[]} strips - Strips to include: { nodeId, stripId }.
+         * @throws {Error} If the name is empty or a strip has never been set.
+         */
+        saveScene(name, strips) {
+            const sceneName = (name || '').trim();
+            if (!sceneName) throw new Error('A scene needs a name');
+            if (!strips || !strips.length) throw new Error('A scene needs at least one strip');
+
+            const entries = strips.map(strip => {
+                const nodeId  = strip.nodeId;
+                const stripId = Number(strip.stripId);
+                const state   = states.get(`${nodeId}:${stripId}`);
+                if (!state) throw new Error(`Strip ${nodeId}/${stripId} has not been set yet`);
+
+                const { updatedAt, ...settings } = state;
+                return { nodeId, stripId, settings };
+            });
+
+            upsertScene.run(sceneName, JSON.stringify(entries), Date.now());
+            onChange();
+        },
+
+        /**
+         * Sends the settings of every strip in a scene. Strips that are no
+         * longer known are skipped.
+         * @param {number} sceneId - Row ID of the scene.
+         * @throws {Error} If the scene does not exist.
+         */
+        recallScene(sceneId) {
+            const scene = selectScene.get(sceneId);
+            if (!scene) throw new Error(`Scene ${sceneId} does not exist`);
+
+            for (const { nodeId, stripId, settings } of JSON.parse(scene.strips)) {
+                try {
+                    applySettings(nodeId, stripId, settings);
+                } catch (err) {
+                    console.warn(`Scene "${scene.name}": skipped strip ${nodeId}/${stripId}: ${err.message}`);
+                }
+            }
+            onChange();
+        },
+
+        /**
+         * Deletes a scene.
+         * @param {number} sceneId - Row ID of the scene.
+         */
+        deleteScene(sceneId) {
+            deleteScene.run(sceneId);
+            onChange();
+        },
+
+        /**
+         * Returns the last settings sent to every strip.
+         * @returns {Object} Map of nodeId -> stripId -> { power, color, brightness, effect, updatedAt }.
+         */
+        getStates() {
+            const result = {};
+            for (const [key, state] of states) {
+                const [nodeId, stripId] = key.split(':');
+                result[nodeId] = result[nodeId] || {};
+                result[nodeId][stripId] = { ...state };
+            }
+            return result;
+        },
+
+        /**
+         * Returns all scenes, by name.
+         * @returns {Object[]} { id, name, strips[], updatedAt }
+         */
+        listScenes() {
+            return selectScenes.all().map(row =>
+                ({ id: row.id, name: row.name, strips: JSON.parse(row.strips), updatedAt: row.updated_at }));
+        }
+    };
+}
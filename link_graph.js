@@ -0,0 +1,266 @@
+/**
+ * Producer / consumer links between sub-modules.
+ *
+ * Input and sensor sub-modules (0x710 - 0x73F) produce their data message.
+ * Display and output sub-modules (0x700 - 0x70F, 0x740 - 0x75F) consume the
+ * message set as their data message. A link records that a consumer should
+ * act on the message of a producer. Links are pushed to a consumer node by
+ * setting the data message of each linked sub-module and writing the node
+ * configuration to NVS; a link counts as pushed once the node confirms a
+ * configuration that contains it. Removing the last link into a consumer
+ * is pushed the same way, by clearing the consumer's data message.
+ */
+
+/* === Constants === */
+
+/** First personality that produces its data message (inputs) */
+const PRODUCER_BEGIN = 0x710;
+
+/** Last personality that produces its data message (sensors) */
+const PRODUCER_END = 0x73F;
+
+/** Personalities that consume their data message */
+const CONSUMER_RANGES = [[0x700, 0x70F], [0x740, 0x75F]];
+
+/** Data message of a consumer whose links were all removed */
+const NO_DATA_MSG = 0;
+
+/** Link endpoint roles */
+export const LINK_ROLES = {
+    PRODUCER: 'producer',
+    CONSUMER: 'consumer'
+};
+
+/* === Functions === */
+
+/**
+ * Returns the link role of a sub-module personality.
+ * @param {number} introMsgId - Sub-module intro message ID.
+ * @returns {string|null} LINK_ROLES value, or null if it takes no part in links.
+ */
+export function linkRole(introMsgId) {
+    if (introMsgId >= PRODUCER_BEGIN && introMsgId <= PRODUCER_END) return LINK_ROLES.PRODUCER;
+    if (CONSUMER_RANGES.some(([begin, end]) => introMsgId >= begin && introMsgId <= end)) return LINK_ROLES.CONSUMER;
+    return null;
+}
+
+/**
+ * Creates the link graph on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Function} getNodes - Returns the in-memory node database.
+ * @param {Function} onChange - Called whenever links are added, removed or pushed.
+ * @returns {Object} Graph with addLink(), removeLink(), getLinks(), getAssignments(), getPendingNodes(), getRemovals() and markPushed().
+ */
+export function createLinkGraph(db, getNodes, onChange) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS message_links (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            producer_node TEXT,
+            producer_sub INTEGER,
+            msg_id INTEGER,        /**< Data message of the producer when linked */
+            consumer_node TEXT,
+            consumer_sub INTEGER,
+            created_at INTEGER,    /**< ms since epoch */
+            pushed_at INTEGER,     /**< NULL until the consumer node confirmed it */
+            UNIQUE (producer_node, producer_sub, consumer_node, consumer_sub)
+        );
+
+        CREATE TABLE IF NOT EXISTS message_link_removals (
+            consumer_node TEXT,
+            consumer_sub INTEGER,
+            msg_id INTEGER,        /**< Data message to clear from the consumer */
+            removed_at INTEGER,    /**< ms since epoch */
+            PRIMARY KEY (consumer_node, consumer_sub)
+        );
+    `);
+
+    const insertLink = db.prepare(`
+        INSERT INTO message_links (producer_node, producer_sub, msg_id, consumer_node, consumer_sub, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `);
+
+    const selectLink   = db.prepare(`SELECT * FROM message_links WHERE id = ?`);
+    const deleteLink   = db.prepare(`DELETE FROM message_links WHERE id = ?`);
+    const selectLinks  = db.prepare(`SELECT * FROM message_links ORDER BY msg_id, producer_node, producer_sub`);
+    const selectByConsumer = db.prepare(`
+        SELECT * FROM message_links WHERE consumer_node = ? AND consumer_sub = ?
+    `);
+    const selectByNode = db.prepare(`SELECT * FROM message_links WHERE consumer_node = ?`);
+    const updatePushed = db.prepare(`UPDATE message_links SET pushed_at = ? WHERE id = ?`);
+
+    const upsertRemoval = db.prepare(`
+        INSERT INTO message_link_removals (consumer_node, consumer_sub, msg_id, removed_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT(consumer_node, consumer_sub) DO UPDATE SET msg_id = excluded.msg_id, removed_at = excluded.removed_at
+    `);
+    const deleteRemoval      = db.prepare(`DELETE FROM message_link_removals WHERE consumer_node = ? AND consumer_sub = ?`);
+    const selectRemovals     = db.prepare(`SELECT * FROM message_link_removals`);
+    const selectNodeRemovals = db.prepare(`SELECT * FROM message_link_removals WHERE consumer_node = ?`);
+
+    /** Returns the data message a consumer sub-module has in memory, if known */
+    function currentDataMsg(nodeId, subIdx) {
+        const node      = getNodes()[nodeId];
+        const subModule = node && node.subModule ? node.subModule[subIdx] : undefined;
+        return subModule ? subModule.dataMsgId : undefined;
+    }
+
+    /**
+     * Returns a sub-module and checks its link role.
+     * @throws {Error} If the sub-module is unknown or has another role.
+     */
+    function getEndpoint(nodeId, subIdx, role) {
+        const node      = getNodes()[nodeId];
+        const subModule = node && node.subModule ? node.subModule[subIdx] : undefined;
+        if (!subModule) {
+            throw new Error(`Node ${nodeId} has no sub-module ${subIdx}`);
+        }
+        if (linkRole(subModule.introMsgId) !== role) {
+            throw new Error(`Sub-module ${nodeId}/${subIdx} is not a ${role}`);
+        }
+        return subModule;
+    }
+
+    return {
+        /**
+         * Links a producer sub-module to a consumer sub-module. A consumer has
+         * one data message, so all of its links must carry the same message.
+         * @param {Object} link - { producerNode, producerSub, consumerNode, consumerSub }
+         * @returns {number} Row ID of the new link.
+         * @throws {Error} If an endpoint is invalid or the link conflicts with existing ones.
+         */
+        addLink(link) {
+            const producerSub = Number(link.producerSub);
+            const consumerSub = Number(link.consumerSub);
+            const producer    = getEndpoint(link.producerNode, producerSub, LINK_ROLES.PRODUCER);
+            getEndpoint(link.consumerNode, consumerSub, LINK_ROLES.CONSUMER);
+
+            if (!producer.dataMsgId) {
+                throw new Error(`Sub-module ${link.producerNode}/${producerSub} has no data message`);
+            }
+
+            const conflicting = selectByConsumer.all(link.consumerNode, consumerSub)
+                .find(row => row.msg_id !== producer.dataMsgId);
+            if (conflicting) {
+                throw new Error(`Sub-module ${link.consumerNode}/${consumerSub} already consumes ` +
+                                `0x${conflicting.msg_id.toString(16).toUpperCase()}`);
+            }
+
+            let result;
+            try {
+                result = insertLink.run(link.producerNode, producerSub, producer.dataMsgId,
+                    link.consumerNode, consumerSub, Date.now());
+            } catch (err) {
+                if (err.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error('These sub-modules are already linked');
+                throw err;
+            }
+            deleteRemoval.run(link.consumerNode, consumerSub);
+            onChange();
+            return Number(result.lastInsertRowid);
+        },
+
+        /**
+         * Removes a link. When it was the last link into its consumer, the
+         * consumer's data message is cleared on the next push.
+         * @param {number} linkId - Row ID of the link.
+         */
+        removeLink(linkId) {
+            const row = selectLink.get(linkId);
+            if (!row) return;
+
+            deleteLink.run(linkId);
+            if (!selectByConsumer.all(row.consumer_node, row.consumer_sub).length) {
+                upsertRemoval.run(row.consumer_node, row.consumer_sub, row.msg_id, Date.now());
+            }
+            onChange();
+        },
+
+        /**
+         * Returns every link.
+         * @returns {Object[]} { id, producerNode, producerSub, msgId, consumerNode, consumerSub, createdAt, pushedAt }
+         */
+        getLinks() {
+            return selectLinks.all().map(row => ({
+                id:           row.id,
+                producerNode: row.producer_node,
+                producerSub:  row.producer_sub,
+                msgId:        row.msg_id,
+                consumerNode: row.consumer_node,
+                consumerSub:  row.consumer_sub,
+                createdAt:    row.created_at,
+                pushedAt:     row.pushed_at
+            }));
+        },
+
+        /**
+         * Returns the data message each linked consumer sub-module of a node
+         * should have, and NO_DATA_MSG for consumers whose last link was
+         * removed while they still carry the removed message.
+         * @param {string} nodeId - Consumer node ID.
+         * @returns {Object} Map of subIdx -> msgId.
+         */
+        getAssignments(nodeId) {
+            const assignments = {};
+            for (const row of selectNodeRemovals.all(nodeId)) {
+                if (currentDataMsg(nodeId, row.consumer_sub) === row.msg_id) {
+                    assignments[row.consumer_sub] = NO_DATA_MSG;
+                }
+            }
+            for (const row of selectByNode.all(nodeId)) {
+                assignments[row.consumer_sub] = row.msg_id;
+            }
+            return assignments;
+        },
+
+        /**
+         * Returns the consumer nodes with links or removals that have not been pushed.
+         * @returns {string[]} Node IDs.
+         */
+        getPendingNodes() {
+            const added   = selectLinks.all().filter(row => !row.pushed_at).map(row => row.consumer_node);
+            const removed = selectRemovals.all().map(row => row.consumer_node);
+            return [...new Set([...added, ...removed])];
+        },
+
+        /**
+         * Returns the removals that have not been pushed.
+         * @returns {Object[]} { consumerNode, consumerSub, msgId, removedAt }
+         */
+        getRemovals() {
+            return selectRemovals.all().map(row => ({
+                consumerNode: row.consumer_node,
+                consumerSub:  row.consumer_sub,
+                msgId:        row.msg_id,
+                removedAt:    row.removed_at
+            }));
+        },
+
+        /**
+         * Marks the links of a node as pushed after it confirmed an NVS write,
+         * for the sub-modules whose written data message matches the link, and
+         * drops the removals whose message is no longer on the consumer.
+         * @param {string} nodeId - Consumer node ID.
+         */
+        markPushed(nodeId) {
+            const node = getNodes()[nodeId];
+            if (!node) return;
+
+            const now = Date.now();
+            let changed = false;
+
+            for (const row of selectByNode.all(nodeId)) {
+                const subModule = node.subModule[row.consumer_sub];
+                if (!row.pushed_at && subModule && subModule.dataMsgId === row.msg_id) {
+                    updatePushed.run(now, row.id);
+                    changed = true;
+                }
+            }
+            for (const row of selectNodeRemovals.all(nodeId)) {
+                const subModule = node.subModule[row.consumer_sub];
+                if (!subModule || subModule.dataMsgId !== row.msg_id) {
+                    deleteRemoval.run(nodeId, row.consumer_sub);
+                    changed = true;
+                }
+            }
+            if (changed) onChange();
+        }
+    };
+}
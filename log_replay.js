@@ -0,0 +1,155 @@
+/**
+ * Replays recorded CAN logs through the live frame pipeline.
+ * Supports real-time, accelerated and single-step playback.
+ */
+import { parseCanLog } from './can_log_formats.js';
+
+/* === Constants === */
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Factor to convert milliseconds to microseconds */
+const USEC_PER_MS = 1000;
+
+/** Slowest and fastest allowed playback speed multipliers */
+const MIN_REPLAY_SPEED = 0.1;
+const MAX_REPLAY_SPEED = 1000;
+
+/* === Functions === */
+
+/**
+ * Converts a parsed log frame into the socketcan message shape.
+ * The original recording time is kept in logTime (seconds).
+ */
+function toCanMessage(frame) {
+    const now = Date.now();
+
+    return {
+        ts_sec:  Math.floor(now / MS_PER_SECOND),
+        ts_usec: (now % MS_PER_SECOND) * USEC_PER_MS,
+        id:      frame.id,
+        ext:     frame.ext,
+        rtr:     frame.rtr,
+        data:    Buffer.from(frame.data),
+        logTime: frame.time
+    };
+}
+
+/**
+ * Creates a replay controller.
+ * @param {Function} onFrame - Called with each replayed frame in socketcan shape.
+ * @param {Function} onStatus - Called with the replay status whenever it changes.
+ * @returns {Object} Controller with load(), play(), pause(), step(), stop() and getStatus().
+ */
+export function createLogReplay(onFrame, onStatus) {
+    let fileName = null;
+    let format   = null;
+    let frames   = [];
+    let position = 0;        /**< Index of the next frame to replay */
+    let state    = 'idle';   /**< 'idle' | 'playing' | 'paused' | 'finished' */
+    let speed    = 1;
+    let timer    = null;
+
+    function getStatus() {
+        return {
+            fileName,
+            format,
+            position,
+            total: frames.length,
+            state,
+            speed,
+            logTime: frames[position] ? frames[position].time : null
+        };
+    }
+
+    function setState(newState) {
+        state = newState;
+        onStatus(getStatus());
+    }
+
+    /** Emits the frame at the current position and advances */
+    function emitNext() {
+        onFrame(toCanMessage(frames[position]));
+        position++;
+    }
+
+    /** Schedules the next frame using the recorded inter-frame gap, scaled by speed */
+    function scheduleNext() {
+        if (position >= frames.length) {
+            setState('finished');
+            return;
+        }
+
+        const gap   = position > 0 ? frames[position].time - frames[position - 1].time : 0;
+        const delay = Math.max(0, (gap * MS_PER_SECOND) / speed);
+
+        timer = setTimeout(() => {
+            emitNext();
+            scheduleNext();
+        }, delay);
+    }
+
+    function cancelTimer() {
+        clearTimeout(timer);
+        timer = null;
+    }
+
+    return {
+        /**
+         * Parses and loads a log file, replacing any previous one.
+         * @param {string} name - Original file name.
+         * @param {string} text - File contents.
+         */
+        load(name, text) {
+            cancelTimer();
+            const parsed = parseCanLog(name, text);
+
+            fileName = name;
+            format   = parsed.format;
+            frames   = parsed.frames.sort((a, b) => a.time - b.time);
+            position = 0;
+            setState('paused');
+        },
+
+        /**
+         * Starts or resumes playback.
+         * @param {number} multiplier - 1 for real-time, larger values to accelerate.
+         */
+        play(multiplier) {
+            if (!frames.length) return;
+
+            speed = Math.min(MAX_REPLAY_SPEED, Math.max(MIN_REPLAY_SPEED, Number(multiplier) || 1));
+            if (position >= frames.length) position = 0;
+
+            cancelTimer();
+            setState('playing');
+            scheduleNext();
+        },
+
+        pause() {
+            if (state !== 'playing') return;
+            cancelTimer();
+            setState('paused');
+        },
+
+        /** Replays exactly one frame, pausing playback if it was running */
+        step() {
+            if (!frames.length) return;
+            cancelTimer();
+
+            if (position >= frames.length) position = 0;
+            emitNext();
+            setState(position >= frames.length ? 'finished' : 'paused');
+        },
+
+        /** Stops playback and rewinds to the first frame */
+        stop() {
+            cancelTimer();
+            position = 0;
+            setState(frames.length ? 'paused' : 'idle');
+        },
+
+        getStatus
+    };
+}
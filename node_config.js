@@ -0,0 +1,146 @@
+/**
+ * Node configuration helpers shared by the server and the node emulator.
+ *
+ * The CRC must match what the node firmware computes over nodeInfo_t and
+ * its subModule_t array, otherwise CFG_WRITE_NVS is rejected. Neither the
+ * CRC variant nor the serialization is defined in this repository: both are
+ * ASSUMPTIONS (CRC-16/CCITT-FALSE over the fields in declaration order,
+ * big-endian) until checked against the firmware source. The emulator uses
+ * computeConfigCrc() itself, so emulated nodes cannot catch a mismatch, and
+ * the server reports a differing DATA_CONFIG_CRC as an unverified CRC rather
+ * than a failed write.
+ */
+
+/* === Constants === */
+
+/** Bit shift for byte operations */
+const SHIFT_BYTE = 8;
+
+/** Mask for byte operations */
+const BYTE_MASK = 0xFF;
+
+/** Mask for the lower 4 bits to extract DLC */
+const CAN_DLC_MASK = 0x0F;
+
+/** Maximum number of sub-modules per node */
+const NODE_MAX_SUBMODS = 8;
+
+
+/** CRC-16/CCITT-FALSE polynomial; assumed, see the file header */
+const CRC16_POLY = 0x1021;
+
+/** CRC-16/CCITT-FALSE initial value */
+const CRC16_INIT = 0xFFFF;
+
+/** Most significant bit of a 16-bit CRC register */
+const CRC16_MSB = 0x8000;
+
+/** Mask for 16-bit values */
+const WORD_MASK = 0xFFFF;
+
+/** Flag bit for the sub-module save state, packed alongside the DLC */
+export const SUBMOD_SAVESTATE_FLAG = 0x80;
+
+/** Number of configuration bytes per sub-module */
+const SUBMOD_RAW_CFG_BYTES = 3;
+
+/* === Functions === */
+
+/**
+ * Computes a CRC-16/CCITT-FALSE checksum over a byte array.
+ * @param {number[]} bytes - The bytes to checksum.
+ * @returns {number} The 16-bit CRC value.
+ */
+export function crc16(bytes) {
+    let crc = CRC16_INIT;
+
+    for (const byte of bytes) {
+        crc ^= (byte & BYTE_MASK) << SHIFT_BYTE;
+        for (let bit = 0; bit < SHIFT_BYTE; bit++) {
+            crc = (crc & CRC16_MSB) ? ((crc << 1) ^ CRC16_POLY) : (crc << 1);
+            crc &= WORD_MASK;
+        }
+    }
+    return crc;
+}
+
+/**
+ * Packs the sub-module DLC and save state flag into one byte.
+ * Inverse of unpackByteSeven() in index.js.
+ * @param {number} dlc - Data length code (0-8).
+ * @param {boolean} saveState - True if the sub-module remembers its last state.
+ * @returns {number} The packed byte.
+ */
+export function packByteSeven(dlc, saveState) {
+    return (dlc & CAN_DLC_MASK) | (saveState ? SUBMOD_SAVESTATE_FLAG : 0);
+}
+
+/**
+ * Returns the sub-modules of a node that fit in its sub-module count, ordered by index.
+ * @param {Object} nodeData - The in-memory node object.
+ * @returns {Object[]} Sub-module objects with their index attached.
+ */
+export function getOrderedSubModules(nodeData) {
+    const subModCnt = Math.min(nodeData.subModCnt || 0, NODE_MAX_SUBMODS);
+
+    return Object.entries(nodeData.subModule || {})
+        .map(([idxStr, subMod]) => ({ ...subMod, subModIdx: parseInt(idxStr, 10) }))
+        .filter(subMod => subMod.subModIdx < subModCnt)
+        .sort((a, b) => a.subModIdx - b.subModIdx);
+}
+
+/**
+ * Checks the configuration bytes of a sub-module against the fields of its
+ * personality frame (0x438 - 0x43F) as the CSV labels them: reserved bytes
+ * must be zero, flags zero or one and every byte 0 - 255.
+ * @param {string} msgName - Name of the personality frame, for messages.
+ * @param {string[]} labels - CSV labels of the configuration bytes (D5 - D7).
+ * @param {number[]} rawConfig - The sub-module configuration bytes.
+ * @throws {Error} If a byte does not fit its field.
+ */
+export function checkPersonalityConfig(msgName, labels, rawConfig) {
+    for (let i = 0; i < SUBMOD_RAW_CFG_BYTES; i++) {
+        const label = (labels[i] || '').trim().toLowerCase();
+        const value = rawConfig[i];
+
+        if (!Number.isInteger(value) || value < 0 || value > BYTE_MASK) {
+            throw new Error(`${msgName} ${label || `byte ${i}`} must be 0 - 255, got ${value}`);
+        }
+        if ((label === '' || label === 'reserved') && value !== 0) {
+            throw new Error(`${msgName} byte ${i} is reserved and must be 0, got ${value}`);
+        }
+        if (label.includes('flag') && value > 1) {
+            throw new Error(`${msgName} ${label} must be 0 or 1, got ${value}`);
+        }
+    }
+}
+
+/**
+ * Serializes a node configuration in the order the firmware is assumed to
+ * hash nodeInfo_t and its subModule_t array (see the file header), then
+ * returns the CRC-16 of it.
+ * @param {Object} nodeData - The in-memory node object.
+ * @returns {number} The 16-bit configuration CRC.
+ */
+export function computeConfigCrc(nodeData) {
+    const bytes = [
+        (nodeData.nodeTypeMsg >> SHIFT_BYTE) & BYTE_MASK,
+        nodeData.nodeTypeMsg & BYTE_MASK,
+        nodeData.nodeTypeDlc & BYTE_MASK,
+        nodeData.subModCnt & BYTE_MASK
+    ];
+
+    for (const subMod of getOrderedSubModules(nodeData)) {
+        const rawConfig = subMod.rawConfig || [0, 0, 0];
+        bytes.push(
+            subMod.subModIdx,
+            (subMod.introMsgId >> SHIFT_BYTE) & BYTE_MASK,
+            subMod.introMsgId & BYTE_MASK,
+            (subMod.dataMsgId >> SHIFT_BYTE) & BYTE_MASK,
+            subMod.dataMsgId & BYTE_MASK,
+            packByteSeven(subMod.dataMsgDlc, subMod.saveState),
+            ...rawConfig.map(b => b & BYTE_MASK)
+        );
+    }
+    return crc16(bytes);
+}
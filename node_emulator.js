@@ -0,0 +1,440 @@
+/**
+ * Node emulator that behaves like a fleet of CAN-Control nodes.
+ *
+ * Each simulated node answers REQ_NODE_INTRO with its parent intro and
+ * two-part sub-module intros, waits for ACK_INTRO between steps, and accepts
+ * the configuration / NVS write messages sent by the server. Health polls
+ * are answered with the boot timestamp and fixed internal PCB readings.
+ *
+ * In-process:  CAN_INTERFACE=sim CAN_FLEET=fleet.example.json node index.js
+ * Stand-alone: node node_emulator.js fleet.example.json vcan0
+ */
+import fs from 'fs';
+import { pathToFileURL } from 'url';
+
+import * as CAN_MSG from './can_constants.js';
+import { createCanChannel } from './can_transport.js';
+import { computeConfigCrc, getOrderedSubModules, packByteSeven, SUBMOD_SAVESTATE_FLAG } from './node_config.js';
+
+/* === Constants === */
+
+/** Node ID the master uses for broadcast requests */
+const DEFAULT_MASTER_NODE_ID = '19000019';
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Offset of the first payload byte after the Node ID */
+const CFG_PAYLOAD_OFFSET = 4;
+
+/** Offset of the sub-module index in config messages */
+const CFG_SUBMODIDX_OFFSET = 4;
+
+/** Offset of the first sub-module payload byte, after the sub-module index */
+const CFG_SUB_PAYLOAD_OFFSET = 5;
+
+/** Data length for intro messages */
+const INTRO_MSG_DLC = 8;
+
+/** Maximum number of sub-modules per node */
+const NODE_MAX_SUBMODS = 8;
+
+/** Number of raw config bytes */
+const SUBMOD_RAW_CFG_BYTES = 3;
+
+/** Flag added to the sub-module index for part B of the intro */
+const SUBMOD_PARTB_OFFSET = 0x80;
+
+/** Mask for the lower 4 bits to extract DLC */
+const CAN_DLC_MASK = 0x0F;
+
+/** Bit shift for byte operations */
+const SHIFT_BYTE = 8;
+
+/** Mask for byte operations */
+const BYTE_MASK = 0xFF;
+
+/** Milliseconds to wait for ACK_INTRO before re-sending an intro step */
+const ACK_TIMEOUT = 500;
+
+/** Number of times an intro step is re-sent before the interview is abandoned */
+const MAX_INTRO_RETRIES = 5;
+
+/** Sensor ID used for the internal PCB readings */
+const PCB_SENSOR_ID = 0;
+
+/** Internal PCB readings reported on REQ_HEALTHCHECK, as 24-bit raw sensor data */
+const EMULATED_PCB_READINGS = [
+    { id: CAN_MSG.DATA_INTERNAL_PCB_TEMP_ID,    value: 250 },  /**< 25.0 C */
+    { id: CAN_MSG.DATA_INTERNAL_PCB_VOLTS_ID,   value: 1200 }, /**< 12.00 V */
+    { id: CAN_MSG.DATA_INTERNAL_PCB_CURRENT_ID, value: 150 }   /**< 150 mA */
+];
+
+/** Offset of the Node ID in a display transfer header, after the sequence byte */
+const DISPLAY_XFER_NODE_ID_OFFSET = 1;
+
+/** Text bytes in each display transfer chunk */
+const DISPLAY_XFER_TEXT_BYTES = 7;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Number of bytes in a Unix timestamp */
+const TIMESTAMP_BYTE_LENGTH = 4;
+
+/** Personality configuration frames (0x438 - 0x43F) share the raw data layout */
+const PERSONALITY_CFG_BEGIN = CAN_MSG.CFG_BLINK_OUTPUT_ID;
+const PERSONALITY_CFG_END   = CAN_MSG.CFG_PWM_OUTPUT_ID;
+
+/* === Functions === */
+
+/**
+ * Parses a number that may be written as a hex string ("0x743") in the fleet file.
+ * @param {number|string} value - Number or numeric string.
+ * @param {number} fallback - Value used when the field is missing.
+ */
+function parseNumber(value, fallback) {
+    if (value === undefined || value === null) return fallback;
+    if (typeof value === 'number') return value;
+    return value.startsWith('0x') ? parseInt(value, 16) : parseInt(value, 10);
+}
+
+/**
+ * Builds the emulated state of one node from its fleet description.
+ * @param {Object} desc - Node entry from the fleet file.
+ */
+function createNodeState(desc) {
+    const subModule = {};
+
+    (desc.subModules || []).slice(0, NODE_MAX_SUBMODS).forEach((sub, idx) => {
+        subModule[idx] = {
+            introMsgId: parseNumber(sub.introMsgId, 0),
+            introMsgDlc: INTRO_MSG_DLC,
+            dataMsgId:  parseNumber(sub.dataMsgId, 0),
+            dataMsgDlc: parseNumber(sub.dataMsgDlc, 0),
+            saveState:  Boolean(sub.saveState),
+            rawConfig:  (sub.rawConfig || []).concat([0, 0, 0]).slice(0, SUBMOD_RAW_CFG_BYTES).map(b => parseNumber(b, 0))
+        };
+    });
+
+    const config = {
+        nodeTypeMsg: parseNumber(desc.nodeTypeMsg, CAN_MSG.BOX_SW_4RELAY_ID),
+        nodeTypeDlc: INTRO_MSG_DLC,
+        subModCnt:   Object.keys(subModule).length,
+        subModule:   subModule
+    };
+
+    return {
+        nodeId:  desc.nodeId.toLowerCase(),
+        idBytes: [...Buffer.from(desc.nodeId, 'hex')],
+        config:  config,
+        staged:  structuredClone(config), /**< Receives CFG_* frames until CFG_WRITE_NVS */
+        intro:   null,                     /**< Active interview { steps, stepIdx, retries, timer } */
+        bootTime: Math.floor(Date.now() / MS_PER_SECOND), /**< Unix time reported on REQ_NODECHECK */
+        nvsWriteMs: parseNumber(desc.nvsWriteMs, 0),      /**< Delay before CFG_WRITE_NVS is answered */
+        colorpicker:    (desc.colorpickerList || []).map(id => id.toLowerCase()), /**< Remote list in RAM */
+        colorpickerNvs: (desc.colorpickerList || []).map(id => id.toLowerCase())  /**< Remote list in NVS */
+    };
+}
+
+/**
+ * Builds the frames a node sends during an interview, in order.
+ * Sub-modules introduce themselves in two parts: A carries the raw config,
+ * B (index | 0x80) carries the data message ID and DLC.
+ */
+function buildIntroSteps(node) {
+    const { config, idBytes } = node;
+    const crc = computeConfigCrc(config);
+
+    const steps = [{
+        id: config.nodeTypeMsg,
+        data: [...idBytes, config.subModCnt, (crc >> SHIFT_BYTE) & BYTE_MASK, crc & BYTE_MASK, 0]
+    }];
+
+    for (const sub of getOrderedSubModules(config)) {
+        steps.push({
+            id: sub.introMsgId,
+            data: [...idBytes, sub.subModIdx, ...sub.rawConfig]
+        });
+        steps.push({
+            id: sub.introMsgId,
+            data: [...idBytes, sub.subModIdx | SUBMOD_PARTB_OFFSET,
+                   (sub.dataMsgId >> SHIFT_BYTE) & BYTE_MASK,
+                   sub.dataMsgId & BYTE_MASK,
+                   packByteSeven(sub.dataMsgDlc, sub.saveState)]
+        });
+    }
+    return steps;
+}
+
+/**
+ * Starts the channel and emulates a fleet of nodes on it.
+ * @param {Object} channel - An unstarted channel from createCanChannel().
+ * @param {Object} fleet - Parsed fleet description ({ masterNodeId, nodes: [...] }).
+ * @returns {Object} Handle with the emulated nodes and a stop() function.
+ */
+export function startNodeEmulator(channel, fleet) {
+    const masterNodeId = (fleet.masterNodeId || DEFAULT_MASTER_NODE_ID).toLowerCase();
+    const nodes = new Map();
+
+    /** Display text transfer being received: { node, displayId, fieldId, length, text[] } */
+    let displayRx = null;
+
+    for (const desc of fleet.nodes || []) {
+        const node = createNodeState(desc);
+        nodes.set(node.nodeId, node);
+    }
+
+    /** Transmits a frame from a simulated node */
+    function send(id, data) {
+        channel.send({ id: id, data: Buffer.from(data) });
+    }
+
+    /** Sends the current interview step and arms the ACK timeout */
+    function sendIntroStep(node) {
+        const intro = node.intro;
+        const step  = intro.steps[intro.stepIdx];
+
+        send(step.id, step.data);
+
+        clearTimeout(intro.timer);
+        intro.timer = setTimeout(() => {
+            if (++intro.retries > MAX_INTRO_RETRIES) {
+                console.warn(`[Emulator] Node ${node.nodeId} gave up waiting for ACK_INTRO`);
+                node.intro = null;
+                return;
+            }
+            sendIntroStep(node);
+        }, ACK_TIMEOUT);
+    }
+
+    /** Begins (or restarts) an interview for a node */
+    function startIntro(node) {
+        if (node.intro) clearTimeout(node.intro.timer);
+
+        node.intro = { steps: buildIntroSteps(node), stepIdx: 0, retries: 0, timer: null };
+        sendIntroStep(node);
+    }
+
+    /**
+     * Advances the interview after ACK_INTRO. Once every sub-module has been
+     * acknowledged the parent intro is repeated so the server can mark the
+     * interview complete.
+     */
+    function handleAck(node) {
+        const intro = node.intro;
+        if (!intro) return;
+
+        clearTimeout(intro.timer);
+        intro.stepIdx++;
+        intro.retries = 0;
+
+        if (intro.stepIdx < intro.steps.length) {
+            sendIntroStep(node);
+        } else {
+            node.intro = null;
+            send(intro.steps[0].id, intro.steps[0].data);
+        }
+    }
+
+    /** Returns the staged sub-module for a config frame, creating it if needed */
+    function getStagedSub(node, idx) {
+        if (!node.staged.subModule[idx]) {
+            node.staged.subModule[idx] = {
+                introMsgId: 0, introMsgDlc: INTRO_MSG_DLC,
+                dataMsgId: 0, dataMsgDlc: 0, saveState: false,
+                rawConfig: [0, 0, 0]
+            };
+        }
+        return node.staged.subModule[idx];
+    }
+
+    /** Applies CFG_* frames to the staged configuration and commits on CFG_WRITE_NVS */
+    function handleConfig(node, msg) {
+        const d   = msg.data;
+        const idx = d[CFG_SUBMODIDX_OFFSET];
+        const p   = CFG_PAYLOAD_OFFSET;
+        const sp  = CFG_SUB_PAYLOAD_OFFSET;
+
+        if (msg.id === CAN_MSG.CFG_NODE_INTRO_MSG_ID) {
+            node.staged.nodeTypeMsg = (d[p] << SHIFT_BYTE) | d[p + 1];
+            node.staged.nodeTypeDlc = d[p + 2];
+        } else if (msg.id === CAN_MSG.CFG_SUB_INTRO_MSG_ID && idx < NODE_MAX_SUBMODS) {
+            const sub = getStagedSub(node, idx);
+            sub.introMsgId  = (d[sp] << SHIFT_BYTE) | d[sp + 1];
+            sub.introMsgDlc = d[sp + 2];
+            node.staged.subModCnt = Math.max(node.staged.subModCnt, idx + 1);
+        } else if (msg.id === CAN_MSG.CFG_SUB_DATA_MSG_ID && idx < NODE_MAX_SUBMODS) {
+            const sub = getStagedSub(node, idx);
+            sub.dataMsgId  = (d[sp] << SHIFT_BYTE) | d[sp + 1];
+            sub.dataMsgDlc = d[sp + 2] & CAN_DLC_MASK;
+            sub.saveState  = (d[sp + 2] & SUBMOD_SAVESTATE_FLAG) !== 0;
+        } else if ((msg.id === CAN_MSG.CFG_SUB_RAW_DATA_ID ||
+                   (msg.id >= PERSONALITY_CFG_BEGIN && msg.id <= PERSONALITY_CFG_END)) &&
+                   idx < NODE_MAX_SUBMODS) {
+            getStagedSub(node, idx).rawConfig = [...d.subarray(sp, sp + SUBMOD_RAW_CFG_BYTES)];
+        } else if (msg.id === CAN_MSG.CFG_WRITE_NVS_ID) {
+            const requestedCrc = (d[p] << SHIFT_BYTE) | d[p + 1];
+            const stagedCrc    = computeConfigCrc(node.staged);
+            const crcBytes     = [(stagedCrc >> SHIFT_BYTE) & BYTE_MASK, stagedCrc & BYTE_MASK];
+
+            if (requestedCrc === stagedCrc) {
+                node.config = structuredClone(node.staged);
+                setTimeout(() => {
+                    send(CAN_MSG.DATA_CONFIG_CRC_ID, [...node.idBytes, ...crcBytes]);
+                    console.log(`[Emulator] Node ${node.nodeId} wrote config to NVS, CRC 0x${stagedCrc.toString(16)}`);
+                }, node.nvsWriteMs);
+            } else {
+                node.staged = structuredClone(node.config);
+                send(CAN_MSG.DATA_CFGWRITE_FAILED_ID, [...node.idBytes, ...crcBytes]);
+                console.warn(`[Emulator] Node ${node.nodeId} rejected NVS write, CRC 0x${requestedCrc.toString(16)} != 0x${stagedCrc.toString(16)}`);
+            }
+        }
+    }
+
+    /**
+     * Receives a display text transfer. The header chunk names the node, the
+     * text chunks go to the node that the last header named; every chunk is
+     * acknowledged with its sequence number.
+     */
+    function handleDisplayData(msg) {
+        const seq = msg.data[0];
+
+        if (seq === 0) {
+            const targetId = Buffer.from(msg.data.subarray(DISPLAY_XFER_NODE_ID_OFFSET,
+                DISPLAY_XFER_NODE_ID_OFFSET + NODE_ID_BYTE_LENGTH)).toString('hex');
+            const node = nodes.get(targetId);
+            if (!node) return;
+
+            const hdr = DISPLAY_XFER_NODE_ID_OFFSET + NODE_ID_BYTE_LENGTH;
+            displayRx = { node, displayId: msg.data[hdr], fieldId: msg.data[hdr + 1],
+                          length: msg.data[hdr + 2], text: [] };
+        } else if (!displayRx) {
+            return;
+        } else if (seq > displayRx.text.length / DISPLAY_XFER_TEXT_BYTES) {
+            displayRx.text.push(...msg.data.subarray(1));
+        }
+
+        send(CAN_MSG.DISPLAY_DATA_ACK_ID, [seq, ...displayRx.node.idBytes]);
+
+        if (displayRx.text.length >= displayRx.length) {
+            const text = Buffer.from(displayRx.text.slice(0, displayRx.length)).toString('latin1');
+            console.log(`[Emulator] Node ${displayRx.node.nodeId} display ${displayRx.displayId} field ${displayRx.fieldId}: "${text}"`);
+            displayRx = null;
+        }
+    }
+
+    /** Edits, stores and reports the colorpicker remote list */
+    function handleColorpicker(node, msg) {
+        const remote = msg.data.length >= 2 * NODE_ID_BYTE_LENGTH
+            ? Buffer.from(msg.data.subarray(NODE_ID_BYTE_LENGTH, 2 * NODE_ID_BYTE_LENGTH)).toString('hex')
+            : null;
+
+        switch (msg.id) {
+            case CAN_MSG.COLORPICKER_READ_NVS_ID:
+                node.colorpicker = [...node.colorpickerNvs];
+                break;
+            case CAN_MSG.COLORPICKER_WRITE_NVS_ID:
+                node.colorpickerNvs = [...node.colorpicker];
+                break;
+            case CAN_MSG.COLORPICKER_SEND_LIST_ID:
+                node.colorpicker.forEach(id => send(CAN_MSG.COLORPICKER_LIST_MEMBER_ID, [...Buffer.from(id, 'hex')]));
+                send(CAN_MSG.COLORPICKER_END_OF_LIST_ID, node.idBytes);
+                break;
+            case CAN_MSG.COLORPICKER_PURGE_LIST_ID:
+                node.colorpicker = [];
+                break;
+            case CAN_MSG.COLORPICKER_DEL_NODE_ID:
+                node.colorpicker = node.colorpicker.filter(id => id !== remote);
+                break;
+            case CAN_MSG.COLORPICKER_ADD_NODE_ID:
+                if (remote && !node.colorpicker.includes(remote)) node.colorpicker.push(remote);
+                break;
+        }
+    }
+
+    /** Answers REQ_NODECHECK with the boot time and REQ_HEALTHCHECK with the PCB readings */
+    function handlePoll(node, msg) {
+        if (msg.id === CAN_MSG.REQ_NODECHECK_ID) {
+            const ts = Buffer.alloc(TIMESTAMP_BYTE_LENGTH);
+            ts.writeUInt32BE(node.bootTime);
+            send(CAN_MSG.DATA_NODE_BOOT_TIMESTAMP_ID, [...node.idBytes, ...ts]);
+            return;
+        }
+
+        for (const reading of EMULATED_PCB_READINGS) {
+            send(reading.id, [...node.idBytes, PCB_SENSOR_ID,
+                (reading.value >> (2 * SHIFT_BYTE)) & BYTE_MASK,
+                (reading.value >> SHIFT_BYTE) & BYTE_MASK,
+                reading.value & BYTE_MASK]);
+        }
+    }
+
+    channel.addListener('onMessage', (msg) => {
+        if (msg.data.length < NODE_ID_BYTE_LENGTH) return;
+
+        if (msg.id === CAN_MSG.DISPLAY_DATA_MSG_ID) {
+            handleDisplayData(msg);
+            return;
+        }
+
+        const targetId = Buffer.from(msg.data.subarray(0, NODE_ID_BYTE_LENGTH)).toString('hex');
+
+        if (msg.id === CAN_MSG.REQ_NODE_INTRO_ID) {
+            if (targetId === masterNodeId) {
+                nodes.forEach(node => startIntro(node));
+            } else if (nodes.has(targetId)) {
+                startIntro(nodes.get(targetId));
+            }
+            return;
+        }
+
+        const node = nodes.get(targetId);
+        if (!node) return;
+
+        if (msg.id === CAN_MSG.ACK_INTRO_ID) {
+            handleAck(node);
+        } else if (msg.id === CAN_MSG.REQ_NODECHECK_ID || msg.id === CAN_MSG.REQ_HEALTHCHECK_ID) {
+            handlePoll(node, msg);
+        } else if (msg.id >= CAN_MSG.COLORPICKER_READ_NVS_ID && msg.id <= CAN_MSG.COLORPICKER_ADD_NODE_ID) {
+            handleColorpicker(node, msg);
+        } else if (msg.id >= CAN_MSG.CFG_SUB_RAW_DATA_ID && msg.id <= PERSONALITY_CFG_END) {
+            handleConfig(node, msg);
+        }
+    });
+
+    channel.start();
+    console.log(`[Emulator] Simulating ${nodes.size} node(s): ${[...nodes.keys()].join(', ')}`);
+
+    /* Like real firmware, every node introduces itself at power-up */
+    nodes.forEach(node => startIntro(node));
+
+    return {
+        nodes,
+        stop() {
+            nodes.forEach(node => node.intro && clearTimeout(node.intro.timer));
+            channel.stop();
+        }
+    };
+}
+
+/**
+ * Reads a fleet description from a JSON file.
+ * @param {string} filePath - Path to the fleet file.
+ */
+export function loadFleet(filePath) {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/* Stand-alone mode: node node_emulator.js <fleet.json> [interface] */
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const [fleetFile, interfaceName = 'vcan0'] = process.argv.slice(2);
+
+    if (!fleetFile) {
+        console.error('Usage: node node_emulator.js <fleet.json> [interface]');
+        process.exit(1);
+    }
+
+    const channel = await createCanChannel(interfaceName);
+    startNodeEmulator(channel, loadFleet(fleetFile));
+}
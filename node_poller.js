@@ -0,0 +1,289 @@
+/**
+ * Scheduled node health polling.
+ *
+ * Known nodes are polled one request at a time, round-robin, alternating
+ * REQ_NODECHECK and REQ_HEALTHCHECK. A NODECHECK is answered with
+ * DATA_NODE_BOOT_TIMESTAMP, a HEALTHCHECK with the internal PCB sensor
+ * frames. The first matching frame from the polled node completes the poll;
+ * no answer within the timeout counts as a missed poll. Every poll is logged
+ * to SQLite with its round-trip latency.
+ */
+import * as CAN_MSG from './can_constants.js';
+import { decodeNodeId } from './frame_capture.js';
+
+/* === Constants === */
+
+/** Default time between two poll requests */
+const DEFAULT_INTERVAL_MS = 2000;
+
+/** Default time a node has to answer a poll */
+const DEFAULT_TIMEOUT_MS = 1000;
+
+/** Default age of poll log rows before they are pruned (7 days) */
+const DEFAULT_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+/** Milliseconds between poll log retention sweeps */
+const POLL_PRUNE_INTERVAL = 3600000;
+
+/** Number of recent latencies kept per node for the sparkline */
+const LATENCY_HISTORY_LENGTH = 30;
+
+/** Consecutive missed polls before a node is reported as failing */
+const FAILING_MISSED_POLLS = 3;
+
+/** Offset of the boot timestamp in DATA_NODE_BOOT_TIMESTAMP */
+const BOOT_TS_OFFSET = 4;
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Factor to convert seconds to milliseconds */
+const MS_PER_SECOND = 1000;
+
+/** Frames that answer each poll request */
+const POLL_RESPONSES = {
+    [CAN_MSG.REQ_NODECHECK_ID]:   [CAN_MSG.DATA_NODE_BOOT_TIMESTAMP_ID],
+    [CAN_MSG.REQ_HEALTHCHECK_ID]: [CAN_MSG.DATA_INTERNAL_PCB_TEMP_ID,
+                                   CAN_MSG.DATA_INTERNAL_PCB_VOLTS_ID,
+                                   CAN_MSG.DATA_INTERNAL_PCB_CURRENT_ID]
+};
+
+/** Poll requests, in the order they are sent to each node */
+const POLL_REQUESTS = [CAN_MSG.REQ_NODECHECK_ID, CAN_MSG.REQ_HEALTHCHECK_ID];
+
+/** Health indicator states */
+export const POLL_STATES = {
+    UNKNOWN:  'unknown',  /**< Not polled yet */
+    OK:       'ok',       /**< Last poll answered */
+    DEGRADED: 'degraded', /**< Recent polls missed */
+    FAILING:  'failing'   /**< FAILING_MISSED_POLLS or more missed in a row */
+};
+
+/* === Functions === */
+
+/**
+ * Creates the poller on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { intervalMs, timeoutMs, maxAgeMs, getNodes }
+ *        getNodes returns the IDs of the nodes to poll as lower-case hex strings.
+ * @param {Function} sendRequest - Called with (requestId, nodeId) to transmit a poll.
+ * @param {Function} onUpdate - Called with (nodeId, health) after every answered or missed poll.
+ * @returns {Object} Poller with handleFrame(), getAll() and close().
+ */
+export function createNodePoller(db, options, sendRequest, onUpdate) {
+    const intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    const timeoutMs  = Math.min(options.timeoutMs || DEFAULT_TIMEOUT_MS, intervalMs);
+    const maxAgeMs   = options.maxAgeMs || DEFAULT_MAX_AGE_MS;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS node_poll_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            node_id TEXT,
+            request_id INTEGER,  /**< REQ_NODECHECK or REQ_HEALTHCHECK */
+            response_id INTEGER, /**< Frame that answered, NULL if missed */
+            sent_at INTEGER,     /**< ms since epoch */
+            latency_ms REAL      /**< Round-trip time, NULL if missed */
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_poll_node ON node_poll_log (node_id, sent_at);
+
+        CREATE TABLE IF NOT EXISTS node_health (
+            node_id TEXT PRIMARY KEY,
+            polls INTEGER,
+            missed INTEGER,
+            consecutive_missed INTEGER,
+            last_latency_ms REAL,
+            avg_latency_ms REAL,   /**< Mean over all answered polls */
+            last_boot INTEGER,     /**< Boot time reported by NODECHECK, ms since epoch */
+            updated_at INTEGER
+        );
+    `);
+
+    const insertPoll = db.prepare(`
+        INSERT INTO node_poll_log (node_id, request_id, response_id, sent_at, latency_ms)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const upsertHealth = db.prepare(`
+        INSERT OR REPLACE INTO node_health
+            (node_id, polls, missed, consecutive_missed, last_latency_ms, avg_latency_ms, last_boot, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    const selectHealth = db.prepare(`SELECT * FROM node_health`);
+
+    const selectRecentPolls = db.prepare(`
+        SELECT latency_ms FROM node_poll_log WHERE node_id = ? ORDER BY sent_at DESC LIMIT ?
+    `);
+
+    const deleteOldPolls = db.prepare(`DELETE FROM node_poll_log WHERE sent_at < ?`);
+
+    /** Health per node: { polls, missed, consecutiveMissed, lastLatency, avgLatency, lastBoot, lastPollAt, latencies[] } */
+    const health = new Map();
+
+    /** The poll awaiting an answer: { nodeId, requestId, sentAt, started, timer } */
+    let pending = null;
+
+    /** Position in the round-robin schedule */
+    let nodeIdx    = 0;
+    let requestIdx = 0;
+
+    /* Restore counters and sparklines from earlier runs */
+    for (const row of selectHealth.all()) {
+        health.set(row.node_id, {
+            polls:             row.polls,
+            missed:            row.missed,
+            consecutiveMissed: row.consecutive_missed,
+            lastLatency:       row.last_latency_ms,
+            avgLatency:        row.avg_latency_ms,
+            lastBoot:          row.last_boot,
+            lastPollAt:        row.updated_at,
+            latencies:         selectRecentPolls.all(row.node_id, LATENCY_HISTORY_LENGTH)
+                                   .map(p => p.latency_ms).reverse()
+        });
+    }
+
+    /** Returns the health entry of a node, creating it if needed */
+    function getEntry(nodeId) {
+        let entry = health.get(nodeId);
+        if (!entry) {
+            entry = { polls: 0, missed: 0, consecutiveMissed: 0, lastLatency: null,
+                      avgLatency: null, lastBoot: null, lastPollAt: null, latencies: [] };
+            health.set(nodeId, entry);
+        }
+        return entry;
+    }
+
+    /** Derives the indicator state of a node */
+    function stateOf(entry) {
+        if (!entry.polls) return POLL_STATES.UNKNOWN;
+        if (entry.consecutiveMissed >= FAILING_MISSED_POLLS) return POLL_STATES.FAILING;
+        if (entry.latencies.includes(null)) return POLL_STATES.DEGRADED;
+        return POLL_STATES.OK;
+    }
+
+    /** Returns a copy of a node's health for the listener and clients */
+    function describe(entry) {
+        return { ...entry, state: stateOf(entry), latencies: [...entry.latencies] };
+    }
+
+    /**
+     * Records the outcome of the pending poll and notifies the listener.
+     * @param {number|null} responseId - Answering frame ID, null if the poll was missed.
+     * @param {number|null} latency - Round-trip time in ms, null if missed.
+     */
+    function complete(responseId, latency) {
+        const poll = pending;
+        pending = null;
+        clearTimeout(poll.timer);
+
+        const entry = getEntry(poll.nodeId);
+        entry.polls++;
+        entry.lastPollAt = poll.sentAt;
+
+        if (latency === null) {
+            entry.missed++;
+            entry.consecutiveMissed++;
+        } else {
+            const answered = entry.polls - entry.missed;
+            entry.avgLatency        = entry.avgLatency === null ? latency
+                                    : entry.avgLatency + (latency - entry.avgLatency) / answered;
+            entry.lastLatency       = latency;
+            entry.consecutiveMissed = 0;
+        }
+
+        entry.latencies.push(latency);
+        if (entry.latencies.length > LATENCY_HISTORY_LENGTH) entry.latencies.shift();
+
+        try {
+            insertPoll.run(poll.nodeId, poll.requestId, responseId, poll.sentAt, latency);
+            upsertHealth.run(poll.nodeId, entry.polls, entry.missed, entry.consecutiveMissed,
+                entry.lastLatency, entry.avgLatency, entry.lastBoot, Date.now());
+        } catch (err) {
+            console.error('Failed to log node poll:', err.message);
+        }
+
+        if (latency === null && entry.consecutiveMissed === FAILING_MISSED_POLLS) {
+            console.warn(`Node ${poll.nodeId} missed ${FAILING_MISSED_POLLS} polls in a row`);
+        }
+        onUpdate(poll.nodeId, describe(entry));
+    }
+
+    /** Sends the next request in the round-robin schedule */
+    function pollNext() {
+        if (pending) return;
+
+        const nodes = options.getNodes();
+        if (!nodes.length) return;
+
+        if (requestIdx >= POLL_REQUESTS.length) {
+            requestIdx = 0;
+            nodeIdx++;
+        }
+        nodeIdx %= nodes.length;
+
+        const nodeId    = nodes[nodeIdx];
+        const requestId = POLL_REQUESTS[requestIdx++];
+
+        pending = {
+            nodeId,
+            requestId,
+            sentAt:  Date.now(),
+            started: performance.now(),
+            timer:   setTimeout(() => complete(null, null), timeoutMs)
+        };
+
+        try {
+            sendRequest(requestId, nodeId);
+        } catch (err) {
+            console.error(`Failed to poll node ${nodeId}:`, err.message);
+            clearTimeout(pending.timer);
+            pending = null;
+        }
+    }
+
+    /** Drops poll log rows past the retention age */
+    function prune() {
+        try {
+            deleteOldPolls.run(Date.now() - maxAgeMs);
+        } catch (err) {
+            console.error('Failed to prune node poll log:', err.message);
+        }
+    }
+
+    const pollTimer  = setInterval(pollNext, intervalMs);
+    const pruneTimer = setInterval(prune, POLL_PRUNE_INTERVAL);
+
+    return {
+        /**
+         * Matches a received frame against the pending poll.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            if (!pending || !POLL_RESPONSES[pending.requestId].includes(msg.id)) return;
+            if (decodeNodeId(msg.id, msg.data) !== pending.nodeId) return;
+
+            if (msg.id === CAN_MSG.DATA_NODE_BOOT_TIMESTAMP_ID && msg.data.length >= BOOT_TS_OFFSET + NODE_ID_BYTE_LENGTH) {
+                getEntry(pending.nodeId).lastBoot =
+                    Buffer.from(msg.data).readUInt32BE(BOOT_TS_OFFSET) * MS_PER_SECOND;
+            }
+            complete(msg.id, performance.now() - pending.started);
+        },
+
+        /**
+         * Returns the health of every polled node.
+         * @returns {Object} Map of nodeId -> { state, polls, missed, consecutiveMissed, lastLatency, avgLatency, lastBoot, lastPollAt, latencies[] }.
+         */
+        getAll() {
+            return Object.fromEntries([...health].map(([nodeId, entry]) => [nodeId, describe(entry)]));
+        },
+
+        /** Stops polling and abandons the pending poll */
+        close() {
+            clearInterval(pollTimer);
+            clearInterval(pruneTimer);
+            if (pending) clearTimeout(pending.timer);
+            pending = null;
+        }
+    };
+}
@@ -0,0 +1,146 @@
+/**
+ * Node presence tracking.
+ *
+ * Every frame that carries a known node's ID refreshes that node's last-seen
+ * time. A periodic sweep moves nodes through online -> stale -> offline as
+ * they fall silent, and back to online on their next frame. Transitions are
+ * logged to SQLite and reported through a callback.
+ */
+
+/* === Constants === */
+
+/** Interval between presence sweeps */
+const PRESENCE_CHECK_INTERVAL = 1000;
+
+/** Default silence before a node is considered stale */
+const DEFAULT_STALE_MS = 90000;
+
+/** Default silence before a node is considered offline */
+const DEFAULT_OFFLINE_MS = 300000;
+
+/** Presence states */
+export const PRESENCE_STATES = {
+    ONLINE:  'online',
+    STALE:   'stale',
+    OFFLINE: 'offline'
+};
+
+/* === Functions === */
+
+/**
+ * Creates the presence tracker on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { staleMs, offlineMs }
+ * @param {Function} onTransition - Called with (nodeId, presence) whenever a node changes state.
+ * @returns {Object} Tracker with touch(), getAll() and close().
+ */
+export function createNodePresence(db, options, onTransition) {
+    const staleMs   = options.staleMs   || DEFAULT_STALE_MS;
+    const offlineMs = Math.max(options.offlineMs || DEFAULT_OFFLINE_MS, staleMs);
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS node_presence_log (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            node_id TEXT,
+            old_state TEXT,
+            new_state TEXT,
+            last_seen INTEGER,   /**< Last frame from the node, ms since epoch */
+            changed_at INTEGER   /**< Time of the transition, ms since epoch */
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_presence_node ON node_presence_log (node_id, changed_at);
+    `);
+
+    const insertTransition = db.prepare(`
+        INSERT INTO node_presence_log (node_id, old_state, new_state, last_seen, changed_at)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const updateInventoryActive = db.prepare(`
+        UPDATE node_inventory SET is_active = ?, last_seen = ? WHERE node_id = ?
+    `);
+
+    /** Presence per node: { state, lastSeen, changedAt } */
+    const nodes = new Map();
+
+    /**
+     * Records a state change in SQLite and notifies the listener.
+     */
+    function transition(nodeId, entry, newState, now) {
+        const oldState = entry.state;
+
+        entry.state     = newState;
+        entry.changedAt = now;
+
+        try {
+            insertTransition.run(nodeId, oldState, newState, entry.lastSeen, now);
+            updateInventoryActive.run(newState === PRESENCE_STATES.OFFLINE ? 0 : 1, entry.lastSeen, nodeId);
+        } catch (err) {
+            console.error('Failed to log presence transition:', err.message);
+        }
+
+        console.log(`Node ${nodeId} is ${newState}`);
+        onTransition(nodeId, { ...entry });
+    }
+
+    /** Ages every node by its time since last seen */
+    function sweep() {
+        const now = Date.now();
+
+        for (const [nodeId, entry] of nodes) {
+            const silence = now - entry.lastSeen;
+            let state = PRESENCE_STATES.ONLINE;
+
+            if (silence >= offlineMs) {
+                state = PRESENCE_STATES.OFFLINE;
+            } else if (silence >= staleMs) {
+                state = PRESENCE_STATES.STALE;
+            }
+
+            if (state !== entry.state) {
+                transition(nodeId, entry, state, now);
+            }
+        }
+    }
+
+    const sweepTimer = setInterval(sweep, PRESENCE_CHECK_INTERVAL);
+
+    return {
+        /**
+         * Marks a node as seen.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {number} now - Receive time in ms since epoch.
+         */
+        touch(nodeId, now = Date.now()) {
+            const entry = nodes.get(nodeId);
+
+            if (!entry) {
+                const created = { state: PRESENCE_STATES.ONLINE, lastSeen: now, changedAt: now };
+                nodes.set(nodeId, created);
+                onTransition(nodeId, { ...created });
+                return;
+            }
+
+            entry.lastSeen = now;
+            if (entry.state !== PRESENCE_STATES.ONLINE) {
+                transition(nodeId, entry, PRESENCE_STATES.ONLINE, now);
+            }
+        },
+
+        /**
+         * Returns the presence of every tracked node.
+         * @returns {Object} Map of nodeId -> { state, lastSeen, changedAt }.
+         */
+        getAll() {
+            return Object.fromEntries([...nodes].map(([nodeId, entry]) => [nodeId, { ...entry }]));
+        },
+
+        /** Stops the sweep timer */
+        close() {
+            clearInterval(sweepTimer);
+        },
+
+        staleMs,
+        offlineMs
+    };
+}
@@ -0,0 +1,119 @@
+/**
+ * Operator control of output sub-modules (0x740 - 0x746).
+ *
+ * Each control maps to one switch command frame carrying the node ID, the
+ * switch ID (the sub-module index) and, for commands with a setting, one
+ * value byte. The last command sent to every switch is kept in SQLite so the
+ * panel can show it across restarts; nodes do not confirm switch commands.
+ */
+import * as CAN_MSG from './can_constants.js';
+
+/* === Constants === */
+
+/** Number of bytes in a Node ID */
+const NODE_ID_BYTE_LENGTH = 4;
+
+/** Largest value of a one-byte command setting */
+const BYTE_MAX = 0xFF;
+
+/** Switch commands: frame ID and, for commands with a setting, its range */
+export const OUTPUT_COMMANDS = {
+    on:     { msgId: CAN_MSG.SW_SET_ON_ID },
+    off:    { msgId: CAN_MSG.SW_SET_OFF_ID },
+    press:  { msgId: CAN_MSG.SW_MOM_PRESS_ID },
+    pwm:    { msgId: CAN_MSG.SW_SET_PWM_DUTY_ID,    min: 0, max: BYTE_MAX }, /**< Duty cycle, 0-255 */
+    blink:  { msgId: CAN_MSG.SW_SET_BLINK_DELAY_ID, min: 1, max: 100 },      /**< Tenths of a second */
+    strobe: { msgId: CAN_MSG.SW_SET_STROBE_PAT_ID,  min: 0, max: BYTE_MAX }  /**< Strobe pattern index */
+};
+
+/** Commands each output personality accepts */
+export const OUTPUT_CONTROLS = {
+    [CAN_MSG.OUT_HIGH_CURRENT_SW_ID]: ['on', 'off', 'press', 'blink', 'strobe'],
+    [CAN_MSG.OUT_LOW_CURRENT_SW_ID]:  ['on', 'off', 'press', 'blink', 'strobe'],
+    [CAN_MSG.OUT_OPEN_DRAIN_ID]:      ['on', 'off', 'press', 'blink', 'strobe'],
+    [CAN_MSG.OUT_MECH_RELAY_ID]:      ['on', 'off', 'press'],
+    [CAN_MSG.OUT_GPIO_DIGITAL_ID]:    ['on', 'off', 'press', 'blink', 'strobe'],
+    [CAN_MSG.OUT_GPIO_PWM_ID]:        ['on', 'off', 'pwm'],
+    [CAN_MSG.OUT_GPIO_DAC_ID]:        ['on', 'off', 'pwm']
+};
+
+/* === Functions === */
+
+/**
+ * Creates the output control on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Function} getSubModule - Returns the sub-module at (nodeId, switchId), if known.
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a command.
+ * @param {Function} onChange - Called after every command sent.
+ * @returns {Object} Control with command() and getAll().
+ */
+export function createOutputControl(db, getSubModule, sendFrame, onChange) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS output_state (
+            node_id TEXT,
+            switch_id INTEGER,
+            command TEXT,          /**< Key of OUTPUT_COMMANDS */
+            value INTEGER,         /**< Setting sent with the command, NULL if none */
+            commanded_at INTEGER,  /**< ms since epoch */
+            PRIMARY KEY (node_id, switch_id)
+        );
+    `);
+
+    const upsertState = db.prepare(`
+        INSERT OR REPLACE INTO output_state (node_id, switch_id, command, value, commanded_at)
+        VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const selectStates = db.prepare(`SELECT * FROM output_state`);
+
+    return {
+        /**
+         * Sends a switch command to an output sub-module.
+         * @param {string} nodeId - Node ID as a lower-case hex string.
+         * @param {number} switchId - Sub-module index of the output.
+         * @param {string} command - Key of OUTPUT_COMMANDS.
+         * @param {number} [value] - Setting for pwm, blink and strobe.
+         * @throws {Error} If the output is unknown or the command or value is invalid for it.
+         */
+        command(nodeId, switchId, command, value) {
+            const subModule = getSubModule(nodeId, switchId);
+            const controls  = subModule ? OUTPUT_CONTROLS[subModule.introMsgId] : undefined;
+            if (!controls) {
+                throw new Error(`Node ${nodeId} has no output sub-module ${switchId}`);
+            }
+            if (!controls.includes(command)) {
+                throw new Error(`Output ${nodeId}/${switchId} does not support "${command}"`);
+            }
+
+            const spec = OUTPUT_COMMANDS[command];
+            const data = [...Buffer.from(nodeId, 'hex').subarray(0, NODE_ID_BYTE_LENGTH), switchId];
+            let setting = null;
+
+            if (spec.min !== undefined) {
+                setting = Number(value);
+                if (!Number.isInteger(setting) || setting < spec.min || setting > spec.max) {
+                    throw new Error(`${command} value must be ${spec.min}-${spec.max}`);
+                }
+                data.push(setting);
+            }
+
+            sendFrame(spec.msgId, data);
+            upsertState.run(nodeId, switchId, command, setting, Date.now());
+            onChange();
+        },
+
+        /**
+         * Returns the last command sent to every output.
+         * @returns {Object} Map of nodeId -> switchId -> { command, value, commandedAt }.
+         */
+        getAll() {
+            const states = {};
+            for (const row of selectStates.all()) {
+                states[row.node_id] = states[row.node_id] || {};
+                states[row.node_id][row.switch_id] =
+                    { command: row.command, value: row.value, commandedAt: row.commanded_at };
+            }
+            return states;
+        }
+    };
+}
@@ -0,0 +1,511 @@
+/**
+ * Server-side automation rules.
+ *
+ * A rule watches one message ID, optionally from one node, and compares one
+ * decoded field of every such frame with a value. When the condition is met
+ * the rule sends frames, raises an alarm and/or calls a webhook.
+ *
+ *   - Debounce: the condition must keep matching on every watched frame for
+ *     this long before the rule fires.
+ *   - Cooldown: after firing, matches are ignored for this long.
+ *   - State: 'toggle' rules alternate between their actions and their else
+ *     actions; 'counter' rules fire on every Nth trigger.
+ *
+ * Rules and a log of every firing are kept in SQLite.
+ */
+import { decodeNodeId } from './frame_capture.js';
+
+/* === Constants === */
+
+/** Default time a webhook has to answer */
+const DEFAULT_WEBHOOK_TIMEOUT_MS = 5000;
+
+/** Default number of firings returned by getFirings() */
+const DEFAULT_FIRING_LIMIT = 100;
+
+/** Largest 11-bit CAN ID */
+const CAN_ID_MAX = 0x7FF;
+
+/** Largest classic CAN payload */
+const CAN_MAX_DLC = 8;
+
+/** Largest byte value */
+const BYTE_MAX = 0xFF;
+
+/** Base 16 for hexadecimal parsing */
+const HEX_BASE = 16;
+
+/** Hex characters per byte */
+const HEX_BYTE_LENGTH = 2;
+
+/** Field comparisons; 'any' matches every watched frame */
+export const RULE_OPERATORS = ['any', '==', '!=', '>', '<', '>=', '<='];
+
+/** Rule state modes */
+export const RULE_STATE_MODES = {
+    NONE:    'none',
+    TOGGLE:  'toggle',   /**< Fires actions and else actions in turn */
+    COUNTER: 'counter'   /**< Fires on every counterTarget-th trigger */
+};
+
+/** Action types */
+export const RULE_ACTION_TYPES = ['frame', 'alarm', 'webhook'];
+
+/* === Functions === */
+
+/**
+ * Returns the number in a decoded field value ("25.5 C", "0x1A", "12"), or NaN.
+ */
+function numericValue(value) {
+    const text = String(value).trim();
+    return /^0x[0-9a-f]+$/i.test(text) ? Number(text) : parseFloat(text);
+}
+
+/**
+ * Compares a decoded field value with the value of a rule. Values that are
+ * both numbers compare as numbers, anything else as text.
+ */
+function compare(op, actual, expected) {
+    if (op === 'any') return true;
+    if (actual === undefined) return false;
+
+    const a = numericValue(actual);
+    const b = numericValue(expected);
+    const numeric = !Number.isNaN(a) && !Number.isNaN(b);
+
+    switch (op) {
+        case '==': return numeric ? a === b : String(actual) === String(expected);
+        case '!=': return numeric ? a !== b : String(actual) !== String(expected);
+        case '>':  return numeric && a > b;
+        case '<':  return numeric && a < b;
+        case '>=': return numeric && a >= b;
+        case '<=': return numeric && a <= b;
+        default:   return false;
+    }
+}
+
+/**
+ * Parses frames written as "ID#DATA" (candump style), separated by spaces or
+ * commas, e.g. "114#0A1B2C3D00 113#0A1B2C3D01".
+ * @returns {Object[]} { msgId, data[] }
+ * @throws {Error} If a frame is malformed.
+ */
+export function parseFrameList(text) {
+    const frames = String(text || '').split(/[\s,]+/).filter(Boolean).map(entry => {
+        const match = /^([0-9a-f]{1,3})#([0-9a-f]*)$/i.exec(entry);
+        if (!match || match[2].length % HEX_BYTE_LENGTH !== 0) {
+            throw new Error(`Frame "${entry}" is not ID#DATA in hex`);
+        }
+
+        const msgId = parseInt(match[1], HEX_BASE);
+        const data  = match[2].match(/../g) || [];
+        if (msgId > CAN_ID_MAX || data.length > CAN_MAX_DLC) {
+            throw new Error(`Frame "${entry}" is not a valid CAN frame`);
+        }
+        return { msgId, data: data.map(byte => parseInt(byte, HEX_BASE)) };
+    });
+
+    if (!frames.length) throw new Error('A frame list needs at least one frame');
+    return frames;
+}
+
+/**
+ * Checks frames given either as "ID#DATA" text or as { msgId, data[] }
+ * objects, with the same ID and length checks for both forms.
+ * @returns {Object[]} { msgId, data[] }
+ * @throws {Error} If a frame is malformed.
+ */
+export function checkFrameList(frames) {
+    if (!Array.isArray(frames)) return parseFrameList(frames);
+    if (!frames.length) throw new Error('A frame list needs at least one frame');
+
+    return frames.map(frame => {
+        const msgId = frame ? frame.msgId : undefined;
+        const data  = frame ? frame.data : undefined;
+        const valid = Number.isInteger(msgId) && msgId >= 0 && msgId <= CAN_ID_MAX &&
+            Array.isArray(data) && data.length <= CAN_MAX_DLC &&
+            data.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= BYTE_MAX);
+
+        if (!valid) throw new Error(`Frame ${JSON.stringify(frame)} is not a valid CAN frame`);
+        return { msgId, data: [...data] };
+    });
+}
+
+/**
+ * Checks and normalizes a list of actions.
+ * @throws {Error} If an action is incomplete.
+ */
+function checkActions(actions) {
+    return (actions || []).map(action => {
+        switch (action.type) {
+            case 'frame':
+                return { type: 'frame', frames: checkFrameList(action.frames) };
+            case 'alarm':
+                if (!action.message) throw new Error('An alarm action needs a message');
+                return { type: 'alarm', message: String(action.message) };
+            case 'webhook':
+                if (!/^https?:\/\//.test(action.url || '')) throw new Error('A webhook action needs an http(s) URL');
+                return { type: 'webhook', url: action.url };
+            default:
+                throw new Error(`Unknown action type "${action.type}"`);
+        }
+    });
+}
+
+/**
+ * Creates the rules engine on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { webhookTimeoutMs }
+ * @param {Function} decode - Returns the decoded fields of a frame as { name, value }[].
+ * @param {Object} handlers - { sendFrame(msgId, data), raiseAlarm(nodeId, msgId, message, data) }
+ * @param {Function} onChange - Called when rules change or fire.
+ * @returns {Object} Engine with saveRule(), deleteRule(), setEnabled(), handleFrame(), getRules() and getFirings().
+ */
+export function createRulesEngine(db, options, decode, handlers, onChange) {
+    const webhookTimeoutMs = options.webhookTimeoutMs || DEFAULT_WEBHOOK_TIMEOUT_MS;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS rules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            enabled INTEGER,
+            msg_id INTEGER,
+            node_id TEXT,          /**< NULL matches every node */
+            field TEXT,            /**< Decoded field name, NULL for 'any' */
+            op TEXT,               /**< One of RULE_OPERATORS */
+            value TEXT,
+            debounce_ms INTEGER,
+            cooldown_ms INTEGER,
+            state_mode TEXT,       /**< RULE_STATE_MODES value */
+            counter_target INTEGER,
+            state_value INTEGER,   /**< Toggle position or trigger count */
+            actions TEXT,          /**< JSON array of { type, ... } */
+            else_actions TEXT,     /**< JSON array, run when a toggle turns off */
+            updated_at INTEGER,    /**< ms since epoch */
+            fired_at INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS rule_firings (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            rule_id INTEGER,
+            rule_name TEXT,
+            fired_at INTEGER,
+            node_id TEXT,
+            msg_id INTEGER,
+            data TEXT,             /**< Hex payload of the triggering frame */
+            actions TEXT,          /**< Summary of the actions taken */
+            result TEXT            /**< 'ok', or the errors of failed actions */
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_rule_firings_time ON rule_firings (fired_at);
+    `);
+
+    const insertRule = db.prepare(`
+        INSERT INTO rules (name, enabled, msg_id, node_id, field, op, value, debounce_ms, cooldown_ms,
+                           state_mode, counter_target, state_value, actions, else_actions, updated_at)
+        VALUES (@name, @enabled, @msgId, @nodeId, @field, @op, @value, @debounceMs, @cooldownMs,
+                @stateMode, @counterTarget, 0, @actions, @elseActions, @updatedAt)
+    `);
+
+    const updateRule = db.prepare(`
+        UPDATE rules SET name = @name, enabled = @enabled, msg_id = @msgId, node_id = @nodeId, field = @field,
+                         op = @op, value = @value, debounce_ms = @debounceMs, cooldown_ms = @cooldownMs,
+                         state_mode = @stateMode, counter_target = @counterTarget, state_value = 0,
+                         actions = @actions, else_actions = @elseActions, updated_at = @updatedAt
+        WHERE id = @id
+    `);
+
+    const deleteRule     = db.prepare(`DELETE FROM rules WHERE id = ?`);
+    const updateEnabled  = db.prepare(`UPDATE rules SET enabled = ? WHERE id = ?`);
+    const updateFired    = db.prepare(`UPDATE rules SET fired_at = ?, state_value = ? WHERE id = ?`);
+    const updateState    = db.prepare(`UPDATE rules SET state_value = ? WHERE id = ?`);
+    const selectRules    = db.prepare(`SELECT * FROM rules ORDER BY name`);
+    const insertFiring   = db.prepare(`
+        INSERT INTO rule_firings (rule_id, rule_name, fired_at, node_id, msg_id, data, actions, result)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const updateResult   = db.prepare(`UPDATE rule_firings SET result = ? WHERE id = ?`);
+    const selectFirings  = db.prepare(`SELECT * FROM rule_firings ORDER BY fired_at DESC, id DESC LIMIT ?`);
+
+    /** Rules by ID, with runtime state: { ..., matchingSince, lastFired } */
+    const rules = new Map();
+
+    /** Loads the rules from SQLite, keeping the runtime state of unchanged rules */
+    function loadRules() {
+        const previous = new Map(rules);
+        rules.clear();
+
+        for (const row of selectRules.all()) {
+            const old = previous.get(row.id);
+            rules.set(row.id, {
+                id:            row.id,
+                name:          row.name,
+                enabled:       Boolean(row.enabled),
+                msgId:         row.msg_id,
+                nodeId:        row.node_id,
+                field:         row.field,
+                op:            row.op,
+                value:         row.value,
+                debounceMs:    row.debounce_ms,
+                cooldownMs:    row.cooldown_ms,
+                stateMode:     row.state_mode,
+                counterTarget: row.counter_target,
+                stateValue:    row.state_value,
+                actions:       JSON.parse(row.actions),
+                elseActions:   JSON.parse(row.else_actions),
+                updatedAt:     row.updated_at,
+                firedAt:       row.fired_at,
+                matchingSince: old && old.updatedAt === row.updated_at ? old.matchingSince : null
+            });
+        }
+    }
+
+    /**
+     * Checks and normalizes a rule from the client.
+     * @throws {Error} If the rule is incomplete or invalid.
+     */
+    function checkRule(rule) {
+        const name = (rule.name || '').trim();
+        if (!name) throw new Error('A rule needs a name');
+
+        const msgId = Number(rule.msgId);
+        if (!Number.isInteger(msgId) || msgId < 0 || msgId > CAN_ID_MAX) {
+            throw new Error('A rule needs a message ID of 0x000-0x7FF');
+        }
+
+        const nodeId = rule.nodeId ? String(rule.nodeId).toLowerCase() : null;
+        if (nodeId && !/^[0-9a-f]{8}$/.test(nodeId)) throw new Error(`Invalid node ID "${rule.nodeId}"`);
+
+        const op = rule.op || 'any';
+        if (!RULE_OPERATORS.includes(op)) throw new Error(`Unknown operator "${op}"`);
+        if (op !== 'any' && !rule.field) throw new Error('A field condition needs a field name');
+
+        const stateMode = rule.stateMode || RULE_STATE_MODES.NONE;
+        if (!Object.values(RULE_STATE_MODES).includes(stateMode)) throw new Error(`Unknown state mode "${stateMode}"`);
+
+        const counterTarget = stateMode === RULE_STATE_MODES.COUNTER ? Number(rule.counterTarget) : null;
+        if (stateMode === RULE_STATE_MODES.COUNTER && (!Number.isInteger(counterTarget) || counterTarget < 1)) {
+            throw new Error('A counter needs a target of at least 1');
+        }
+
+        const debounceMs = Number(rule.debounceMs) || 0;
+        const cooldownMs = Number(rule.cooldownMs) || 0;
+        if (debounceMs < 0 || cooldownMs < 0) throw new Error('Debounce and cooldown cannot be negative');
+
+        const actions     = checkActions(rule.actions);
+        const elseActions = stateMode === RULE_STATE_MODES.TOGGLE ? checkActions(rule.elseActions) : [];
+        if (!actions.length && !elseActions.length) throw new Error('A rule needs at least one action');
+
+        return {
+            name,
+            enabled:     rule.enabled === false ? 0 : 1,
+            msgId,
+            nodeId,
+            field:       op === 'any' ? null : rule.field,
+            op,
+            value:       op === 'any' ? null : String(rule.value),
+            debounceMs,
+            cooldownMs,
+            stateMode,
+            counterTarget,
+            actions:     JSON.stringify(actions),
+            elseActions: JSON.stringify(elseActions),
+            updatedAt:   Date.now()
+        };
+    }
+
+    /**
+     * Calls a webhook and records its outcome in the firing log.
+     */
+    async function callWebhook(url, body, firingId) {
+        try {
+            const response = await fetch(url, {
+                method:  'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body:    JSON.stringify(body),
+                signal:  AbortSignal.timeout(webhookTimeoutMs)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        } catch (err) {
+            console.warn(`Webhook ${url} of rule "${body.rule}" failed: ${err.message}`);
+            try {
+                updateResult.run(`webhook: ${err.message}`, firingId);
+                onChange();
+            } catch (dbErr) {
+                console.error('Failed to record webhook result:', dbErr.message);
+            }
+        }
+    }
+
+    /**
+     * Carries out a list of actions for a triggering frame and logs the firing.
+     */
+    function runActions(rule, actions, nodeId, msg, fields, now) {
+        const errors   = [];
+        const webhooks = [];
+        const summary  = actions.map(action => {
+            try {
+                if (action.type === 'frame') {
+                    action.frames.forEach(frame => handlers.sendFrame(frame.msgId, frame.data));
+                    return `sent ${action.frames.length} frame(s)`;
+                }
+                if (action.type === 'alarm') {
+                    handlers.raiseAlarm(nodeId, msg.id, action.message, [...msg.data]);
+                    return `alarm "${action.message}"`;
+                }
+                webhooks.push(action.url);
+                return `webhook ${action.url}`;
+            } catch (err) {
+                errors.push(`${action.type}: ${err.message}`);
+                return `${action.type} failed`;
+            }
+        });
+
+        const data   = Buffer.from(msg.data).toString('hex').toUpperCase();
+        const result = insertFiring.run(rule.id, rule.name, now, nodeId, msg.id, data,
+            summary.join('; '), errors.length ? errors.join('; ') : 'ok');
+        const firingId = Number(result.lastInsertRowid);
+
+        const body = { rule: rule.name, nodeId, msgId: msg.id, data, fields, firedAt: now };
+        webhooks.forEach(url => callWebhook(url, body, firingId));
+
+        if (errors.length) console.warn(`Rule "${rule.name}": ${errors.join('; ')}`);
+    }
+
+    /**
+     * Runs a triggered rule through its state and fires it if due.
+     * @returns {boolean} True if the rule fired.
+     */
+    function trigger(rule, nodeId, msg, fields, now) {
+        let actions = rule.actions;
+
+        if (rule.stateMode === RULE_STATE_MODES.TOGGLE) {
+            rule.stateValue = rule.stateValue ? 0 : 1;
+            actions = rule.stateValue ? rule.actions : rule.elseActions;
+        } else if (rule.stateMode === RULE_STATE_MODES.COUNTER) {
+            rule.stateValue++;
+            if (rule.stateValue < rule.counterTarget) {
+                updateState.run(rule.stateValue, rule.id);
+                return false;
+            }
+            rule.stateValue = 0;
+        }
+
+        rule.firedAt = now;
+        updateFired.run(now, rule.stateValue, rule.id);
+        runActions(rule, actions, nodeId, msg, fields, now);
+        return true;
+    }
+
+    loadRules();
+
+    return {
+        /**
+         * Creates a rule, or replaces the rule with the same ID. Saving a rule resets its state.
+         * @param {Object} rule - { id, name, enabled, msgId, nodeId, field, op, value, debounceMs,
+         *                          cooldownMs, stateMode, counterTarget, actions[], elseActions[] }
+         * @throws {Error} If the rule is invalid.
+         */
+        saveRule(rule) {
+            const row = checkRule(rule);
+            if (rule.id) {
+                updateRule.run({ ...row, id: rule.id });
+            } else {
+                insertRule.run(row);
+            }
+            loadRules();
+            onChange();
+        },
+
+        /**
+         * Deletes a rule; its firings stay in the log.
+         * @param {number} ruleId - Row ID of the rule.
+         */
+        deleteRule(ruleId) {
+            deleteRule.run(ruleId);
+            loadRules();
+            onChange();
+        },
+
+        /**
+         * Enables or disables a rule.
+         * @param {number} ruleId - Row ID of the rule.
+         * @param {boolean} enabled - New state.
+         */
+        setEnabled(ruleId, enabled) {
+            updateEnabled.run(enabled ? 1 : 0, ruleId);
+            const rule = rules.get(ruleId);
+            if (rule) {
+                rule.enabled       = Boolean(enabled);
+                rule.matchingSince = null;
+            }
+            onChange();
+        },
+
+        /**
+         * Evaluates a frame against every enabled rule that watches it.
+         * @param {Object} msg - Frame in socketcan shape.
+         */
+        handleFrame(msg) {
+            let nodeId;
+            let fields;
+            let fired = false;
+            const now = Date.now();
+
+            for (const rule of rules.values()) {
+                if (!rule.enabled || rule.msgId !== msg.id) continue;
+
+                if (nodeId === undefined) nodeId = decodeNodeId(msg.id, msg.data) || null;
+                if (rule.nodeId && rule.nodeId !== nodeId) continue;
+
+                if (fields === undefined) fields = decode(msg);
+                const field = rule.field ? fields.find(f => f.name === rule.field) : undefined;
+
+                if (!compare(rule.op, field ? field.value : undefined, rule.value)) {
+                    rule.matchingSince = null;
+                    continue;
+                }
+
+                if (rule.matchingSince === null) rule.matchingSince = now;
+                if (now - rule.matchingSince < rule.debounceMs) continue;
+                if (rule.firedAt && now - rule.firedAt < rule.cooldownMs) continue;
+
+                try {
+                    fired = trigger(rule, nodeId, msg, fields, now) || fired;
+                } catch (err) {
+                    console.error(`Rule "${rule.name}" failed:`, err.message);
+                }
+                if (rule.debounceMs) rule.matchingSince = null; /**< Debounce again before the next firing */
+            }
+
+            if (fired) onChange();
+        },
+
+        /**
+         * Returns every rule with its state.
+         * @returns {Object[]} Rules as saved, with stateValue and firedAt.
+         */
+        getRules() {
+            return [...rules.values()].map(({ matchingSince, ...rule }) => rule);
+        },
+
+        /**
+         * Returns the most recent firings, newest first.
+         * @param {number} limit - Maximum number of firings.
+         * @returns {Object[]} { id, ruleId, ruleName, firedAt, nodeId, msgId, data, actions, result }
+         */
+        getFirings(limit = DEFAULT_FIRING_LIMIT) {
+            return selectFirings.all(limit).map(row => ({
+                id:       row.id,
+                ruleId:   row.rule_id,
+                ruleName: row.rule_name,
+                firedAt:  row.fired_at,
+                nodeId:   row.node_id,
+                msgId:    row.msg_id,
+                data:     row.data,
+                actions:  row.actions,
+                result:   row.result
+            }));
+        }
+    };
+}
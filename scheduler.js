@@ -0,0 +1,449 @@
+/**
+ * Time-based sending of frames.
+ *
+ * A schedule sends a list of frames either on a cron expression (minute,
+ * hour, day of month, month, day of week, in local time) or at sunrise or
+ * sunset at the configured latitude and longitude, with an offset in
+ * minutes. Schedules and every run are kept in SQLite. Runs missed while the
+ * server was down are not made up.
+ */
+import { checkFrameList } from './rules_engine.js';
+
+/* === Constants === */
+
+/** Default interval between checks for due schedules */
+const DEFAULT_TICK_MS = 1000;
+
+/** Default number of runs returned by getRuns() */
+const DEFAULT_RUN_LIMIT = 100;
+
+/** Upcoming runs listed per schedule */
+const UPCOMING_PER_SCHEDULE = 3;
+
+/** Days searched ahead for the next run of a schedule */
+const SEARCH_DAYS = 366;
+
+/** Milliseconds per minute and per day */
+const MS_PER_MINUTE = 60000;
+const MS_PER_DAY    = 86400000;
+
+/** Julian day of the Unix epoch and of J2000 */
+const JULIAN_UNIX_EPOCH = 2440587.5;
+const JULIAN_J2000      = 2451545.0;
+
+/** Sun altitude at sunrise and sunset, allowing for refraction and the solar disc */
+const SUN_HORIZON_DEG = -0.833;
+
+/** Obliquity of the ecliptic */
+const EARTH_TILT_DEG = 23.4397;
+
+/** Ranges of the cron fields */
+const CRON_FIELDS = [
+    { name: 'minute',       min: 0, max: 59 },
+    { name: 'hour',         min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month',        min: 1, max: 12 },
+    { name: 'day of week',  min: 0, max: 7 }   /**< 0 and 7 are Sunday */
+];
+
+/** Day of week index of Sunday when written as 7 */
+const CRON_SUNDAY_ALT = 7;
+
+/** Trigger types */
+export const TRIGGER_TYPES = {
+    CRON:    'cron',
+    SUNRISE: 'sunrise',
+    SUNSET:  'sunset'
+};
+
+/* === Functions === */
+
+/** Converts degrees to radians */
+function toRadians(deg) {
+    return deg * Math.PI / 180;
+}
+
+/** Converts radians to degrees */
+function toDegrees(rad) {
+    return rad * 180 / Math.PI;
+}
+
+/**
+ * Parses one cron field: "*", numbers, ranges "a-b", lists "a,b" and steps
+ * ("/n" after "*", a number or a range).
+ * @returns {Set<number>} The values the field allows.
+ * @throws {Error} If the field is malformed or out of range.
+ */
+function parseCronField(text, spec) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw new Error(`Invalid ${spec.name} "${part}"`);
+
+        const begin = match[1] === '*' ? spec.min : parseInt(match[2], 10);
+        const end   = match[1] === '*' ? spec.max : match[3] !== undefined ? parseInt(match[3], 10) :
+                      match[4] !== undefined ? spec.max : begin;
+        const step  = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+
+        if (begin < spec.min || end > spec.max || begin > end || step < 1) {
+            throw new Error(`${spec.name} "${part}" is outside ${spec.min}-${spec.max}`);
+        }
+        for (let v = begin; v <= end; v += step) values.add(v);
+    }
+    return values;
+}
+
+/**
+ * Parses a five-field cron expression.
+ * @param {string} expression - e.g. "0 18 * * 1-5".
+ * @returns {Object} { minutes, hours, days, months, weekdays, anyDay, anyWeekday }
+ * @throws {Error} If the expression is invalid.
+ */
+export function parseCron(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('A cron expression has 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, CRON_FIELDS[i]));
+    if (weekdays.delete(CRON_SUNDAY_ALT)) weekdays.add(0);
+
+    return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/**
+ * Returns true if a cron schedule runs on the day of a date. As in cron, a
+ * restricted day of month and day of week match if either matches.
+ */
+function cronMatchesDay(cron, date) {
+    if (!cron.months.has(date.getMonth() + 1)) return false;
+
+    const dayMatch     = cron.days.has(date.getDate());
+    const weekdayMatch = cron.weekdays.has(date.getDay());
+    if (cron.anyDay) return weekdayMatch;
+    if (cron.anyWeekday) return dayMatch;
+    return dayMatch || weekdayMatch;
+}
+
+/**
+ * Returns the first time after a moment that a cron schedule runs.
+ * @param {Object} cron - Schedule returned by parseCron.
+ * @param {number} after - ms since epoch.
+ * @returns {number|null} ms since epoch, or null if it never runs within SEARCH_DAYS.
+ */
+export function nextCronRun(cron, after) {
+    const start = new Date(after);
+    start.setSeconds(0, 0);
+    start.setMinutes(start.getMinutes() + 1);
+
+    const hours   = [...cron.hours].sort((a, b) => a - b);
+    const minutes = [...cron.minutes].sort((a, b) => a - b);
+
+    for (let day = 0; day < SEARCH_DAYS; day++) {
+        const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + day);
+        if (!cronMatchesDay(cron, date)) continue;
+
+        for (const hour of hours) {
+            for (const minute of minutes) {
+                const run = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hour, minute);
+                /* Skip times that do not exist on DST changes; they normalize to another hour */
+                if (run.getHours() !== hour || run.getTime() < start.getTime()) continue;
+                return run.getTime();
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Computes sunrise and sunset around a day with the sunrise equation.
+ * @param {number} cycle - Days since J2000, counted at the solar noon of the location.
+ * @returns {Object|null} { sunrise, sunset } in ms since epoch, null during polar day or night.
+ */
+function sunTimes(cycle, latitude, longitude) {
+    const meanSolarNoon = cycle - longitude / 360;
+    const anomaly       = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+    const m             = toRadians(anomaly);
+    const center        = 1.9148 * Math.sin(m) + 0.02 * Math.sin(2 * m) + 0.0003 * Math.sin(3 * m);
+    const eclipticLong  = toRadians((anomaly + center + 180 + 102.9372) % 360);
+    const transit       = JULIAN_J2000 + meanSolarNoon + 0.0053 * Math.sin(m) - 0.0069 * Math.sin(2 * eclipticLong);
+
+    const sinDecl = Math.sin(eclipticLong) * Math.sin(toRadians(EARTH_TILT_DEG));
+    const cosDecl = Math.cos(Math.asin(sinDecl));
+    const lat     = toRadians(latitude);
+    const cosHour = (Math.sin(toRadians(SUN_HORIZON_DEG)) - Math.sin(lat) * sinDecl) / (Math.cos(lat) * cosDecl);
+    if (cosHour < -1 || cosHour > 1) return null;
+
+    const hourAngle = toDegrees(Math.acos(cosHour)) / 360;
+    const toMs = julian => Math.round((julian - JULIAN_UNIX_EPOCH) * MS_PER_DAY);
+    return { sunrise: toMs(transit - hourAngle), sunset: toMs(transit + hourAngle) };
+}
+
+/**
+ * Returns the first sunrise or sunset, plus an offset, after a moment.
+ * @param {string} event - 'sunrise' or 'sunset'.
+ * @param {number} offsetMin - Minutes added to the event, may be negative.
+ * @param {Object} location - { latitude, longitude } in decimal degrees.
+ * @param {number} after - ms since epoch.
+ * @returns {number|null} ms since epoch, or null if the sun does not rise or set within SEARCH_DAYS.
+ */
+export function nextSunRun(event, offsetMin, location, after) {
+    const firstCycle = Math.floor(after / MS_PER_DAY + JULIAN_UNIX_EPOCH - JULIAN_J2000) - 1;
+
+    for (let cycle = firstCycle; cycle < firstCycle + SEARCH_DAYS; cycle++) {
+        const times = sunTimes(cycle, location.latitude, location.longitude);
+        if (!times) continue;
+
+        const run = times[event] + offsetMin * MS_PER_MINUTE;
+        if (run > after) return run;
+    }
+    return null;
+}
+
+/**
+ * Creates the scheduler on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { latitude, longitude, tickMs }; sun triggers need both coordinates.
+ * @param {Function} sendFrame - Called with (msgId, dataBytes) to transmit a frame.
+ * @param {Function} onChange - Called when schedules change or run.
+ * @returns {Object} Scheduler with saveSchedule(), deleteSchedule(), setEnabled(), getSchedules(), getUpcoming(), getRuns() and close().
+ */
+export function createScheduler(db, options, sendFrame, onChange) {
+    const tickMs   = options.tickMs || DEFAULT_TICK_MS;
+    const location = Number.isFinite(options.latitude) && Number.isFinite(options.longitude) ?
+        { latitude: options.latitude, longitude: options.longitude } : null;
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schedules (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT,
+            enabled INTEGER,
+            trigger TEXT,          /**< JSON { type, expression } or { type, offsetMin } */
+            frames TEXT,           /**< JSON array of { msgId, data[] } */
+            updated_at INTEGER     /**< ms since epoch */
+        );
+
+        CREATE TABLE IF NOT EXISTS schedule_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            schedule_id INTEGER,
+            schedule_name TEXT,
+            due_at INTEGER,
+            ran_at INTEGER,
+            frames INTEGER,        /**< Number of frames sent */
+            success INTEGER,
+            error TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_schedule_runs_time ON schedule_runs (ran_at);
+    `);
+
+    const insertSchedule = db.prepare(`
+        INSERT INTO schedules (name, enabled, trigger, frames, updated_at) VALUES (?, ?, ?, ?, ?)
+    `);
+    const updateSchedule = db.prepare(`
+        UPDATE schedules SET name = ?, enabled = ?, trigger = ?, frames = ?, updated_at = ? WHERE id = ?
+    `);
+    const deleteSchedule = db.prepare(`DELETE FROM schedules WHERE id = ?`);
+    const updateEnabled  = db.prepare(`UPDATE schedules SET enabled = ? WHERE id = ?`);
+    const selectSchedules = db.prepare(`SELECT * FROM schedules ORDER BY name`);
+    const insertRun = db.prepare(`
+        INSERT INTO schedule_runs (schedule_id, schedule_name, due_at, ran_at, frames, success, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    const selectRuns = db.prepare(`SELECT * FROM schedule_runs ORDER BY ran_at DESC, id DESC LIMIT ?`);
+    const selectLastRuns = db.prepare(`
+        SELECT schedule_id, MAX(ran_at) AS ran_at FROM schedule_runs GROUP BY schedule_id
+    `);
+
+    /** Schedules by ID: { id, name, enabled, trigger, frames, cron, nextRunAt, lastRunAt } */
+    const schedules = new Map();
+
+    /**
+     * Returns the first run of a schedule after a moment.
+     * @returns {number|null} ms since epoch.
+     */
+    function nextRun(schedule, after) {
+        if (schedule.trigger.type === TRIGGER_TYPES.CRON) return nextCronRun(schedule.cron, after);
+        if (!location) return null;
+        return nextSunRun(schedule.trigger.type, schedule.trigger.offsetMin, location, after);
+    }
+
+    /** Loads the schedules from SQLite and plans their next run from now */
+    function loadSchedules() {
+        const lastRuns = new Map(selectLastRuns.all().map(row => [row.schedule_id, row.ran_at]));
+        const now = Date.now();
+        schedules.clear();
+
+        for (const row of selectSchedules.all()) {
+            const schedule = {
+                id:        row.id,
+                name:      row.name,
+                enabled:   Boolean(row.enabled),
+                trigger:   JSON.parse(row.trigger),
+                frames:    JSON.parse(row.frames),
+                lastRunAt: lastRuns.get(row.id) || null
+            };
+            try {
+                schedule.cron      = schedule.trigger.type === TRIGGER_TYPES.CRON ? parseCron(schedule.trigger.expression) : null;
+                schedule.nextRunAt = schedule.enabled ? nextRun(schedule, now) : null;
+            } catch (err) {
+                console.warn(`Schedule "${row.name}" cannot run: ${err.message}`);
+                schedule.nextRunAt = null;
+            }
+            schedules.set(row.id, schedule);
+        }
+    }
+
+    /**
+     * Checks and normalizes a trigger.
+     * @throws {Error} If the trigger is invalid.
+     */
+    function checkTrigger(trigger) {
+        const type = trigger ? trigger.type : undefined;
+        if (type === TRIGGER_TYPES.CRON) {
+            parseCron(trigger.expression);
+            return { type, expression: trigger.expression.trim() };
+        }
+        if (type === TRIGGER_TYPES.SUNRISE || type === TRIGGER_TYPES.SUNSET) {
+            if (!location) throw new Error('Sunrise and sunset need SCHEDULE_LATITUDE and SCHEDULE_LONGITUDE');
+            const offsetMin = Number(trigger.offsetMin) || 0;
+            return { type, offsetMin };
+        }
+        throw new Error(`Unknown trigger type "${type}"`);
+    }
+
+    /** Sends the frames of a due schedule, logs the run and plans the next one */
+    function run(schedule, now) {
+        let sent  = 0;
+        let error = null;
+
+        try {
+            schedule.frames.forEach(frame => {
+                sendFrame(frame.msgId, frame.data);
+                sent++;
+            });
+        } catch (err) {
+            error = err.message;
+            console.warn(`Schedule "${schedule.name}" failed: ${error}`);
+        }
+
+        try {
+            insertRun.run(schedule.id, schedule.name, schedule.nextRunAt, now, sent, error ? 0 : 1, error);
+        } catch (err) {
+            console.error('Failed to log schedule run:', err.message);
+        }
+
+        schedule.lastRunAt = now;
+        schedule.nextRunAt = nextRun(schedule, now);
+    }
+
+    /** Runs every schedule that is due */
+    function tick() {
+        const now = Date.now();
+        let ran = false;
+
+        for (const schedule of schedules.values()) {
+            if (schedule.enabled && schedule.nextRunAt !== null && schedule.nextRunAt <= now) {
+                run(schedule, now);
+                ran = true;
+            }
+        }
+        if (ran) onChange();
+    }
+
+    loadSchedules();
+    const tickTimer = setInterval(tick, tickMs);
+
+    return {
+        /**
+         * Creates a schedule, or replaces the schedule with the same ID.
+         * @param {Object} schedule - { id, name, enabled, trigger, frames }; frames as "ID#DATA ..." or [{ msgId, data }].
+         * @throws {Error} If the schedule is invalid.
+         */
+        saveSchedule(schedule) {
+            const name = (schedule.name || '').trim();
+            if (!name) throw new Error('A schedule needs a name');
+
+            const trigger = checkTrigger(schedule.trigger);
+            const frames  = checkFrameList(schedule.frames);
+            const enabled = schedule.enabled === false ? 0 : 1;
+
+            if (schedule.id) {
+                updateSchedule.run(name, enabled, JSON.stringify(trigger), JSON.stringify(frames), Date.now(), schedule.id);
+            } else {
+                insertSchedule.run(name, enabled, JSON.stringify(trigger), JSON.stringify(frames), Date.now());
+            }
+            loadSchedules();
+            onChange();
+        },
+
+        /**
+         * Deletes a schedule; its runs stay in the log.
+         * @param {number} scheduleId - Row ID of the schedule.
+         */
+        deleteSchedule(scheduleId) {
+            deleteSchedule.run(scheduleId);
+            loadSchedules();
+            onChange();
+        },
+
+        /**
+         * Enables or disables a schedule.
+         * @param {number} scheduleId - Row ID of the schedule.
+         * @param {boolean} enabled - New state.
+         */
+        setEnabled(scheduleId, enabled) {
+            updateEnabled.run(enabled ? 1 : 0, scheduleId);
+            loadSchedules();
+            onChange();
+        },
+
+        /**
+         * Returns every schedule with its next and last run.
+         * @returns {Object[]} { id, name, enabled, trigger, frames, nextRunAt, lastRunAt }
+         */
+        getSchedules() {
+            return [...schedules.values()].map(({ cron, ...schedule }) => schedule);
+        },
+
+        /**
+         * Returns the next runs of the enabled schedules, soonest first.
+         * @returns {Object[]} { scheduleId, name, dueAt }
+         */
+        getUpcoming() {
+            const upcoming = [];
+            for (const schedule of schedules.values()) {
+                let dueAt = schedule.enabled ? schedule.nextRunAt : null;
+                for (let i = 0; i < UPCOMING_PER_SCHEDULE && dueAt !== null; i++) {
+                    upcoming.push({ scheduleId: schedule.id, name: schedule.name, dueAt });
+                    dueAt = nextRun(schedule, dueAt);
+                }
+            }
+            return upcoming.sort((a, b) => a.dueAt - b.dueAt);
+        },
+
+        /**
+         * Returns the most recent runs, newest first.
+         * @param {number} limit - Maximum number of runs.
+         * @returns {Object[]} { id, scheduleId, name, dueAt, ranAt, frames, success, error }
+         */
+        getRuns(limit = DEFAULT_RUN_LIMIT) {
+            return selectRuns.all(limit).map(row => ({
+                id:         row.id,
+                scheduleId: row.schedule_id,
+                name:       row.schedule_name,
+                dueAt:      row.due_at,
+                ranAt:      row.ran_at,
+                frames:     row.frames,
+                success:    Boolean(row.success),
+                error:      row.error
+            }));
+        },
+
+        /** Stops checking for due schedules */
+        close() {
+            clearInterval(tickTimer);
+        }
+    };
+}
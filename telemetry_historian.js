@@ -0,0 +1,385 @@
+/**
+ * Time-series store for sensor telemetry.
+ *
+ * Every data message whose byte layout has a "sensor id" and a "sensor data"
+ * field (DATA_INTERNAL_PCB_TEMP, DATA_EXTERNAL_VOLTS, DATA_ADC_RAW, ...) is
+ * recorded as one sample of the series (node ID, sensor ID, message ID).
+ * Samples are kept raw and downsampled into 1-minute and 1-hour buckets
+ * holding min, max, sum and count. Each resolution has its own retention, so
+ * recent data is exact and long-term trends stay cheap to store.
+ *
+ * The CSV gives no unit or scaling for "sensor data". SENSOR_UNITS is an
+ * ASSUMPTION based on the message names (e.g. PCB temperature in 0.1 °C) and
+ * has not been checked against node firmware; a deployment can override it
+ * per message name with the sensorUnits option.
+ */
+import * as CAN_MSG from './can_constants.js';
+import { decodeNodeId } from './frame_capture.js';
+
+/* === Constants === */
+
+/** Field names that identify a sensor message */
+const SENSOR_ID_FIELD   = 'sensor id';
+const SENSOR_DATA_FIELD = 'sensor data';
+
+/** Milliseconds between batched writes to SQLite */
+const TELEMETRY_FLUSH_INTERVAL = 1000;
+
+/** Milliseconds between retention sweeps */
+const TELEMETRY_PRUNE_INTERVAL = 60000;
+
+/** Bucket sizes of the downsampled resolutions */
+const MS_PER_MINUTE = 60000;
+const MS_PER_HOUR   = 3600000;
+
+/** Default retention of each resolution */
+const DEFAULT_RAW_RETENTION_MS    = 24 * MS_PER_HOUR;
+const DEFAULT_MINUTE_RETENTION_MS = 30 * 24 * MS_PER_HOUR;
+const DEFAULT_HOUR_RETENTION_MS   = 365 * 24 * MS_PER_HOUR;
+
+/** Longest time range answered from raw samples when the resolution is 'auto' */
+const RAW_AUTO_MAX_SPAN_MS = MS_PER_HOUR;
+
+/** Default and maximum number of points returned by a single query */
+const DEFAULT_MAX_POINTS = 2000;
+const MAX_POINTS = 10000;
+
+/**
+ * Assumed physical unit of the raw sensor data and the factor converting raw
+ * to that unit. Not specified by the CSV; overridden by options.sensorUnits.
+ */
+export const SENSOR_UNITS = {
+    [CAN_MSG.DATA_EXTERNAL_CURRENT_ID]:     { unit: 'mA',     scale: 1 },
+    [CAN_MSG.DATA_INTERNAL_PCB_TEMP_ID]:    { unit: '°C',     scale: 0.1 },
+    [CAN_MSG.DATA_INTERNAL_PCB_VOLTS_ID]:   { unit: 'V',      scale: 0.01 },
+    [CAN_MSG.DATA_INTERNAL_PCB_CURRENT_ID]: { unit: 'mA',     scale: 1 },
+    [CAN_MSG.DATA_EXTERNAL_TEMPERATURE_ID]: { unit: '°C',     scale: 0.1 },
+    [CAN_MSG.DATA_EXTERNAL_VOLTS_ID]:       { unit: 'V',      scale: 0.01 },
+    [CAN_MSG.DATA_ADC_RAW_ID]:              { unit: 'counts', scale: 1 },
+    [CAN_MSG.DATA_ANALOG_KNOB_MV_ID]:       { unit: 'mV',     scale: 1 }
+};
+
+/** Unit of sensor messages missing from SENSOR_UNITS */
+const RAW_UNIT = { unit: 'raw', scale: 1 };
+
+/** Resolutions, finest first */
+export const RESOLUTIONS = {
+    RAW:    'raw',
+    MINUTE: '1m',
+    HOUR:   '1h'
+};
+
+/** Downsampled tables and their bucket size */
+const BUCKET_TABLES = {
+    [RESOLUTIONS.MINUTE]: { table: 'telemetry_1m', bucketMs: MS_PER_MINUTE },
+    [RESOLUTIONS.HOUR]:   { table: 'telemetry_1h', bucketMs: MS_PER_HOUR }
+};
+
+/* === Functions === */
+
+/**
+ * Extracts the sensor sample carried by a frame.
+ * @param {Object[]|undefined} fields - Field layout of the message.
+ * @param {Object} msg - Frame in socketcan shape.
+ * @returns {{nodeId: string, sensorId: number, value: number}|null} Null for non-sensor frames.
+ */
+export function extractSensorSample(fields, msg) {
+    if (!fields) return null;
+
+    const idField   = fields.find(f => f.name === SENSOR_ID_FIELD);
+    const dataField = fields.find(f => f.name === SENSOR_DATA_FIELD);
+    if (!idField || !dataField) return null;
+    if (dataField.startByte + dataField.length > msg.data.length) return null;
+
+    const nodeId = decodeNodeId(msg.id, msg.data);
+    if (!nodeId) return null;
+
+    const data = Buffer.from(msg.data);
+    return {
+        nodeId,
+        sensorId: data.readUIntBE(idField.startByte, idField.length),
+        value:    data.readUIntBE(dataField.startByte, dataField.length)
+    };
+}
+
+/**
+ * Creates the historian on an open better-sqlite3 database.
+ * @param {Database} db - The application database.
+ * @param {Object} options - { rawRetentionMs, minuteRetentionMs, hourRetentionMs, sensorUnits }
+ *        where sensorUnits maps message names to { unit, scale } and takes precedence over SENSOR_UNITS.
+ * @param {Function} getFields - Returns the field layout of a message ID.
+ * @returns {Object} Historian with record(), query(), listSeries(), prune(), flush() and close().
+ */
+export function createTelemetryHistorian(db, options, getFields) {
+    const retention = {
+        [RESOLUTIONS.RAW]:    options.rawRetentionMs    || DEFAULT_RAW_RETENTION_MS,
+        [RESOLUTIONS.MINUTE]: options.minuteRetentionMs || DEFAULT_MINUTE_RETENTION_MS,
+        [RESOLUTIONS.HOUR]:   options.hourRetentionMs   || DEFAULT_HOUR_RETENTION_MS
+    };
+    const sensorUnits = options.sensorUnits || {};
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS telemetry_series (
+            node_id TEXT,
+            sensor_id INTEGER,
+            msg_id INTEGER,
+            first_seen INTEGER,   /**< ms since epoch */
+            last_seen INTEGER,
+            last_value REAL,
+            PRIMARY KEY (node_id, sensor_id, msg_id)
+        );
+
+        CREATE TABLE IF NOT EXISTS telemetry_raw (
+            node_id TEXT,
+            sensor_id INTEGER,
+            msg_id INTEGER,
+            ts INTEGER,           /**< ms since epoch */
+            value REAL
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_telemetry_raw ON telemetry_raw (node_id, sensor_id, msg_id, ts);
+        CREATE INDEX IF NOT EXISTS idx_telemetry_raw_ts ON telemetry_raw (ts);
+    `);
+
+    for (const { table } of Object.values(BUCKET_TABLES)) {
+        db.exec(`
+            CREATE TABLE IF NOT EXISTS ${table} (
+                node_id TEXT,
+                sensor_id INTEGER,
+                msg_id INTEGER,
+                bucket INTEGER,   /**< Bucket start, ms since epoch */
+                min_value REAL,
+                max_value REAL,
+                sum_value REAL,
+                count INTEGER,
+                PRIMARY KEY (node_id, sensor_id, msg_id, bucket)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_${table}_bucket ON ${table} (bucket);
+        `);
+    }
+
+    const insertRaw = db.prepare(`
+        INSERT INTO telemetry_raw (node_id, sensor_id, msg_id, ts, value) VALUES (?, ?, ?, ?, ?)
+    `);
+
+    const upsertSeries = db.prepare(`
+        INSERT INTO telemetry_series (node_id, sensor_id, msg_id, first_seen, last_seen, last_value)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(node_id, sensor_id, msg_id) DO UPDATE SET
+            last_seen = excluded.last_seen, last_value = excluded.last_value
+    `);
+
+    /** Per-resolution statements, keyed like BUCKET_TABLES */
+    const upsertBucket = {};
+    const pruneBucket  = {};
+    const selectBucket = {};
+    for (const [resolution, { table }] of Object.entries(BUCKET_TABLES)) {
+        upsertBucket[resolution] = db.prepare(`
+            INSERT INTO ${table} (node_id, sensor_id, msg_id, bucket, min_value, max_value, sum_value, count)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(node_id, sensor_id, msg_id, bucket) DO UPDATE SET
+                min_value = MIN(min_value, excluded.min_value),
+                max_value = MAX(max_value, excluded.max_value),
+                sum_value = sum_value + excluded.sum_value,
+                count     = count + excluded.count
+        `);
+        pruneBucket[resolution] = db.prepare(`DELETE FROM ${table} WHERE bucket < ?`);
+        selectBucket[resolution] = db.prepare(`
+            SELECT bucket, min_value, max_value, sum_value, count FROM ${table}
+            WHERE node_id = ? AND sensor_id = ? AND msg_id = ? AND bucket >= ? AND bucket <= ?
+            ORDER BY bucket ASC
+            LIMIT ?
+        `);
+    }
+
+    const countRaw = db.prepare(`
+        SELECT COUNT(*) AS count FROM telemetry_raw
+        WHERE node_id = ? AND sensor_id = ? AND msg_id = ? AND ts >= ? AND ts <= ?
+    `);
+
+    const selectRaw = db.prepare(`
+        SELECT ts, value FROM telemetry_raw
+        WHERE node_id = ? AND sensor_id = ? AND msg_id = ? AND ts >= ? AND ts <= ?
+        ORDER BY ts ASC
+        LIMIT ?
+    `);
+
+    const pruneRaw    = db.prepare(`DELETE FROM telemetry_raw WHERE ts < ?`);
+    const pruneSeries = db.prepare(`DELETE FROM telemetry_series WHERE last_seen < ?`);
+
+    const selectSeries = db.prepare(`
+        SELECT s.node_id, s.sensor_id, s.msg_id, s.first_seen, s.last_seen, s.last_value, d.name
+        FROM telemetry_series s
+        LEFT JOIN message_definitions d ON d.id_dec = s.msg_id
+        ORDER BY s.node_id, s.msg_id, s.sensor_id
+    `);
+
+    /**
+     * Writes one batch of samples: raw rows, bucket aggregates and the
+     * series catalogue. Samples are aggregated per bucket before the upsert.
+     */
+    const writeBatch = db.transaction((samples) => {
+        const buckets = {};
+        const latest  = new Map();
+
+        for (const s of samples) {
+            insertRaw.run(s.nodeId, s.sensorId, s.msgId, s.ts, s.value);
+
+            for (const [resolution, { bucketMs }] of Object.entries(BUCKET_TABLES)) {
+                const bucket = Math.floor(s.ts / bucketMs) * bucketMs;
+                const key    = `${resolution}|${s.nodeId}|${s.sensorId}|${s.msgId}|${bucket}`;
+                const agg    = buckets[key];
+
+                if (!agg) {
+                    buckets[key] = { resolution, s, bucket, min: s.value, max: s.value, sum: s.value, count: 1 };
+                } else {
+                    agg.min = Math.min(agg.min, s.value);
+                    agg.max = Math.max(agg.max, s.value);
+                    agg.sum += s.value;
+                    agg.count++;
+                }
+            }
+            latest.set(`${s.nodeId}|${s.sensorId}|${s.msgId}`, s);
+        }
+
+        for (const agg of Object.values(buckets)) {
+            upsertBucket[agg.resolution].run(agg.s.nodeId, agg.s.sensorId, agg.s.msgId, agg.bucket,
+                agg.min, agg.max, agg.sum, agg.count);
+        }
+        for (const s of latest.values()) {
+            upsertSeries.run(s.nodeId, s.sensorId, s.msgId, s.ts, s.ts, s.value);
+        }
+    });
+
+    /** Samples waiting for the next batched write */
+    let pending = [];
+
+    function flush() {
+        if (!pending.length) return;
+
+        const batch = pending;
+        pending = [];
+        try {
+            writeBatch(batch);
+        } catch (err) {
+            console.error('Failed to write telemetry batch:', err.message);
+        }
+    }
+
+    function prune() {
+        const now = Date.now();
+        try {
+            pruneRaw.run(now - retention[RESOLUTIONS.RAW]);
+            for (const resolution of Object.keys(BUCKET_TABLES)) {
+                pruneBucket[resolution].run(now - retention[resolution]);
+            }
+            pruneSeries.run(now - retention[RESOLUTIONS.HOUR]);
+        } catch (err) {
+            console.error('Failed to prune telemetry:', err.message);
+        }
+    }
+
+    /**
+     * Picks the finest resolution that still holds the start of the range
+     * and returns no more than maxPoints points.
+     */
+    function autoResolution(series, from, to, maxPoints) {
+        const now  = Date.now();
+        const span = to - from;
+
+        if (from >= now - retention[RESOLUTIONS.RAW] && span <= RAW_AUTO_MAX_SPAN_MS &&
+            countRaw.get(...series, from, to).count <= maxPoints) {
+            return RESOLUTIONS.RAW;
+        }
+        if (from >= now - retention[RESOLUTIONS.MINUTE] && span / MS_PER_MINUTE <= maxPoints) {
+            return RESOLUTIONS.MINUTE;
+        }
+        return RESOLUTIONS.HOUR;
+    }
+
+    const flushTimer = setInterval(flush, TELEMETRY_FLUSH_INTERVAL);
+    const pruneTimer = setInterval(prune, TELEMETRY_PRUNE_INTERVAL);
+
+    return {
+        /**
+         * Queues the sample carried by a frame; non-sensor frames are ignored.
+         * @param {Object} msg - Frame in socketcan shape.
+         * @param {number} now - Receive time in ms since epoch.
+         */
+        record(msg, now = Date.now()) {
+            const sample = extractSensorSample(getFields(msg.id), msg);
+            if (!sample) return;
+
+            pending.push({ ...sample, msgId: msg.id, ts: now });
+        },
+
+        /**
+         * Returns one series over a time range, oldest first.
+         * @param {Object} query - { nodeId, sensorId, msgId, from, to (ms since epoch), resolution ('auto', 'raw', '1m', '1h'), maxPoints }
+         * @returns {Object} { nodeId, sensorId, msgId, from, to, resolution, points[] } with points
+         *          as { t, min, max, avg, count }; raw samples have min = max = avg.
+         */
+        query(query) {
+            flush();
+
+            const nodeId    = String(query.nodeId || '').toLowerCase();
+            const sensorId  = parseInt(query.sensorId, 10);
+            const msgId     = parseInt(query.msgId, 10);
+            const to        = Number(query.to) || Date.now();
+            const from      = Number(query.from) || to - MS_PER_HOUR;
+            const maxPoints = Math.max(1, Math.min(MAX_POINTS, parseInt(query.maxPoints, 10) || DEFAULT_MAX_POINTS));
+
+            if (!nodeId || isNaN(sensorId) || isNaN(msgId)) {
+                throw new Error('A series needs nodeId, sensorId and msgId');
+            }
+
+            let resolution = query.resolution || 'auto';
+            if (resolution === 'auto') {
+                resolution = autoResolution([nodeId, sensorId, msgId], from, to, maxPoints);
+            }
+
+            let points;
+            if (resolution === RESOLUTIONS.RAW) {
+                points = selectRaw.all(nodeId, sensorId, msgId, from, to, maxPoints)
+                  .map(r => ({ t: r.ts, min: r.value, max: r.value, avg: r.value, count: 1 }));
+            } else if (BUCKET_TABLES[resolution]) {
+                const { bucketMs } = BUCKET_TABLES[resolution];
+                points = selectBucket[resolution].all(nodeId, sensorId, msgId, Math.floor(from / bucketMs) * bucketMs, to, maxPoints)
+                  .map(r => ({ t: r.bucket, min: r.min_value, max: r.max_value, avg: r.sum_value / r.count, count: r.count }));
+            } else {
+                throw new Error(`Unknown resolution: ${resolution}`);
+            }
+
+            return { nodeId, sensorId, msgId, from, to, resolution, points };
+        },
+
+        /**
+         * Returns every recorded series with its message name, unit and latest raw value.
+         * @returns {Object[]} Rows of { nodeId, sensorId, msgId, name, unit, scale, firstSeen, lastSeen, lastValue }.
+         */
+        listSeries() {
+            flush();
+            return selectSeries.all().map(r => ({
+                nodeId:    r.node_id,
+                sensorId:  r.sensor_id,
+                msgId:     r.msg_id,
+                name:      r.name || 'UNKNOWN',
+                ...(sensorUnits[r.name] || SENSOR_UNITS[r.msg_id] || RAW_UNIT),
+                firstSeen: r.first_seen,
+                lastSeen:  r.last_seen,
+                lastValue: r.last_value
+            }));
+        },
+
+        prune,
+        flush,
+
+        /** Writes pending samples and stops the background timers */
+        close() {
+            clearInterval(flushTimer);
+            clearInterval(pruneTimer);
+            flush();
+        }
+    };
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createBusStatistics } from '../bus_statistics.js';
+
+const DEFINITIONS = new Map([
+    [0x526, { name: 'DATA_CONFIG_CRC', msgRate: 1, perNode: true }],
+    [0x114, { name: 'DATA_OUTPUT', msgRate: 10, perNode: false }]
+]);
+
+test('IDs with a node id layout get one row per node', () => {
+    const stats = createBusStatistics(id => DEFINITIONS.get(id));
+    stats.record(0x526, '0a1b2c3d', 1000);
+    stats.record(0x526, '0a1b2c3d', 1500);
+    stats.record(0x526, '11223344', 1500);
+
+    const rows = stats.snapshot(2000).sort((a, b) => a.nodeId.localeCompare(b.nodeId));
+    assert.deepEqual(rows.map(r => [r.nodeId, r.count]), [['0a1b2c3d', 2], ['11223344', 1]]);
+    assert.equal(rows[0].minGap, 500);
+});
+
+test('other IDs get a single row whatever their first bytes hold', () => {
+    const stats = createBusStatistics(id => DEFINITIONS.get(id));
+    for (let i = 0; i < 50; i++) {
+        stats.record(0x114, i.toString(16).padStart(8, '0'), 1000 + i);
+        stats.record(0x7FF, i.toString(16).padStart(8, '0'), 1000 + i);
+    }
+
+    const rows = stats.snapshot(2000);
+    assert.equal(rows.length, 2);
+    assert.ok(rows.every(r => r.nodeId === null && r.count === 50));
+    assert.equal(rows.find(r => r.id === 0x7FF).undefinedId, true);
+});
+
+test('rows not seen for ten minutes are dropped', () => {
+    const stats = createBusStatistics(id => DEFINITIONS.get(id));
+    stats.record(0x526, '0a1b2c3d', 0);
+    stats.record(0x114, null, 300000);
+
+    assert.equal(stats.snapshot(600000).length, 2);
+    assert.deepEqual(stats.snapshot(600001).map(r => r.id), [0x114]);
+});
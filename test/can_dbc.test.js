@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateDbc, groupByteLabels, parseDbc, signalsToByteLabels, toDbcIdentifier } from '../can_dbc.js';
+
+const DEFINITIONS = [
+    {
+        id_dec: 0x114, id_hex: '0x114', name: 'SW_SET_ON', dlc: 5, category: 'set switch',
+        description: 'switch "on"',
+        byte_labels: ['node id', 'node id', 'node id', 'node id', 'switch id', '', '', '']
+    },
+    {
+        id_dec: 0x50A, id_hex: '0x50A', name: 'DATA_INTERNAL_PCB_TEMP', dlc: 8, category: 'data',
+        description: '',
+        byte_labels: ['node id', 'node id', 'node id', 'node id', 'sensor id', 'reserved', 'sensor data', 'sensor data']
+    }
+];
+
+test('toDbcIdentifier produces C identifiers', () => {
+    assert.equal(toDbcIdentifier('sub module index'), 'SUB_MODULE_INDEX');
+    assert.equal(toDbcIdentifier('4 relay'), '_4_RELAY');
+    assert.equal(toDbcIdentifier('  '), 'UNNAMED');
+});
+
+test('groupByteLabels merges consecutive labels and skips reserved bytes', () => {
+    assert.deepEqual(groupByteLabels(DEFINITIONS[1].byte_labels, 8), [
+        { label: 'node id',     startByte: 0, length: 4 },
+        { label: 'sensor id',   startByte: 4, length: 1 },
+        { label: 'sensor data', startByte: 6, length: 2 }
+    ]);
+    assert.deepEqual(groupByteLabels(DEFINITIONS[0].byte_labels, 5).map(g => g.label), ['node id', 'switch id']);
+});
+
+test('generateDbc writes big endian signals, comments and categories', () => {
+    const lines = generateDbc(DEFINITIONS).split('\n');
+
+    assert.ok(lines.includes('BO_ 276 SW_SET_ON: 5 Vector__XXX'));
+    assert.ok(lines.includes(' SG_ NODE_ID : 7|32@0+ (1,0) [0|4294967295] "" Vector__XXX'));
+    assert.ok(lines.includes(' SG_ SWITCH_ID : 39|8@0+ (1,0) [0|255] "" Vector__XXX'));
+    assert.ok(lines.includes(' SG_ SENSOR_DATA : 55|16@0+ (1,0) [0|65535] "" Vector__XXX'));
+    assert.ok(lines.includes('CM_ BO_ 276 "switch \\"on\\"";'));
+    assert.ok(lines.includes('CM_ SG_ 276 SWITCH_ID "switch id";'));
+    assert.ok(lines.includes('BA_ "Category" BO_ 1290 "data";'));
+    assert.ok(!lines.some(line => line.includes('RESERVED')));
+});
+
+test('generateDbc marks IDs above 0x7FF as extended and keeps names unique', () => {
+    const text = generateDbc([
+        { id_dec: 0x18FF0001, id_hex: '0x18FF0001', name: 'dup', dlc: 1, byte_labels: ['value'] },
+        { id_dec: 0x100, id_hex: '0x100', name: 'dup', dlc: 1, byte_labels: ['value'] }
+    ]);
+
+    assert.match(text, /^BO_ 2566848513 DUP: 1 Vector__XXX$/m);
+    assert.match(text, /^BO_ 256 DUP_2: 1 Vector__XXX$/m);
+});
+
+test('generateDbc output parses back to the same messages and big endian signals', () => {
+    const messages = parseDbc(generateDbc(DEFINITIONS));
+
+    assert.equal(messages.length, 2);
+    const [sw, temp] = messages;
+
+    assert.equal(sw.id, 0x114);
+    assert.equal(sw.ext, false);
+    assert.equal(sw.name, 'SW_SET_ON');
+    assert.equal(sw.dlc, 5);
+    assert.equal(sw.comment, 'switch "on"');
+    assert.equal(sw.category, 'set switch');
+    assert.deepEqual(sw.signals.map(s => [s.name, s.startBit, s.bitLength, s.byteOrder]),
+        [['NODE_ID', 7, 32, 'big'], ['SWITCH_ID', 39, 8, 'big']]);
+    assert.equal(sw.signals[0].comment, 'node id');
+
+    assert.deepEqual(signalsToByteLabels(temp.signals, temp.dlc),
+        ['NODE_ID', 'NODE_ID', 'NODE_ID', 'NODE_ID', 'SENSOR_ID', '', 'SENSOR_DATA', 'SENSOR_DATA']);
+});
+
+test('parseDbc flags extended IDs and reads signal scaling', () => {
+    const [msg] = parseDbc([
+        'BO_ 2566848513 ENGINE: 8 ECU',
+        ' SG_ rpm : 0|16@1+ (0.25,-10) [0|16383.75] "rpm" Vector__XXX',
+        ' SG_ temp : 16|8@1- (1,0) [-128|127] "degC" Vector__XXX',
+        ''
+    ].join('\n'));
+
+    assert.equal(msg.id, 0x18FF0001);
+    assert.equal(msg.ext, true);
+    assert.equal(msg.transmitter, 'ECU');
+    assert.deepEqual(msg.signals[0], {
+        name: 'rpm', startBit: 0, bitLength: 16, byteOrder: 'little', signed: false,
+        factor: 0.25, offset: -10, min: 0, max: 16383.75, unit: 'rpm', comment: ''
+    });
+    assert.equal(msg.signals[1].signed, true);
+    assert.deepEqual(signalsToByteLabels(msg.signals, 8), ['rpm', 'rpm', 'temp', '', '', '', '', '']);
+});
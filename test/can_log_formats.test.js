@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    detectLogFormat, parseAsc, parseCandump, parseCanLog, parseTrc,
+    writeAsc, writeCandump, writeCanLog, writeCsv, writePcap
+} from '../can_log_formats.js';
+
+const FRAMES = [
+    { time: 1700000000.5,      id: 0x114,      dir: 'Rx', data: [0x0A, 0x1B, 0x2C, 0x3D, 0x01], name: 'SW_SET_ON', nodeId: '0a1b2c3d' },
+    { time: 1700000000.750001, id: 0x18FF0001, ext: true, dir: 'Tx', data: [], name: 'EXT' }
+];
+
+test('parseCandump reads standard, extended and remote frames and skips error frames', () => {
+    const frames = parseCandump([
+        '(1436509052.249713) can0 123#DEADBEEF',
+        '(1436509052.250000) can0 18FF0001#01',
+        '(1436509052.260000) can0 7FF#R',
+        '(1436509052.270000) can0 20000080#0000000000000000',
+        'garbage'
+    ].join('\n'));
+
+    assert.equal(frames.length, 3);
+    assert.deepEqual(frames[0], { time: 1436509052.249713, id: 0x123, ext: false, rtr: false, dir: 'Rx', data: [0xDE, 0xAD, 0xBE, 0xEF] });
+    assert.equal(frames[1].ext, true);
+    assert.equal(frames[1].id, 0x18FF0001);
+    assert.equal(frames[2].rtr, true);
+});
+
+test('parseAsc honors the base header and direction', () => {
+    const frames = parseAsc([
+        'base dec  timestamps absolute',
+        '   0.010000 1  291             Tx   d 2 10 255'
+    ].join('\n'));
+
+    assert.deepEqual(frames, [{ time: 0.01, id: 291, ext: false, rtr: false, dir: 'Tx', data: [10, 255] }]);
+});
+
+test('parseTrc reads version 1.1 and 2.1 files with millisecond offsets', () => {
+    const v1 = parseTrc([
+        ';$FILEVERSION=1.1',
+        '     1)      1059.9  Rx         0300  8  00 01 02 03 04 05 06 07'
+    ].join('\n'));
+    assert.equal(v1.length, 1);
+    assert.equal(v1[0].id, 0x300);
+    assert.ok(Math.abs(v1[0].time - 1.0599) < 1e-9);
+    assert.equal(v1[0].data.length, 8);
+
+    const v2 = parseTrc([
+        ';$FILEVERSION=2.1',
+        ';$COLUMNS=N,O,T,I,d,l,D',
+        '      1      2000.000 DT     0114 Rx 2  AA BB',
+        '      2      2001.000 ST     Rx 00 00 00 00'
+    ].join('\n'));
+    assert.deepEqual(v2, [{ time: 2, id: 0x114, ext: false, rtr: false, dir: 'Rx', data: [0xAA, 0xBB] }]);
+});
+
+test('detectLogFormat uses the extension first, then the contents', () => {
+    assert.equal(detectLogFormat('capture.ASC', ''), 'asc');
+    assert.equal(detectLogFormat('dump.txt', '(1.000000) can0 123#00'), 'candump');
+    assert.equal(detectLogFormat('dump.txt', ';$FILEVERSION=2.1'), 'trc');
+    assert.equal(detectLogFormat('dump.txt', 'base hex timestamps absolute'), 'asc');
+    assert.equal(detectLogFormat('dump.txt', 'hello'), null);
+    assert.throws(() => parseCanLog('dump.txt', 'hello'), /Unrecognized log format/);
+});
+
+test('writeCandump stays in candump -l format unless annotated', () => {
+    const plain = writeCandump(FRAMES, 'can0');
+    assert.equal(plain, '(1700000000.500000) can0 114#0A1B2C3D01\n(1700000000.750001) can0 18FF0001#\n');
+    assert.deepEqual(parseCandump(plain).map(f => f.id), [0x114, 0x18FF0001]);
+
+    const annotated = writeCanLog('candump-annotated', FRAMES, 'can0');
+    assert.match(annotated, /114#0A1B2C3D01 \/\/ SW_SET_ON\n/);
+    assert.deepEqual(parseCandump(annotated).map(f => f.data), parseCandump(plain).map(f => f.data));
+});
+
+test('writeAsc round-trips through parseAsc with times relative to the first frame', () => {
+    const text = writeAsc(FRAMES);
+    assert.doesNotMatch(text, /\/\//);
+
+    const frames = parseAsc(text);
+    assert.equal(frames.length, 2);
+    assert.equal(frames[0].time, 0);
+    assert.equal(frames[1].id, 0x18FF0001);
+    assert.equal(frames[1].ext, true);
+    assert.equal(frames[1].dir, 'Tx');
+    assert.deepEqual(frames[0].data, FRAMES[0].data);
+
+    assert.match(writeCanLog('asc-annotated', FRAMES), /\/\/ SW_SET_ON/);
+});
+
+test('writeCsv quotes fields and includes names and node IDs', () => {
+    const lines = writeCsv([{ ...FRAMES[0], name: 'A "quoted", name' }]).trim().split('\n');
+    assert.equal(lines[0], 'Timestamp,Time (s),Direction,ID,Name,Node ID,DLC,Data');
+    assert.equal(lines[1], '2023-11-14T22:13:20.500Z,1700000000.500000,Rx,0x114,"A ""quoted"", name",0a1b2c3d,5,0A 1B 2C 3D 01');
+});
+
+test('writePcap writes a pcapng section with one SocketCAN packet per frame', () => {
+    const buf = writePcap(FRAMES, 'can0');
+
+    assert.equal(buf.readUInt32LE(0), 0x0A0D0D0A);   /**< Section Header Block */
+    assert.equal(buf.readUInt32LE(8), 0x1A2B3C4D);   /**< Byte order magic */
+
+    /* Walk the blocks and collect the Enhanced Packet Blocks */
+    const packets = [];
+    for (let offset = 0; offset < buf.length; offset += buf.readUInt32LE(offset + 4)) {
+        if (buf.readUInt32LE(offset) === 0x00000006) {
+            const capLen = buf.readUInt32LE(offset + 20);
+            packets.push(buf.subarray(offset + 28, offset + 28 + capLen));
+        }
+    }
+
+    assert.equal(packets.length, 2);
+    assert.equal(packets[0].readUInt32BE(0), 0x114);
+    assert.equal(packets[0][4], 5);
+    assert.deepEqual([...packets[0].subarray(8)], FRAMES[0].data);
+    assert.equal(packets[1].readUInt32BE(0), (0x18FF0001 | 0x80000000) >>> 0);
+});
+
+test('writeCanLog rejects unknown formats', () => {
+    assert.throws(() => writeCanLog('blf', FRAMES), /Unsupported export format/);
+});
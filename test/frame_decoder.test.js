@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeFrame, fieldsFromByteLabels, fieldsFromSignals, FIELD_TYPES } from '../frame_decoder.js';
+
+test('fieldsFromByteLabels classifies node IDs, timestamps and hex fields', () => {
+    const fields = fieldsFromByteLabels(['node id', 'node id', 'node id', 'node id', 'unixtime', 'unixtime', 'unixtime', 'unixtime'], 8);
+    assert.deepEqual(fields, [
+        { name: 'node id',  type: FIELD_TYPES.NODE_ID,   startByte: 0, length: 4 },
+        { name: 'unixtime', type: FIELD_TYPES.TIMESTAMP, startByte: 4, length: 4 }
+    ]);
+
+    const [crc, id] = fieldsFromByteLabels(['config crc', 'config crc', 'msg id', 'msg id'], 4);
+    assert.equal(crc.type, FIELD_TYPES.HEX);
+    assert.equal(id.type, FIELD_TYPES.HEX);
+    assert.equal(fieldsFromByteLabels(['sensor data'], 1)[0].type, FIELD_TYPES.UINT);
+});
+
+test('decodeFrame formats each field type and drops fields past the payload', () => {
+    const fields = fieldsFromByteLabels(['node id', 'node id', 'node id', 'node id', 'sensor id', 'crc', 'crc', 'sensor data'], 8);
+
+    assert.deepEqual(decodeFrame(fields, [0x0A, 0x1B, 0x2C, 0x3D, 7, 0xBE, 0xEF, 200]), [
+        { name: 'node id',     value: '0a1b2c3d' },
+        { name: 'sensor id',   value: '7' },
+        { name: 'crc',         value: '0xBEEF' },
+        { name: 'sensor data', value: '200' }
+    ]);
+    assert.deepEqual(decodeFrame(fields, [0x0A, 0x1B, 0x2C, 0x3D, 7]).map(f => f.name), ['node id', 'sensor id']);
+    assert.deepEqual(decodeFrame(undefined, [1, 2, 3]), []);
+});
+
+test('decodeFrame renders unix time as an ISO date', () => {
+    const fields = fieldsFromByteLabels(['unixtime', 'unixtime', 'unixtime', 'unixtime'], 4);
+    assert.deepEqual(decodeFrame(fields, [0x65, 0x53, 0xF1, 0x00]), [{ name: 'unixtime', value: '2023-11-14T22:13:20.000Z' }]);
+});
+
+test('decodeFrame applies DBC scaling to Intel and Motorola signals', () => {
+    const fields = fieldsFromSignals([
+        { name: 'rpm',   startBit: 0,  bitLength: 16, byteOrder: 'little', signed: false, factor: 0.25, offset: 0, unit: 'rpm' },
+        { name: 'temp',  startBit: 16, bitLength: 8,  byteOrder: 'little', signed: true,  factor: 1,    offset: 0, unit: '' },
+        { name: 'level', startBit: 31, bitLength: 16, byteOrder: 'big',    signed: false, factor: 0.1,  offset: -5, unit: '%' }
+    ]);
+
+    assert.deepEqual(decodeFrame(fields, [0x10, 0x27, 0xF6, 0x01, 0x2C]), [
+        { name: 'rpm',   value: '2500 rpm' },
+        { name: 'temp',  value: '-10' },
+        { name: 'level', value: '25 %' }
+    ]);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeConfigCrc, crc16, packByteSeven } from '../node_config.js';
+
+test('crc16 matches the CRC-16/CCITT-FALSE check value', () => {
+    assert.equal(crc16([...Buffer.from('123456789')]), 0x29B1);
+    assert.equal(crc16([]), 0xFFFF);
+});
+
+test('computeConfigCrc hashes the node then each sub-module in index order', () => {
+    const node = {
+        nodeTypeMsg: 0x787,
+        nodeTypeDlc: 8,
+        subModCnt:   2,
+        subModule: {
+            1: { introMsgId: 0x743, dataMsgId: 0x114, dataMsgDlc: 5, saveState: false, rawConfig: [6, 0, 0] },
+            0: { introMsgId: 0x743, dataMsgId: 0x113, dataMsgDlc: 5, saveState: true,  rawConfig: [4, 0, 1] },
+            2: { introMsgId: 0x743, dataMsgId: 0x115, dataMsgDlc: 5, saveState: false, rawConfig: [7, 0, 0] }
+        }
+    };
+
+    assert.equal(computeConfigCrc(node), crc16([
+        0x07, 0x87, 8, 2,
+        0, 0x07, 0x43, 0x01, 0x13, packByteSeven(5, true), 4, 0, 1,
+        1, 0x07, 0x43, 0x01, 0x14, packByteSeven(5, false), 6, 0, 0
+    ]));
+});
+
+test.todo('computeConfigCrc reproduces the CRC a real node reports for its config bytes');
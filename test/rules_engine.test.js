@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkFrameList, parseFrameList } from '../rules_engine.js';
+
+test('parseFrameList reads ID#DATA frames separated by spaces or commas', () => {
+    assert.deepEqual(parseFrameList('114#0A1B2C3D00, 7ff#  113#'), [
+        { msgId: 0x114, data: [0x0A, 0x1B, 0x2C, 0x3D, 0x00] },
+        { msgId: 0x7FF, data: [] },
+        { msgId: 0x113, data: [] }
+    ]);
+});
+
+test('parseFrameList rejects malformed frames and empty lists', () => {
+    assert.throws(() => parseFrameList(''), /at least one frame/);
+    assert.throws(() => parseFrameList('114#ABC'), /not ID#DATA/);
+    assert.throws(() => parseFrameList('1234#00'), /not ID#DATA/);
+    assert.throws(() => parseFrameList('800#00'), /not a valid CAN frame/);
+    assert.throws(() => parseFrameList('114#000000000000000000'), /not a valid CAN frame/);
+});
+
+test('checkFrameList applies the same checks to frame objects', () => {
+    const frames = [{ msgId: 0x114, data: [1, 2, 3] }];
+    const checked = checkFrameList(frames);
+
+    assert.deepEqual(checked, frames);
+    assert.notEqual(checked[0].data, frames[0].data);
+    assert.deepEqual(checkFrameList('114#010203'), frames);
+
+    assert.throws(() => checkFrameList([]), /at least one frame/);
+    assert.throws(() => checkFrameList([{ msgId: 0x800, data: [] }]), /not a valid CAN frame/);
+    assert.throws(() => checkFrameList([{ msgId: '0x114', data: [] }]), /not a valid CAN frame/);
+    assert.throws(() => checkFrameList([{ msgId: 0x114, data: [256] }]), /not a valid CAN frame/);
+    assert.throws(() => checkFrameList([{ msgId: 0x114, data: new Array(9).fill(0) }]), /not a valid CAN frame/);
+    assert.throws(() => checkFrameList([null]), /not a valid CAN frame/);
+});
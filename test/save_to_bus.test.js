@@ -0,0 +1,195 @@
+/**
+ * End-to-end NVS write: runs the server on the simulated bus with the example
+ * fleet, edits a sub-module through the WebSocket API and checks that the
+ * emulated node confirms SAVE_TO_BUS with the CRC the server expects.
+ * The server runs on free ports, and the node delays its NVS write reply so
+ * that a second write is sure to arrive while the first is pending.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import WebSocket from 'ws';
+import { computeConfigCrc } from '../node_config.js';
+
+const ROOT     = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const NODE_ID  = '0a1b2c3d';
+const SUB_IDX  = 2;
+
+/** Milliseconds to wait for the server, the interview and the NVS write */
+const STARTUP_TIMEOUT_MS = 10000;
+const STEP_TIMEOUT_MS    = 5000;
+
+/** Milliseconds between connection attempts */
+const RECONNECT_DELAY_MS = 200;
+
+/** Milliseconds the emulated node takes to answer CFG_WRITE_NVS */
+const NVS_WRITE_MS = 500;
+
+let server;
+let tmpDir;
+let ws;
+
+/** Latest DATABASE_UPDATE payload and the waiters for the next matching message */
+let database = {};
+const waiters = [];
+
+/**
+ * Resolves with the first message accepted by the predicate.
+ */
+function waitFor(predicate, timeoutMs, description) {
+    return new Promise((resolve, reject) => {
+        const waiter = { predicate, resolve };
+        waiter.timer = setTimeout(() => {
+            waiters.splice(waiters.indexOf(waiter), 1);
+            reject(new Error(`Timed out waiting for ${description}`));
+        }, timeoutMs);
+        waiters.push(waiter);
+    });
+}
+
+/**
+ * Keeps the latest DATABASE_UPDATE and resolves the waiters the message matches.
+ */
+function handleMessage(raw) {
+    const msg = JSON.parse(raw);
+    if (msg.type === 'DATABASE_UPDATE') database = msg.payload;
+
+    for (const waiter of [...waiters]) {
+        if (waiter.predicate(msg)) {
+            clearTimeout(waiter.timer);
+            waiters.splice(waiters.indexOf(waiter), 1);
+            waiter.resolve(msg);
+        }
+    }
+}
+
+/**
+ * Returns a TCP port that is free at the time of the call.
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.once('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Connects to the server, retrying until it listens, and resolves once the
+ * DATABASE_UPDATE the server sends on connect has been handled.
+ */
+async function connect(url, deadline) {
+    while (true) {
+        try {
+            return await new Promise((resolve, reject) => {
+                const socket = new WebSocket(url);
+                socket.on('message', raw => {
+                    handleMessage(raw);
+                    if (JSON.parse(raw).type === 'DATABASE_UPDATE') resolve(socket);
+                });
+                socket.once('error', reject);
+            });
+        } catch (err) {
+            if (Date.now() > deadline || server.exitCode !== null) throw err;
+            await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+        }
+    }
+}
+
+/** True once every sub-module of the node has both intro parts */
+function isInterviewed(node) {
+    return Boolean(node && node.subModCnt && Object.values(node.subModule || {})
+        .filter(sub => sub.partAComplete && sub.partBComplete).length === node.subModCnt);
+}
+
+before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'can-save-'));
+
+    const fleet = JSON.parse(fs.readFileSync(path.join(ROOT, 'fleet.example.json'), 'utf-8'));
+    fleet.nodes.find(node => node.nodeId === NODE_ID).nvsWriteMs = NVS_WRITE_MS;
+    const fleetPath = path.join(tmpDir, 'fleet.json');
+    fs.writeFileSync(fleetPath, JSON.stringify(fleet));
+
+    const httpPort = await getFreePort();
+    const wsPort   = await getFreePort();
+    server = spawn(process.execPath, ['index.js'], {
+        cwd: ROOT,
+        env: {
+            ...process.env,
+            CAN_INTERFACE: 'sim',
+            CAN_FLEET:     fleetPath,
+            CAN_DB_PATH:   path.join(tmpDir, 'test.db'),
+            HTTP_PORT:     String(httpPort),
+            WS_PORT:       String(wsPort)
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+
+    /* The server pushes no update when an interview ends, so reconnect for a fresh copy */
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+    ws = await connect(`ws://localhost:${wsPort}`, deadline);
+    while (!isInterviewed(database[NODE_ID])) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for the interview of ${NODE_ID}`);
+        ws.close();
+        await new Promise(resolve => setTimeout(resolve, RECONNECT_DELAY_MS));
+        ws = await connect(`ws://localhost:${wsPort}`, deadline);
+    }
+});
+
+after(() => {
+    if (ws) ws.close();
+    if (server) server.kill();
+    if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('an edited node is written to NVS and confirmed with the expected CRC', async () => {
+    const node       = structuredClone(database[NODE_ID]);
+    const sub        = node.subModule[SUB_IDX];
+    const initialCrc = computeConfigCrc(node);
+
+    ws.send(JSON.stringify({
+        type: 'UPDATE_NODE_CONFIG',
+        nodeId: NODE_ID,
+        configTarget: 'SUBMODULE',
+        subModIdx: SUB_IDX,
+        payload: { introMsgId: sub.introMsgId, dataMsgId: 0x113, dataMsgDlc: sub.dataMsgDlc, rawConfig: sub.rawConfig }
+    }));
+    const ack = await waitFor(msg => msg.type === 'UPDATE_ACK' && msg.nodeId === NODE_ID, STEP_TIMEOUT_MS, 'UPDATE_ACK');
+    assert.equal(ack.success, true);
+
+    sub.dataMsgId = 0x113;
+    const expectedCrc = computeConfigCrc(node);
+    assert.notEqual(expectedCrc, initialCrc);
+
+    ws.send(JSON.stringify({ type: 'SAVE_TO_BUS', nodeId: NODE_ID }));
+    const result = await waitFor(msg => msg.type === 'PERSIST_RESULT' && msg.nodeId === NODE_ID,
+        STEP_TIMEOUT_MS, 'PERSIST_RESULT');
+
+    assert.equal(result.reason, null);
+    assert.equal(result.success, true);
+    assert.equal(result.crcVerified, true);
+    assert.equal(result.crc, expectedCrc);
+    assert.equal(database[NODE_ID].configCrc, expectedCrc);
+});
+
+test('a second write while one is pending is refused', async () => {
+    ws.send(JSON.stringify({ type: 'SAVE_TO_BUS', nodeId: NODE_ID }));
+    ws.send(JSON.stringify({ type: 'SAVE_TO_BUS', nodeId: NODE_ID }));
+
+    const results = [
+        await waitFor(msg => msg.type === 'PERSIST_RESULT', STEP_TIMEOUT_MS, 'the first PERSIST_RESULT'),
+        await waitFor(msg => msg.type === 'PERSIST_RESULT', STEP_TIMEOUT_MS, 'the second PERSIST_RESULT')
+    ];
+
+    assert.equal(results[0].success, false);
+    assert.match(results[0].reason, /already in progress/);
+    assert.equal(results[1].success, true);
+});
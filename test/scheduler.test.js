@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+/* Cron schedules run in local time; pin it so the expected times hold everywhere */
+process.env.TZ = 'UTC';
+
+const { nextCronRun, nextSunRun, parseCron } = await import('../scheduler.js');
+
+const MS_PER_MINUTE = 60000;
+
+test('parseCron expands ranges, lists and steps', () => {
+    const cron = parseCron('*/15 8-10,18 * * 1-5');
+
+    assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hours], [8, 9, 10, 18]);
+    assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(cron.anyDay, true);
+    assert.equal(cron.anyWeekday, false);
+});
+
+test('parseCron treats day of week 7 as Sunday', () => {
+    assert.deepEqual([...parseCron('0 0 * * 7').weekdays], [0]);
+});
+
+test('parseCron rejects malformed and out of range fields', () => {
+    assert.throws(() => parseCron('* * * *'), /5 fields/);
+    assert.throws(() => parseCron('60 * * * *'), /minute "60" is outside 0-59/);
+    assert.throws(() => parseCron('* 5-2 * * *'), /hour/);
+    assert.throws(() => parseCron('* * 0 * *'), /day of month/);
+    assert.throws(() => parseCron('*/0 * * * *'), /minute/);
+    assert.throws(() => parseCron('a * * * *'), /Invalid minute "a"/);
+});
+
+test('nextCronRun finds the next matching minute', () => {
+    const weekdays = parseCron('30 18 * * 1-5');
+
+    /* Friday 2026-10-16 18:30 has passed; the next weekday run is Monday */
+    assert.equal(nextCronRun(weekdays, Date.UTC(2026, 9, 16, 18, 30)), Date.UTC(2026, 9, 19, 18, 30));
+    assert.equal(nextCronRun(weekdays, Date.UTC(2026, 9, 16, 18, 29, 59)), Date.UTC(2026, 9, 16, 18, 30));
+    assert.equal(nextCronRun(parseCron('0 0 30 2 *'), Date.UTC(2026, 0, 1)), null);
+});
+
+test('nextCronRun matches either day field when both are restricted', () => {
+    const cron = parseCron('0 12 1 * 0');
+
+    /* Thursday 2026-10-01 is the 1st; Sunday 2026-10-04 matches the weekday */
+    assert.equal(nextCronRun(cron, Date.UTC(2026, 8, 30)), Date.UTC(2026, 9, 1, 12));
+    assert.equal(nextCronRun(cron, Date.UTC(2026, 9, 1, 12)), Date.UTC(2026, 9, 4, 12));
+});
+
+test('nextSunRun matches published sunrise and sunset times', () => {
+    const london = { latitude: 51.5074, longitude: -0.1278 };
+    const after  = Date.UTC(2026, 5, 21);
+
+    /* London on the June solstice: sunrise 03:43, sunset 20:21 UTC */
+    const sunrise = nextSunRun('sunrise', 0, london, after);
+    const sunset  = nextSunRun('sunset', 0, london, after);
+    assert.ok(Math.abs(sunrise - Date.UTC(2026, 5, 21, 3, 43)) < 3 * MS_PER_MINUTE, new Date(sunrise).toISOString());
+    assert.ok(Math.abs(sunset - Date.UTC(2026, 5, 21, 20, 21)) < 3 * MS_PER_MINUTE, new Date(sunset).toISOString());
+
+    assert.equal(nextSunRun('sunset', -30, london, after), sunset - 30 * MS_PER_MINUTE);
+});
+
+test('nextSunRun skips polar day', () => {
+    /* No sunset at 80 degrees north until late August */
+    const sunset = nextSunRun('sunset', 0, { latitude: 80, longitude: 0 }, Date.UTC(2026, 5, 21));
+    assert.ok(sunset > Date.UTC(2026, 7, 1), new Date(sunset).toISOString());
+});